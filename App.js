@@ -1,28 +1,49 @@
 import React, { useState, useEffect } from 'react';
-import { StyleSheet, Text, View, Switch, useColorScheme, ActivityIndicator, SafeAreaView, Alert } from 'react-native';
+import { StyleSheet, Text, View, Switch, useColorScheme, ActivityIndicator, SafeAreaView, Alert, TouchableOpacity } from 'react-native';
 import AddLiftButton from './components/AddLiftButton';
 import CalculateWeights from './components/CalculateWeights';
-import { fetchLifts, initDb } from './services/dbService';
+import DataTransferModal from './components/DataTransferModal';
+import SettingsModal from './components/SettingsModal';
+import CycleEditorModal from './components/CycleEditorModal';
+import BlockPlannerModal from './components/BlockPlannerModal';
+import ScheduleModal from './components/ScheduleModal';
+import CycleSheetModal from './components/CycleSheetModal';
+import StrengthScoresModal from './components/StrengthScoresModal';
+import { fetchLifts, initDb, fetchSettings, updateSetting, updateLiftProgress, fetchSchedule, saveSchedule } from './services/dbService';
+import { CycleProgress } from './models/liftModels';
 import { lightColors, darkColors } from './constants/colors';
+import { defaultSettings, THEMES } from './constants/settings';
+import { isValidSetting } from './utils/settingsValidation';
 
 export default function App() {
   const [lifts, setLifts] = useState([]);
+  const [scheduleDays, setScheduleDays] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [isKg, setIsKg] = useState(false);
-  const [selectedCycle, setSelectedCycle] = useState('5/5/5');
+  const [settings, setSettings] = useState(defaultSettings);
+  const [isDataTransferVisible, setIsDataTransferVisible] = useState(false);
+  const [isSettingsVisible, setIsSettingsVisible] = useState(false);
+  const [isCycleEditorVisible, setIsCycleEditorVisible] = useState(false);
+  const [isBlockPlannerVisible, setIsBlockPlannerVisible] = useState(false);
+  const [isScheduleVisible, setIsScheduleVisible] = useState(false);
+  const [isCycleSheetVisible, setIsCycleSheetVisible] = useState(false);
+  const [isStrengthScoresVisible, setIsStrengthScoresVisible] = useState(false);
   const colorScheme = useColorScheme();
-  const colors = colorScheme === 'dark' ? darkColors : lightColors;
+  const { isKg, plateInventories, roundingPolicy, warmUpPercentages, tmIncrements, jokerCapPercentage, cycleDefinitions, trainingBlock, restSeconds, scheduleTemplate, assistanceRepTargets, scoringProfile, theme } = settings;
+  const isDarkTheme = theme === THEMES.SYSTEM ? colorScheme === 'dark' : theme === THEMES.DARK;
+  const colors = isDarkTheme ? darkColors : lightColors;
 
   /**
    * Asynchronously loads lifts from the database using the dbService.
    * Sets the loading state before and after fetching data, and updates
-   * the 'lifts' state with the fetched data.
+   * the 'lifts' state with the fetched data. The schedule is loaded with them,
+   * since deleting a lift also takes it off the schedule.
    */
   const loadLifts = async () => {
     try {
       setIsLoading(true);
       const fetchedTrackingLifts = await fetchLifts();
       setLifts(fetchedTrackingLifts);
+      setScheduleDays(await fetchSchedule());
     }
     catch (error)
     {
@@ -35,10 +56,25 @@ export default function App() {
     }
   };
 
+  /**
+   * Changes settings right away and stores them in the background.
+   * A value that fails to save stays in effect until the next launch.
+   * @param {Object} changedSettings - The settings to change, keyed by setting name.
+   */
+  const changeSettings = async (changedSettings) => {
+    setSettings(previousSettings => ({ ...previousSettings, ...changedSettings }));
+    try {
+      await Promise.all(Object.entries(changedSettings).map(([key, value]) => updateSetting(key, value)));
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      Alert.alert('Error', 'Failed to save your settings. Please try again.');
+    }
+  };
+
   /**
    * Toggles the unit of measurement between pounds (lbs) and kilograms (kg).
    */
-  const toggleUnit = () => setIsKg(previousState => !previousState);
+  const toggleUnit = () => changeSettings({ isKg: !isKg });
 
   /**
    * Callback function triggered when lifts are added or updated.
@@ -49,11 +85,61 @@ export default function App() {
   };
 
   /**
-   * Callback function to update the currently selected training cycle.
-   * @param {string} cycle - The name of the selected training cycle.
+   * Callback function to replace the bar weight and plate inventory for one unit system.
+   * @param {'lbs' | 'kg'} unit - The unit system the inventory belongs to.
+   * @param {{barWeight: number, plates: Array<{weight: number, pairs: number}>}} inventory - The new inventory.
+   */
+  const handlePlateInventoryChange = (unit, inventory) => {
+    changeSettings({ plateInventories: { ...plateInventories, [unit]: inventory } });
+  };
+
+  /**
+   * Starts, restarts or ends a training block. Every lift goes back to the first week,
+   * since positions in the block and in the cycles don't carry over.
+   * @param {Object | null} block - The block to run, or null to go back to repeating the cycles.
+   */
+  const changeTrainingBlock = async (block) => {
+    changeSettings({ trainingBlock: block });
+    try {
+      await Promise.all(lifts.map(lift => updateLiftProgress(lift.id, new CycleProgress())));
+    } catch (error) {
+      console.error('Failed to reset cycle progress:', error);
+      Alert.alert('Error', 'Failed to move the lifts to the first week. Please try again.');
+    }
+    loadLifts();
+  };
+
+  /**
+   * Stores a new training schedule, or removes it.
+   * @param {string | null} template - One of SCHEDULE_TEMPLATES, or null to remove the schedule.
+   * @param {Array<Array<number>>} days - The lift IDs of each training day, in rotation order.
+   */
+  const changeSchedule = async (template, days) => {
+    changeSettings({ scheduleTemplate: template });
+    try {
+      await saveSchedule(days);
+      setScheduleDays(await fetchSchedule());
+    } catch (error) {
+      console.error('Failed to save the schedule:', error);
+      Alert.alert('Error', 'Failed to save the schedule. Please try again.');
+    }
+  };
+
+  /**
+   * Callback function triggered after an import. Applies the imported settings that are valid
+   * and reloads the lifts.
+   * @param {Object | null} importedSettings - The settings from the imported file, or null if the import failed.
    */
-  const handleSelectCycle = (cycle) => {
-    setSelectedCycle(cycle);
+  const handleDataImported = (importedSettings) => {
+    if (importedSettings) {
+      const validSettings = Object.fromEntries(
+        Object.entries(importedSettings).filter(([key, value]) => isValidSetting(key, value))
+      );
+      if (Object.keys(validSettings).length > 0) {
+        changeSettings(validSettings);
+      }
+    }
+    loadLifts();
   };
 
   /**
@@ -63,7 +149,7 @@ export default function App() {
     const initializeApp = async () => {
       try {
         await initDb();
-        console.log("Database initialized successfully, now loading lifts...");
+        console.log("Database initialized successfully, now loading settings and lifts...");
       } catch (initError) {
         console.error("Failed to initialize database:", initError);
         Alert.alert("Initialization Failed", `Failed to set up the app: ${initError.message}. Please restart the app.`);
@@ -71,6 +157,13 @@ export default function App() {
         return;
       }
 
+      try {
+        // Settings are loaded first so the main view never shows with the defaults
+        setSettings(await fetchSettings());
+      } catch (settingsError) {
+        console.error("Error loading settings, using defaults:", settingsError);
+      }
+
       try {
         setIsLoading(true);
         await loadLifts();
@@ -111,12 +204,141 @@ export default function App() {
         <Text style={[styles.unitText, { color: colors.unitToggleInactive }, isKg && { color: colors.unitToggleActive }]}>KG</Text>
       </View>
 
+      <View style={styles.linkRow}>
+        <TouchableOpacity onPress={() => setIsSettingsVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Settings</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setIsCycleEditorVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Cycles</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setIsBlockPlannerVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Block</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setIsScheduleVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Schedule</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setIsCycleSheetVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Cycle Sheet</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setIsStrengthScoresVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Scores</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setIsDataTransferVisible(true)} style={styles.linkButton}>
+          <Text style={[styles.linkText, { color: colors.primaryRed }]}>Export / Import</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/*
+       * Modal for the preferences that shape the prescribed weights: units, theme, rounding,
+       * warm-up percentages and the standard end-of-cycle TM increases, plus the rest timer defaults.
+       * @param {object} settings - The current settings.
+       * @param {function} onSave - Callback receiving the changed settings.
+       */}
+      <SettingsModal
+        visible={isSettingsVisible}
+        settings={settings}
+        colors={colors}
+        onClose={() => setIsSettingsVisible(false)}
+        onSave={changeSettings}
+      />
+
+      {/*
+       * Modal for creating and editing the cycle definitions that drive the cycle selector and progression.
+       * @param {Array<object>} cycleDefinitions - The stored cycle definitions.
+       * @param {function} onSave - Callback receiving the edited definitions.
+       */}
+      <CycleEditorModal
+        visible={isCycleEditorVisible}
+        cycleDefinitions={cycleDefinitions}
+        colors={colors}
+        onClose={() => setIsCycleEditorVisible(false)}
+        onSave={(definitions) => changeSettings({ cycleDefinitions: definitions })}
+      />
+
+      {/*
+       * Modal for planning a Leader/Anchor training block and starting or ending it.
+       * @param {object | null} trainingBlock - The running block, or null.
+       * @param {function} onStart - Callback receiving the block to start.
+       * @param {function} onEnd - Callback ending the running block.
+       */}
+      <BlockPlannerModal
+        visible={isBlockPlannerVisible}
+        trainingBlock={trainingBlock}
+        cycleDefinitions={cycleDefinitions}
+        colors={colors}
+        onClose={() => setIsBlockPlannerVisible(false)}
+        onStart={changeTrainingBlock}
+        onEnd={() => changeTrainingBlock(null)}
+      />
+
+      {/*
+       * Modal for choosing a 4-day, 3-day rolling or 2-day schedule and assigning the lifts to its days.
+       * @param {string | null} scheduleTemplate - The stored template, or null without a schedule.
+       * @param {Array<Array<number>>} scheduleDays - The lift IDs of each stored training day.
+       * @param {function} onSave - Callback receiving the template and days, or null and [] to remove the schedule.
+       */}
+      <ScheduleModal
+        visible={isScheduleVisible}
+        lifts={lifts}
+        scheduleTemplate={scheduleTemplate}
+        scheduleDays={scheduleDays}
+        colors={colors}
+        onClose={() => setIsScheduleVisible(false)}
+        onSave={changeSchedule}
+      />
+
+      {/*
+       * Modal showing every lift for every week of the cycle (or training block) in one sheet,
+       * exportable as plain text or printable HTML.
+       * @param {Array<TrackingLift>} lifts - The lifts to put on the sheet.
+       * @param {object} settings - The settings that shape the prescribed weights.
+       */}
+      <CycleSheetModal
+        visible={isCycleSheetVisible}
+        lifts={lifts}
+        settings={settings}
+        colors={colors}
+        onClose={() => setIsCycleSheetVisible(false)}
+      />
+
+      {/*
+       * Modal for logging bodyweight and showing the Wilks, DOTS and IPF GL scores of the squat, bench
+       * and deadlift maxes, with their trend over time.
+       * @param {Array<TrackingLift>} lifts - The lifts to take the competition lifts from.
+       * @param {object} scoringProfile - The lifter's sex and equipment.
+       * @param {function} onChangeScoringProfile - Callback receiving the changed profile.
+       */}
+      <StrengthScoresModal
+        visible={isStrengthScoresVisible}
+        lifts={lifts}
+        isKg={isKg}
+        colors={colors}
+        scoringProfile={scoringProfile}
+        onChangeScoringProfile={(profile) => changeSettings({ scoringProfile: profile })}
+        onClose={() => setIsStrengthScoresVisible(false)}
+      />
+
+      {/*
+       * Modal for exporting all data as JSON or CSV and importing it back.
+       * @param {Array<TrackingLift>} lifts - The current lifts, used to report name conflicts.
+       * @param {object} settings - The settings written into exports.
+       * @param {function} onImported - Callback receiving the imported settings after an import.
+       */}
+      <DataTransferModal
+        visible={isDataTransferVisible}
+        lifts={lifts}
+        settings={settings}
+        colors={colors}
+        onClose={() => setIsDataTransferVisible(false)}
+        onImported={handleDataImported}
+      />
+
       {/*
        * Component for adding new lifts.
        * @param {function} onLiftAdded - Callback function to refresh lifts after adding.
        * @param {object} colors - Theme colors for styling.
        */}
-      <AddLiftButton onLiftAdded={handleLiftsUpdated} colors={colors} />
+      <AddLiftButton onLiftAdded={handleLiftsUpdated} isKg={isKg} colors={colors} />
 
       {/*
        * Component for displaying the list of lifts and their calculated weights.
@@ -124,16 +346,36 @@ export default function App() {
        * @param {boolean} isKg - Boolean indicating if weights should be displayed in kilograms.
        * @param {object} colors - Theme colors for styling.
        * @param {function} onLiftsUpdated - Callback function to refresh lifts after an update.
-       * @param {string} selectedCycle - The currently selected training cycle.
-       * @param {function} onSelectCycle - Callback to update the selected training cycle.
+       * @param {object} plateInventories - Bar weight and plate inventory for each unit system.
+       * @param {function} onPlateInventoryChange - Callback to update the inventory of one unit system.
+       * @param {object} roundingPolicy - How prescribed weights are snapped to loadable increments.
+       * @param {Array<number>} warmUpPercentages - The Training Max percentages of the warm-up sets.
+       * @param {object} tmIncrements - The standard end-of-cycle TM increases.
+       * @param {number} jokerCapPercentage - The heaviest joker set suggested, as a percentage of the TM.
+       * @param {Array<object>} cycleDefinitions - The stored cycle definitions, in week order.
+       * @param {object | null} trainingBlock - The running Leader/Anchor block, or null.
+       * @param {object} restSeconds - The rest timer defaults for warm-up, main and supplemental sets.
+       * @param {string | null} scheduleTemplate - The training schedule template, or null without a schedule.
+       * @param {Array<Array<number>>} scheduleDays - The lift IDs of each training day, for the Today view.
+       * @param {object} assistanceRepTargets - The assistance reps to reach per category each session.
        */}
       <CalculateWeights // Renamed from CalculateWeights
         lifts={lifts}
         isKg={isKg}
         colors={colors}
         onLiftsUpdated={handleLiftsUpdated}
-        selectedCycle={selectedCycle}
-        onSelectCycle={handleSelectCycle}
+        plateInventories={plateInventories}
+        onPlateInventoryChange={handlePlateInventoryChange}
+        roundingPolicy={roundingPolicy}
+        warmUpPercentages={warmUpPercentages}
+        tmIncrements={tmIncrements}
+        jokerCapPercentage={jokerCapPercentage}
+        cycleDefinitions={cycleDefinitions}
+        trainingBlock={trainingBlock}
+        restSeconds={restSeconds}
+        scheduleTemplate={scheduleTemplate}
+        scheduleDays={scheduleDays}
+        assistanceRepTargets={assistanceRepTargets}
       />
     </View>
   );
@@ -181,4 +423,18 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginHorizontal: 5,
   },
+  linkRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 5,
+  },
+  linkButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
 });
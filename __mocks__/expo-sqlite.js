@@ -0,0 +1,84 @@
+// __mocks__/expo-sqlite.js
+// In-process stand-in for expo-sqlite under Jest, backed by sql.js (SQLite compiled to JavaScript).
+// It covers the part of the async API that expoSqliteService and the migrations use; every test module
+// registry gets its own in-memory databases.
+
+// The asm.js build: the WebAssembly build can't open databases inside Jest's module sandbox.
+import initSqlJs from 'sql.js/dist/sql-asm.js';
+
+let sqlJsPromise = null;
+const databases = new Map();
+
+/**
+ * Accepts bind parameters the way expo-sqlite does: one array, or one argument per parameter.
+ * @param {Array} params - The arguments after the SQL text.
+ * @returns {Array} The bind parameters.
+ */
+const toBindParams = (params) => (params.length === 1 && Array.isArray(params[0]) ? params[0] : params);
+
+class SQLiteDatabase {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async execAsync(source) {
+    this.database.exec(source);
+  }
+
+  async runAsync(source, ...params) {
+    this.database.run(source, toBindParams(params));
+    const changes = this.database.getRowsModified();
+    const [{ values }] = this.database.exec('SELECT last_insert_rowid();');
+    return { lastInsertRowId: values[0][0], changes };
+  }
+
+  async getAllAsync(source, ...params) {
+    const statement = this.database.prepare(source);
+    try {
+      statement.bind(toBindParams(params));
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  async getFirstAsync(source, ...params) {
+    const rows = await this.getAllAsync(source, ...params);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  async withTransactionAsync(task) {
+    this.database.exec('BEGIN;');
+    try {
+      await task();
+      this.database.exec('COMMIT;');
+    } catch (error) {
+      this.database.exec('ROLLBACK;');
+      throw error;
+    }
+  }
+
+  async withExclusiveTransactionAsync(task) {
+    this.database.exec('BEGIN EXCLUSIVE;');
+    try {
+      await task(this);
+      this.database.exec('COMMIT;');
+    } catch (error) {
+      this.database.exec('ROLLBACK;');
+      throw error;
+    }
+  }
+}
+
+export const openDatabaseAsync = async (databaseName) => {
+  if (!databases.has(databaseName)) {
+    sqlJsPromise = sqlJsPromise || initSqlJs();
+    const SQL = await sqlJsPromise;
+    databases.set(databaseName, new SQLiteDatabase(new SQL.Database()));
+  }
+  return databases.get(databaseName);
+};
@@ -2,12 +2,38 @@
 import React, { useState } from 'react';
 import { Modal, View, Text, TextInput, Button, StyleSheet, Alert } from 'react-native';
 import { addLift } from '../services/dbService';
-import { Lift } from '../models/liftModels';
+import { Lift, LiftCategory, DEFAULT_TM_PERCENTAGE } from '../models/liftModels';
+import LiftCategoryPicker from './LiftCategoryPicker';
 
-const AddLiftButton = ({ onLiftAdded, colors }) => {
+const AddLiftButton = ({ onLiftAdded, isKg, colors }) => {
   const [modalVisible, setModalVisible] = useState(false);
   const [name, setName] = useState('');
   const [maxWeight, setMaxWeight] = useState('');
+  const [tmPercentage, setTmPercentage] = useState(String(DEFAULT_TM_PERCENTAGE));
+  const [category, setCategory] = useState(new LiftCategory());
+  const [isCategoryChosen, setIsCategoryChosen] = useState(false); // Until the lifter picks one, the category follows the name
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+
+  /**
+   * Updates the name and, until a category has been picked, guesses the category from it.
+   * @param {string} text - The typed name.
+   */
+  const handleNameChange = (text) => {
+    setName(text);
+    if (!isCategoryChosen) {
+      setCategory(LiftCategory.fromName(text));
+    }
+  };
+
+  /**
+   * Keeps the category the lifter picked, so typing the name no longer changes it.
+   * @param {LiftCategory} newCategory - The picked category.
+   */
+  const handleCategoryChange = (newCategory) => {
+    setCategory(newCategory);
+    setIsCategoryChosen(true);
+  };
 
   /**
    * Handles the action of adding a new lift.
@@ -27,8 +53,15 @@ const AddLiftButton = ({ onLiftAdded, colors }) => {
       return;
     }
 
+    const parsedTmPercentage = parseFloat(tmPercentage);
+    if (isNaN(parsedTmPercentage) || parsedTmPercentage <= 0 || parsedTmPercentage > 100) {
+      Alert.alert('Validation Error', 'Please enter a Training Max percentage between 1 and 100.');
+      return;
+    }
+
     // Create a Lift object, as the dbService.addLift now expects this.
-    const newLift = new Lift(name, parsedMaxWeight);
+    // The max is stored in the unit it was typed in.
+    const newLift = new Lift(name, parsedMaxWeight, parsedTmPercentage, null, unitLabel, category);
 
     try {
       // Call the addLift function from dbService, passing the Lift object
@@ -38,6 +71,9 @@ const AddLiftButton = ({ onLiftAdded, colors }) => {
       setModalVisible(false);
       setName('');
       setMaxWeight('');
+      setTmPercentage(String(DEFAULT_TM_PERCENTAGE));
+      setCategory(new LiftCategory());
+      setIsCategoryChosen(false);
 
       if (onLiftAdded) {
         onLiftAdded(); // Notify parent component that a lift has been added
@@ -74,14 +110,14 @@ const AddLiftButton = ({ onLiftAdded, colors }) => {
              * @param {string} placeholder - Placeholder text.
              * @param {string} placeholderTextColor - Color of the placeholder text.
              * @param {string} value - Current value of the input.
-             * @param {function} onChangeText - Callback function to update the name state.
+             * @param {function} onChangeText - Callback function to update the name state (and the guessed category).
              */}
             <TextInput
               style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
               placeholder="Lift Name"
               placeholderTextColor={colors.subText}
               value={name}
-              onChangeText={setName}
+              onChangeText={handleNameChange}
             />
             {/*
              * Text input for the max weight.
@@ -94,12 +130,34 @@ const AddLiftButton = ({ onLiftAdded, colors }) => {
              */}
             <TextInput
               style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
-              placeholder="Max Weight (lbs)"
+              placeholder={`1RM (${unitLabel})`}
               placeholderTextColor={colors.subText}
               value={maxWeight}
               onChangeText={setMaxWeight}
               keyboardType="numeric"
             />
+            {/*
+             * Text input for the Training Max percentage of the 1RM.
+             * @param {string} value - Current value of the input.
+             * @param {function} onChangeText - Callback function to update the tmPercentage state.
+             */}
+            <Text style={[styles.inputLabel, { color: colors.subText }]}>Training Max (% of 1RM)</Text>
+            <TextInput
+              style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+              placeholder={`TM % (default ${DEFAULT_TM_PERCENTAGE})`}
+              placeholderTextColor={colors.subText}
+              value={tmPercentage}
+              onChangeText={setTmPercentage}
+              keyboardType="numeric"
+            />
+            {/*
+             * Option rows for the lift's body region, role and equipment, which decide its TM increase,
+             * rounding, plate loading and joker sets.
+             * @param {LiftCategory} category - The selected category.
+             * @param {function} onChangeCategory - Callback receiving the picked category.
+             */}
+            <Text style={[styles.inputLabel, { color: colors.subText }]}>Category</Text>
+            <LiftCategoryPicker category={category} colors={colors} onChangeCategory={handleCategoryChange} />
 
             <View style={styles.buttonContainer}>
               {/*
@@ -150,6 +208,11 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 25,
   },
+  inputLabel: {
+    alignSelf: 'flex-start',
+    fontSize: 14,
+    marginBottom: 5,
+  },
   input: {
     height: 50,
     borderWidth: 1,
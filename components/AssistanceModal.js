@@ -0,0 +1,440 @@
+// components/AssistanceModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, ScrollView, TouchableOpacity } from 'react-native';
+import { fetchAssistanceExercises, saveAssistanceExercises, saveWorkoutSession } from '../services/dbService';
+import { WorkoutSession, LoggedSet, AssistanceExercise, SET_TYPES } from '../models/workoutModels';
+import { sumAssistanceReps, describeAssistanceSet } from '../utils/assistance';
+import {
+  ASSISTANCE_CATEGORIES, ASSISTANCE_CATEGORY_LABELS, DEFAULT_ASSISTANCE_REP_TARGETS, MAX_ASSISTANCE_EXERCISES,
+} from '../constants/assistance';
+
+const AssistanceModal = ({ visible, lift, cycle, isKg, colors, repTargets = DEFAULT_ASSISTANCE_REP_TARGETS, onClose }) => {
+  const [exercises, setExercises] = useState([]);
+  const [loggedSets, setLoggedSets] = useState([]); // Sets logged this session, not saved yet
+  const [setInputs, setSetInputs] = useState({});   // { weightText, repsText } per exercise name
+  const [draftExercises, setDraftExercises] = useState(null); // The exercise list being edited, or null
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+
+  /**
+   * Loads the lift's assistance exercises from the dbService.
+   */
+  const loadExercises = async () => {
+    try {
+      setExercises(await fetchAssistanceExercises(lift.id));
+    } catch (error) {
+      console.error('Error loading assistance exercises:', error);
+      Alert.alert('Error', 'Failed to load the assistance exercises.');
+    }
+  };
+
+  /**
+   * useEffect hook to load the exercises and start an empty log whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (visible && lift) {
+      setLoggedSets([]);
+      setSetInputs({});
+      setDraftExercises(null);
+      loadExercises();
+    }
+  }, [visible, lift]);
+
+  /**
+   * Updates the weight or reps input of one exercise.
+   * @param {string} exerciseName - The exercise the input belongs to.
+   * @param {'weightText' | 'repsText'} field - The field to update.
+   * @param {string} value - The new text value.
+   */
+  const updateSetInput = (exerciseName, field, value) => {
+    setSetInputs(previous => ({ ...previous, [exerciseName]: { ...previous[exerciseName], [field]: value } }));
+  };
+
+  /**
+   * Adds a set of an exercise to the log. The inputs are kept, so repeating a set is one tap.
+   * A blank weight counts as no added weight for bodyweight exercises.
+   * @param {AssistanceExercise} exercise - The exercise the set was done for.
+   */
+  const addSet = (exercise) => {
+    const input = setInputs[exercise.name] || {};
+    const weightText = (input.weightText || '').trim();
+    const weight = weightText === '' && exercise.isBodyweight ? 0 : parseFloat(weightText);
+    const reps = Number(input.repsText);
+    if (isNaN(weight) || weight < 0 || !Number.isInteger(reps) || reps <= 0) {
+      Alert.alert('Validation Error', `Please enter a valid weight and reps for ${exercise.name}.`);
+      return;
+    }
+    setLoggedSets(previous => [
+      ...previous,
+      new LoggedSet(SET_TYPES.ACCESSORY, weight, reps, false, null, unitLabel, exercise.name, exercise.category),
+    ]);
+  };
+
+  /**
+   * Takes a set back out of the log.
+   * @param {LoggedSet} set - The set to remove.
+   */
+  const removeSet = (set) => {
+    setLoggedSets(previous => previous.filter(item => item !== set));
+  };
+
+  /**
+   * Saves the logged sets as a session of the lift through the `saveWorkoutSession` service.
+   */
+  const handleLog = async () => {
+    if (loggedSets.length === 0) {
+      Alert.alert('No Sets', 'Add at least one set before logging.');
+      return;
+    }
+    try {
+      await saveWorkoutSession(new WorkoutSession(lift.id, cycle, loggedSets));
+      Alert.alert('Success', 'Assistance work logged successfully!');
+      setLoggedSets([]);
+      onClose();
+    } catch (error) {
+      console.error('Error logging assistance work:', error);
+      Alert.alert('Error', 'Failed to log the assistance work. Please try again.');
+    }
+  };
+
+  /**
+   * Closes the modal, asking first when logged sets would be lost.
+   */
+  const handleClose = () => {
+    if (loggedSets.length === 0) {
+      onClose();
+      return;
+    }
+    Alert.alert(
+      'Discard Sets?',
+      `${loggedSets.length} logged set${loggedSets.length === 1 ? ' has' : 's have'} not been saved.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: onClose },
+      ]
+    );
+  };
+
+  /**
+   * Starts editing the exercise list. Sets are labelled with the exercise name,
+   * so the list can only change while no sets are waiting to be logged.
+   */
+  const startEditing = () => {
+    if (loggedSets.length > 0) {
+      Alert.alert('Sets Not Logged', 'Log or remove the sets before changing the exercises.');
+      return;
+    }
+    setDraftExercises(exercises.map(exercise => ({ name: exercise.name, category: exercise.category, isBodyweight: exercise.isBodyweight })));
+  };
+
+  /**
+   * Changes one field of one exercise being edited.
+   * @param {number} exerciseIndex - The exercise to change.
+   * @param {'name' | 'category' | 'isBodyweight'} field - The field to change.
+   * @param {*} value - Its new value.
+   */
+  const updateDraftExercise = (exerciseIndex, field, value) => {
+    setDraftExercises(previous => previous.map((exercise, index) => (
+      index === exerciseIndex ? { ...exercise, [field]: value } : exercise
+    )));
+  };
+
+  /**
+   * Validates the edited exercise list and stores it through the `saveAssistanceExercises` service.
+   */
+  const handleSaveExercises = async () => {
+    const names = draftExercises.map(exercise => exercise.name.trim());
+    if (names.some(name => name === '')) {
+      Alert.alert('Validation Error', 'Please enter a name for every exercise.');
+      return;
+    }
+    if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+      Alert.alert('Validation Error', 'Every exercise needs a different name.');
+      return;
+    }
+
+    try {
+      await saveAssistanceExercises(lift.id, draftExercises.map((exercise, index) => (
+        new AssistanceExercise(lift.id, names[index], exercise.category, exercise.isBodyweight)
+      )));
+      setDraftExercises(null);
+      await loadExercises();
+    } catch (error) {
+      console.error('Error saving assistance exercises:', error);
+      Alert.alert('Error', 'Failed to save the exercises. Please try again.');
+    }
+  };
+
+  if (!lift) return null;
+
+  const repTotals = sumAssistanceReps(loggedSets);
+  const trackedCategories = Object.values(ASSISTANCE_CATEGORIES).filter(category => repTargets[category] > 0);
+
+  const renderOption = (selected, label, onPress) => (
+    <TouchableOpacity key={label} onPress={onPress} style={styles.optionButton}>
+      <Text style={[styles.optionText, { color: selected ? colors.primaryRed : colors.subText }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  /**
+   * Renders one exercise of the list being edited: its name, category and whether it is a bodyweight exercise.
+   * @param {{name: string, category: string, isBodyweight: boolean}} exercise - The exercise being edited.
+   * @param {number} index - Its position in the list.
+   * @returns {JSX.Element} The rendered exercise.
+   */
+  const renderDraftExercise = (exercise, index) => (
+    <View key={`draft-${index}`} style={[styles.exerciseBlock, { borderBottomColor: colors.rpeSectionBorder }]}>
+      <View style={styles.setRow}>
+        <TextInput
+          style={[styles.nameInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+          placeholder="Exercise Name"
+          placeholderTextColor={colors.subText}
+          value={exercise.name}
+          onChangeText={(text) => updateDraftExercise(index, 'name', text)}
+        />
+        <TouchableOpacity onPress={() => setDraftExercises(previous => previous.filter((item, itemIndex) => itemIndex !== index))}>
+          <Text style={[styles.linkText, { color: colors.subText }]}>Remove</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.optionRow}>
+        {Object.values(ASSISTANCE_CATEGORIES).map(category => renderOption(
+          exercise.category === category,
+          ASSISTANCE_CATEGORY_LABELS[category],
+          () => updateDraftExercise(index, 'category', category)
+        ))}
+      </View>
+      <View style={styles.optionRow}>
+        {renderOption(!exercise.isBodyweight, 'Weighted', () => updateDraftExercise(index, 'isBodyweight', false))}
+        {renderOption(exercise.isBodyweight, 'Bodyweight', () => updateDraftExercise(index, 'isBodyweight', true))}
+      </View>
+    </View>
+  );
+
+  /**
+   * Renders one exercise to log: the sets logged so far (tap one to remove it) and inputs for the next set.
+   * @param {AssistanceExercise} exercise - The exercise.
+   * @returns {JSX.Element} The rendered exercise.
+   */
+  const renderExercise = (exercise) => {
+    const input = setInputs[exercise.name] || {};
+    const exerciseSets = loggedSets.filter(set => set.exerciseName === exercise.name);
+    return (
+      <View key={exercise.id} style={[styles.exerciseBlock, { borderBottomColor: colors.rpeSectionBorder }]}>
+        <Text style={[styles.exerciseName, { color: colors.text }]}>
+          {`${exercise.name} · ${ASSISTANCE_CATEGORY_LABELS[exercise.category]}`}
+        </Text>
+        {exerciseSets.length > 0 && (
+          <View style={styles.loggedSetRow}>
+            {exerciseSets.map((set, index) => (
+              <TouchableOpacity key={`${exercise.id}-${index}`} onPress={() => removeSet(set)} style={styles.optionButton}>
+                <Text style={[styles.loggedSetText, { color: colors.primaryRed }]}>{describeAssistanceSet(set, exercise.isBodyweight)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        <View style={styles.setRow}>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            placeholder={exercise.isBodyweight ? `+${unitLabel}` : unitLabel}
+            placeholderTextColor={colors.subText}
+            value={input.weightText || ''}
+            onChangeText={(value) => updateSetInput(exercise.name, 'weightText', value)}
+            keyboardType="numeric"
+          />
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            placeholder="Reps"
+            placeholderTextColor={colors.subText}
+            value={input.repsText || ''}
+            onChangeText={(value) => updateSetInput(exercise.name, 'repsText', value)}
+            keyboardType="number-pad"
+          />
+          <TouchableOpacity onPress={() => addSet(exercise)}>
+            <Text style={[styles.linkText, { color: colors.primaryRed }]}>Add Set</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={handleClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>{`${lift.lift.name} Assistance · ${cycle}`}</Text>
+
+          {draftExercises ? (
+            <>
+              <ScrollView style={styles.rowList}>
+                {draftExercises.map(renderDraftExercise)}
+                {draftExercises.length < MAX_ASSISTANCE_EXERCISES && (
+                  <TouchableOpacity
+                    onPress={() => setDraftExercises(previous => [...previous, { name: '', category: ASSISTANCE_CATEGORIES.PUSH, isBodyweight: false }])}
+                    style={styles.addExerciseButton}
+                  >
+                    <Text style={[styles.linkText, { color: colors.primaryRed }]}>Add Exercise</Text>
+                  </TouchableOpacity>
+                )}
+              </ScrollView>
+
+              <View style={styles.buttonContainer}>
+                <Button title="Save Exercises" onPress={handleSaveExercises} color={colors.primaryRed} />
+                <Button title="Cancel" onPress={() => setDraftExercises(null)} color={colors.subText} />
+              </View>
+            </>
+          ) : (
+            <>
+              {trackedCategories.length > 0 && (
+                <View style={styles.totalsRow}>
+                  {trackedCategories.map(category => (
+                    <Text
+                      key={category}
+                      style={[styles.totalText, { color: repTotals[category] >= repTargets[category] ? colors.primaryRed : colors.subText }]}
+                    >
+                      {`${ASSISTANCE_CATEGORY_LABELS[category]} ${repTotals[category]}/${repTargets[category]}`}
+                    </Text>
+                  ))}
+                </View>
+              )}
+
+              <ScrollView style={styles.rowList}>
+                {exercises.length > 0 ? exercises.map(renderExercise) : (
+                  <Text style={[styles.emptyText, { color: colors.subText }]}>
+                    No assistance exercises for this lift yet.
+                  </Text>
+                )}
+              </ScrollView>
+
+              <TouchableOpacity onPress={startEditing} style={styles.addExerciseButton}>
+                <Text style={[styles.linkText, { color: colors.primaryRed }]}>Edit Exercises</Text>
+              </TouchableOpacity>
+
+              <View style={styles.buttonContainer}>
+                <Button title="Log Assistance" onPress={handleLog} color={colors.primaryRed} />
+                <Button title="Close" onPress={handleClose} color={colors.subText} />
+              </View>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  totalText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginHorizontal: 6,
+  },
+  rowList: {
+    width: '100%',
+  },
+  exerciseBlock: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  exerciseName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  loggedSetRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 5,
+  },
+  loggedSetText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  setRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    height: 40,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginRight: 8,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  nameInput: {
+    flex: 1,
+    height: 40,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingLeft: 10,
+    marginRight: 8,
+    fontSize: 16,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  addExerciseButton: {
+    alignSelf: 'center',
+    paddingVertical: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 15,
+  },
+});
+
+export default AssistanceModal;
@@ -0,0 +1,306 @@
+// components/BlockPlannerModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, ScrollView } from 'react-native';
+import { DEFAULT_TRAINING_BLOCK, MAIN_WORK, MAIN_WORK_LABELS, MAX_LEADER_CYCLES, MAX_ANCHOR_CYCLES } from '../constants/blocks';
+import { SUPPLEMENTAL_TEMPLATES, SUPPLEMENTAL_TEMPLATE_LABELS, DEFAULT_BBB_PERCENTAGE } from '../constants/supplemental';
+import { buildBlockWeeks, describeBlockWeek } from '../utils/blockPlanner';
+
+const PHASES = ['leader', 'anchor'];
+const phaseLabels = {
+  leader: 'Leader',
+  anchor: 'Anchor',
+};
+const maxCycles = {
+  leader: MAX_LEADER_CYCLES,
+  anchor: MAX_ANCHOR_CYCLES,
+};
+
+/**
+ * Turns a block into editable form state, with the BBB percentages as input text.
+ * @param {Object} block - The block settings.
+ * @returns {Object} The form state.
+ */
+const toFormState = (block) => ({
+  leaderCycles: block.leaderCycles,
+  leaderMainWork: block.leaderMainWork,
+  leaderTemplate: block.leaderSupplemental.template,
+  leaderPercentage: String(block.leaderSupplemental.percentage ?? DEFAULT_BBB_PERCENTAGE),
+  anchorCycles: block.anchorCycles,
+  anchorMainWork: block.anchorMainWork,
+  anchorTemplate: block.anchorSupplemental.template,
+  anchorPercentage: String(block.anchorSupplemental.percentage ?? DEFAULT_BBB_PERCENTAGE),
+  deloadAfterAnchor: block.deloadAfterAnchor,
+});
+
+const BlockPlannerModal = ({ visible, trainingBlock, cycleDefinitions, colors, onClose, onStart, onEnd }) => {
+  const [form, setForm] = useState(toFormState(DEFAULT_TRAINING_BLOCK));
+
+  /**
+   * useEffect hook to start from the running block, or the default block, whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (visible) {
+      setForm(toFormState(trainingBlock || DEFAULT_TRAINING_BLOCK));
+    }
+  }, [visible, trainingBlock]);
+
+  /**
+   * Changes one field of the form.
+   * @param {string} field - The form field.
+   * @param {*} value - The new value.
+   */
+  const changeField = (field, value) => {
+    setForm(previous => ({ ...previous, [field]: value }));
+  };
+
+  /**
+   * Builds the block settings from the form. A BBB percentage that is not a valid number is kept as null,
+   * so the preview still works while it is being typed; handleStart rejects it.
+   * @returns {Object} The block settings.
+   */
+  const buildBlock = () => {
+    const supplementalOf = (phase) => {
+      const template = form[`${phase}Template`];
+      const percentage = parseFloat(form[`${phase}Percentage`]);
+      return {
+        template,
+        percentage: template === SUPPLEMENTAL_TEMPLATES.BBB && !isNaN(percentage) && percentage > 0 && percentage <= 100 ? percentage : null,
+      };
+    };
+    return {
+      leaderCycles: form.leaderCycles,
+      leaderMainWork: form.leaderMainWork,
+      leaderSupplemental: supplementalOf('leader'),
+      anchorCycles: form.anchorCycles,
+      anchorMainWork: form.anchorMainWork,
+      anchorSupplemental: supplementalOf('anchor'),
+      deloadAfterAnchor: form.deloadAfterAnchor,
+    };
+  };
+
+  /**
+   * Validates the form and starts the block from its first week.
+   */
+  const handleStart = () => {
+    const block = buildBlock();
+    for (const phase of PHASES) {
+      const supplemental = block[`${phase}Supplemental`];
+      if (supplemental.template === SUPPLEMENTAL_TEMPLATES.BBB && supplemental.percentage === null) {
+        Alert.alert('Invalid Percentage', `Please enter a ${phaseLabels[phase].toLowerCase()} BBB percentage between 1 and 100.`);
+        return;
+      }
+    }
+
+    const confirmStart = () => {
+      onStart(block);
+      onClose();
+    };
+    if (trainingBlock) {
+      Alert.alert(
+        'Restart Block',
+        'Every lift will go back to the first week of the new block. Continue?',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Restart', onPress: confirmStart },
+        ]
+      );
+    } else {
+      confirmStart();
+    }
+  };
+
+  /**
+   * Ends the running block after confirmation; the lifts go back to repeating the cycles.
+   */
+  const handleEnd = () => {
+    Alert.alert(
+      'End Block',
+      'Every lift will go back to the first week of the cycles. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'End Block',
+          style: 'destructive',
+          onPress: () => {
+            onEnd();
+            onClose();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderOption = (selected, label, onPress) => (
+    <TouchableOpacity key={label} onPress={onPress} style={styles.optionButton}>
+      <Text style={[styles.optionText, { color: selected ? colors.primaryRed : colors.subText }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderPhase = (phase) => (
+    <View key={phase} style={[styles.phaseSection, { borderBottomColor: colors.rpeSectionBorder }]}>
+      <Text style={[styles.sectionHeader, { color: colors.text }]}>{`${phaseLabels[phase]} cycles`}</Text>
+      <View style={styles.optionRow}>
+        {Array.from({ length: maxCycles[phase] }, (_, index) => index + 1).map(count => (
+          renderOption(form[`${phase}Cycles`] === count, String(count), () => changeField(`${phase}Cycles`, count))
+        ))}
+      </View>
+      <View style={styles.optionRow}>
+        {Object.values(MAIN_WORK).map(mainWork => (
+          renderOption(form[`${phase}MainWork`] === mainWork, MAIN_WORK_LABELS[mainWork], () => changeField(`${phase}MainWork`, mainWork))
+        ))}
+      </View>
+      <View style={styles.optionRow}>
+        {Object.values(SUPPLEMENTAL_TEMPLATES).map(template => (
+          renderOption(form[`${phase}Template`] === template, SUPPLEMENTAL_TEMPLATE_LABELS[template], () => changeField(`${phase}Template`, template))
+        ))}
+      </View>
+      {form[`${phase}Template`] === SUPPLEMENTAL_TEMPLATES.BBB && (
+        <View style={styles.percentageRow}>
+          <Text style={[styles.percentageLabel, { color: colors.subText }]}>BBB % of TM</Text>
+          <TextInput
+            style={[styles.percentageInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            value={form[`${phase}Percentage`]}
+            onChangeText={(text) => changeField(`${phase}Percentage`, text)}
+            keyboardType="numeric"
+          />
+        </View>
+      )}
+    </View>
+  );
+
+  const previewWeeks = buildBlockWeeks(buildBlock(), cycleDefinitions);
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Training Block</Text>
+          <Text style={[styles.modalSubtitle, { color: colors.subText }]}>
+            {trainingBlock ? 'A block is running. Starting again restarts it.' : 'Leader cycles, a 7th-week deload, then the anchor.'}
+          </Text>
+
+          <ScrollView style={styles.scrollArea} contentContainerStyle={styles.scrollContent}>
+            {renderPhase('leader')}
+            {renderPhase('anchor')}
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Deload after the anchor</Text>
+            <View style={styles.optionRow}>
+              {renderOption(form.deloadAfterAnchor, 'Yes', () => changeField('deloadAfterAnchor', true))}
+              {renderOption(!form.deloadAfterAnchor, 'No', () => changeField('deloadAfterAnchor', false))}
+            </View>
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>{`${previewWeeks.length} weeks`}</Text>
+            {previewWeeks.map((week, index) => (
+              <Text key={`week-${index}`} style={[styles.weekText, { color: colors.text }]}>
+                {`Week ${index + 1}: ${describeBlockWeek(week)}`}
+              </Text>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title={trainingBlock ? 'Restart Block' : 'Start Block'} onPress={handleStart} color={colors.primaryRed} />
+            {trainingBlock && <Button title="End Block" onPress={handleEnd} color={colors.primaryRed} />}
+            <Button title="Cancel" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  scrollArea: {
+    width: '100%',
+  },
+  scrollContent: {
+    alignItems: 'center',
+  },
+  phaseSection: {
+    width: '100%',
+    alignItems: 'center',
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+  },
+  sectionHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  optionText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  percentageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 5,
+  },
+  percentageLabel: {
+    fontSize: 14,
+    marginRight: 8,
+  },
+  percentageInput: {
+    height: 36,
+    width: 60,
+    borderWidth: 1,
+    borderRadius: 8,
+    fontSize: 15,
+    textAlign: 'center',
+  },
+  weekText: {
+    fontSize: 14,
+    alignSelf: 'flex-start',
+    paddingVertical: 2,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default BlockPlannerModal;
@@ -1,10 +1,36 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { View, Text, FlatList, StyleSheet, Dimensions, Platform, TouchableOpacity } from 'react-native';
+import { View, Text, FlatList, StyleSheet, Dimensions, Platform, TouchableOpacity, Alert } from 'react-native';
 import EditLiftModal from './EditLiftModal';
-import { updateLift } from '../services/dbService';
-import { Lift, WorkSet, TrackingLift } from '../models/liftModels';
-
-const LBS_TO_KG_FACTOR = 0.453592;
+import PlateInventoryModal from './PlateInventoryModal';
+import LogWorkoutModal from './LogWorkoutModal';
+import E1rmSuggestionModal from './E1rmSuggestionModal';
+import LiftProgressChart from './LiftProgressChart';
+import CycleProgressPanel from './CycleProgressPanel';
+import TrainingCycleSelector from './TrainingCycleSelector';
+import SupplementalSection from './SupplementalSection';
+import RestTimer from './RestTimer';
+import GuidedSessionModal from './GuidedSessionModal';
+import TodayPanel from './TodayPanel';
+import AssistanceModal from './AssistanceModal';
+import { updateLift, saveWorkoutSession, fetchSessionDraft, saveSessionDraft, deleteSessionDraft, fetchAssistanceExercises } from '../services/dbService';
+import { Lift, TrackingLift } from '../models/liftModels';
+import { SET_TYPES, SESSION_SET_ORDER, SessionDraft, SessionStep } from '../models/workoutModels';
+import { calculatePlateLoading, describePlateLoading } from '../utils/plateCalculator';
+import { createLiftWeightRounder } from '../utils/weightRounding';
+import { calculateTrainingWeights, calculateJokerSets, calculateSupplementalSets, findCycleDefinition, isAmrapCycle } from '../utils/trainingCalculations';
+import { getWeekDefinition } from '../utils/cycleProgression';
+import { getRestSeconds } from '../utils/restTimer';
+import { getTodaySchedule } from '../utils/schedule';
+import { buildAssistanceSteps } from '../utils/assistance';
+import { buildBlockWeeks, getBlockWeek, getBlockDayPosition, applyMainWork, describeBlockWeek } from '../utils/blockPlanner';
+import { defaultRoundingPolicy } from '../constants/rounding';
+import { DEFAULT_WARM_UP_PERCENTAGES } from '../constants/settings';
+import { DEFAULT_TM_INCREMENTS, DEFAULT_JOKER_CAP_PERCENTAGE } from '../constants/progression';
+import { DEFAULT_CYCLE_DEFINITIONS } from '../constants/cycles';
+import { DEFAULT_REST_SECONDS } from '../constants/restTimer';
+import { EQUIPMENT_TYPES, LIFT_ROLES } from '../constants/liftCategories';
+import { DEFAULT_ASSISTANCE_REP_TARGETS } from '../constants/assistance';
+import { convertWeight, formatWeight } from '../utils/units';
 const { width: screenWidth } = Dimensions.get('window');
 
 const ITEM_WIDTH_PERCENTAGE = 0.6;
@@ -13,100 +39,123 @@ const ITEM_MARGIN_HORIZONTAL = 10;
 const ITEM_FULL_WIDTH = screenWidth * ITEM_WIDTH_PERCENTAGE + ITEM_MARGIN_HORIZONTAL * 2;
 const PADDING_HORIZONTAL = (screenWidth - ITEM_FULL_WIDTH) / 2;
 
-const trainingCycles = ['Deload', '5/5/5', '3/3/3', '5/3/1'];
-
-/**
- * Calculates the warm-up and working set weights and reps based on the max weight and selected training cycle.
- * @param {number} maxWeight - The maximum weight for the lift in pounds.
- * @param {string} cycle - The selected training cycle (e.g., 'Deload', '5/5/5').
- * @returns {{warmUp: {rpe40: number, rpe50: number, rpe60: number} | null, workingSets: WorkSet | null}}
- * An object containing calculated warm-up weights and a WorkSet object for working sets.
- */
-const calculateTrainingWeights = (maxWeight, cycle) => {
-  const calculateWeight = (percentage) => maxWeight * (percentage / 100);
-
-  // Standard warm-up percentages (fixed)
-  const warmUpPercentages = [40, 50, 60];
-  const warmUpReps = [5, 5, 3]; // Fixed reps for warm-up
-
-  let workingSetPercentages = null;
-  let workingSetReps = null;
-
-  // Calculate warm-up weights, but only return them if the cycle isn't 'Deload'
-  const calculatedWarmUp = {
-    rpe40: calculateWeight(warmUpPercentages[0]),
-    rpe50: calculateWeight(warmUpPercentages[1]),
-    rpe60: calculateWeight(warmUpPercentages[2]),
-    reps40: warmUpReps[0],
-    reps50: warmUpReps[1],
-    reps60: warmUpReps[2]
-  };
-
-  switch (cycle) {
-    case 'Deload':
-      // For Deload, working sets might be the same as warm-up or a specific deload protocol.
-      // Your previous logic used standardWarmUpPercentages and standardWarmUpReps for Deload.
-      // Let's ensure calculatedWarmUpRPE is null for Deload as per your previous logic.
-      workingSetPercentages = [40, 50, 60]; // Or define specific deload percentages
-      workingSetReps = [5, 5, 3]; // And deload reps
-      break;
-    case '5/5/5':
-      workingSetPercentages = [65, 75, 85];
-      workingSetReps = [5, 5, 5];
-      break;
-    case '3/3/3':
-      workingSetPercentages = [70, 80, 90];
-      workingSetReps = [3, 3, 3];
-      break;
-    case '5/3/1':
-      workingSetPercentages = [75, 85, 95];
-      workingSetReps = [5, 3, 1];
-      break;
-    default:
-      // Default to 5/3/1 if no cycle is matched
-      workingSetPercentages = [75, 85, 95];
-      workingSetReps = [5, 3, 1];
-      break;
-  }
-
-  let calculatedWorkingSets = null;
-  if (workingSetPercentages && workingSetReps) {
-    calculatedWorkingSets = new WorkSet(
-      calculateWeight(workingSetPercentages[0]),
-      calculateWeight(workingSetPercentages[1]),
-      calculateWeight(workingSetPercentages[2]),
-      workingSetReps[0],
-      workingSetReps[1],
-      workingSetReps[2]
-    );
-  }
-
-  return {
-    warmUp: cycle === 'Deload' ? null : calculatedWarmUp, // Warm-up is null for Deload
-    workingSets: calculatedWorkingSets // Always return working sets, even for Deload (which uses its own percentages)
-  };
-};
-
-
-const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle, onSelectCycle }) => {
+const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, plateInventories, onPlateInventoryChange, roundingPolicy = defaultRoundingPolicy, warmUpPercentages = DEFAULT_WARM_UP_PERCENTAGES, tmIncrements = DEFAULT_TM_INCREMENTS, jokerCapPercentage = DEFAULT_JOKER_CAP_PERCENTAGE, cycleDefinitions = DEFAULT_CYCLE_DEFINITIONS, trainingBlock = null, restSeconds = DEFAULT_REST_SECONDS, scheduleTemplate = null, scheduleDays = [], assistanceRepTargets = DEFAULT_ASSISTANCE_REP_TARGETS }) => {
   const [currentLiftIndex, setCurrentLiftIndex] = useState(0);
   const [isEditModalVisible, setIsEditModalVisible] = useState(false);
   const [selectedLiftForEdit, setSelectedLiftForEdit] = useState(null);
+  const [isPlateModalVisible, setIsPlateModalVisible] = useState(false);
+  const [isLogModalVisible, setIsLogModalVisible] = useState(false);
+  const [amrapSession, setAmrapSession] = useState(null);
+  const [chartLift, setChartLift] = useState(null);
+  const [showJokerSets, setShowJokerSets] = useState(false);
+  const [completedSets, setCompletedSets] = useState({}); // Sets marked done per set row key
+  const [restEndTime, setRestEndTime] = useState(null);
+  const [sessionDraft, setSessionDraft] = useState(null);
+  const [isSessionVisible, setIsSessionVisible] = useState(false);
+  const [isAssistanceVisible, setIsAssistanceVisible] = useState(false);
+  const [displayedCycle, setDisplayedCycle] = useState(null); // The week shown, which follows the displayed lift
   const flatListRef = useRef(null);
+  const hasOpenedToday = useRef(false);
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
 
   /**
-   * Converts a weight from pounds to the currently selected unit (kg or lbs).
-   * @param {number} weightInLbs - The weight value in pounds.
+   * Converts a weight from the unit it was stored in to the currently selected unit (kg or lbs) without formatting.
+   * @param {number} weight - The stored weight.
+   * @param {'lbs' | 'kg'} unit - The unit the weight was stored in.
+   * @returns {number} The weight in the selected unit.
+   */
+  const toDisplayUnit = (weight, unit) => convertWeight(weight, unit, unitLabel);
+
+  /**
+   * Formats a stored weight in the currently selected unit. Weights already in that unit
+   * are shown exactly as entered; converted ones are shown to one decimal.
+   * @param {number} weight - The stored weight.
+   * @param {'lbs' | 'kg'} unit - The unit the weight was stored in.
    * @returns {string} The formatted weight in the selected unit.
    */
-  const convertWeight = (weightInLbs) => {
-    if (isKg) {
-      return (weightInLbs * LBS_TO_KG_FACTOR).toFixed(1);
+  const formatDisplayWeight = (weight, unit) => (
+    unit === unitLabel ? formatWeight(weight) : toDisplayUnit(weight, unit).toFixed(1)
+  );
+
+  // Determine the lift details to display based on currentLiftIndex
+  const displayedLiftDetails = lifts[currentLiftIndex];
+  const displayedCategory = displayedLiftDetails ? displayedLiftDetails.lift.category : null;
+  const usesPlates = !displayedCategory || displayedCategory.equipment === EQUIPMENT_TYPES.BARBELL;
+
+  const plateInventory = plateInventories ? plateInventories[unitLabel] : null;
+  // Rounding happens in the display unit so kg users get weights in kg increments.
+  const roundWeight = createLiftWeightRounder(roundingPolicy, unitLabel, displayedCategory);
+
+  /**
+   * Describes the plates needed per side to load a weight with the current bar and plate inventory.
+   * @param {number} weight - The target weight in the display unit.
+   * @returns {{text: string, isExact: boolean} | null} The plate description, or null without an inventory
+   * or for a lift that isn't loaded with plates.
+   */
+  const getPlateLoading = (weight) => {
+    if (!plateInventory || !usesPlates) return null;
+    const loading = calculatePlateLoading(weight, plateInventory.barWeight, plateInventory.plates);
+    return { text: describePlateLoading(loading, unitLabel), isExact: loading.isExact };
+  };
+
+  /**
+   * Marks one more set of a row as done and starts the rest for that kind of set.
+   * Tapping a row whose sets are all done clears it again, without starting a rest.
+   * @param {string} key - The set row key.
+   * @param {string} setType - One of SET_TYPES, which picks the rest duration.
+   * @param {number} setCount - How many sets the row stands for.
+   */
+  const handleSetDone = (key, setType, setCount) => {
+    const doneCount = completedSets[key] || 0;
+    if (doneCount >= setCount) {
+      setCompletedSets(previous => ({ ...previous, [key]: 0 }));
+      return;
     }
-    return weightInLbs.toFixed(1);
+    setCompletedSets(previous => ({ ...previous, [key]: doneCount + 1 }));
+    setRestEndTime(Date.now() + getRestSeconds(setType, restSeconds) * 1000);
   };
 
-  const unitLabel = isKg ? 'kg' : 'lbs';
+  /**
+   * Renders one prescribed set with its percentage, weight, reps and plate breakdown.
+   * Tapping the row marks the set done and starts the rest timer.
+   * @param {string} percentageLabel - The percentage of the Training Max (e.g. '65%').
+   * @param {number} weight - The prescribed (already rounded) weight in the display unit.
+   * @param {number|string} reps - The prescribed reps.
+   * @param {string} [key] - The React key, for when the same percentage appears twice in one section.
+   * @param {string} [setType] - One of SET_TYPES, which picks the rest duration.
+   * @param {number} [setCount] - How many sets the row stands for, e.g. 5 for "5 × 10".
+   * @returns {JSX.Element} The rendered set row.
+   */
+  const renderSetRow = (percentageLabel, weight, reps, key = percentageLabel, setType = SET_TYPES.WORKING, setCount = 1) => {
+    const plateLoading = getPlateLoading(weight);
+    const doneCount = completedSets[key] || 0;
+    const isDone = doneCount >= setCount;
+    let doneLabel = '';
+    if (setCount > 1 && doneCount > 0) {
+      doneLabel = ` (${doneCount}/${setCount})`;
+    } else if (isDone) {
+      doneLabel = ' ✓';
+    }
+    return (
+      <TouchableOpacity
+        key={key}
+        onPress={() => handleSetDone(key, setType, setCount)}
+        style={[styles.setRowContainer, isDone && styles.doneSetRow]}
+      >
+        <View style={styles.rpeDetailRow}>
+          <Text style={[styles.rpeDetail, { color: colors.subText }]}>{percentageLabel}</Text>
+          <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${weight} ${unitLabel}`}</Text>
+          <Text style={[styles.rpeDetail, { color: colors.subText }]}>{`${reps}${doneLabel}`}</Text>
+        </View>
+        {plateLoading && (
+          <Text style={[styles.plateText, { color: plateLoading.isExact ? colors.subText : colors.primaryRed }]}>
+            {plateLoading.text}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
 
   /**
    * Scrolls the FlatList to a specific lift item by its index.
@@ -146,20 +195,238 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
     }
   }, [lifts, currentLiftIndex]);
 
-  // Determine the lift details to display based on currentLiftIndex
-  const displayedLiftDetails = lifts[currentLiftIndex];
+  /**
+   * Effect hook to pick up a guided session left unfinished when the app was closed.
+   */
+  useEffect(() => {
+    fetchSessionDraft()
+      .then(setSessionDraft)
+      .catch(error => console.error('Error loading the unfinished session:', error));
+  }, []);
+
+  // A draft whose lift has since been deleted was removed with it
+  const sessionDraftLift = sessionDraft ? lifts.find(item => item.id === sessionDraft.liftId) : null;
+  const activeSessionDraft = sessionDraftLift ? sessionDraft : null;
+
+  /**
+   * Effect hook to show the week the displayed lift is on whenever the lift or its progress changes.
+   * The cycle selector can still be used to look at other weeks; what it shows isn't stored, since the lift's progress decides.
+   */
+  const displayedWeekIndex = displayedLiftDetails ? displayedLiftDetails.progress.weekIndex : null;
+  useEffect(() => {
+    if (displayedWeekIndex !== null && !trainingBlock) {
+      setDisplayedCycle(getWeekDefinition(cycleDefinitions, displayedWeekIndex).name);
+    }
+  }, [displayedLiftDetails ? displayedLiftDetails.id : null, displayedWeekIndex, trainingBlock]);
+
+  // While a training block is running, each lift's week comes from the block and the selector is hidden
+  const blockWeeks = trainingBlock ? buildBlockWeeks(trainingBlock, cycleDefinitions) : null;
+  const displayedBlockWeek = blockWeeks ? getBlockWeek(blockWeeks, displayedWeekIndex ?? 0) : null;
+  const blockDayPosition = blockWeeks ? getBlockDayPosition(lifts, blockWeeks) : null;
+  const today = scheduleTemplate ? getTodaySchedule(scheduleDays, lifts, blockWeeks ? blockWeeks.length : cycleDefinitions.length) : null;
+  let todayWeekLabel = '';
+  if (today) {
+    todayWeekLabel = blockWeeks ? describeBlockWeek(getBlockWeek(blockWeeks, today.weekIndex)) : getWeekDefinition(cycleDefinitions, today.weekIndex).name;
+  }
+
+  /**
+   * Effect hook to open on today's lift once the lifts are loaded; its week is then selected like for any displayed lift.
+   */
+  const todayLiftId = today ? today.pendingLifts[0].id : null;
+  useEffect(() => {
+    if (todayLiftId !== null && !hasOpenedToday.current) {
+      hasOpenedToday.current = true;
+      setCurrentLiftIndex(lifts.findIndex(lift => lift.id === todayLiftId));
+    }
+  }, [todayLiftId]);
+  // Until a lift is shown there is no week yet; the first definition is shown instead
+  const selectedDefinition = displayedBlockWeek
+    ? applyMainWork(findCycleDefinition(cycleDefinitions, displayedBlockWeek.cycleName), displayedBlockWeek.mainWork)
+    : findCycleDefinition(cycleDefinitions, displayedCycle);
+
+  /**
+   * Effect hook to clear the sets marked done when another lift or week is shown.
+   */
+  useEffect(() => {
+    setCompletedSets({});
+  }, [displayedLiftDetails ? displayedLiftDetails.id : null, selectedDefinition.name]);
   let calculatedWarmUp = null; // Renamed from calculatedWarmUpRPE
   let calculatedWorkSets = null; // Renamed from calculatedRpeModel
+  let calculatedSupplementalSets = null;
+  let calculatedJokerSets = [];
 
   if (displayedLiftDetails) {
+    const displayedTrainingMax = toDisplayUnit(displayedLiftDetails.lift.getTrainingMax(), displayedLiftDetails.lift.unit);
     const { warmUp, workingSets } = calculateTrainingWeights( // Use the new function name
-      displayedLiftDetails.lift.maxWeight,
-      selectedCycle
+      displayedTrainingMax,
+      selectedDefinition,
+      roundWeight,
+      warmUpPercentages
     );
     calculatedWarmUp = warmUp;
     calculatedWorkSets = workingSets;
+    calculatedJokerSets = calculateJokerSets(displayedTrainingMax, selectedDefinition, workingSets, roundWeight, jokerCapPercentage);
+    calculatedSupplementalSets = calculateSupplementalSets(
+      displayedTrainingMax,
+      selectedDefinition,
+      displayedBlockWeek ? displayedBlockWeek.supplemental : displayedLiftDetails.supplemental,
+      roundWeight
+    );
+  }
+
+  // Joker sets are only offered for main lifts, after an AMRAP top set
+  const hasJokerSets = isAmrapCycle(selectedDefinition) && displayedCategory !== null && displayedCategory.role === LIFT_ROLES.MAIN;
+  // Joker sets are opt-in: they are only shown, and only prefilled in the log, once asked for.
+  const includeJokerSets = hasJokerSets && showJokerSets;
+
+  // The prescribed sets in the order they are performed, used to prefill the workout log.
+  const prescribedSets = [];
+  if (calculatedWarmUp) {
+    calculatedWarmUp.forEach(set => prescribedSets.push({
+      setType: SET_TYPES.WARM_UP,
+      label: `${set.percentage}%`,
+      weight: set.weight,
+      reps: set.reps,
+      isAmrap: false,
+    }));
+  }
+  if (calculatedWorkSets) {
+    calculatedWorkSets.sets.forEach(set => prescribedSets.push({
+      setType: SET_TYPES.WORKING,
+      label: `${set.percentage}%`,
+      weight: set.weight,
+      reps: set.reps,
+      isAmrap: set.isAmrap,
+    }));
+  }
+  if (includeJokerSets) {
+    calculatedJokerSets.forEach((set, index) => prescribedSets.push({
+      setType: SET_TYPES.JOKER,
+      label: `Joker ${index + 1}`,
+      weight: set.weight,
+      reps: set.reps,
+      isAmrap: false,
+    }));
+  }
+  if (calculatedSupplementalSets) {
+    for (let setNumber = 1; setNumber <= calculatedSupplementalSets.sets; setNumber++) {
+      prescribedSets.push({
+        setType: SET_TYPES.SUPPLEMENTAL,
+        label: `Supp ${setNumber}`,
+        weight: calculatedSupplementalSets.weight,
+        reps: calculatedSupplementalSets.reps,
+        isAmrap: false,
+      });
+    }
   }
 
+  /**
+   * Callback for when a workout has been logged. Sessions with an AMRAP set
+   * open the e1RM suggestion so the 1RM can be updated in one tap.
+   * @param {WorkoutSession} session - The session that was saved.
+   */
+  const handleWorkoutLogged = (session) => {
+    if (session.getAmrapSet()) {
+      setAmrapSession(session);
+    }
+  };
+
+  /**
+   * Keeps the guided session's progress and stores it, so the session can be resumed after the app is closed.
+   * @param {SessionDraft} draft - The changed draft.
+   */
+  const changeSessionDraft = async (draft) => {
+    setSessionDraft(draft);
+    try {
+      await saveSessionDraft(draft);
+    } catch (error) {
+      console.error('Error saving the session progress:', error);
+      Alert.alert('Error', 'Failed to save the session progress. Please try again.');
+    }
+  };
+
+  /**
+   * Starts a guided session for the displayed lift from the prescribed sets, in session order.
+   * Main lifts end with the sets of their assistance exercises, split to reach the rep targets.
+   */
+  const startSession = async () => {
+    let assistanceSteps = [];
+    if (displayedCategory.role === LIFT_ROLES.MAIN) {
+      try {
+        assistanceSteps = buildAssistanceSteps(await fetchAssistanceExercises(displayedLiftDetails.id), assistanceRepTargets);
+      } catch (error) {
+        console.error('Error loading the assistance exercises:', error);
+        Alert.alert('Error', 'Failed to load the assistance exercises. The session starts without them.');
+      }
+    }
+    const steps = [
+      ...prescribedSets.map(set => new SessionStep(set.setType, set.label, set.weight, set.reps, set.isAmrap)),
+      ...assistanceSteps,
+    ].sort((a, b) => SESSION_SET_ORDER.indexOf(a.setType) - SESSION_SET_ORDER.indexOf(b.setType));
+    changeSessionDraft(new SessionDraft(displayedLiftDetails.id, selectedDefinition.name, unitLabel, steps));
+    setIsSessionVisible(true);
+  };
+
+  /**
+   * Resumes the unfinished session, showing its lift first.
+   */
+  const resumeSession = () => {
+    scrollToIndex(lifts.indexOf(sessionDraftLift));
+    setIsSessionVisible(true);
+  };
+
+  /**
+   * Opens the guided session for the displayed lift. An unfinished session of another lift
+   * is either resumed or discarded first.
+   */
+  const handleSessionPress = () => {
+    if (!activeSessionDraft) {
+      startSession();
+    } else if (activeSessionDraft.liftId === displayedLiftDetails.id) {
+      setIsSessionVisible(true);
+    } else {
+      Alert.alert(
+        'Session in Progress',
+        `An unfinished ${sessionDraftLift.lift.name} session is saved.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Discard It', style: 'destructive', onPress: startSession },
+          { text: 'Resume', onPress: resumeSession },
+        ]
+      );
+    }
+  };
+
+  /**
+   * Logs the sets checked off in the guided session and ends it.
+   */
+  const handleFinishSession = async () => {
+    try {
+      const savedSession = await saveWorkoutSession(activeSessionDraft.toWorkoutSession());
+      await deleteSessionDraft();
+      setSessionDraft(null);
+      setIsSessionVisible(false);
+      Alert.alert('Success', 'Workout logged successfully!');
+      handleWorkoutLogged(savedSession);
+    } catch (error) {
+      console.error('Error logging the session:', error);
+      Alert.alert('Error', 'Failed to log the session. Please try again.');
+    }
+  };
+
+  /**
+   * Ends the guided session without logging it.
+   */
+  const handleDiscardSession = async () => {
+    setSessionDraft(null);
+    setIsSessionVisible(false);
+    try {
+      await deleteSessionDraft();
+    } catch (error) {
+      console.error('Error discarding the session:', error);
+    }
+  };
+
   /**
    * Opens the EditLiftModal for a specific lift.
    * @param {TrackingLift} lift - The TrackingLift object to be edited.
@@ -174,7 +441,7 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
    * It calls the `updateLift` service function and then triggers a refresh
    * of the lifts in the parent component.
    * @param {number} liftId - The ID of the lift that was updated.
-   * @param {number} newMaxWeight - The new max weight for the lift in pounds.
+   * @param {number} newMaxWeight - The new max weight for the lift in the unit it was entered in.
    */
   const handleSaveEditedLift = async () => { // Made async as updateLift is async
     if (selectedLiftForEdit && selectedLiftForEdit.id) {
@@ -220,7 +487,7 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
                 <View
                   style={[styles.topLiftItem, { backgroundColor: colors.background }]}
                 >
-                  <TouchableOpacity onPress={() => openEditModal(item)}>
+                  <TouchableOpacity onPress={() => openEditModal(item)} onLongPress={() => setChartLift(item)}>
                     <Text style={[
                       styles.topLiftName,
                       index === currentLiftIndex ? { color: colors.text } : { color: colors.subText }
@@ -228,12 +495,15 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
                       {item.lift.name}
                     </Text>
                   </TouchableOpacity>
-                  <TouchableOpacity onPress={() => openEditModal(item)}>
+                  <TouchableOpacity onPress={() => openEditModal(item)} onLongPress={() => setChartLift(item)}>
                     <Text style={[
                       styles.topLiftWeight,
                       index === currentLiftIndex ? { color: colors.text } : { color: colors.subText }
                     ]}>
-                      {`${convertWeight(item.lift.maxWeight)} ${unitLabel}`}
+                      {`1RM ${formatDisplayWeight(item.lift.maxWeight, item.lift.unit)} ${unitLabel}`}
+                    </Text>
+                    <Text style={[styles.topLiftTrainingMax, { color: colors.subText }]}>
+                      {`TM ${toDisplayUnit(item.lift.getTrainingMax(), item.lift.unit).toFixed(1)} ${unitLabel} (${item.lift.tmPercentage}%)`}
                     </Text>
                   </TouchableOpacity>
                 </View>
@@ -252,30 +522,81 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
             )}
           </View>
 
-          <View style={styles.cycleSelectorContainer}>
-            <FlatList
-              horizontal
-              showsHorizontalScrollIndicator={false}
-              data={trainingCycles}
-              keyExtractor={(item) => item}
-              renderItem={({ item }) => (
-                <TouchableOpacity
-                  onPress={() => onSelectCycle(item)}
-                  style={styles.cycleButton}
-                >
-                  <Text
-                    style={[
-                      styles.cycleButtonText,
-                      { color: selectedCycle === item ? colors.primaryRed : colors.subText },
-                    ]}
-                  >
-                    {item}
+          {/*
+           * Shows today's training day from the schedule and jumps to its lifts.
+           * @param {object | null} today - Today's day from `getTodaySchedule`, or null without a schedule.
+           * @param {string} weekLabel - The week today's lifts are on.
+           */}
+          <TodayPanel
+            today={today}
+            weekLabel={todayWeekLabel}
+            colors={colors}
+            onSelectLift={(lift) => scrollToIndex(lifts.indexOf(lift))}
+          />
+
+          {blockDayPosition ? (
+            <View style={styles.blockSummary}>
+              <Text style={[styles.blockSummaryText, { color: colors.text }]}>
+                {`Week ${blockDayPosition.weekIndex + 1} of ${blockWeeks.length}: ${describeBlockWeek(getBlockWeek(blockWeeks, blockDayPosition.weekIndex))}`}
+              </Text>
+              {!today && (
+                <TouchableOpacity onPress={() => scrollToIndex(lifts.indexOf(blockDayPosition.nextLift))}>
+                  <Text style={[styles.blockSummaryText, { color: colors.primaryRed }]}>
+                    {`Day ${blockDayPosition.dayNumber} of ${blockDayPosition.dayCount} · Next: ${blockDayPosition.nextLift.lift.name}`}
                   </Text>
                 </TouchableOpacity>
               )}
-              contentContainerStyle={styles.cycleListContent}
+            </View>
+          ) : (
+            /*
+             * Selector for the week to show, driven by the stored cycle definitions.
+             * @param {Array<object>} cycleDefinitions - The stored cycle definitions.
+             * @param {string} selectedCycle - The name of the week shown.
+             * @param {function} onSelectCycle - Callback receiving the name of the week to show.
+             */
+            <TrainingCycleSelector
+              cycleDefinitions={cycleDefinitions}
+              selectedCycle={selectedDefinition.name}
+              onSelectCycle={setDisplayedCycle}
+              colors={colors}
             />
-          </View>
+          )}
+
+          {/*
+           * Shows where the displayed lift is in its cycle and advances it week by week,
+           * proposing the Training Max increase at the end of each cycle.
+           * @param {TrackingLift} lift - The displayed lift.
+           * @param {Array<object> | null} blockWeeks - The weeks of the running training block, or null.
+           * @param {function} onLiftsUpdated - Callback to refresh lifts after progress or TM changes.
+           */}
+          <CycleProgressPanel
+            lift={displayedLiftDetails}
+            isKg={isKg}
+            colors={colors}
+            tmIncrements={tmIncrements}
+            cycleDefinitions={cycleDefinitions}
+            blockWeeks={blockWeeks}
+            onLiftsUpdated={onLiftsUpdated}
+          />
+
+          {/*
+           * Counts down the rest after a set is marked done, with +30s and skip controls.
+           * @param {number | null} endTime - When the rest is over, or null when not resting.
+           * @param {function} onChangeEndTime - Callback receiving the new end time, or null to stop.
+           */}
+          <RestTimer
+            endTime={restEndTime}
+            colors={colors}
+            onChangeEndTime={setRestEndTime}
+          />
+
+          {activeSessionDraft && activeSessionDraft.liftId !== (displayedLiftDetails ? displayedLiftDetails.id : null) && (
+            <TouchableOpacity onPress={resumeSession} style={styles.resumeBanner}>
+              <Text style={[styles.resumeBannerText, { color: colors.primaryRed }]}>
+                {`Unfinished ${sessionDraftLift.lift.name} session (${activeSessionDraft.getDoneCount()}/${activeSessionDraft.steps.length}) · Resume`}
+              </Text>
+            </TouchableOpacity>
+          )}
 
           {displayedLiftDetails && (
             <View style={[styles.bottomBlock, { backgroundColor: colors.cardBackground, borderColor: colors.cardBorder, shadowColor: colors.shadowColor }]}>
@@ -287,21 +608,7 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
                     <Text style={[styles.rpeDetailHeader, { color: colors.text }]}>Weight</Text>
                     <Text style={[styles.rpeDetailHeader, { color: colors.text }]}>Reps</Text>
                   </View>
-                  <View style={styles.rpeDetailRow}>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>40%</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${convertWeight(calculatedWarmUp.rpe40)} ${unitLabel}`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{calculatedWarmUp.reps40}</Text>
-                  </View>
-                  <View style={styles.rpeDetailRow}>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>50%</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${convertWeight(calculatedWarmUp.rpe50)} ${unitLabel}`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{calculatedWarmUp.reps50}</Text>
-                  </View>
-                  <View style={styles.rpeDetailRow}>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>60%</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${convertWeight(calculatedWarmUp.rpe60)} ${unitLabel}`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{calculatedWarmUp.reps60}</Text>
-                  </View>
+                  {calculatedWarmUp.map((set, index) => renderSetRow(`${set.percentage}%`, set.weight, set.reps, `warmup-${index}`, SET_TYPES.WARM_UP))}
                 </View>
               )}
 
@@ -313,40 +620,208 @@ const CalculateWeights = ({ lifts, isKg, colors, onLiftsUpdated, selectedCycle,
                     <Text style={[styles.rpeDetailHeader, { color: colors.text }]}>Weight</Text>
                     <Text style={[styles.rpeDetailHeader, { color: colors.text }]}>Reps</Text>
                   </View>
-                  <View style={styles.rpeDetailRow}>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{`${(calculatedWorkSets.repLift1 / displayedLiftDetails.lift.maxWeight * 100).toFixed(0)}%`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${convertWeight(calculatedWorkSets.repLift1)} ${unitLabel}`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{calculatedWorkSets.reps1}</Text>
-                  </View>
-                  <View style={styles.rpeDetailRow}>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{`${(calculatedWorkSets.repLift2 / displayedLiftDetails.lift.maxWeight * 100).toFixed(0)}%`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${convertWeight(calculatedWorkSets.repLift2)} ${unitLabel}`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{calculatedWorkSets.reps2}</Text>
-                  </View>
-                  <View style={styles.rpeDetailRow}>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{`${(calculatedWorkSets.repLift3 / displayedLiftDetails.lift.maxWeight * 100).toFixed(0)}%`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.primaryRed }]}>{`${convertWeight(calculatedWorkSets.repLift3)} ${unitLabel}`}</Text>
-                    <Text style={[styles.rpeDetail, { color: colors.subText }]}>{calculatedWorkSets.reps3}</Text>
-                  </View>
+                  {calculatedWorkSets.sets.map((set, index) => renderSetRow(
+                    `${set.percentage}%`,
+                    set.weight,
+                    set.isAmrap ? `${set.reps}+` : set.reps,
+                    `working-${index}`,
+                    SET_TYPES.WORKING
+                  ))}
                 </View>
               )}
+
+              {hasJokerSets && calculatedWorkSets && (
+                <View style={[styles.rpeSection, { borderTopColor: colors.rpeSectionBorder }]}>
+                  <TouchableOpacity onPress={() => setShowJokerSets(previous => !previous)}>
+                    <Text style={[styles.jokerToggleText, { color: colors.primaryRed }]}>
+                      {showJokerSets ? 'Hide Joker Sets' : 'Top set moved well? Show Joker Sets'}
+                    </Text>
+                  </TouchableOpacity>
+                  {includeJokerSets && (calculatedJokerSets.length > 0 ? (
+                    <>
+                      <Text style={[styles.rpeHeader, { color: colors.text }]}>Joker Sets</Text>
+                      {calculatedJokerSets.map((set, index) => renderSetRow(`${set.percentage}%`, set.weight, set.reps, `joker-${index}`, SET_TYPES.JOKER))}
+                      <Text style={[styles.jokerNote, { color: colors.subText }]}>
+                        {`Stop when a set slows down. Capped at ${jokerCapPercentage}% of TM.`}
+                      </Text>
+                    </>
+                  ) : (
+                    <Text style={[styles.jokerNote, { color: colors.subText }]}>
+                      {`The top set is already at the joker cap (${jokerCapPercentage}% of TM).`}
+                    </Text>
+                  ))}
+                </View>
+              )}
+
+              {/*
+               * Lets the lifter pick the lift's supplemental template and shows its sets for the selected week.
+               * @param {TrackingLift} lift - The displayed lift.
+               * @param {object} supplementalSets - The calculated supplemental sets, or null for none or a deload.
+               * @param {function} renderSetRow - Renders a set row the same way as the sections above.
+               * @param {SupplementalPlan | null} blockPlan - The plan set by the running training block, shown read-only.
+               */}
+              <SupplementalSection
+                lift={displayedLiftDetails}
+                supplementalSets={calculatedSupplementalSets}
+                colors={colors}
+                renderSetRow={renderSetRow}
+                onLiftsUpdated={onLiftsUpdated}
+                blockPlan={displayedBlockWeek ? displayedBlockWeek.supplemental : null}
+              />
+
+              <TouchableOpacity
+                onPress={() => setIsLogModalVisible(true)}
+                style={[styles.logWorkoutButton, { backgroundColor: colors.primaryRed }]}
+              >
+                <Text style={[styles.logWorkoutText, { color: colors.modalContentBackground }]}>Log Workout</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                onPress={handleSessionPress}
+                style={[styles.sessionButton, { borderColor: colors.primaryRed }]}
+              >
+                <Text style={[styles.logWorkoutText, { color: colors.primaryRed }]}>
+                  {activeSessionDraft && activeSessionDraft.liftId === displayedLiftDetails.id
+                    ? `Resume Session (${activeSessionDraft.getDoneCount()}/${activeSessionDraft.steps.length})`
+                    : 'Start Session'}
+                </Text>
+              </TouchableOpacity>
+
+              {displayedCategory.role === LIFT_ROLES.MAIN && (
+                <TouchableOpacity onPress={() => setIsAssistanceVisible(true)} style={styles.plateSettingsButton}>
+                  <Text style={[styles.plateSettingsText, { color: colors.primaryRed }]}>Assistance Work</Text>
+                </TouchableOpacity>
+              )}
+
+              {plateInventory && usesPlates && (
+                <TouchableOpacity onPress={() => setIsPlateModalVisible(true)} style={styles.plateSettingsButton}>
+                  <Text style={[styles.plateSettingsText, { color: colors.primaryRed }]}>
+                    {`Bar ${plateInventory.barWeight} ${unitLabel} · Edit plates`}
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
 
+          {/*
+           * Modal for logging the weight and reps actually completed for each prescribed set.
+           * @param {TrackingLift} lift - The lift being logged.
+           * @param {string} cycle - The cycle week being trained.
+           * @param {Array<object>} prescribedSets - The sets to prefill, in the display unit.
+           */}
+          <LogWorkoutModal
+            visible={isLogModalVisible}
+            lift={displayedLiftDetails}
+            cycle={selectedDefinition.name}
+            prescribedSets={prescribedSets}
+            isKg={isKg}
+            colors={colors}
+            onClose={() => setIsLogModalVisible(false)}
+            onSaved={handleWorkoutLogged}
+          />
+
+          {/*
+           * Modal stepping through the session one set at a time: warm-ups, working sets, joker and supplemental sets,
+           * then accessories built from the lift's assistance exercises and rep targets.
+           * Its progress is stored after every change so the session can be resumed.
+           * @param {SessionDraft} draft - The session in progress.
+           * @param {function} onChangeDraft - Callback receiving the changed draft.
+           * @param {function} onFinish - Callback logging the checked-off sets.
+           * @param {function} onDiscard - Callback ending the session without logging it.
+           * @param {boolean} usesPlates - Whether the session's lift is loaded with plates.
+           */}
+          <GuidedSessionModal
+            visible={isSessionVisible && activeSessionDraft !== null}
+            draft={activeSessionDraft}
+            liftName={sessionDraftLift ? sessionDraftLift.lift.name : ''}
+            colors={colors}
+            plateInventories={plateInventories}
+            usesPlates={!sessionDraftLift || sessionDraftLift.lift.category.equipment === EQUIPMENT_TYPES.BARBELL}
+            restSeconds={restSeconds}
+            onChangeDraft={changeSessionDraft}
+            onFinish={handleFinishSession}
+            onDiscard={handleDiscardSession}
+            onClose={() => setIsSessionVisible(false)}
+          />
+
+          {/*
+           * Modal for the assistance exercises done on the lift's day: editing them, logging freeform sets
+           * and following the session's reps per category against the targets.
+           * @param {TrackingLift} lift - The main lift the assistance work is done with.
+           * @param {string} cycle - The cycle week being trained.
+           * @param {object} repTargets - The reps to reach per assistance category.
+           */}
+          <AssistanceModal
+            visible={isAssistanceVisible}
+            lift={displayedLiftDetails}
+            cycle={selectedDefinition.name}
+            isKg={isKg}
+            colors={colors}
+            repTargets={assistanceRepTargets}
+            onClose={() => setIsAssistanceVisible(false)}
+          />
+
+          {/*
+           * Modal suggesting a 1RM update from the estimated 1RM of a logged AMRAP set.
+           * @param {TrackingLift} lift - The lift the session was logged for.
+           * @param {WorkoutSession} session - The logged session containing the AMRAP set.
+           * @param {function} onLiftUpdated - Callback to refresh lifts after the 1RM is updated.
+           */}
+          <E1rmSuggestionModal
+            visible={amrapSession !== null}
+            lift={amrapSession ? lifts.find(item => item.id === amrapSession.liftId) : null}
+            session={amrapSession}
+            isKg={isKg}
+            colors={colors}
+            roundingPolicy={roundingPolicy}
+            cycleDefinitions={cycleDefinitions}
+            onClose={() => setAmrapSession(null)}
+            onLiftUpdated={onLiftsUpdated}
+          />
+
+          {/*
+           * Modal charting the lift's Training Max, e1RM and top-set reps over time.
+           * Opened by long-pressing a lift in the carousel.
+           * @param {TrackingLift} lift - The lift to chart.
+           */}
+          <LiftProgressChart
+            visible={chartLift !== null}
+            lift={chartLift}
+            isKg={isKg}
+            colors={colors}
+            onClose={() => setChartLift(null)}
+          />
+
+          {/*
+           * Modal for editing the bar weight and plate inventory of the current unit.
+           * @param {object} inventory - The bar weight and plates for the current unit.
+           * @param {function} onSave - Callback receiving the edited inventory.
+           */}
+          <PlateInventoryModal
+            visible={isPlateModalVisible}
+            inventory={plateInventory}
+            unitLabel={unitLabel}
+            colors={colors}
+            onClose={() => setIsPlateModalVisible(false)}
+            onSave={(inventory) => onPlateInventoryChange && onPlateInventoryChange(unitLabel, inventory)}
+          />
+
           {/*
            * Modal component for editing lift details.
            * @param {boolean} visible - Controls the visibility of the modal.
-           * @param {TrackingLift} lift - The lift object currently being edited.
-           * @param {boolean} isKg - Indicates if the current unit is kilograms.
+           * @param {TrackingLift} lift - The lift object currently being edited; it is edited in the unit its max is stored in.
            * @param {object} colors - Theme colors object.
+           * @param {object} roundingPolicy - The user's rounding mode and increments, used by the +/- buttons.
+           * @param {object} tmIncrements - The user's standard end-of-cycle TM increases.
            * @param {function} onClose - Callback to close the modal.
            * @param {function} onSave - Callback triggered when save button is pressed in the modal.
            */}
           <EditLiftModal
             visible={isEditModalVisible}
             lift={selectedLiftForEdit}
-            isKg={isKg}
             colors={colors}
+            roundingPolicy={roundingPolicy}
+            tmIncrements={tmIncrements}
             onClose={() => setIsEditModalVisible(false)}
             onSave={handleSaveEditedLift} // This will now just trigger the refresh from LiftList
           />
@@ -400,24 +875,21 @@ const styles = StyleSheet.create({
   },
   topLiftWeight: {
     fontSize: 16,
+    textAlign: 'center',
   },
-  cycleSelectorContainer: {
-    width: '100%',
-    marginBottom: 20,
+  topLiftTrainingMax: {
+    fontSize: 13,
+    textAlign: 'center',
   },
-  cycleListContent: {
-    flexGrow: 1,
-    justifyContent: 'space-evenly',
+  blockSummary: {
     alignItems: 'center',
-    paddingHorizontal: 15,
-  },
-  cycleButton: {
-    paddingVertical: 10,
-    paddingHorizontal: 10,
+    marginBottom: 10,
   },
-  cycleButtonText: {
-    fontSize: 16,
+  blockSummaryText: {
+    fontSize: 14,
     fontWeight: 'bold',
+    textAlign: 'center',
+    marginVertical: 2,
   },
   bottomBlock: {
     padding: 20,
@@ -465,6 +937,60 @@ const styles = StyleSheet.create({
     flex: 1,
     textAlign: 'center',
   },
+  jokerToggleText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  jokerNote: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 5,
+  },
+  doneSetRow: {
+    opacity: 0.5,
+  },
+  setRowContainer: {
+    marginBottom: 4,
+  },
+  plateText: {
+    fontSize: 12,
+    textAlign: 'center',
+    paddingHorizontal: 10,
+  },
+  logWorkoutButton: {
+    marginTop: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  sessionButton: {
+    marginTop: 10,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  resumeBanner: {
+    marginBottom: 10,
+  },
+  resumeBannerText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  logWorkoutText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  plateSettingsButton: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  plateSettingsText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
 });
 
 export default CalculateWeights;
@@ -0,0 +1,381 @@
+// components/CycleEditorModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, ScrollView, Switch } from 'react-native';
+import { DEFAULT_CYCLE_DEFINITIONS, MAX_CYCLE_SETS, MAX_CYCLE_PERCENTAGE } from '../constants/cycles';
+
+/**
+ * Copies cycle definitions into editable form, with numbers as input text.
+ * @param {Array<Object>} definitions - The cycle definitions.
+ * @returns {Array<Object>} The editable copies.
+ */
+const toEditableDefinitions = (definitions) => definitions.map(definition => ({
+  name: definition.name,
+  isDeload: definition.isDeload,
+  sets: definition.sets.map(set => ({
+    percentage: String(set.percentage),
+    reps: String(set.reps),
+    isAmrap: set.isAmrap,
+  })),
+}));
+
+const CycleEditorModal = ({ visible, cycleDefinitions, colors, onClose, onSave }) => {
+  const [definitions, setDefinitions] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  /**
+   * useEffect hook to copy the stored definitions into local state whenever the modal is opened,
+   * so edits can be discarded with Cancel.
+   */
+  useEffect(() => {
+    if (visible && cycleDefinitions) {
+      setDefinitions(toEditableDefinitions(cycleDefinitions));
+      setSelectedIndex(0);
+    }
+  }, [visible, cycleDefinitions]);
+
+  /**
+   * Changes fields of the selected definition.
+   * @param {Object} changes - The fields to change.
+   */
+  const changeSelected = (changes) => {
+    setDefinitions(previous => previous.map((definition, index) => (
+      index === selectedIndex ? { ...definition, ...changes } : definition
+    )));
+  };
+
+  /**
+   * Changes one field of one set of the selected definition.
+   * @param {number} setIndex - The set to change.
+   * @param {'percentage' | 'reps' | 'isAmrap'} field - The field to change.
+   * @param {string | boolean} value - The new value.
+   */
+  const changeSet = (setIndex, field, value) => {
+    const selected = definitions[selectedIndex];
+    changeSelected({ sets: selected.sets.map((set, index) => (index === setIndex ? { ...set, [field]: value } : set)) });
+  };
+
+  /**
+   * Adds a set to the selected definition, copying the last one as a starting point.
+   */
+  const addSet = () => {
+    const { sets } = definitions[selectedIndex];
+    const lastSet = sets[sets.length - 1] || { percentage: '', reps: '', isAmrap: false };
+    changeSelected({ sets: [...sets, { ...lastSet }] });
+  };
+
+  /**
+   * Removes a set from the selected definition.
+   * @param {number} setIndex - The set to remove.
+   */
+  const removeSet = (setIndex) => {
+    changeSelected({ sets: definitions[selectedIndex].sets.filter((set, index) => index !== setIndex) });
+  };
+
+  /**
+   * Adds a new cycle after the existing ones and selects it.
+   */
+  const addCycle = () => {
+    setDefinitions(previous => [...previous, {
+      name: `Cycle ${previous.length + 1}`,
+      isDeload: false,
+      sets: [{ percentage: '', reps: '', isAmrap: false }],
+    }]);
+    setSelectedIndex(definitions.length);
+  };
+
+  /**
+   * Moves the selected cycle one week earlier in the cycle.
+   */
+  const moveSelectedEarlier = () => {
+    if (selectedIndex === 0) return;
+    setDefinitions(previous => {
+      const reordered = [...previous];
+      [reordered[selectedIndex - 1], reordered[selectedIndex]] = [reordered[selectedIndex], reordered[selectedIndex - 1]];
+      return reordered;
+    });
+    setSelectedIndex(selectedIndex - 1);
+  };
+
+  /**
+   * Deletes the selected cycle. The last remaining cycle can't be deleted.
+   */
+  const deleteSelected = () => {
+    if (definitions.length <= 1) return;
+    setDefinitions(previous => previous.filter((definition, index) => index !== selectedIndex));
+    setSelectedIndex(Math.max(0, selectedIndex - 1));
+  };
+
+  /**
+   * Validates every definition and passes them back to the parent with numbers in place of input text.
+   */
+  const handleSave = () => {
+    const seenNames = new Set();
+    const parsedDefinitions = [];
+
+    for (const definition of definitions) {
+      const name = definition.name.trim();
+      if (!name) {
+        Alert.alert('Invalid Cycle', 'Every cycle needs a name.');
+        return;
+      }
+      if (seenNames.has(name.toLowerCase())) {
+        Alert.alert('Invalid Cycle', `There is more than one cycle named "${name}".`);
+        return;
+      }
+      seenNames.add(name.toLowerCase());
+
+      if (definition.sets.length === 0) {
+        Alert.alert('Invalid Cycle', `"${name}" needs at least one set.`);
+        return;
+      }
+      const sets = [];
+      for (const set of definition.sets) {
+        const percentage = parseFloat(set.percentage);
+        const reps = Number(set.reps);
+        if (isNaN(percentage) || percentage <= 0 || percentage > MAX_CYCLE_PERCENTAGE) {
+          Alert.alert('Invalid Set', `Percentages in "${name}" must be between 1 and ${MAX_CYCLE_PERCENTAGE}.`);
+          return;
+        }
+        if (!Number.isInteger(reps) || reps <= 0) {
+          Alert.alert('Invalid Set', `Reps in "${name}" must be whole numbers of at least 1.`);
+          return;
+        }
+        sets.push({ percentage, reps, isAmrap: set.isAmrap });
+      }
+      parsedDefinitions.push({ name, isDeload: definition.isDeload, sets });
+    }
+
+    onSave(parsedDefinitions);
+    onClose();
+  };
+
+  const selected = definitions[selectedIndex];
+  if (!selected) return null;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Training Cycles</Text>
+          <Text style={[styles.helpText, { color: colors.subText }]}>The cycles, in this order, are the weeks of each cycle.</Text>
+
+          <View style={styles.optionRow}>
+            {definitions.map((definition, index) => (
+              <TouchableOpacity key={`cycle-${index}`} onPress={() => setSelectedIndex(index)} style={styles.optionButton}>
+                <Text style={[styles.optionText, { color: index === selectedIndex ? colors.primaryRed : colors.subText }]}>
+                  {definition.name || '(unnamed)'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity onPress={addCycle} style={styles.optionButton}>
+              <Text style={[styles.optionText, { color: colors.primaryRed }]}>+ New</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.scrollArea} contentContainerStyle={styles.scrollContent}>
+            <TextInput
+              style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+              placeholder="Cycle name"
+              placeholderTextColor={colors.subText}
+              value={selected.name}
+              onChangeText={(text) => changeSelected({ name: text })}
+            />
+
+            <View style={styles.switchRow}>
+              <Text style={[styles.switchLabel, { color: colors.text }]}>Deload week (no warm-up or extra sets)</Text>
+              <Switch
+                trackColor={{ false: colors.unitToggleInactive, true: colors.unitToggleActive }}
+                thumbColor={selected.isDeload ? colors.primaryRed : colors.unitToggleInactive}
+                ios_backgroundColor={colors.unitToggleInactive}
+                onValueChange={(value) => changeSelected({ isDeload: value })}
+                value={selected.isDeload}
+              />
+            </View>
+
+            <View style={styles.setRow}>
+              <Text style={[styles.headerText, { color: colors.text }]}>% TM</Text>
+              <Text style={[styles.headerText, { color: colors.text }]}>Reps</Text>
+              <Text style={[styles.headerText, { color: colors.text }]}>AMRAP</Text>
+              <View style={styles.removeColumn} />
+            </View>
+            {selected.sets.map((set, index) => (
+              <View key={`set-${index}`} style={styles.setRow}>
+                <TextInput
+                  style={[styles.setInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={set.percentage}
+                  onChangeText={(text) => changeSet(index, 'percentage', text)}
+                  keyboardType="numeric"
+                />
+                <TextInput
+                  style={[styles.setInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={set.reps}
+                  onChangeText={(text) => changeSet(index, 'reps', text)}
+                  keyboardType="number-pad"
+                />
+                <TouchableOpacity onPress={() => changeSet(index, 'isAmrap', !set.isAmrap)} style={styles.amrapToggle}>
+                  <Text style={[styles.optionText, { color: set.isAmrap ? colors.primaryRed : colors.subText }]}>
+                    {set.isAmrap ? '+' : '-'}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => removeSet(index)} style={styles.removeColumn}>
+                  <Text style={[styles.removeText, { color: colors.subText }]}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            {selected.sets.length < MAX_CYCLE_SETS && (
+              <TouchableOpacity onPress={addSet} style={styles.textButton}>
+                <Text style={[styles.optionText, { color: colors.primaryRed }]}>Add Set</Text>
+              </TouchableOpacity>
+            )}
+
+            <View style={styles.optionRow}>
+              {selectedIndex > 0 && (
+                <TouchableOpacity onPress={moveSelectedEarlier} style={styles.optionButton}>
+                  <Text style={[styles.optionText, { color: colors.primaryRed }]}>Move Earlier</Text>
+                </TouchableOpacity>
+              )}
+              {definitions.length > 1 && (
+                <TouchableOpacity onPress={deleteSelected} style={styles.optionButton}>
+                  <Text style={[styles.optionText, { color: colors.primaryRed }]}>Delete Cycle</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                onPress={() => {
+                  setDefinitions(toEditableDefinitions(DEFAULT_CYCLE_DEFINITIONS));
+                  setSelectedIndex(0);
+                }}
+                style={styles.optionButton}
+              >
+                <Text style={[styles.optionText, { color: colors.subText }]}>Restore Defaults</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Save" onPress={handleSave} color={colors.primaryRed} />
+            <Button title="Cancel" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  helpText: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 5,
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+  },
+  optionText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  scrollArea: {
+    width: '100%',
+  },
+  scrollContent: {
+    alignItems: 'center',
+  },
+  input: {
+    height: 45,
+    width: '100%',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+    fontSize: 16,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: '100%',
+    marginBottom: 10,
+  },
+  switchLabel: {
+    fontSize: 14,
+    flex: 1,
+  },
+  setRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    marginBottom: 6,
+  },
+  headerText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  setInput: {
+    flex: 1,
+    height: 38,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    fontSize: 15,
+    textAlign: 'center',
+  },
+  amrapToggle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  removeColumn: {
+    width: 30,
+    alignItems: 'center',
+  },
+  removeText: {
+    fontSize: 16,
+  },
+  textButton: {
+    paddingVertical: 8,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default CycleEditorModal;
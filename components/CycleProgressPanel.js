@@ -0,0 +1,179 @@
+// components/CycleProgressPanel.js
+import React, { useState } from 'react';
+import { Modal, View, Text, Button, StyleSheet, Alert, TouchableOpacity } from 'react-native';
+import { updateLift, updateLiftProgress } from '../services/dbService';
+import { CycleProgress, MAX_CHANGE_SOURCES } from '../models/liftModels';
+import { getWeekDefinition, getNextProgress, getTmIncrement, calculateBumpedMax } from '../utils/cycleProgression';
+import { getBlockWeek, getNextBlockProgress } from '../utils/blockPlanner';
+import { BLOCK_PHASE_LABELS } from '../constants/blocks';
+import { convertWeight } from '../utils/units';
+
+const CycleProgressPanel = ({ lift, isKg, colors, tmIncrements, cycleDefinitions, blockWeeks = null, onLiftsUpdated }) => {
+  const [pendingProgress, setPendingProgress] = useState(null);
+
+  if (!lift) return null;
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+  const toDisplayUnit = (weight) => convertWeight(weight, lift.lift.unit, unitLabel);
+  const { weekIndex, cycleNumber } = lift.progress;
+  const tmIncrement = getTmIncrement(lift.lift, unitLabel, tmIncrements);
+  // While a block is running the lift moves through the block's weeks instead of the cycle definitions
+  const blockWeek = blockWeeks ? getBlockWeek(blockWeeks, weekIndex) : null;
+
+  /**
+   * Saves the lift's new position in the cycle and refreshes the lifts.
+   * @param {CycleProgress} progress - The position to save.
+   */
+  const saveProgress = async (progress) => {
+    try {
+      await updateLiftProgress(lift.id, progress);
+      if (onLiftsUpdated) {
+        onLiftsUpdated();
+      }
+    } catch (error) {
+      console.error('Error saving cycle progress:', error);
+      Alert.alert('Error', 'Failed to save cycle progress. Please try again.');
+    }
+  };
+
+  /**
+   * Marks the current week as done. Finishing the last week of a cycle, or of a leader or anchor cycle
+   * within a block, first proposes the end-of-cycle Training Max increase.
+   */
+  const handleCompleteWeek = () => {
+    const next = blockWeeks ? getNextBlockProgress(lift.progress, blockWeeks) : getNextProgress(lift.progress, cycleDefinitions.length);
+    const nextProgress = new CycleProgress(next.weekIndex, next.cycleNumber);
+    if (next.isCycleComplete) {
+      setPendingProgress(nextProgress);
+    } else {
+      saveProgress(nextProgress);
+    }
+  };
+
+  /**
+   * Applies the Training Max increase through `updateLift`, recorded as a TM bump in the lift's own unit,
+   * then starts the next cycle.
+   */
+  const handleAcceptBump = async () => {
+    try {
+      const success = await updateLift(lift.id, calculateBumpedMax(lift.lift, tmIncrement), undefined, MAX_CHANGE_SOURCES.TM_BUMP, lift.lift.unit);
+      if (!success) {
+        Alert.alert('Error', 'Failed to update lift. No lift found with this ID.');
+        return;
+      }
+    } catch (error) {
+      console.error('Error applying TM increase:', error);
+      Alert.alert('Error', 'Failed to apply the Training Max increase. Please try again.');
+      return;
+    }
+    const progress = pendingProgress;
+    setPendingProgress(null);
+    await saveProgress(progress);
+  };
+
+  /**
+   * Starts the next cycle without changing the Training Max.
+   */
+  const handleSkipBump = async () => {
+    const progress = pendingProgress;
+    setPendingProgress(null);
+    await saveProgress(progress);
+  };
+
+  const currentTrainingMax = lift.lift.getTrainingMax();
+  const progressLabel = blockWeek
+    ? `Block ${cycleNumber} · Week ${Math.min(weekIndex + 1, blockWeeks.length)} of ${blockWeeks.length} (${blockWeek.cycleName})`
+    : `Cycle ${cycleNumber} · Week ${Math.min(weekIndex + 1, cycleDefinitions.length)} of ${cycleDefinitions.length} (${getWeekDefinition(cycleDefinitions, weekIndex).name})`;
+  const completedLabel = blockWeek ? `${BLOCK_PHASE_LABELS[blockWeek.phase]} ${blockWeek.phaseCycle}` : `Cycle ${cycleNumber}`;
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.progressText, { color: colors.subText }]}>
+        {progressLabel}
+      </Text>
+      <TouchableOpacity onPress={handleCompleteWeek} style={[styles.completeButton, { borderColor: colors.primaryRed }]}>
+        <Text style={[styles.completeText, { color: colors.primaryRed }]}>Complete Week</Text>
+      </TouchableOpacity>
+
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={pendingProgress !== null}
+        onRequestClose={() => setPendingProgress(null)}
+      >
+        <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+          <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+            <Text style={[styles.modalTitle, { color: colors.text }]}>{`${completedLabel} complete!`}</Text>
+            <Text style={[styles.modalText, { color: colors.text }]}>
+              {`Proposed ${lift.lift.name} TM increase: +${toDisplayUnit(tmIncrement).toFixed(1)} ${unitLabel}`}
+            </Text>
+            <Text style={[styles.modalText, { color: colors.subText }]}>
+              {`TM ${toDisplayUnit(currentTrainingMax).toFixed(1)} → ${toDisplayUnit(currentTrainingMax + tmIncrement).toFixed(1)} ${unitLabel}`}
+            </Text>
+            <View style={styles.buttonContainer}>
+              <Button title="Apply Increase" onPress={handleAcceptBump} color={colors.primaryRed} />
+              <Button title="Skip" onPress={handleSkipBump} color={colors.subText} />
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  progressText: {
+    fontSize: 14,
+    marginRight: 10,
+  },
+  completeButton: {
+    borderWidth: 1,
+    borderRadius: 15,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  completeText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 15,
+  },
+  modalText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 15,
+  },
+});
+
+export default CycleProgressPanel;
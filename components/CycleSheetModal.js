@@ -0,0 +1,232 @@
+// components/CycleSheetModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, ScrollView, Share, Platform } from 'react-native';
+import { buildCycleSheet, formatCycleSheetText, formatCycleSheetHtml, describeSet } from '../utils/cycleSheet';
+import { formatWeight } from '../utils/units';
+
+const SHEET_FORMATS = {
+  TABLE: 'table',
+  TEXT: 'text',
+  HTML: 'html',
+};
+
+/**
+ * Opens the printable HTML in a new browser window and brings up the print dialog.
+ * @param {string} html - The HTML document.
+ * @returns {boolean} False when the window could not be opened (e.g. a popup blocker).
+ */
+const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    return false;
+  }
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
+
+const CycleSheetModal = ({ visible, lifts, settings, colors, onClose }) => {
+  const [sheetFormat, setSheetFormat] = useState(SHEET_FORMATS.TABLE);
+
+  /**
+   * useEffect hook to open on the table each time the modal is shown.
+   */
+  useEffect(() => {
+    if (visible) {
+      setSheetFormat(SHEET_FORMATS.TABLE);
+    }
+  }, [visible]);
+
+  if (!visible) return null;
+
+  const { isKg, cycleDefinitions, trainingBlock, roundingPolicy, warmUpPercentages } = settings;
+  const sheet = buildCycleSheet(lifts, {
+    unit: isKg ? 'kg' : 'lbs',
+    cycleDefinitions,
+    trainingBlock,
+    roundingPolicy,
+    warmUpPercentages,
+  });
+  const exportText = sheetFormat === SHEET_FORMATS.HTML ? formatCycleSheetHtml(sheet) : formatCycleSheetText(sheet);
+  const isWeb = Platform.OS === 'web';
+
+  /**
+   * Opens the system share sheet with the sheet as plain text, or as HTML when that format is shown.
+   */
+  const handleShare = async () => {
+    try {
+      await Share.share({ title: '5/3/1 Cycle Sheet', message: exportText });
+    } catch (error) {
+      console.error('Error sharing the cycle sheet:', error);
+      Alert.alert('Error', 'Sharing is not available here. Select and copy the text instead.');
+    }
+  };
+
+  /**
+   * Prints the HTML version of the sheet from the browser.
+   */
+  const handlePrint = () => {
+    if (!printHtml(formatCycleSheetHtml(sheet))) {
+      Alert.alert('Error', 'Could not open the print window. Allow pop-ups for this site and try again.');
+    }
+  };
+
+  const renderOption = (value, label) => (
+    <TouchableOpacity key={value} onPress={() => setSheetFormat(value)} style={styles.optionButton}>
+      <Text style={[styles.optionText, { color: sheetFormat === value ? colors.primaryRed : colors.subText }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderSets = (sets) => sets.map(describeSet).join('\n');
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Cycle Sheet</Text>
+
+          <View style={styles.optionRow}>
+            {renderOption(SHEET_FORMATS.TABLE, 'Table')}
+            {renderOption(SHEET_FORMATS.TEXT, 'Text')}
+            {renderOption(SHEET_FORMATS.HTML, 'HTML')}
+          </View>
+
+          {lifts.length === 0 ? (
+            <Text style={[styles.noteText, { color: colors.subText }]}>Add lifts to build a cycle sheet.</Text>
+          ) : sheetFormat === SHEET_FORMATS.TABLE ? (
+            <ScrollView style={styles.scrollArea}>
+              {sheet.weeks.map(week => (
+                <View key={week.label} style={styles.weekSection}>
+                  <Text style={[styles.weekTitle, { color: colors.text, borderBottomColor: colors.rpeSectionBorder }]}>{week.label}</Text>
+                  {week.lifts.map((sheetLift, index) => (
+                    <View key={`${week.label}-${index}`} style={[styles.liftRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                      <Text style={[styles.liftName, { color: colors.text }]}>
+                        {`${sheetLift.name}\nTM ${formatWeight(sheetLift.trainingMax)} ${sheet.unit}`}
+                      </Text>
+                      <Text style={[styles.setsText, { color: colors.subText }]}>{sheetLift.warmUp ? renderSets(sheetLift.warmUp) : '–'}</Text>
+                      <Text style={[styles.setsText, { color: colors.primaryRed }]}>{renderSets(sheetLift.workingSets)}</Text>
+                      <Text style={[styles.setsText, { color: colors.subText }]}>
+                        {sheetLift.supplemental
+                          ? `${sheetLift.supplementalLabel}\n${formatWeight(sheetLift.supplemental.weight)} ${sheetLift.supplemental.sets}×${sheetLift.supplemental.reps}`
+                          : '–'}
+                      </Text>
+                    </View>
+                  ))}
+                </View>
+              ))}
+            </ScrollView>
+          ) : (
+            <TextInput
+              style={[styles.textArea, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+              value={exportText}
+              editable={false}
+              multiline
+              selectTextOnFocus
+            />
+          )}
+
+          <View style={styles.buttonContainer}>
+            {sheetFormat !== SHEET_FORMATS.TABLE && (
+              <Button title="Share" onPress={handleShare} color={colors.primaryRed} disabled={lifts.length === 0} />
+            )}
+            {isWeb && <Button title="Print" onPress={handlePrint} color={colors.primaryRed} disabled={lifts.length === 0} />}
+            <Button title="Close" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  optionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  noteText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  scrollArea: {
+    width: '100%',
+  },
+  weekSection: {
+    marginBottom: 15,
+  },
+  weekTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    paddingBottom: 4,
+    borderBottomWidth: 1,
+  },
+  liftRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+  },
+  liftName: {
+    flex: 1.2,
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  setsText: {
+    flex: 1,
+    fontSize: 12,
+  },
+  textArea: {
+    width: '100%',
+    height: 300,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 12,
+    textAlignVertical: 'top',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default CycleSheetModal;
@@ -0,0 +1,295 @@
+// components/DataTransferModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, Share, ActivityIndicator } from 'react-native';
+import {
+  buildExportDocument,
+  serializeToJson,
+  serializeToCsv,
+  parseImportText,
+  findImportConflicts,
+  importData,
+  IMPORT_MODES,
+} from '../services/dataTransferService';
+
+const TABS = {
+  EXPORT: 'export',
+  IMPORT: 'import',
+};
+
+const EXPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+};
+
+const DataTransferModal = ({ visible, lifts, settings, colors, onClose, onImported }) => {
+  const [tab, setTab] = useState(TABS.EXPORT);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.JSON);
+  const [exportText, setExportText] = useState('');
+  const [importText, setImportText] = useState('');
+  const [parsedImport, setParsedImport] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * useEffect hook to start from a clean import each time the modal is opened.
+   */
+  useEffect(() => {
+    if (visible) {
+      setImportText('');
+      setParsedImport(null);
+    }
+  }, [visible]);
+
+  /**
+   * useEffect hook to regenerate the export whenever the Export tab is shown or the format changes.
+   * Settings are read when the export is built, so they are left out of the dependencies.
+   */
+  useEffect(() => {
+    if (!visible || tab !== TABS.EXPORT) {
+      return;
+    }
+
+    const generateExport = async () => {
+      try {
+        setIsWorking(true);
+        const exportDocument = await buildExportDocument(settings);
+        setExportText(exportFormat === EXPORT_FORMATS.JSON ? serializeToJson(exportDocument) : serializeToCsv(exportDocument));
+      } catch (error) {
+        console.error('Error building export:', error);
+        setExportText('');
+        Alert.alert('Error', 'Failed to export your data. Please try again.');
+      } finally {
+        setIsWorking(false);
+      }
+    };
+
+    generateExport();
+  }, [visible, tab, exportFormat]);
+
+  /**
+   * Opens the system share sheet with the exported text.
+   */
+  const handleShare = async () => {
+    try {
+      await Share.share({ title: `531 Strength Tracker export (${exportFormat.toUpperCase()})`, message: exportText });
+    } catch (error) {
+      console.error('Error sharing export:', error);
+      Alert.alert('Error', 'Sharing is not available here. Select and copy the text instead.');
+    }
+  };
+
+  /**
+   * Validates the pasted text and shows what would be imported.
+   */
+  const handleCheckImport = () => {
+    try {
+      setParsedImport(parseImportText(importText));
+    } catch (error) {
+      setParsedImport(null);
+      Alert.alert('Invalid Import', error.message);
+    }
+  };
+
+  /**
+   * Stores the checked import through the dbService layer and hands the imported settings back to the parent.
+   * @param {string} mode - One of IMPORT_MODES.
+   */
+  const handleImport = async (mode) => {
+    try {
+      setIsWorking(true);
+      const result = await importData(parsedImport, mode);
+      const summary = [`Imported ${result.imported.length} lift(s).`];
+      if (result.removed > 0) {
+        summary.push(`Replaced ${result.removed} existing lift(s).`);
+      }
+      if (result.skipped.length > 0) {
+        summary.push(`Kept your existing ${result.skipped.join(', ')}.`);
+      }
+      if (result.bodyweights > 0) {
+        summary.push(`Added ${result.bodyweights} bodyweight record(s).`);
+      }
+      Alert.alert('Import Complete', summary.join('\n'));
+      if (onImported) {
+        onImported(parsedImport.settings);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Error importing data:', error);
+      Alert.alert('Error', `Import stopped: ${error.message}`);
+      // Whatever was stored before the failure should still show up
+      if (onImported) {
+        onImported(null);
+      }
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const conflicts = parsedImport ? findImportConflicts(parsedImport, lifts) : [];
+
+  const renderOption = (value, label, selectedValue, onSelect) => (
+    <TouchableOpacity key={value} onPress={() => onSelect(value)} style={styles.optionButton}>
+      <Text style={[styles.optionText, { color: selectedValue === value ? colors.primaryRed : colors.subText }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Export / Import</Text>
+
+          <View style={styles.optionRow}>
+            {renderOption(TABS.EXPORT, 'Export', tab, setTab)}
+            {renderOption(TABS.IMPORT, 'Import', tab, setTab)}
+          </View>
+
+          {tab === TABS.EXPORT ? (
+            <>
+              <View style={styles.optionRow}>
+                {renderOption(EXPORT_FORMATS.JSON, 'JSON', exportFormat, setExportFormat)}
+                {renderOption(EXPORT_FORMATS.CSV, 'CSV', exportFormat, setExportFormat)}
+              </View>
+              {isWorking ? (
+                <ActivityIndicator size="large" color={colors.primaryRed} />
+              ) : (
+                <TextInput
+                  style={[styles.textArea, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={exportText}
+                  editable={false}
+                  multiline
+                  selectTextOnFocus
+                />
+              )}
+              <View style={styles.buttonContainer}>
+                <Button title="Share" onPress={handleShare} color={colors.primaryRed} disabled={isWorking || !exportText} />
+                <Button title="Close" onPress={onClose} color={colors.subText} />
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={[styles.helpText, { color: colors.subText }]}>Paste a JSON or CSV export below.</Text>
+              <TextInput
+                style={[styles.textArea, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                value={importText}
+                onChangeText={(text) => {
+                  setImportText(text);
+                  setParsedImport(null);
+                }}
+                placeholder="Paste export here"
+                placeholderTextColor={colors.subText}
+                multiline
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              {parsedImport && (
+                <View style={styles.summary}>
+                  <Text style={[styles.summaryText, { color: colors.text }]}>
+                    {`${parsedImport.lifts.length} lift(s) ready to import${parsedImport.exportedAt ? `, exported ${new Date(parsedImport.exportedAt).toLocaleDateString()}` : ''}.`}
+                  </Text>
+                  {conflicts.length > 0 && (
+                    <Text style={[styles.summaryText, { color: colors.primaryRed }]}>
+                      {`Already in the app: ${conflicts.join(', ')}. Merge keeps your existing versions.`}
+                    </Text>
+                  )}
+                  <Text style={[styles.summaryText, { color: colors.subText }]}>
+                    {`Replace All deletes your ${lifts.length} existing lift(s) and their history first.`}
+                  </Text>
+                </View>
+              )}
+
+              {isWorking ? (
+                <ActivityIndicator size="large" color={colors.primaryRed} />
+              ) : (
+                <View style={styles.buttonContainer}>
+                  {parsedImport ? (
+                    <>
+                      <Button title="Merge" onPress={() => handleImport(IMPORT_MODES.MERGE)} color={colors.primaryRed} />
+                      <Button title="Replace All" onPress={() => handleImport(IMPORT_MODES.REPLACE)} color={colors.primaryRed} />
+                    </>
+                  ) : (
+                    <Button title="Check" onPress={handleCheckImport} color={colors.primaryRed} />
+                  )}
+                  <Button title="Cancel" onPress={onClose} color={colors.subText} />
+                </View>
+              )}
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  optionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  helpText: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  textArea: {
+    height: 220,
+    width: '100%',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 12,
+    textAlignVertical: 'top',
+  },
+  summary: {
+    width: '100%',
+    marginTop: 10,
+  },
+  summaryText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default DataTransferModal;
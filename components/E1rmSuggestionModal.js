@@ -0,0 +1,234 @@
+// components/E1rmSuggestionModal.js
+import React, { useState } from 'react';
+import { Modal, View, Text, Button, StyleSheet, Alert, TouchableOpacity } from 'react-native';
+import { updateLift } from '../services/dbService';
+import { Lift, MAX_CHANGE_SOURCES } from '../models/liftModels';
+import { E1RM_FORMULAS, e1rmFormulaLabels, estimateOneRepMax, suggestMaxUpdate } from '../utils/oneRepMax';
+import { calculateTrainingWeights, isAmrapCycle } from '../utils/trainingCalculations';
+import { createLiftWeightRounder } from '../utils/weightRounding';
+import { defaultRoundingPolicy } from '../constants/rounding';
+import { convertWeight } from '../utils/units';
+import { DEFAULT_CYCLE_DEFINITIONS } from '../constants/cycles';
+
+const E1rmSuggestionModal = ({ visible, lift, session, isKg, colors, roundingPolicy = defaultRoundingPolicy, cycleDefinitions = DEFAULT_CYCLE_DEFINITIONS, onClose, onLiftUpdated }) => {
+  const [formula, setFormula] = useState(E1RM_FORMULAS.EPLEY);
+
+  const amrapSet = session ? session.getAmrapSet() : null;
+  if (!lift || !amrapSet) return null;
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+  // Everything below works in the unit the AMRAP set was logged in, which is also the unit the new 1RM is saved in.
+  const workingUnit = amrapSet.unit;
+  const toDisplayUnit = (weight) => convertWeight(weight, workingUnit, unitLabel);
+  const roundWeight = createLiftWeightRounder(roundingPolicy, unitLabel, lift.lift.category);
+
+  const currentMax = convertWeight(lift.lift.maxWeight, lift.lift.unit, workingUnit);
+  const estimatedMax = estimateOneRepMax(amrapSet.weight, amrapSet.reps, formula);
+  const suggestion = estimatedMax
+    ? suggestMaxUpdate(estimatedMax, currentMax, amrapSet.reps, amrapSet.targetReps)
+    : { action: 'keep', difference: 0 };
+
+  // The lift as it would be with the estimated 1RM, keeping the same TM percentage.
+  const currentLift = new Lift(lift.lift.name, currentMax, lift.lift.tmPercentage, null, workingUnit, lift.lift.category);
+  const proposedLift = new Lift(lift.lift.name, estimatedMax || currentMax, lift.lift.tmPercentage, null, workingUnit, lift.lift.category);
+
+  // The weeks an estimated 1RM matters for: those with an AMRAP set
+  const amrapCycleDefinitions = cycleDefinitions.filter(definition => !definition.isDeload && isAmrapCycle(definition));
+
+  /**
+   * Builds a short "a / b / c" summary of the working set weights for one cycle.
+   * @param {Lift} sourceLift - The lift whose Training Max the weights are based on.
+   * @param {Object} cycleDefinition - The training cycle to calculate.
+   * @returns {string} The working set weights in the display unit.
+   */
+  const describeWorkingSets = (sourceLift, cycleDefinition) => {
+    const { workingSets } = calculateTrainingWeights(toDisplayUnit(sourceLift.getTrainingMax()), cycleDefinition, roundWeight);
+    return workingSets.sets.map(set => set.weight).join(' / ');
+  };
+
+  /**
+   * Saves the estimated 1RM as the lift's new max through the `updateLift` service.
+   */
+  const handleApply = async () => {
+    try {
+      const success = await updateLift(lift.id, estimatedMax, undefined, MAX_CHANGE_SOURCES.E1RM, workingUnit);
+      if (success) {
+        Alert.alert('Success', `${lift.lift.name} 1RM updated to ${toDisplayUnit(estimatedMax).toFixed(1)} ${unitLabel}.`);
+        if (onLiftUpdated) {
+          onLiftUpdated();
+        }
+        onClose();
+      } else {
+        Alert.alert('Error', 'Failed to update lift. No lift found with this ID.');
+      }
+    } catch (error) {
+      console.error('Error applying estimated 1RM:', error);
+      Alert.alert('Error', 'Failed to update lift. Please try again.');
+    }
+  };
+
+  const suggestionText = {
+    increase: `Your estimate is ${toDisplayUnit(suggestion.difference).toFixed(1)} ${unitLabel} above your current 1RM.`,
+    decrease: `You missed the ${amrapSet.targetReps}+ target. Consider lowering your 1RM by ${toDisplayUnit(-suggestion.difference).toFixed(1)} ${unitLabel}.`,
+    keep: 'Your current 1RM is still a good fit. No change needed.',
+  }[suggestion.action];
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>{`${lift.lift.name} e1RM`}</Text>
+          <Text style={[styles.setText, { color: colors.subText }]}>
+            {`${toDisplayUnit(amrapSet.weight).toFixed(1)} ${unitLabel} x ${amrapSet.reps}`}
+          </Text>
+
+          <View style={styles.formulaRow}>
+            {Object.values(E1RM_FORMULAS).map(option => (
+              <TouchableOpacity key={option} onPress={() => setFormula(option)} style={styles.formulaButton}>
+                <Text style={[styles.formulaText, { color: formula === option ? colors.primaryRed : colors.subText }]}>
+                  {e1rmFormulaLabels[option]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.comparisonRow}>
+            <View style={styles.comparisonColumn}>
+              <Text style={[styles.comparisonLabel, { color: colors.subText }]}>Current 1RM</Text>
+              <Text style={[styles.comparisonValue, { color: colors.text }]}>{`${toDisplayUnit(currentMax).toFixed(1)} ${unitLabel}`}</Text>
+            </View>
+            <View style={styles.comparisonColumn}>
+              <Text style={[styles.comparisonLabel, { color: colors.subText }]}>Estimated 1RM</Text>
+              <Text style={[styles.comparisonValue, { color: colors.primaryRed }]}>
+                {estimatedMax ? `${toDisplayUnit(estimatedMax).toFixed(1)} ${unitLabel}` : '-'}
+              </Text>
+            </View>
+          </View>
+
+          <Text style={[styles.suggestionText, { color: colors.text }]}>{suggestionText}</Text>
+
+          {suggestion.action !== 'keep' && (
+            <View style={[styles.previewSection, { borderTopColor: colors.rpeSectionBorder }]}>
+              <Text style={[styles.previewHeader, { color: colors.text }]}>{`Next cycle working sets (${unitLabel})`}</Text>
+              {amrapCycleDefinitions.map(cycle => (
+                <View key={cycle.name} style={styles.previewRow}>
+                  <Text style={[styles.previewCycle, { color: colors.text }]}>{cycle.name}</Text>
+                  <Text style={[styles.previewWeights, { color: colors.subText }]}>{describeWorkingSets(currentLift, cycle)}</Text>
+                  <Text style={[styles.previewWeights, { color: colors.primaryRed }]}>{describeWorkingSets(proposedLift, cycle)}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+
+          <View style={styles.buttonContainer}>
+            {suggestion.action !== 'keep' && (
+              <Button title="Update 1RM" onPress={handleApply} color={colors.primaryRed} />
+            )}
+            <Button title={suggestion.action === 'keep' ? 'Close' : 'Not Now'} onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  setText: {
+    fontSize: 16,
+    marginBottom: 15,
+  },
+  formulaRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  formulaButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  formulaText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  comparisonRow: {
+    flexDirection: 'row',
+    width: '100%',
+    marginBottom: 15,
+  },
+  comparisonColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  comparisonLabel: {
+    fontSize: 14,
+  },
+  comparisonValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  suggestionText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  previewSection: {
+    width: '100%',
+    marginTop: 5,
+    paddingTop: 10,
+    borderTopWidth: 1,
+  },
+  previewHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    paddingVertical: 3,
+  },
+  previewCycle: {
+    flex: 0.7,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  previewWeights: {
+    flex: 1.5,
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default E1rmSuggestionModal;
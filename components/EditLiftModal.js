@@ -1,14 +1,56 @@
 // components/EditLiftModal.js
 import React, { useState, useEffect } from 'react';
-import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, Switch } from 'react-native';
-import { addLift, updateLift } from '../services/dbService';
-import { Lift, TrackingLift } from '../models/liftModels';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, Switch, ScrollView } from 'react-native';
+import { addLift, updateLift, updateLiftTmIncrement, updateLiftCategory, fetchLiftHistory } from '../services/dbService';
+import { Lift, LiftCategory, TrackingLift, MAX_CHANGE_SOURCES } from '../models/liftModels';
+import LiftCategoryPicker from './LiftCategoryPicker';
+import { roundToIncrement } from '../utils/weightRounding';
+import { getDefaultTmIncrement } from '../utils/cycleProgression';
+import { defaultRoundingPolicy } from '../constants/rounding';
+import { DEFAULT_TM_INCREMENTS } from '../constants/progression';
+import { EQUIPMENT_INCREMENTS } from '../constants/liftCategories';
+import { convertWeight, formatWeight } from '../utils/units';
 
-const LBS_TO_KG_FACTOR = 0.453592;
+const changeSourceLabels = {
+  [MAX_CHANGE_SOURCES.CREATED]: 'Added',
+  [MAX_CHANGE_SOURCES.EDIT]: 'Edited',
+  [MAX_CHANGE_SOURCES.E1RM]: 'From e1RM',
+  [MAX_CHANGE_SOURCES.TM_BUMP]: 'Cycle TM bump',
+};
 
-const EditLiftModal = ({ visible, lift, isKg, colors, onClose, onSave }) => {
+const EditLiftModal = ({ visible, lift, colors, roundingPolicy = defaultRoundingPolicy, tmIncrements = DEFAULT_TM_INCREMENTS, onClose, onSave }) => {
   const [editedWeight, setEditedWeight] = useState('');
-  const [currentUnit, setCurrentUnit] = useState(isKg ? 'kg' : 'lbs');
+  const [currentUnit, setCurrentUnit] = useState(lift ? lift.lift.unit : 'lbs');
+  const [editedTmPercentage, setEditedTmPercentage] = useState('');
+  const [history, setHistory] = useState([]);
+  const [editedTmIncrement, setEditedTmIncrement] = useState('');
+  const [editedCategory, setEditedCategory] = useState(new LiftCategory());
+
+  // Dumbbell and machine lifts step by what their equipment offers instead of the rounding policy
+  const equipmentIncrements = EQUIPMENT_INCREMENTS[editedCategory.equipment];
+  const incrementAmount = equipmentIncrements ? equipmentIncrements[currentUnit] : roundingPolicy.increments[currentUnit];
+  const doubleIncrementAmount = incrementAmount * 2;
+
+  /**
+   * Formats a stored weight in the modal's current unit. A weight stored in that unit is shown
+   * exactly as it was entered; only weights stored in the other unit are converted.
+   * @param {number} weight - The stored weight.
+   * @param {'lbs' | 'kg'} unit - The unit the weight was stored in.
+   * @returns {string} The weight in the current unit, without the unit label.
+   */
+  const formatInCurrentUnit = (weight, unit) => (
+    unit === currentUnit ? formatWeight(weight) : convertWeight(weight, unit, currentUnit).toFixed(1)
+  );
+
+  /**
+   * useEffect hook to edit the lift in the unit its max is stored in each time the modal is opened,
+   * so the max shows exactly as it was entered.
+   */
+  useEffect(() => {
+    if (visible && lift) {
+      setCurrentUnit(lift.lift.unit);
+    }
+  }, [visible, lift]);
 
   /**
    * useEffect hook to update the editedWeight state when the 'lift' prop or 'currentUnit' changes.
@@ -16,84 +58,147 @@ const EditLiftModal = ({ visible, lift, isKg, colors, onClose, onSave }) => {
    */
   useEffect(() => {
     if (lift) {
-      if (currentUnit === 'kg') {
-        setEditedWeight((lift.lift.maxWeight * LBS_TO_KG_FACTOR).toFixed(1));
+      setEditedWeight(formatInCurrentUnit(lift.lift.maxWeight, lift.lift.unit));
+    }
+  }, [lift, currentUnit]);
+
+  /**
+   * useEffect hook to reset the Training Max percentage and category inputs whenever a different lift is opened.
+   */
+  useEffect(() => {
+    if (lift) {
+      setEditedTmPercentage(String(lift.lift.tmPercentage));
+      setEditedCategory(lift.lift.category);
+    }
+  }, [lift]);
+
+  /**
+   * useEffect hook to show a custom end-of-cycle TM increase in the selected unit.
+   * The input is left empty when the lift uses the standard increase.
+   */
+  useEffect(() => {
+    if (lift) {
+      const { tmIncrement } = lift.lift;
+      if (tmIncrement === null || tmIncrement === undefined) {
+        setEditedTmIncrement('');
       } else {
-        setEditedWeight(lift.lift.maxWeight.toFixed(1));
+        setEditedTmIncrement(formatInCurrentUnit(tmIncrement, lift.lift.unit));
       }
     }
   }, [lift, currentUnit]);
 
   /**
-   * Toggles the unit of measurement between 'lbs' and 'kg' for the modal's input and display.
+   * useEffect hook to load the lift's max history each time the modal is opened.
    */
-  const toggleModalUnit = () => {
-    setCurrentUnit(prevUnit => (prevUnit === 'lbs' ? 'kg' : 'lbs'));
-  };
+  useEffect(() => {
+    if (!visible || !lift || !lift.id) {
+      return;
+    }
+    fetchLiftHistory(lift.id)
+      .then(setHistory)
+      .catch(error => {
+        console.error('Error loading lift history:', error);
+        setHistory([]);
+      });
+  }, [visible, lift]);
 
   /**
-   * Converts a given weight from its current unit to pounds (lbs).
-   * @param {string} weight - The weight value as a string.
-   * @param {'lbs' | 'kg'} unit - The unit of the provided weight.
-   * @returns {number} The converted weight in pounds.
+   * Formats a history record's weight in the modal's current unit.
+   * @param {MaxWeightRecord} record - The history record.
+   * @returns {string} The formatted weight with its unit.
    */
-  const convertInputToLbs = (weight, unit) => {
-    const numWeight = parseFloat(weight);
-    if (isNaN(numWeight)) return 0;
-    return unit === 'kg' ? numWeight / LBS_TO_KG_FACTOR : numWeight;
+  const formatHistoryWeight = (record) => `${formatInCurrentUnit(record.maxWeight, record.unit)} ${currentUnit}`;
+
+  /**
+   * Toggles the unit of measurement between 'lbs' and 'kg' for the modal's input and display.
+   */
+  const toggleModalUnit = () => {
+    setCurrentUnit(prevUnit => (prevUnit === 'lbs' ? 'kg' : 'lbs'));
   };
 
   /**
    * Handles incrementing the edited weight by a specified amount.
-   * The increment is applied in pounds, then converted back to the current display unit.
-   * @param {number} amount - The amount to increment the weight by (in lbs if unit is lbs, or kg if unit is kg).
+   * The increment is applied in the current display unit, and the result is snapped to the
+   * user's rounding policy (or the lift's equipment steps) so the buttons always land on a loadable weight.
+   * @param {number} amount - The amount to increment the weight by, in the current unit.
    */
   const handleIncrement = (amount) => {
-    let currentLbs = convertInputToLbs(editedWeight, currentUnit);
-    let newWeightLbs = currentLbs + amount;
-
-    if (currentUnit === 'kg') {
-      setEditedWeight((newWeightLbs * LBS_TO_KG_FACTOR).toFixed(1));
-    } else {
-      setEditedWeight(newWeightLbs.toFixed(1));
-    }
+    const currentWeight = parseFloat(editedWeight) || 0;
+    const newWeight = roundToIncrement(currentWeight + amount, incrementAmount, roundingPolicy.mode);
+    setEditedWeight(newWeight.toFixed(1));
   };
 
   /**
-   * Handles decrementing the edited weight by a specified amount.
-   * The decrement is applied in pounds, then converted back to the current display unit, ensuring it doesn't go below zero.
-   * @param {number} amount - The amount to decrement the weight by (in lbs if unit is lbs, or kg if unit is kg).
+   * Handles decrementing the edited weight by a specified amount, ensuring it doesn't go below zero.
+   * The result is snapped to the user's rounding policy in the current display unit.
+   * @param {number} amount - The amount to decrement the weight by, in the current unit.
    */
   const handleDecrement = (amount) => {
-    let currentLbs = convertInputToLbs(editedWeight, currentUnit);
-    let newWeightLbs = Math.max(0, currentLbs - amount); // Ensure weight doesn't go below 0
-
-    if (currentUnit === 'kg') {
-      setEditedWeight((newWeightLbs * LBS_TO_KG_FACTOR).toFixed(1));
-    } else {
-      setEditedWeight(newWeightLbs.toFixed(1));
-    }
+    const currentWeight = parseFloat(editedWeight) || 0;
+    const newWeight = roundToIncrement(Math.max(0, currentWeight - amount), incrementAmount, roundingPolicy.mode);
+    setEditedWeight(newWeight.toFixed(1));
   };
 
   /**
-   * Handles saving the changes to the lift's max weight.
-   * It validates the input, converts the weight to lbs (as the database stores lbs),
-   * and then calls the appropriate service function (updateLift) to persist the change.
+   * Handles saving the changes to the lift's max weight, Training Max percentage, TM increase and category.
+   * It validates the input and then calls the appropriate service functions (updateLift)
+   * to persist the change. Values are saved exactly as typed, together with the modal's unit.
    */
   const handleSave = async () => {
-    // Convert the editedWeight from its current unit back to LBS for database storage
-    const newMaxWeightInLbs = convertInputToLbs(editedWeight, currentUnit);
+    const newMaxWeight = parseFloat(editedWeight);
 
-    if (isNaN(newMaxWeightInLbs) || newMaxWeightInLbs <= 0) {
+    if (isNaN(newMaxWeight) || newMaxWeight <= 0) {
       Alert.alert('Invalid Weight', 'Please enter a valid max weight greater than zero.');
       return;
     }
 
+    const newTmPercentage = parseFloat(editedTmPercentage);
+    if (isNaN(newTmPercentage) || newTmPercentage <= 0 || newTmPercentage > 100) {
+      Alert.alert('Invalid Percentage', 'Please enter a Training Max percentage between 1 and 100.');
+      return;
+    }
+
+    let newTmIncrement = null; // An empty input means the standard increase
+    if (editedTmIncrement.trim() !== '') {
+      newTmIncrement = parseFloat(editedTmIncrement);
+      if (isNaN(newTmIncrement) || newTmIncrement < 0) {
+        Alert.alert('Invalid Increase', 'Please enter a TM increase of zero or more, or leave it empty for the standard increase.');
+        return;
+      }
+    }
+
     try {
       if (lift && lift.id) {
         // If 'lift' has an ID, it means we are updating an existing lift
         // Call the 'updateLift' function from dbService
-        const success = await updateLift(lift.id, newMaxWeightInLbs);
+        // Values are compared as displayed, so opening the modal in the other unit and saving
+        // without edits doesn't replace a stored value with a converted one.
+        const { tmIncrement } = lift.lift;
+        const originalTmIncrement = tmIncrement === null || tmIncrement === undefined
+          ? null
+          : parseFloat(formatInCurrentUnit(tmIncrement, lift.lift.unit));
+        if (newTmIncrement !== originalTmIncrement) {
+          await updateLiftTmIncrement(lift.id, newTmIncrement, currentUnit);
+        }
+
+        const { category } = lift.lift;
+        if (editedCategory.bodyRegion !== category.bodyRegion || editedCategory.role !== category.role || editedCategory.equipment !== category.equipment) {
+          await updateLiftCategory(lift.id, editedCategory);
+        }
+
+        // Only add a max history record when the max or TM percentage actually changed.
+        // A max that wasn't edited keeps its stored value and unit, even when the modal shows it converted.
+        const weightChanged = newMaxWeight !== parseFloat(formatInCurrentUnit(lift.lift.maxWeight, lift.lift.unit));
+        const maxChanged = weightChanged || newTmPercentage !== lift.lift.tmPercentage;
+        const success = maxChanged
+          ? await updateLift(
+            lift.id,
+            weightChanged ? newMaxWeight : lift.lift.maxWeight,
+            newTmPercentage,
+            MAX_CHANGE_SOURCES.EDIT,
+            weightChanged ? currentUnit : lift.lift.unit
+          )
+          : true;
         if (success) {
           Alert.alert('Success', 'Lift updated successfully!');
         } else {
@@ -111,9 +216,6 @@ const EditLiftModal = ({ visible, lift, isKg, colors, onClose, onSave }) => {
 
   if (!lift) return null; // Don't render if no lift is provided
 
-  const incrementAmount = currentUnit === 'kg' ? 2.5 : 5;
-  const doubleIncrementAmount = currentUnit === 'kg' ? 5 : 10;
-
   return (
     <Modal
       animationType="slide"
@@ -139,7 +241,7 @@ const EditLiftModal = ({ visible, lift, isKg, colors, onClose, onSave }) => {
 
           <TextInput
             style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
-            placeholder={`Max Weight (${currentUnit.toUpperCase()})`}
+            placeholder={`1RM (${currentUnit.toUpperCase()})`}
             placeholderTextColor={colors.subText}
             value={editedWeight}
             onChangeText={setEditedWeight}
@@ -161,6 +263,49 @@ const EditLiftModal = ({ visible, lift, isKg, colors, onClose, onSave }) => {
             </TouchableOpacity>
           </View>
 
+          <Text style={[styles.inputLabel, { color: colors.subText }]}>Training Max (% of 1RM)</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            placeholder="TM %"
+            placeholderTextColor={colors.subText}
+            value={editedTmPercentage}
+            onChangeText={setEditedTmPercentage}
+            keyboardType="numeric"
+          />
+          <Text style={[styles.trainingMaxPreview, { color: colors.subText }]}>
+            {`Training Max: ${((parseFloat(editedWeight) || 0) * ((parseFloat(editedTmPercentage) || 0) / 100)).toFixed(1)} ${currentUnit}`}
+          </Text>
+
+          <Text style={[styles.inputLabel, { color: colors.subText }]}>{`TM increase per cycle (${currentUnit})`}</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            placeholder={`Standard: +${formatWeight(getDefaultTmIncrement(editedCategory, currentUnit, tmIncrements))}`}
+            placeholderTextColor={colors.subText}
+            value={editedTmIncrement}
+            onChangeText={setEditedTmIncrement}
+            keyboardType="numeric"
+          />
+
+          <Text style={[styles.inputLabel, { color: colors.subText }]}>Category</Text>
+          <LiftCategoryPicker category={editedCategory} colors={colors} onChangeCategory={setEditedCategory} />
+
+          {history.length > 0 && (
+            <View style={[styles.historySection, { borderTopColor: colors.rpeSectionBorder }]}>
+              <Text style={[styles.historyHeader, { color: colors.text }]}>History</Text>
+              <ScrollView style={styles.historyList}>
+                {history.map(record => (
+                  <View key={record.id} style={styles.historyRow}>
+                    <Text style={[styles.historyDate, { color: colors.subText }]}>{new Date(record.date).toLocaleDateString()}</Text>
+                    <Text style={[styles.historyWeight, { color: colors.text }]}>{formatHistoryWeight(record)}</Text>
+                    <Text style={[styles.historyDetail, { color: colors.subText }]}>
+                      {`${record.tmPercentage}% · ${changeSourceLabels[record.source] || record.source}`}
+                    </Text>
+                  </View>
+                ))}
+              </ScrollView>
+            </View>
+          )}
+
           <View style={styles.buttonContainer}>
             <Button title="Save Changes" onPress={handleSave} color={colors.primaryRed} />
             <Button title="Cancel" onPress={onClose} color={colors.subText} />
@@ -208,6 +353,15 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginHorizontal: 5,
   },
+  inputLabel: {
+    alignSelf: 'flex-start',
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  trainingMaxPreview: {
+    fontSize: 14,
+    marginBottom: 10,
+  },
   input: {
     height: 50,
     borderWidth: 1,
@@ -237,6 +391,40 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  historySection: {
+    width: '100%',
+    borderTopWidth: 1,
+    paddingTop: 10,
+    marginBottom: 10,
+  },
+  historyHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  historyList: {
+    maxHeight: 150,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    paddingVertical: 3,
+  },
+  historyDate: {
+    flex: 1,
+    fontSize: 13,
+  },
+  historyWeight: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  historyDetail: {
+    flex: 1,
+    fontSize: 13,
+    textAlign: 'right',
+  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'space-around',
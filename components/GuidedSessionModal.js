@@ -0,0 +1,347 @@
+// components/GuidedSessionModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, ScrollView } from 'react-native';
+import RestTimer from './RestTimer';
+import { SessionDraft, SET_TYPES } from '../models/workoutModels';
+import { calculatePlateLoading, describePlateLoading } from '../utils/plateCalculator';
+import { getRestSeconds } from '../utils/restTimer';
+
+const setTypeLabels = {
+  [SET_TYPES.WARM_UP]: 'Warm-up',
+  [SET_TYPES.WORKING]: 'Working Set',
+  [SET_TYPES.JOKER]: 'Joker Set',
+  [SET_TYPES.SUPPLEMENTAL]: 'Supplemental',
+  [SET_TYPES.ACCESSORY]: 'Accessory',
+};
+
+const GuidedSessionModal = ({ visible, draft, liftName, colors, plateInventories, usesPlates = true, restSeconds, onChangeDraft, onFinish, onDiscard, onClose }) => {
+  const [weightText, setWeightText] = useState('');
+  const [repsText, setRepsText] = useState('');
+  const [restEndTime, setRestEndTime] = useState(null);
+
+  const step = draft ? draft.steps[draft.stepIndex] : null;
+
+  /**
+   * useEffect hook to fill the inputs whenever another step is shown: what was logged for it,
+   * or else the prescription. AMRAP reps are left blank so the actual reps get entered.
+   */
+  useEffect(() => {
+    if (visible && step) {
+      const weight = step.loggedWeight ?? step.weight;
+      setWeightText(weight === null ? '' : String(weight));
+      setRepsText(step.loggedReps !== null ? String(step.loggedReps) : (step.isAmrap ? '' : String(step.reps)));
+    }
+  }, [visible, draft ? draft.stepIndex : null]);
+
+  if (!draft || !step) return null;
+
+  const stepCount = draft.steps.length;
+  const plateInventory = plateInventories && usesPlates ? plateInventories[draft.unit] : null;
+  const isAccessory = step.setType === SET_TYPES.ACCESSORY;
+  const plateLoading = plateInventory && !isAccessory ? calculatePlateLoading(step.weight, plateInventory.barWeight, plateInventory.plates) : null;
+
+  /**
+   * Describes the prescribed weight of the step. Accessory steps are prescribed as added weight
+   * for bodyweight exercises, and without a weight for weighted ones.
+   * @returns {string} The weight to show.
+   */
+  const describeStepWeight = () => {
+    if (!isAccessory) {
+      return `${step.weight} ${draft.unit}`;
+    }
+    if (step.weight === null) {
+      return 'Weight of your choice';
+    }
+    return step.weight > 0 ? `BW+${step.weight} ${draft.unit}` : 'Bodyweight';
+  };
+
+  /**
+   * Passes a changed copy of the draft to the parent, which stores it so the session can be resumed.
+   * @param {Array<SessionStep>} steps - The steps of the session.
+   * @param {number} stepIndex - The step to show.
+   */
+  const changeDraft = (steps, stepIndex) => {
+    onChangeDraft(new SessionDraft(draft.liftId, draft.cycle, draft.unit, steps, stepIndex, new Date().toISOString()));
+  };
+
+  /**
+   * Shows another step without checking the current one off.
+   * @param {number} stepIndex - The step to show.
+   */
+  const goToStep = (stepIndex) => {
+    if (stepIndex >= 0 && stepIndex < stepCount && stepIndex !== draft.stepIndex) {
+      changeDraft(draft.steps, stepIndex);
+    }
+  };
+
+  /**
+   * Checks the current set off with the entered weight and reps, starts the rest and moves on to the next set.
+   */
+  const handleDone = () => {
+    const weight = parseFloat(weightText);
+    const reps = parseInt(repsText, 10);
+    if (isNaN(weight) || weight < 0 || isNaN(reps) || reps < 0) {
+      Alert.alert('Validation Error', `Please enter a valid weight and reps for ${step.label}.`);
+      return;
+    }
+
+    const steps = draft.steps.map((item, index) => (
+      index === draft.stepIndex
+        ? item.withLog(weight, reps, true)
+        : item
+    ));
+    const isLastStep = draft.stepIndex === stepCount - 1;
+    if (!isLastStep) {
+      setRestEndTime(Date.now() + getRestSeconds(step.setType, restSeconds) * 1000);
+    }
+    changeDraft(steps, isLastStep ? draft.stepIndex : draft.stepIndex + 1);
+  };
+
+  /**
+   * Un-checks the current set, e.g. after checking it off by mistake.
+   */
+  const handleUndo = () => {
+    const steps = draft.steps.map((item, index) => (
+      index === draft.stepIndex
+        ? item.withLog(item.loggedWeight, item.loggedReps, false)
+        : item
+    ));
+    changeDraft(steps, draft.stepIndex);
+  };
+
+  /**
+   * Logs the checked-off sets once at least one is done.
+   */
+  const handleFinish = () => {
+    if (draft.getDoneCount() === 0) {
+      Alert.alert('Nothing to Log', 'Check off at least one set before finishing the session.');
+      return;
+    }
+    setRestEndTime(null);
+    onFinish();
+  };
+
+  /**
+   * Throws the session away after confirmation.
+   */
+  const handleDiscard = () => {
+    Alert.alert(
+      'Discard Session',
+      'The sets checked off in this session will not be logged. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            setRestEndTime(null);
+            onDiscard();
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>{`${liftName} · ${draft.cycle}`}</Text>
+          <Text style={[styles.progressText, { color: colors.subText }]}>
+            {`Set ${draft.stepIndex + 1} of ${stepCount} · ${draft.getDoneCount()} done`}
+          </Text>
+
+          <ScrollView horizontal={true} showsHorizontalScrollIndicator={false} contentContainerStyle={styles.stepStrip}>
+            {draft.steps.map((item, index) => (
+              <TouchableOpacity key={`step-${index}`} onPress={() => goToStep(index)} style={styles.stepMarkerButton}>
+                <Text style={[
+                  styles.stepMarker,
+                  { color: index === draft.stepIndex ? colors.primaryRed : colors.subText },
+                ]}>
+                  {item.isDone ? '●' : '○'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <RestTimer endTime={restEndTime} colors={colors} onChangeEndTime={setRestEndTime} />
+
+          <Text style={[styles.setTypeText, { color: colors.subText }]}>
+            {`${setTypeLabels[step.setType] || step.setType} · ${step.label}${step.isDone ? ' ✓' : ''}`}
+          </Text>
+          <Text style={[styles.weightText, { color: colors.primaryRed }]}>{describeStepWeight()}</Text>
+          {plateLoading && (
+            <Text style={[styles.plateText, { color: plateLoading.isExact ? colors.subText : colors.primaryRed }]}>
+              {describePlateLoading(plateLoading, draft.unit)}
+            </Text>
+          )}
+          <Text style={[styles.targetText, { color: colors.text }]}>
+            {step.isAmrap ? `${step.reps}+ reps (as many as possible)` : `${step.reps} reps`}
+          </Text>
+
+          <View style={styles.inputRow}>
+            <View style={styles.inputColumn}>
+              <Text style={[styles.inputLabel, { color: colors.subText }]}>
+                {isAccessory && step.weight !== null ? `Added Weight (${draft.unit})` : `Weight (${draft.unit})`}
+              </Text>
+              <TextInput
+                style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                value={weightText}
+                onChangeText={setWeightText}
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={styles.inputColumn}>
+              <Text style={[styles.inputLabel, { color: colors.subText }]}>Reps</Text>
+              <TextInput
+                style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: step.isAmrap ? colors.primaryRed : colors.inputBorder, color: colors.text }]}
+                placeholder={step.isAmrap ? 'AMRAP' : ''}
+                placeholderTextColor={colors.subText}
+                value={repsText}
+                onChangeText={setRepsText}
+                keyboardType="number-pad"
+              />
+            </View>
+          </View>
+
+          <View style={styles.stepControls}>
+            <TouchableOpacity onPress={() => goToStep(draft.stepIndex - 1)} disabled={draft.stepIndex === 0} style={styles.stepButton}>
+              <Text style={[styles.stepButtonText, { color: draft.stepIndex === 0 ? colors.inputBorder : colors.subText }]}>Back</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={step.isDone ? handleUndo : handleDone}
+              style={[styles.doneButton, { backgroundColor: step.isDone ? colors.subText : colors.primaryRed }]}
+            >
+              <Text style={[styles.doneButtonText, { color: colors.modalContentBackground }]}>{step.isDone ? 'Undo' : 'Done ✓'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => goToStep(draft.stepIndex + 1)} disabled={draft.stepIndex === stepCount - 1} style={styles.stepButton}>
+              <Text style={[styles.stepButtonText, { color: draft.stepIndex === stepCount - 1 ? colors.inputBorder : colors.subText }]}>Next</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Finish & Log" onPress={handleFinish} color={colors.primaryRed} />
+            <Button title="Pause" onPress={onClose} color={colors.subText} />
+            <Button title="Discard" onPress={handleDiscard} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '90%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  progressText: {
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  stepStrip: {
+    alignItems: 'center',
+    paddingVertical: 5,
+  },
+  stepMarkerButton: {
+    paddingHorizontal: 3,
+  },
+  stepMarker: {
+    fontSize: 16,
+  },
+  setTypeText: {
+    fontSize: 16,
+    marginTop: 5,
+  },
+  weightText: {
+    fontSize: 40,
+    fontWeight: 'bold',
+    marginVertical: 5,
+  },
+  plateText: {
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  targetText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    width: '100%',
+  },
+  inputColumn: {
+    alignItems: 'center',
+    marginHorizontal: 10,
+  },
+  inputLabel: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  input: {
+    height: 44,
+    width: 90,
+    borderWidth: 1,
+    borderRadius: 8,
+    fontSize: 18,
+    textAlign: 'center',
+  },
+  stepControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: '100%',
+    marginTop: 20,
+  },
+  stepButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+  },
+  stepButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  doneButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 30,
+    borderRadius: 8,
+  },
+  doneButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default GuidedSessionModal;
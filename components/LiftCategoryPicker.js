@@ -0,0 +1,75 @@
+// components/LiftCategoryPicker.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { LiftCategory } from '../models/liftModels';
+import {
+  BODY_REGIONS, BODY_REGION_LABELS, LIFT_ROLES, LIFT_ROLE_LABELS, EQUIPMENT_TYPES, EQUIPMENT_TYPE_LABELS,
+} from '../constants/liftCategories';
+
+const LiftCategoryPicker = ({ category, colors, onChangeCategory }) => {
+  /**
+   * Passes a copy of the category with one attribute changed to the parent.
+   * @param {'bodyRegion' | 'role' | 'equipment'} attribute - The attribute to change.
+   * @param {string} value - Its new value.
+   */
+  const selectValue = (attribute, value) => {
+    const changed = { ...category, [attribute]: value };
+    onChangeCategory(new LiftCategory(changed.bodyRegion, changed.role, changed.equipment));
+  };
+
+  /**
+   * Renders one labelled row of options; the selected one is highlighted.
+   * @param {string} label - The row label.
+   * @param {'bodyRegion' | 'role' | 'equipment'} attribute - The attribute the row sets.
+   * @param {Object} values - The allowed values (e.g. BODY_REGIONS).
+   * @param {Object} labels - The label of each value.
+   * @returns {JSX.Element} The rendered row.
+   */
+  const renderRow = (label, attribute, values, labels) => (
+    <View style={styles.row}>
+      <Text style={[styles.label, { color: colors.text }]}>{label}</Text>
+      {Object.values(values).map(value => (
+        <TouchableOpacity key={value} onPress={() => selectValue(attribute, value)} style={styles.optionButton}>
+          <Text style={[styles.optionText, { color: category[attribute] === value ? colors.primaryRed : colors.subText }]}>
+            {labels[value]}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {renderRow('Body:', 'bodyRegion', BODY_REGIONS, BODY_REGION_LABELS)}
+      {renderRow('Role:', 'role', LIFT_ROLES, LIFT_ROLE_LABELS)}
+      {renderRow('Gear:', 'equipment', EQUIPMENT_TYPES, EQUIPMENT_TYPE_LABELS)}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignSelf: 'stretch',
+    marginBottom: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  label: {
+    width: 45,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  optionButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default LiftCategoryPicker;
@@ -0,0 +1,304 @@
+// components/LiftProgressChart.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, Button, StyleSheet, ScrollView, Dimensions, ActivityIndicator } from 'react-native';
+import { fetchLiftHistory, fetchWorkoutSessions } from '../services/dbService';
+import { buildProgressSeries } from '../utils/progressData';
+const { width: screenWidth } = Dimensions.get('window');
+
+const CHART_HEIGHT = 160;
+const REPS_CHART_HEIGHT = 80;
+const POINT_SPACING = 48;
+const DOT_SIZE = 8;
+const LINE_THICKNESS = 2;
+const MIN_CHART_WIDTH = screenWidth * 0.8;
+
+/**
+ * Renders a straight line between two points using a rotated View, since the app has no SVG dependency.
+ * @param {{x1: number, y1: number, x2: number, y2: number, color: string}} props - The segment end points and color.
+ * @returns {JSX.Element} The rendered line segment.
+ */
+const LineSegment = ({ x1, y1, x2, y2, color }) => {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  return (
+    <View
+      style={{
+        position: 'absolute',
+        left: (x1 + x2) / 2 - length / 2,
+        top: (y1 + y2) / 2 - LINE_THICKNESS / 2,
+        width: length,
+        height: LINE_THICKNESS,
+        backgroundColor: color,
+        transform: [{ rotate: `${angle}rad` }],
+      }}
+    />
+  );
+};
+
+const LiftProgressChart = ({ visible, lift, isKg, colors, onClose }) => {
+  const [points, setPoints] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+
+  /**
+   * useEffect hook to load the lift's max history and sessions each time the chart is opened.
+   */
+  useEffect(() => {
+    if (!visible || !lift) {
+      return;
+    }
+
+    const loadProgress = async () => {
+      try {
+        setIsLoading(true);
+        const [history, sessions] = await Promise.all([
+          fetchLiftHistory(lift.id),
+          fetchWorkoutSessions(lift.id),
+        ]);
+        setPoints(buildProgressSeries(history, sessions, undefined, unitLabel));
+      } catch (error) {
+        console.error('Error loading lift progress:', error);
+        setPoints([]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadProgress();
+  }, [visible, lift, unitLabel]);
+
+  if (!lift) return null;
+
+  const chartWidth = Math.max(MIN_CHART_WIDTH, points.length * POINT_SPACING);
+  const xFor = (index) => (points.length <= 1 ? chartWidth / 2 : POINT_SPACING / 2 + index * ((chartWidth - POINT_SPACING) / (points.length - 1)));
+
+  const weightValues = points
+    .flatMap(point => [point.trainingMax, point.estimatedMax])
+    .filter(value => value !== null);
+  const minWeight = weightValues.length > 0 ? Math.min(...weightValues) * 0.95 : 0;
+  const maxWeight = weightValues.length > 0 ? Math.max(...weightValues) * 1.05 : 1;
+  const yForWeight = (weight) => {
+    const range = maxWeight - minWeight || 1;
+    return CHART_HEIGHT - ((weight - minWeight) / range) * CHART_HEIGHT;
+  };
+
+  const maxReps = Math.max(1, ...points.map(point => point.topSetReps || 0));
+
+  /**
+   * Renders one weight series as dots joined by line segments, skipping points without a value.
+   * @param {'trainingMax' | 'estimatedMax'} key - The point field to plot.
+   * @param {string} color - The series color.
+   * @returns {Array<JSX.Element>} The rendered dots and segments.
+   */
+  const renderWeightSeries = (key, color) => {
+    const plotted = points
+      .map((point, index) => (point[key] === null ? null : { x: xFor(index), y: yForWeight(point[key]), index }))
+      .filter(Boolean);
+
+    const elements = [];
+    plotted.forEach((current, position) => {
+      const next = plotted[position + 1];
+      if (next) {
+        elements.push(<LineSegment key={`${key}-line-${current.index}`} x1={current.x} y1={current.y} x2={next.x} y2={next.y} color={color} />);
+      }
+      elements.push(
+        <View
+          key={`${key}-dot-${current.index}`}
+          style={[styles.dot, { left: current.x - DOT_SIZE / 2, top: current.y - DOT_SIZE / 2, backgroundColor: color }]}
+        />
+      );
+    });
+    return elements;
+  };
+
+  const latestPoint = points[points.length - 1];
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>{`${lift.lift.name} Progress`}</Text>
+
+          {isLoading ? (
+            <ActivityIndicator size="large" color={colors.primaryRed} />
+          ) : points.length === 0 ? (
+            <Text style={[styles.emptyText, { color: colors.subText }]}>No history or logged sessions yet.</Text>
+          ) : (
+            <>
+              <View style={styles.legendRow}>
+                <View style={[styles.legendSwatch, { backgroundColor: colors.chartTrainingMax }]} />
+                <Text style={[styles.legendText, { color: colors.text }]}>Training Max</Text>
+                <View style={[styles.legendSwatch, { backgroundColor: colors.chartEstimatedMax }]} />
+                <Text style={[styles.legendText, { color: colors.text }]}>e1RM</Text>
+                <View style={[styles.legendSwatch, { backgroundColor: colors.chartReps }]} />
+                <Text style={[styles.legendText, { color: colors.text }]}>Top-set reps</Text>
+              </View>
+
+              <View style={styles.axisLabels}>
+                <Text style={[styles.axisText, { color: colors.subText }]}>{`${maxWeight.toFixed(0)} ${unitLabel}`}</Text>
+                <Text style={[styles.axisText, { color: colors.subText }]}>{`${minWeight.toFixed(0)} ${unitLabel}`}</Text>
+              </View>
+
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chartScroll}>
+                <View style={{ width: chartWidth }}>
+                  <View style={[styles.chartArea, { height: CHART_HEIGHT, borderColor: colors.chartGrid }]}>
+                    {renderWeightSeries('trainingMax', colors.chartTrainingMax)}
+                    {renderWeightSeries('estimatedMax', colors.chartEstimatedMax)}
+                  </View>
+
+                  <View style={[styles.chartArea, { height: REPS_CHART_HEIGHT, borderColor: colors.chartGrid }]}>
+                    {points.map((point, index) => (point.topSetReps === null ? null : (
+                      <View
+                        key={`reps-${index}`}
+                        style={[styles.repsBar, {
+                          left: xFor(index) - POINT_SPACING / 4,
+                          width: POINT_SPACING / 2,
+                          height: (point.topSetReps / maxReps) * (REPS_CHART_HEIGHT - 14),
+                          backgroundColor: colors.chartReps,
+                        }]}
+                      >
+                        <Text style={[styles.repsText, { color: colors.text }]}>{point.topSetReps}</Text>
+                      </View>
+                    )))}
+                  </View>
+
+                  <View style={styles.xLabelRow}>
+                    {points.map((point, index) => (
+                      <View key={`label-${index}`} style={[styles.xLabel, { left: xFor(index) - POINT_SPACING / 2, width: POINT_SPACING }]}>
+                        <Text style={[styles.xLabelText, { color: colors.subText }]}>
+                          {new Date(point.date).toLocaleDateString(undefined, { month: 'numeric', day: 'numeric' })}
+                        </Text>
+                        <Text style={[styles.xLabelText, { color: colors.subText }]}>{point.cycle || 'Max'}</Text>
+                      </View>
+                    ))}
+                  </View>
+                </View>
+              </ScrollView>
+
+              {latestPoint && latestPoint.trainingMax !== null && (
+                <Text style={[styles.summaryText, { color: colors.text }]}>
+                  {`Current TM: ${latestPoint.trainingMax.toFixed(1)} ${unitLabel}`}
+                </Text>
+              )}
+            </>
+          )}
+
+          <View style={styles.buttonContainer}>
+            <Button title="Close" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 20,
+    alignItems: 'center',
+    width: '95%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 15,
+  },
+  emptyText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 13,
+  },
+  axisLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    width: '100%',
+  },
+  axisText: {
+    fontSize: 12,
+  },
+  chartScroll: {
+    width: '100%',
+  },
+  chartArea: {
+    position: 'relative',
+    borderLeftWidth: 1,
+    borderBottomWidth: 1,
+    marginBottom: 8,
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+  },
+  repsBar: {
+    position: 'absolute',
+    bottom: 0,
+    alignItems: 'center',
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  repsText: {
+    position: 'absolute',
+    top: -14,
+    fontSize: 11,
+  },
+  xLabelRow: {
+    position: 'relative',
+    height: 32,
+  },
+  xLabel: {
+    position: 'absolute',
+    alignItems: 'center',
+  },
+  xLabelText: {
+    fontSize: 10,
+  },
+  summaryText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginTop: 10,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 15,
+  },
+});
+
+export default LiftProgressChart;
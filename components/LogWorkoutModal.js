@@ -0,0 +1,187 @@
+// components/LogWorkoutModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, ScrollView } from 'react-native';
+import { saveWorkoutSession } from '../services/dbService';
+import { WorkoutSession, LoggedSet } from '../models/workoutModels';
+
+const LogWorkoutModal = ({ visible, lift, cycle, prescribedSets, isKg, colors, onClose, onSaved }) => {
+  const [loggedRows, setLoggedRows] = useState([]);
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+
+  /**
+   * useEffect hook to prefill the log with the prescribed sets whenever the modal is opened.
+   * Regular sets default to their target reps; AMRAP sets are left blank so the actual reps get entered.
+   * Only `visible` is watched, since the parent rebuilds `prescribedSets` on every render.
+   */
+  useEffect(() => {
+    if (visible && prescribedSets) {
+      setLoggedRows(prescribedSets.map(set => ({
+        ...set,
+        weightText: String(set.weight),
+        repsText: set.isAmrap ? '' : String(set.reps),
+      })));
+    }
+  }, [visible]);
+
+  /**
+   * Updates one field of one logged row.
+   * @param {number} rowIndex - The index of the row to update.
+   * @param {'weightText' | 'repsText'} field - The field to update.
+   * @param {string} value - The new text value.
+   */
+  const updateRow = (rowIndex, field, value) => {
+    setLoggedRows(previousRows => previousRows.map((row, index) => (
+      index === rowIndex ? { ...row, [field]: value } : row
+    )));
+  };
+
+  /**
+   * Validates every row and saves the session through the `saveWorkoutSession` service.
+   * Weights are saved exactly as entered, together with the unit they were entered in.
+   */
+  const handleSave = async () => {
+    const loggedSets = [];
+    for (const row of loggedRows) {
+      const weight = parseFloat(row.weightText);
+      const reps = parseInt(row.repsText, 10);
+      if (isNaN(weight) || weight < 0 || isNaN(reps) || reps < 0) {
+        Alert.alert('Validation Error', `Please enter a valid weight and reps for ${row.label}.`);
+        return;
+      }
+      loggedSets.push(new LoggedSet(row.setType, weight, reps, row.isAmrap, row.reps, unitLabel));
+    }
+
+    try {
+      const savedSession = await saveWorkoutSession(new WorkoutSession(lift.id, cycle, loggedSets));
+      Alert.alert('Success', 'Workout logged successfully!');
+      onClose();
+      if (onSaved) {
+        onSaved(savedSession);
+      }
+    } catch (error) {
+      console.error('Error logging workout:', error);
+      Alert.alert('Error', 'Failed to log workout. Please try again.');
+    }
+  };
+
+  if (!lift) return null;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>{`Log ${lift.lift.name} · ${cycle}`}</Text>
+
+          <View style={styles.headerRow}>
+            <Text style={[styles.headerText, styles.labelColumn, { color: colors.text }]}>Set</Text>
+            <Text style={[styles.headerText, { color: colors.text }]}>{`Weight (${unitLabel})`}</Text>
+            <Text style={[styles.headerText, { color: colors.text }]}>Reps</Text>
+          </View>
+
+          <ScrollView style={styles.rowList}>
+            {loggedRows.map((row, index) => (
+              <View key={`${row.setType}-${index}`} style={styles.setRow}>
+                <Text style={[styles.setLabel, styles.labelColumn, { color: row.isAmrap ? colors.primaryRed : colors.subText }]}>
+                  {row.isAmrap ? `${row.label} (${row.reps}+)` : row.label}
+                </Text>
+                <TextInput
+                  style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={row.weightText}
+                  onChangeText={(value) => updateRow(index, 'weightText', value)}
+                  keyboardType="numeric"
+                />
+                <TextInput
+                  style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: row.isAmrap ? colors.primaryRed : colors.inputBorder, color: colors.text }]}
+                  placeholder={row.isAmrap ? 'AMRAP' : ''}
+                  placeholderTextColor={colors.subText}
+                  value={row.repsText}
+                  onChangeText={(value) => updateRow(index, 'repsText', value)}
+                  keyboardType="number-pad"
+                />
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Save Log" onPress={handleSave} color={colors.primaryRed} />
+            <Button title="Cancel" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 20,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    width: '100%',
+    marginBottom: 5,
+  },
+  headerText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  labelColumn: {
+    flex: 1.2,
+  },
+  rowList: {
+    width: '100%',
+  },
+  setRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  setLabel: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  input: {
+    flex: 1,
+    height: 40,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default LogWorkoutModal;
@@ -0,0 +1,165 @@
+// components/PlateInventoryModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, ScrollView } from 'react-native';
+
+const PlateInventoryModal = ({ visible, inventory, unitLabel, colors, onClose, onSave }) => {
+  const [barWeight, setBarWeight] = useState('');
+  const [plates, setPlates] = useState([]);
+
+  /**
+   * useEffect hook to copy the inventory into local state whenever the modal is opened,
+   * so edits can be discarded with Cancel.
+   */
+  useEffect(() => {
+    if (visible && inventory) {
+      setBarWeight(String(inventory.barWeight));
+      setPlates(inventory.plates.map(plate => ({ ...plate })));
+    }
+  }, [visible, inventory]);
+
+  /**
+   * Changes the number of available pairs for a plate, never going below zero.
+   * @param {number} weight - The weight of the plate to change.
+   * @param {number} delta - The number of pairs to add (or remove, if negative).
+   */
+  const changePairs = (weight, delta) => {
+    setPlates(previousPlates => previousPlates.map(plate => (
+      plate.weight === weight ? { ...plate, pairs: Math.max(0, plate.pairs + delta) } : plate
+    )));
+  };
+
+  /**
+   * Validates the bar weight and passes the edited inventory back to the parent.
+   */
+  const handleSave = () => {
+    const parsedBarWeight = parseFloat(barWeight);
+    if (isNaN(parsedBarWeight) || parsedBarWeight < 0) {
+      Alert.alert('Invalid Bar Weight', 'Please enter a bar weight of zero or more.');
+      return;
+    }
+
+    onSave({ barWeight: parsedBarWeight, plates });
+    onClose();
+  };
+
+  if (!inventory) return null;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>{`Bar & Plates (${unitLabel})`}</Text>
+
+          <Text style={[styles.label, { color: colors.subText }]}>Bar Weight</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            value={barWeight}
+            onChangeText={setBarWeight}
+            keyboardType="numeric"
+          />
+
+          <Text style={[styles.label, { color: colors.subText }]}>Pairs Available</Text>
+          <ScrollView style={styles.plateList}>
+            {plates.map(plate => (
+              <View key={plate.weight} style={[styles.plateRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                <Text style={[styles.plateWeight, { color: colors.text }]}>{`${plate.weight} ${unitLabel}`}</Text>
+                <TouchableOpacity onPress={() => changePairs(plate.weight, -1)} style={styles.pairButton}>
+                  <Text style={[styles.pairButtonText, { color: colors.primaryRed }]}>-</Text>
+                </TouchableOpacity>
+                <Text style={[styles.pairCount, { color: plate.pairs > 0 ? colors.text : colors.subText }]}>{plate.pairs}</Text>
+                <TouchableOpacity onPress={() => changePairs(plate.weight, 1)} style={styles.pairButton}>
+                  <Text style={[styles.pairButtonText, { color: colors.primaryRed }]}>+</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Save" onPress={handleSave} color={colors.primaryRed} />
+            <Button title="Cancel" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 20,
+  },
+  label: {
+    alignSelf: 'flex-start',
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  input: {
+    height: 50,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingLeft: 15,
+    marginBottom: 15,
+    width: '100%',
+    fontSize: 18,
+    textAlign: 'center',
+  },
+  plateList: {
+    width: '100%',
+  },
+  plateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+  },
+  plateWeight: {
+    flex: 1,
+    fontSize: 16,
+  },
+  pairButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 5,
+  },
+  pairButtonText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  pairCount: {
+    fontSize: 16,
+    minWidth: 30,
+    textAlign: 'center',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default PlateInventoryModal;
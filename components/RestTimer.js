@@ -0,0 +1,123 @@
+// components/RestTimer.js
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, AppState, Vibration, Platform } from 'react-native';
+import { getRemainingSeconds, formatRestTime } from '../utils/restTimer';
+import { REST_EXTENSION_SECONDS, REST_CUE_VIBRATION_PATTERN } from '../constants/restTimer';
+
+const TICK_INTERVAL_MS = 250;
+
+/**
+ * Vibrates, and on the web (where most browsers can't vibrate) plays a short beep, to signal the end of the rest.
+ */
+const playRestCue = () => {
+  Vibration.vibrate(REST_CUE_VIBRATION_PATTERN);
+  if (Platform.OS === 'web' && typeof window !== 'undefined' && window.AudioContext) {
+    try {
+      const audioContext = new window.AudioContext();
+      const oscillator = audioContext.createOscillator();
+      oscillator.frequency.value = 880;
+      oscillator.connect(audioContext.destination);
+      oscillator.start();
+      oscillator.stop(audioContext.currentTime + 0.4);
+      oscillator.onended = () => audioContext.close();
+    } catch (error) {
+      console.warn('Could not play the rest timer sound:', error);
+    }
+  }
+};
+
+const RestTimer = ({ endTime, colors, onChangeEndTime }) => {
+  const [now, setNow] = useState(Date.now());
+  const cuedEndTime = useRef(null);
+
+  /**
+   * useEffect hook to tick while a rest is running. The remaining time is always worked out from the end time,
+   * so missed ticks while the app is in the background don't matter.
+   */
+  useEffect(() => {
+    if (endTime === null) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [endTime]);
+
+  /**
+   * useEffect hook to catch up right away when the app comes back to the foreground.
+   */
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        setNow(Date.now());
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const remainingSeconds = endTime === null ? 0 : getRemainingSeconds(endTime, now);
+  const isOver = endTime !== null && remainingSeconds === 0;
+
+  /**
+   * useEffect hook to give the cue once per rest when it reaches zero.
+   */
+  useEffect(() => {
+    if (isOver && cuedEndTime.current !== endTime) {
+      cuedEndTime.current = endTime;
+      playRestCue();
+    }
+  }, [isOver, endTime]);
+
+  if (endTime === null) return null;
+
+  /**
+   * Adds REST_EXTENSION_SECONDS to the rest; a rest that is already over starts again from now.
+   */
+  const handleExtend = () => {
+    onChangeEndTime(Math.max(endTime, Date.now()) + REST_EXTENSION_SECONDS * 1000);
+  };
+
+  return (
+    <View style={[styles.container, { borderColor: isOver ? colors.primaryRed : colors.cardBorder, backgroundColor: colors.cardBackground }]}>
+      <Text style={[styles.label, { color: colors.subText }]}>{isOver ? 'Rest over' : 'Rest'}</Text>
+      <Text style={[styles.time, { color: isOver ? colors.primaryRed : colors.text }]}>{formatRestTime(remainingSeconds)}</Text>
+      <TouchableOpacity onPress={handleExtend} style={styles.controlButton}>
+        <Text style={[styles.controlText, { color: colors.primaryRed }]}>{`+${REST_EXTENSION_SECONDS}s`}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => onChangeEndTime(null)} style={styles.controlButton}>
+        <Text style={[styles.controlText, { color: colors.subText }]}>{isOver ? 'Dismiss' : 'Skip'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    marginRight: 8,
+  },
+  time: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    minWidth: 60,
+    textAlign: 'center',
+  },
+  controlButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  controlText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default RestTimer;
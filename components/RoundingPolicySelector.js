@@ -0,0 +1,83 @@
+// components/RoundingPolicySelector.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { ROUNDING_MODES, roundingIncrementOptions } from '../constants/rounding';
+
+const roundingModeLabels = {
+  [ROUNDING_MODES.NEAREST]: 'Nearest',
+  [ROUNDING_MODES.DOWN]: 'Down',
+  [ROUNDING_MODES.UP]: 'Up',
+};
+
+const RoundingPolicySelector = ({ roundingPolicy, unitLabel, colors, onChangeRoundingPolicy }) => {
+  /**
+   * Updates the rounding mode while keeping the configured increments.
+   * @param {string} mode - One of ROUNDING_MODES.
+   */
+  const selectMode = (mode) => {
+    onChangeRoundingPolicy({ ...roundingPolicy, mode });
+  };
+
+  /**
+   * Updates the rounding increment for the current unit system only.
+   * @param {number} increment - The new smallest loadable jump.
+   */
+  const selectIncrement = (increment) => {
+    onChangeRoundingPolicy({
+      ...roundingPolicy,
+      increments: { ...roundingPolicy.increments, [unitLabel]: increment },
+    });
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        <Text style={[styles.label, { color: colors.text }]}>Round:</Text>
+        {Object.values(ROUNDING_MODES).map(mode => (
+          <TouchableOpacity key={mode} onPress={() => selectMode(mode)} style={styles.optionButton}>
+            <Text style={[styles.optionText, { color: roundingPolicy.mode === mode ? colors.primaryRed : colors.subText }]}>
+              {roundingModeLabels[mode]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.row}>
+        <Text style={[styles.label, { color: colors.text }]}>To:</Text>
+        {roundingIncrementOptions[unitLabel].map(increment => (
+          <TouchableOpacity key={increment} onPress={() => selectIncrement(increment)} style={styles.optionButton}>
+            <Text style={[styles.optionText, { color: roundingPolicy.increments[unitLabel] === increment ? colors.primaryRed : colors.subText }]}>
+              {`${increment}`}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <Text style={[styles.optionText, { color: colors.subText }]}>{unitLabel}</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginRight: 5,
+  },
+  optionButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default RoundingPolicySelector;
@@ -0,0 +1,237 @@
+// components/ScheduleModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, Button, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { SCHEDULE_TEMPLATES, SCHEDULE_TEMPLATE_DETAILS } from '../constants/schedule';
+import { buildScheduleDays } from '../utils/schedule';
+
+/**
+ * Turns training days into a day per lift.
+ * @param {Array<Array<number>>} days - The lift IDs of each training day.
+ * @returns {Object<number, number>} The day index of each scheduled lift, keyed by lift ID.
+ */
+const toAssignments = (days) => {
+  const assignments = {};
+  days.forEach((liftIds, dayIndex) => liftIds.forEach(liftId => {
+    assignments[liftId] = dayIndex;
+  }));
+  return assignments;
+};
+
+const ScheduleModal = ({ visible, lifts, scheduleTemplate, scheduleDays, colors, onClose, onSave }) => {
+  const [template, setTemplate] = useState(SCHEDULE_TEMPLATES.FOUR_DAY);
+  const [assignments, setAssignments] = useState({});
+
+  /**
+   * useEffect hook to start from the stored schedule whenever the modal is opened,
+   * or from the standard 4-day split when there is none yet.
+   */
+  useEffect(() => {
+    if (visible) {
+      const storedTemplate = scheduleTemplate || SCHEDULE_TEMPLATES.FOUR_DAY;
+      setTemplate(storedTemplate);
+      setAssignments(scheduleTemplate && scheduleDays.length > 0
+        ? toAssignments(scheduleDays)
+        : toAssignments(buildScheduleDays(storedTemplate, lifts.map(lift => lift.id))));
+    }
+  }, [visible]);
+
+  const { liftsPerDay } = SCHEDULE_TEMPLATE_DETAILS[template];
+  const assignedDays = Object.values(assignments);
+  const dayCount = Math.max(Math.ceil(lifts.length / liftsPerDay), assignedDays.length > 0 ? Math.max(...assignedDays) + 1 : 1);
+
+  /**
+   * Switches to another template and lays the lifts out again in order.
+   * @param {string} newTemplate - One of SCHEDULE_TEMPLATES.
+   */
+  const changeTemplate = (newTemplate) => {
+    setTemplate(newTemplate);
+    setAssignments(toAssignments(buildScheduleDays(newTemplate, lifts.map(lift => lift.id))));
+  };
+
+  /**
+   * Moves a lift one day earlier or later. Before the first day it is off the schedule.
+   * @param {number} liftId - The lift to move.
+   * @param {number} step - -1 for earlier, 1 for later.
+   */
+  const moveLift = (liftId, step) => {
+    const currentDay = liftId in assignments ? assignments[liftId] : -1;
+    const newDay = Math.min(Math.max(currentDay + step, -1), dayCount - 1);
+    setAssignments(previous => {
+      const next = { ...previous };
+      if (newDay < 0) {
+        delete next[liftId];
+      } else {
+        next[liftId] = newDay;
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Builds the training days from the assignments, keeping the lifts of a day in lift order.
+   * @returns {Array<Array<number>>} The lift IDs of each training day, without empty days.
+   */
+  const buildDays = () => (
+    Array.from({ length: dayCount }, (_, dayIndex) => lifts.filter(lift => assignments[lift.id] === dayIndex).map(lift => lift.id))
+      .filter(liftIds => liftIds.length > 0)
+  );
+
+  /**
+   * Passes the schedule back to the parent.
+   */
+  const handleSave = () => {
+    onSave(template, buildDays());
+    onClose();
+  };
+
+  /**
+   * Removes the schedule; the Today view is hidden until a new one is saved.
+   */
+  const handleClear = () => {
+    onSave(null, []);
+    onClose();
+  };
+
+  const previewDays = buildDays();
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Training Schedule</Text>
+
+          <View style={styles.optionRow}>
+            {Object.values(SCHEDULE_TEMPLATES).map(option => (
+              <TouchableOpacity key={option} onPress={() => changeTemplate(option)} style={styles.optionButton}>
+                <Text style={[styles.optionText, { color: template === option ? colors.primaryRed : colors.subText }]}>
+                  {SCHEDULE_TEMPLATE_DETAILS[option].label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={[styles.noteText, { color: colors.subText }]}>
+            {`${SCHEDULE_TEMPLATE_DETAILS[template].description} Days rotate in order whatever the weekday; a missed day stays due until it is trained.`}
+          </Text>
+
+          <ScrollView style={styles.scrollArea}>
+            {lifts.length === 0 && (
+              <Text style={[styles.noteText, { color: colors.subText }]}>Add lifts to build a schedule.</Text>
+            )}
+            {lifts.map(lift => (
+              <View key={lift.id} style={[styles.liftRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                <Text style={[styles.liftName, { color: colors.text }]}>{lift.lift.name}</Text>
+                <TouchableOpacity onPress={() => moveLift(lift.id, -1)} style={styles.dayButton}>
+                  <Text style={[styles.dayButtonText, { color: colors.primaryRed }]}>{'<'}</Text>
+                </TouchableOpacity>
+                <Text style={[styles.dayText, { color: lift.id in assignments ? colors.text : colors.subText }]}>
+                  {lift.id in assignments ? `Day ${assignments[lift.id] + 1}` : 'Off'}
+                </Text>
+                <TouchableOpacity onPress={() => moveLift(lift.id, 1)} style={styles.dayButton}>
+                  <Text style={[styles.dayButtonText, { color: colors.primaryRed }]}>{'>'}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            {previewDays.map((liftIds, dayIndex) => (
+              <Text key={`day-${dayIndex}`} style={[styles.previewText, { color: colors.subText }]}>
+                {`Day ${dayIndex + 1}: ${liftIds.map(liftId => lifts.find(lift => lift.id === liftId).lift.name).join(' + ')}`}
+              </Text>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Save" onPress={handleSave} color={colors.primaryRed} disabled={previewDays.length === 0} />
+            {scheduleTemplate && <Button title="Clear" onPress={handleClear} color={colors.subText} />}
+            <Button title="Cancel" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+  },
+  optionText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  noteText: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  scrollArea: {
+    width: '100%',
+  },
+  liftRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+  },
+  liftName: {
+    flex: 1,
+    fontSize: 16,
+  },
+  dayButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  dayButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  dayText: {
+    fontSize: 15,
+    width: 50,
+    textAlign: 'center',
+  },
+  previewText: {
+    fontSize: 14,
+    marginTop: 6,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default ScheduleModal;
@@ -0,0 +1,331 @@
+// components/SettingsModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, TouchableOpacity, ScrollView } from 'react-native';
+import RoundingPolicySelector from './RoundingPolicySelector';
+import { THEMES } from '../constants/settings';
+import { MAX_REST_SECONDS } from '../constants/restTimer';
+import { ASSISTANCE_CATEGORIES, ASSISTANCE_CATEGORY_LABELS, MAX_ASSISTANCE_REP_TARGET } from '../constants/assistance';
+
+const themeLabels = {
+  [THEMES.SYSTEM]: 'System',
+  [THEMES.LIGHT]: 'Light',
+  [THEMES.DARK]: 'Dark',
+};
+
+const REGIONS = ['upper', 'lower'];
+const regionLabels = {
+  upper: 'Upper body',
+  lower: 'Lower body',
+};
+
+const REST_KINDS = ['warmUp', 'main', 'supplemental'];
+const restKindLabels = {
+  warmUp: 'Warm-up',
+  main: 'Main',
+  supplemental: 'Supplemental',
+};
+
+const SettingsModal = ({ visible, settings, colors, onClose, onSave }) => {
+  const [isKg, setIsKg] = useState(false);
+  const [theme, setTheme] = useState(THEMES.SYSTEM);
+  const [roundingPolicy, setRoundingPolicy] = useState(null);
+  const [warmUpPercentages, setWarmUpPercentages] = useState([]);
+  const [tmIncrements, setTmIncrements] = useState(null);
+  const [jokerCapPercentage, setJokerCapPercentage] = useState('');
+  const [restSeconds, setRestSeconds] = useState(null);
+  const [assistanceRepTargets, setAssistanceRepTargets] = useState(null);
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+
+  /**
+   * useEffect hook to copy the settings into local state whenever the modal is opened,
+   * so edits can be discarded with Cancel.
+   */
+  useEffect(() => {
+    if (visible && settings) {
+      setIsKg(settings.isKg);
+      setTheme(settings.theme);
+      setRoundingPolicy(settings.roundingPolicy);
+      setWarmUpPercentages(settings.warmUpPercentages.map(String));
+      setTmIncrements({
+        upper: { lbs: String(settings.tmIncrements.upper.lbs), kg: String(settings.tmIncrements.upper.kg) },
+        lower: { lbs: String(settings.tmIncrements.lower.lbs), kg: String(settings.tmIncrements.lower.kg) },
+      });
+      setJokerCapPercentage(String(settings.jokerCapPercentage));
+      setRestSeconds(Object.fromEntries(REST_KINDS.map(kind => [kind, String(settings.restSeconds[kind])])));
+      setAssistanceRepTargets(Object.fromEntries(
+        Object.values(ASSISTANCE_CATEGORIES).map(category => [category, String(settings.assistanceRepTargets[category])])
+      ));
+    }
+  }, [visible, settings]);
+
+  /**
+   * Changes one warm-up percentage input.
+   * @param {number} index - The warm-up set to change.
+   * @param {string} text - The new input text.
+   */
+  const changeWarmUpPercentage = (index, text) => {
+    setWarmUpPercentages(previous => previous.map((value, valueIndex) => (valueIndex === index ? text : value)));
+  };
+
+  /**
+   * Changes the TM increase input of one body region for the selected unit.
+   * @param {'upper' | 'lower'} region - The body region.
+   * @param {string} text - The new input text.
+   */
+  const changeTmIncrement = (region, text) => {
+    setTmIncrements(previous => ({ ...previous, [region]: { ...previous[region], [unitLabel]: text } }));
+  };
+
+  /**
+   * Validates the inputs and passes the changed settings back to the parent.
+   */
+  const handleSave = () => {
+    const parsedWarmUps = warmUpPercentages.map(value => parseFloat(value));
+    if (parsedWarmUps.some(value => isNaN(value) || value <= 0 || value > 100)) {
+      Alert.alert('Invalid Warm-up', 'Warm-up percentages must be between 1 and 100.');
+      return;
+    }
+
+    const parsedIncrements = {};
+    for (const region of REGIONS) {
+      parsedIncrements[region] = {};
+      for (const unit of ['lbs', 'kg']) {
+        const value = parseFloat(tmIncrements[region][unit]);
+        if (isNaN(value) || value < 0) {
+          Alert.alert('Invalid TM Increase', `Please enter a ${regionLabels[region].toLowerCase()} increase of zero or more (${unit}).`);
+          return;
+        }
+        parsedIncrements[region][unit] = value;
+      }
+    }
+
+    const parsedJokerCap = parseFloat(jokerCapPercentage);
+    if (isNaN(parsedJokerCap) || parsedJokerCap <= 0 || parsedJokerCap > 150) {
+      Alert.alert('Invalid Joker Cap', 'The joker set cap must be between 1 and 150% of the TM.');
+      return;
+    }
+
+    const parsedRestSeconds = {};
+    for (const kind of REST_KINDS) {
+      const value = Number(restSeconds[kind]);
+      if (!Number.isInteger(value) || value <= 0 || value > MAX_REST_SECONDS) {
+        Alert.alert('Invalid Rest', `Please enter a ${restKindLabels[kind].toLowerCase()} rest between 1 and ${MAX_REST_SECONDS} seconds.`);
+        return;
+      }
+      parsedRestSeconds[kind] = value;
+    }
+
+    const parsedRepTargets = {};
+    for (const category of Object.values(ASSISTANCE_CATEGORIES)) {
+      const value = Number(assistanceRepTargets[category]);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_ASSISTANCE_REP_TARGET) {
+        Alert.alert('Invalid Assistance Target', `Please enter ${ASSISTANCE_CATEGORY_LABELS[category].toLowerCase()} reps between 0 and ${MAX_ASSISTANCE_REP_TARGET}.`);
+        return;
+      }
+      parsedRepTargets[category] = value;
+    }
+
+    onSave({
+      isKg,
+      theme,
+      roundingPolicy,
+      warmUpPercentages: parsedWarmUps,
+      tmIncrements: parsedIncrements,
+      jokerCapPercentage: parsedJokerCap,
+      restSeconds: parsedRestSeconds,
+      assistanceRepTargets: parsedRepTargets,
+    });
+    onClose();
+  };
+
+  if (!settings || !roundingPolicy || !tmIncrements || !restSeconds || !assistanceRepTargets) return null;
+
+  const renderOption = (selected, label, onPress) => (
+    <TouchableOpacity key={label} onPress={onPress} style={styles.optionButton}>
+      <Text style={[styles.optionText, { color: selected ? colors.primaryRed : colors.subText }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Settings</Text>
+
+          <ScrollView style={styles.scrollArea} contentContainerStyle={styles.scrollContent}>
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Units</Text>
+            <View style={styles.optionRow}>
+              {renderOption(!isKg, 'LBS', () => setIsKg(false))}
+              {renderOption(isKg, 'KG', () => setIsKg(true))}
+            </View>
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Theme</Text>
+            <View style={styles.optionRow}>
+              {Object.values(THEMES).map(option => renderOption(theme === option, themeLabels[option], () => setTheme(option)))}
+            </View>
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Rounding</Text>
+            <RoundingPolicySelector
+              roundingPolicy={roundingPolicy}
+              unitLabel={unitLabel}
+              colors={colors}
+              onChangeRoundingPolicy={setRoundingPolicy}
+            />
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Warm-up (% of TM)</Text>
+            <View style={styles.inputRow}>
+              {warmUpPercentages.map((value, index) => (
+                <TextInput
+                  key={`warmup-${index}`}
+                  style={[styles.smallInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={value}
+                  onChangeText={(text) => changeWarmUpPercentage(index, text)}
+                  keyboardType="numeric"
+                />
+              ))}
+            </View>
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>{`TM increase per cycle (${unitLabel})`}</Text>
+            {REGIONS.map(region => (
+              <View key={region} style={[styles.incrementRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                <Text style={[styles.incrementLabel, { color: colors.text }]}>{regionLabels[region]}</Text>
+                <TextInput
+                  style={[styles.smallInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={tmIncrements[region][unitLabel]}
+                  onChangeText={(text) => changeTmIncrement(region, text)}
+                  keyboardType="numeric"
+                />
+              </View>
+            ))}
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Joker set cap (% of TM)</Text>
+            <TextInput
+              style={[styles.smallInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+              value={jokerCapPercentage}
+              onChangeText={setJokerCapPercentage}
+              keyboardType="numeric"
+            />
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Rest timer (seconds)</Text>
+            {REST_KINDS.map(kind => (
+              <View key={kind} style={[styles.incrementRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                <Text style={[styles.incrementLabel, { color: colors.text }]}>{restKindLabels[kind]}</Text>
+                <TextInput
+                  style={[styles.smallInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={restSeconds[kind]}
+                  onChangeText={(text) => setRestSeconds(previous => ({ ...previous, [kind]: text }))}
+                  keyboardType="number-pad"
+                />
+              </View>
+            ))}
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Assistance reps per session</Text>
+            {Object.values(ASSISTANCE_CATEGORIES).map(category => (
+              <View key={category} style={[styles.incrementRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                <Text style={[styles.incrementLabel, { color: colors.text }]}>{ASSISTANCE_CATEGORY_LABELS[category]}</Text>
+                <TextInput
+                  style={[styles.smallInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                  value={assistanceRepTargets[category]}
+                  onChangeText={(text) => setAssistanceRepTargets(previous => ({ ...previous, [category]: text }))}
+                  keyboardType="number-pad"
+                />
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Save" onPress={handleSave} color={colors.primaryRed} />
+            <Button title="Cancel" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  scrollArea: {
+    width: '100%',
+  },
+  scrollContent: {
+    alignItems: 'center',
+  },
+  sectionHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  optionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  smallInput: {
+    height: 40,
+    width: 70,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginHorizontal: 5,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  incrementRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: '100%',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+  },
+  incrementLabel: {
+    fontSize: 16,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default SettingsModal;
@@ -0,0 +1,378 @@
+// components/StrengthScoresModal.js
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TextInput, Button, StyleSheet, Alert, ScrollView, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { addBodyweight, fetchBodyweightHistory, deleteBodyweight, fetchLiftHistory } from '../services/dbService';
+import { BodyweightRecord } from '../models/bodyweightModels';
+import { findCompetitionLifts, calculateTotalKg, calculateScores, buildScoreSeries } from '../utils/relativeStrength';
+import { convertWeight, formatWeight } from '../utils/units';
+import { WEIGHT_UNITS } from '../constants/units';
+import { SEXES, SEX_LABELS, SCORING_EQUIPMENT, SCORING_EQUIPMENT_LABELS, DEFAULT_SCORING_PROFILE } from '../constants/scoring';
+
+const SCORE_LABELS = {
+  wilks: 'Wilks',
+  dots: 'DOTS',
+  ipfGl: 'IPF GL',
+};
+
+const COMPETITION_LIFT_LABELS = {
+  squat: 'Squat',
+  bench: 'Bench',
+  deadlift: 'Deadlift',
+};
+
+const StrengthScoresModal = ({ visible, lifts, isKg, colors, scoringProfile = DEFAULT_SCORING_PROFILE, onChangeScoringProfile, onClose }) => {
+  const [bodyweightHistory, setBodyweightHistory] = useState([]);
+  const [liftHistories, setLiftHistories] = useState(null);
+  const [bodyweightText, setBodyweightText] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const unitLabel = isKg ? 'kg' : 'lbs';
+  const competitionLifts = findCompetitionLifts(lifts);
+  const missingLifts = Object.keys(competitionLifts).filter(key => !competitionLifts[key]);
+
+  /**
+   * Loads the bodyweight log and the max history of the squat, bench and deadlift from the dbService.
+   */
+  const loadData = async () => {
+    try {
+      setIsLoading(true);
+      const entries = Object.entries(competitionLifts).filter(([, trackingLift]) => trackingLift);
+      const [records, histories] = await Promise.all([
+        fetchBodyweightHistory(),
+        Promise.all(entries.map(([, trackingLift]) => fetchLiftHistory(trackingLift.id))),
+      ]);
+      setBodyweightHistory(records);
+      setLiftHistories(Object.fromEntries(entries.map(([key], index) => [key, histories[index]])));
+    } catch (error) {
+      console.error('Error loading strength scores:', error);
+      Alert.alert('Error', 'Failed to load your bodyweight and lift history.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * useEffect hook to reload the data each time the modal is opened or the lifts change.
+   */
+  useEffect(() => {
+    if (visible) {
+      setBodyweightText('');
+      loadData();
+    }
+  }, [visible, lifts]);
+
+  /**
+   * Validates the bodyweight input and logs it in the display unit.
+   */
+  const handleLogBodyweight = async () => {
+    const weight = parseFloat(bodyweightText);
+    if (isNaN(weight) || weight <= 0) {
+      Alert.alert('Validation Error', 'Please enter a valid positive bodyweight.');
+      return;
+    }
+    try {
+      await addBodyweight(new BodyweightRecord(weight, unitLabel));
+      setBodyweightText('');
+      await loadData();
+    } catch (error) {
+      console.error('Error logging bodyweight:', error);
+      Alert.alert('Error', 'Failed to log your bodyweight. Please try again.');
+    }
+  };
+
+  /**
+   * Asks before deleting a logged bodyweight.
+   * @param {BodyweightRecord} record - The record to delete.
+   */
+  const confirmDeleteBodyweight = (record) => {
+    Alert.alert(
+      'Delete Bodyweight',
+      `Delete ${formatDisplayWeight(record)} ${unitLabel} from ${new Date(record.date).toLocaleDateString()}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteBodyweight(record.id);
+              await loadData();
+            } catch (error) {
+              console.error('Error deleting bodyweight:', error);
+              Alert.alert('Error', 'Failed to delete the bodyweight. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Formats a weight in kg in the display unit.
+   * @param {number} weightKg - The weight in kg.
+   * @returns {string} The formatted weight, to one decimal.
+   */
+  const formatKg = (weightKg) => convertWeight(weightKg, WEIGHT_UNITS.KG, unitLabel).toFixed(1);
+
+  /**
+   * Formats a logged bodyweight in the display unit, exactly as entered when it is already in that unit.
+   * @param {BodyweightRecord} record - The logged bodyweight.
+   * @returns {string} The formatted weight.
+   */
+  const formatDisplayWeight = (record) => (
+    record.unit === unitLabel ? formatWeight(record.weight) : convertWeight(record.weight, record.unit, unitLabel).toFixed(1)
+  );
+
+  const latestBodyweight = bodyweightHistory[0] || null;
+  const totalKg = calculateTotalKg(competitionLifts);
+  const currentScores = totalKg !== null && latestBodyweight
+    ? calculateScores(totalKg, convertWeight(latestBodyweight.weight, latestBodyweight.unit, WEIGHT_UNITS.KG), scoringProfile)
+    : null;
+  const scorePoints = liftHistories && missingLifts.length === 0
+    ? buildScoreSeries(liftHistories, bodyweightHistory, scoringProfile)
+    : [];
+  const firstPoint = scorePoints[0];
+
+  const renderOption = (selected, label, onPress) => (
+    <TouchableOpacity key={label} onPress={onPress} style={styles.optionButton}>
+      <Text style={[styles.optionText, { color: selected ? colors.primaryRed : colors.subText }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  /**
+   * Explains what is still needed before the scores can be calculated.
+   * @returns {string | null} The message, or null when the scores can be shown.
+   */
+  const getMissingMessage = () => {
+    if (missingLifts.length > 0) {
+      return `Add a barbell ${missingLifts.map(key => COMPETITION_LIFT_LABELS[key]).join(', ')} to calculate scores.`;
+    }
+    if (!latestBodyweight) {
+      return 'Log your bodyweight to calculate scores.';
+    }
+    if (!scoringProfile.sex) {
+      return 'Pick a sex to calculate scores.';
+    }
+    return null;
+  };
+  const missingMessage = getMissingMessage();
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modalOverlay, { backgroundColor: colors.modalBackground }]}>
+        <View style={[styles.modalContent, { backgroundColor: colors.modalContentBackground }]}>
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Strength Scores</Text>
+
+          <ScrollView style={styles.scrollArea} contentContainerStyle={styles.scrollContent}>
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>Lifter</Text>
+            <View style={styles.optionRow}>
+              {Object.values(SEXES).map(sex => renderOption(
+                scoringProfile.sex === sex,
+                SEX_LABELS[sex],
+                () => onChangeScoringProfile({ ...scoringProfile, sex })
+              ))}
+            </View>
+            <View style={styles.optionRow}>
+              {Object.values(SCORING_EQUIPMENT).map(equipment => renderOption(
+                scoringProfile.equipment === equipment,
+                SCORING_EQUIPMENT_LABELS[equipment],
+                () => onChangeScoringProfile({ ...scoringProfile, equipment })
+              ))}
+            </View>
+
+            <Text style={[styles.sectionHeader, { color: colors.text }]}>{`Bodyweight (${unitLabel})`}</Text>
+            <View style={styles.inputRow}>
+              <TextInput
+                style={[styles.input, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+                placeholder={latestBodyweight ? formatDisplayWeight(latestBodyweight) : unitLabel}
+                placeholderTextColor={colors.subText}
+                value={bodyweightText}
+                onChangeText={setBodyweightText}
+                keyboardType="numeric"
+              />
+              <Button title="Log" onPress={handleLogBodyweight} color={colors.primaryRed} />
+            </View>
+
+            {isLoading ? (
+              <ActivityIndicator size="large" color={colors.primaryRed} />
+            ) : (
+              <>
+                {bodyweightHistory.length > 0 && (
+                  <View style={styles.historyList}>
+                    {bodyweightHistory.map(record => (
+                      <TouchableOpacity
+                        key={record.id}
+                        onLongPress={() => confirmDeleteBodyweight(record)}
+                        style={[styles.tableRow, { borderBottomColor: colors.rpeSectionBorder }]}
+                      >
+                        <Text style={[styles.tableCell, { color: colors.subText }]}>{new Date(record.date).toLocaleDateString()}</Text>
+                        <Text style={[styles.tableCell, { color: colors.text }]}>{`${formatDisplayWeight(record)} ${unitLabel}`}</Text>
+                      </TouchableOpacity>
+                    ))}
+                    <Text style={[styles.hintText, { color: colors.subText }]}>Long-press a bodyweight to delete it.</Text>
+                  </View>
+                )}
+
+                <Text style={[styles.sectionHeader, { color: colors.text }]}>Scores</Text>
+                {missingMessage ? (
+                  <Text style={[styles.hintText, { color: colors.subText }]}>{missingMessage}</Text>
+                ) : (
+                  <>
+                    <Text style={[styles.hintText, { color: colors.subText }]}>
+                      {`Total ${formatKg(totalKg)} ${unitLabel} from your current 1RMs`}
+                    </Text>
+                    {Object.keys(SCORE_LABELS).map(key => (
+                      <View key={key} style={[styles.tableRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                        <Text style={[styles.tableCell, { color: colors.text }]}>{SCORE_LABELS[key]}</Text>
+                        <Text style={[styles.scoreText, { color: colors.primaryRed }]}>{currentScores[key].toFixed(2)}</Text>
+                        <Text style={[styles.tableCell, { color: colors.subText }]}>
+                          {scorePoints.length > 1 ? `${currentScores[key] >= firstPoint[key] ? '+' : ''}${(currentScores[key] - firstPoint[key]).toFixed(2)}` : ''}
+                        </Text>
+                      </View>
+                    ))}
+
+                    {scorePoints.length > 1 && (
+                      <>
+                        <Text style={[styles.sectionHeader, { color: colors.text }]}>Trend</Text>
+                        <View style={styles.tableRow}>
+                          <Text style={[styles.tableHeader, { color: colors.text }]}>Date</Text>
+                          {Object.keys(SCORE_LABELS).map(key => (
+                            <Text key={key} style={[styles.tableHeader, { color: colors.text }]}>{SCORE_LABELS[key]}</Text>
+                          ))}
+                        </View>
+                        {[...scorePoints].reverse().map((point, index) => (
+                          <View key={`${point.date}-${index}`} style={[styles.tableRow, { borderBottomColor: colors.rpeSectionBorder }]}>
+                            <Text style={[styles.tableCell, { color: colors.subText }]}>
+                              {new Date(point.date).toLocaleDateString(undefined, { month: 'numeric', day: 'numeric', year: '2-digit' })}
+                            </Text>
+                            {Object.keys(SCORE_LABELS).map(key => (
+                              <Text key={key} style={[styles.tableCell, { color: colors.text }]}>{point[key].toFixed(1)}</Text>
+                            ))}
+                          </View>
+                        ))}
+                      </>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <Button title="Close" onPress={onClose} color={colors.subText} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    borderRadius: 10,
+    padding: 25,
+    alignItems: 'center',
+    width: '90%',
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  scrollArea: {
+    width: '100%',
+  },
+  scrollContent: {
+    alignItems: 'center',
+  },
+  sectionHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+  },
+  optionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  input: {
+    height: 40,
+    width: 100,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginRight: 10,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  historyList: {
+    width: '100%',
+    marginTop: 10,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: 'transparent',
+  },
+  tableHeader: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  scoreText: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 5,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 20,
+  },
+});
+
+export default StrengthScoresModal;
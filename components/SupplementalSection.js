@@ -0,0 +1,157 @@
+// components/SupplementalSection.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, StyleSheet, Alert, TouchableOpacity } from 'react-native';
+import { updateLiftSupplemental } from '../services/dbService';
+import { SupplementalPlan } from '../models/liftModels';
+import { SET_TYPES } from '../models/workoutModels';
+import { SUPPLEMENTAL_TEMPLATES, SUPPLEMENTAL_TEMPLATE_LABELS, DEFAULT_BBB_PERCENTAGE } from '../constants/supplemental';
+
+const SupplementalSection = ({ lift, supplementalSets, colors, renderSetRow, onLiftsUpdated, blockPlan = null }) => {
+  const [bbbPercentageText, setBbbPercentageText] = useState('');
+
+  // A running training block sets the supplemental work for every lift, so it is shown but not editable
+  const plan = blockPlan || (lift ? lift.supplemental : null);
+
+  /**
+   * useEffect hook to show the lift's stored BBB percentage whenever the displayed lift changes.
+   */
+  useEffect(() => {
+    if (plan) {
+      setBbbPercentageText(String(plan.percentage ?? DEFAULT_BBB_PERCENTAGE));
+    }
+  }, [lift ? lift.id : null, plan ? plan.percentage : null]);
+
+  if (!lift) return null;
+
+  /**
+   * Saves a new supplemental plan for the lift and refreshes the lifts.
+   * @param {SupplementalPlan} newPlan - The plan to save.
+   */
+  const savePlan = async (newPlan) => {
+    try {
+      await updateLiftSupplemental(lift.id, newPlan);
+      if (onLiftsUpdated) {
+        onLiftsUpdated();
+      }
+    } catch (error) {
+      console.error('Error saving supplemental template:', error);
+      Alert.alert('Error', 'Failed to save the supplemental template. Please try again.');
+    }
+  };
+
+  /**
+   * Saves the typed BBB percentage once editing ends.
+   */
+  const handleBbbPercentageDone = () => {
+    const percentage = parseFloat(bbbPercentageText);
+    if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+      Alert.alert('Invalid Percentage', 'Please enter a BBB percentage between 1 and 100.');
+      setBbbPercentageText(String(plan.percentage ?? DEFAULT_BBB_PERCENTAGE));
+      return;
+    }
+    if (percentage !== plan.percentage) {
+      savePlan(new SupplementalPlan(plan.template, percentage));
+    }
+  };
+
+  return (
+    <View style={[styles.section, { borderTopColor: colors.rpeSectionBorder }]}>
+      <Text style={[styles.header, { color: colors.text }]}>Supplemental</Text>
+      {blockPlan ? (
+        <Text style={[styles.blockPlanText, { color: colors.subText }]}>
+          {blockPlan.template === SUPPLEMENTAL_TEMPLATES.BBB
+            ? `${SUPPLEMENTAL_TEMPLATE_LABELS[blockPlan.template]} ${blockPlan.percentage ?? DEFAULT_BBB_PERCENTAGE}% · set by the training block`
+            : `${SUPPLEMENTAL_TEMPLATE_LABELS[blockPlan.template]} · set by the training block`}
+        </Text>
+      ) : (
+        <View style={styles.optionRow}>
+          {Object.values(SUPPLEMENTAL_TEMPLATES).map(template => (
+            <TouchableOpacity
+              key={template}
+              onPress={() => template !== plan.template && savePlan(new SupplementalPlan(template, plan.percentage))}
+              style={styles.optionButton}
+            >
+              <Text style={[styles.optionText, { color: plan.template === template ? colors.primaryRed : colors.subText }]}>
+                {SUPPLEMENTAL_TEMPLATE_LABELS[template]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {!blockPlan && plan.template === SUPPLEMENTAL_TEMPLATES.BBB && (
+        <View style={styles.percentageRow}>
+          <Text style={[styles.percentageLabel, { color: colors.subText }]}>% of TM</Text>
+          <TextInput
+            style={[styles.percentageInput, { backgroundColor: colors.inputBackground, borderColor: colors.inputBorder, color: colors.text }]}
+            value={bbbPercentageText}
+            onChangeText={setBbbPercentageText}
+            onBlur={handleBbbPercentageDone}
+            keyboardType="numeric"
+          />
+        </View>
+      )}
+
+      {supplementalSets && renderSetRow(
+        `${supplementalSets.percentage}%`,
+        supplementalSets.weight,
+        `${supplementalSets.sets} × ${supplementalSets.reps}`,
+        'supplemental',
+        SET_TYPES.SUPPLEMENTAL,
+        supplementalSets.sets
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    marginTop: 15,
+    paddingTop: 15,
+    borderTopWidth: 1,
+  },
+  header: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+  },
+  optionText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  blockPlanText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  percentageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 5,
+  },
+  percentageLabel: {
+    fontSize: 14,
+    marginRight: 8,
+  },
+  percentageInput: {
+    height: 36,
+    width: 60,
+    borderWidth: 1,
+    borderRadius: 8,
+    fontSize: 15,
+    textAlign: 'center',
+  },
+});
+
+export default SupplementalSection;
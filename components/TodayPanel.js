@@ -0,0 +1,54 @@
+// components/TodayPanel.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+const TodayPanel = ({ today, weekLabel, colors, onSelectLift }) => {
+  if (!today) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.headerText, { color: colors.text }]}>
+        {`Today · Day ${today.dayIndex + 1} of ${today.dayCount} · ${weekLabel}`}
+      </Text>
+      <View style={styles.liftRow}>
+        {today.lifts.map(lift => {
+          const isPending = today.pendingLifts.includes(lift);
+          return (
+            <TouchableOpacity key={lift.id} onPress={() => onSelectLift(lift)} style={styles.liftButton}>
+              <Text style={[styles.liftText, { color: isPending ? colors.primaryRed : colors.subText }]}>
+                {isPending ? lift.lift.name : `${lift.lift.name} ✓`}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  headerText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  liftRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  liftButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  liftText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default TodayPanel;
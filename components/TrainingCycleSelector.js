@@ -2,33 +2,29 @@
 import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
 
-const trainingCycles = ['Deload', '5/5/5', '3/3/3', '5/3/1'];
-
-const TrainingCycleSelector = ({ selectedCycle, onSelectCycle, colors }) => {
+/**
+ * Horizontal list of the stored cycle definitions; the selected one is highlighted.
+ */
+const TrainingCycleSelector = ({ cycleDefinitions, selectedCycle, onSelectCycle, colors }) => {
   return (
-    <View style={[styles.container, { borderColor: colors.cardBorder }]}>
+    <View style={styles.container}>
       <FlatList
         horizontal
         showsHorizontalScrollIndicator={false}
-        data={trainingCycles}
-        keyExtractor={(item) => item}
+        data={cycleDefinitions}
+        keyExtractor={(item) => item.name}
         renderItem={({ item }) => (
           <TouchableOpacity
-            onPress={() => onSelectCycle(item)}
-            style={[
-              styles.cycleButton,
-              { backgroundColor: colors.cardBackground },
-              selectedCycle === item && { backgroundColor: colors.primaryRed, borderColor: colors.primaryRed },
-            ]}
+            onPress={() => onSelectCycle(item.name)}
+            style={styles.cycleButton}
           >
             <Text
               style={[
                 styles.cycleButtonText,
-                { color: selectedCycle === item ? colors.text : colors.subText }, // Text color changes if active
-                selectedCycle === item && { color: colors.background } // White text on red background
+                { color: selectedCycle === item.name ? colors.primaryRed : colors.subText },
               ]}
             >
-              {item}
+              {item.name}
             </Text>
           </TouchableOpacity>
         )}
@@ -40,24 +36,18 @@ const TrainingCycleSelector = ({ selectedCycle, onSelectCycle, colors }) => {
 
 const styles = StyleSheet.create({
   container: {
-    marginTop: 15,
-    marginBottom: 25, // Add some spacing below the selector
-    width: '90%',
-    borderWidth: 1,
-    borderRadius: 10,
-    paddingVertical: 5,
+    width: '100%',
+    marginBottom: 10,
   },
   flatListContent: {
-    paddingHorizontal: 10,
+    flexGrow: 1,
+    justifyContent: 'space-evenly',
     alignItems: 'center',
+    paddingHorizontal: 15,
   },
   cycleButton: {
     paddingVertical: 10,
-    paddingHorizontal: 18,
-    borderRadius: 20,
-    marginHorizontal: 5,
-    borderWidth: 1,
-    borderColor: 'transparent', // Default transparent border
+    paddingHorizontal: 10,
   },
   cycleButtonText: {
     fontSize: 16,
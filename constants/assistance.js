@@ -0,0 +1,28 @@
+// constants/assistance.js
+
+// 5/3/1 assistance work is counted by category rather than prescribed off the Training Max.
+export const ASSISTANCE_CATEGORIES = {
+    PUSH: 'push',
+    PULL: 'pull',
+    SINGLE_LEG_CORE: 'singleLegCore',
+  };
+
+export const ASSISTANCE_CATEGORY_LABELS = {
+    [ASSISTANCE_CATEGORIES.PUSH]: 'Push',
+    [ASSISTANCE_CATEGORIES.PULL]: 'Pull',
+    [ASSISTANCE_CATEGORIES.SINGLE_LEG_CORE]: 'Single-leg/Core',
+  };
+
+// Reps per category per session. The program asks for 50–100; the low end is the default target.
+export const DEFAULT_ASSISTANCE_REP_TARGETS = {
+    [ASSISTANCE_CATEGORIES.PUSH]: 50,
+    [ASSISTANCE_CATEGORIES.PULL]: 50,
+    [ASSISTANCE_CATEGORIES.SINGLE_LEG_CORE]: 50,
+  };
+export const MAX_ASSISTANCE_REP_TARGET = 500;
+
+// Reps per set when a guided session splits a category's target over its exercises, e.g. 5 × 10 for one exercise and 50 reps.
+export const ASSISTANCE_SET_REPS = 10;
+
+// Exercises attached to one main lift, so the list stays short enough to log from one screen.
+export const MAX_ASSISTANCE_EXERCISES = 6;
@@ -0,0 +1,41 @@
+// constants/blocks.js
+import { SUPPLEMENTAL_TEMPLATES, DEFAULT_BBB_PERCENTAGE } from './supplemental';
+
+// The parts of a 5/3/1 Forever training block.
+export const BLOCK_PHASES = {
+    LEADER: 'leader', // Higher-volume cycles that build up to the anchor
+    DELOAD: 'deload', // The "7th week" deload after the leaders, and optionally after the anchor
+    ANCHOR: 'anchor', // Lower-volume cycle with AMRAP sets
+  };
+
+export const BLOCK_PHASE_LABELS = {
+    [BLOCK_PHASES.LEADER]: 'Leader',
+    [BLOCK_PHASES.DELOAD]: 'Deload',
+    [BLOCK_PHASES.ANCHOR]: 'Anchor',
+  };
+
+// How the main sets of a phase are done.
+export const MAIN_WORK = {
+    STANDARD: 'standard',   // As the cycle definition says, including its AMRAP set
+    FIVES_PRO: 'fives_pro', // Every main set for 5 reps, no AMRAP
+  };
+
+export const MAIN_WORK_LABELS = {
+    [MAIN_WORK.STANDARD]: 'Standard',
+    [MAIN_WORK.FIVES_PRO]: '5s PRO',
+  };
+
+export const MAX_LEADER_CYCLES = 3;
+export const MAX_ANCHOR_CYCLES = 2;
+
+// The block the planner starts from: two 5s PRO + BBB leaders, a 7th-week deload,
+// one FSL anchor and a deload before the next block (11 weeks with the default cycles).
+export const DEFAULT_TRAINING_BLOCK = {
+    leaderCycles: 2,
+    leaderMainWork: MAIN_WORK.FIVES_PRO,
+    leaderSupplemental: { template: SUPPLEMENTAL_TEMPLATES.BBB, percentage: DEFAULT_BBB_PERCENTAGE },
+    anchorCycles: 1,
+    anchorMainWork: MAIN_WORK.STANDARD,
+    anchorSupplemental: { template: SUPPLEMENTAL_TEMPLATES.FSL, percentage: null },
+    deloadAfterAnchor: true,
+  };
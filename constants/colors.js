@@ -18,6 +18,10 @@ export const lightColors = {
     rpeSectionBorder: '#EEEEEE', // Light gray border for RPE sections
     arrowButton: '#FF0000',     // Red for navigation arrows
     shadowColor: '#000000',     // Black for shadows (subtle in light mode)
+    chartTrainingMax: '#FF0000', // Red line for the Training Max
+    chartEstimatedMax: '#1E6FD9', // Blue line for the estimated 1RM
+    chartReps: '#2E9E4F',       // Green bars for top-set reps
+    chartGrid: '#E5E5E5',       // Light gray chart axes and grid lines
   };
   
   export const darkColors = {
@@ -38,4 +42,8 @@ export const lightColors = {
     rpeSectionBorder: '#555555', // Dark gray border for RPE sections
     arrowButton: '#FF0000',     // Red for navigation arrows
     shadowColor: '#000000',     // Black for shadows (can be subtle or omitted in dark mode too)
+    chartTrainingMax: '#FF4D4D', // Lighter red line for the Training Max on dark backgrounds
+    chartEstimatedMax: '#5AA9FF', // Light blue line for the estimated 1RM
+    chartReps: '#4CD17A',       // Light green bars for top-set reps
+    chartGrid: '#444444',       // Dark gray chart axes and grid lines
   };
\ No newline at end of file
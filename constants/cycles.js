@@ -0,0 +1,47 @@
+// constants/cycles.js
+
+// A cycle definition is one week of a 5/3/1 cycle: { name, isDeload, sets: [{ percentage, reps, isAmrap }] }.
+// Percentages are of the Training Max. Deload weeks skip the warm-up, joker and supplemental sets.
+// The stored definitions, in order, are the weeks of a cycle.
+export const DEFAULT_CYCLE_DEFINITIONS = [
+    {
+      name: '5/5/5',
+      isDeload: false,
+      sets: [
+        { percentage: 65, reps: 5, isAmrap: false },
+        { percentage: 75, reps: 5, isAmrap: false },
+        { percentage: 85, reps: 5, isAmrap: true },
+      ],
+    },
+    {
+      name: '3/3/3',
+      isDeload: false,
+      sets: [
+        { percentage: 70, reps: 3, isAmrap: false },
+        { percentage: 80, reps: 3, isAmrap: false },
+        { percentage: 90, reps: 3, isAmrap: true },
+      ],
+    },
+    {
+      name: '5/3/1',
+      isDeload: false,
+      sets: [
+        { percentage: 75, reps: 5, isAmrap: false },
+        { percentage: 85, reps: 3, isAmrap: false },
+        { percentage: 95, reps: 1, isAmrap: true },
+      ],
+    },
+    {
+      name: 'Deload',
+      isDeload: true,
+      sets: [
+        { percentage: 40, reps: 5, isAmrap: false },
+        { percentage: 50, reps: 5, isAmrap: false },
+        { percentage: 60, reps: 3, isAmrap: false },
+      ],
+    },
+  ];
+
+// Limits for user-defined cycles, so a typo can't prescribe something unusable.
+export const MAX_CYCLE_SETS = 10;
+export const MAX_CYCLE_PERCENTAGE = 150;
@@ -0,0 +1,46 @@
+// constants/liftCategories.js
+
+// Which half of the body a lift trains. Picks the standard Training Max increase (see DEFAULT_TM_INCREMENTS).
+export const BODY_REGIONS = {
+    UPPER: 'upper',
+    LOWER: 'lower',
+  };
+
+export const BODY_REGION_LABELS = {
+    [BODY_REGIONS.UPPER]: 'Upper',
+    [BODY_REGIONS.LOWER]: 'Lower',
+  };
+
+// Main lifts run the 5/3/1 waves with joker sets; assistance lifts follow the same waves without them.
+export const LIFT_ROLES = {
+    MAIN: 'main',
+    ASSISTANCE: 'assistance',
+  };
+
+export const LIFT_ROLE_LABELS = {
+    [LIFT_ROLES.MAIN]: 'Main',
+    [LIFT_ROLES.ASSISTANCE]: 'Assistance',
+  };
+
+// What the lift is performed with. Only barbell lifts are loaded with plates.
+export const EQUIPMENT_TYPES = {
+    BARBELL: 'barbell',
+    DUMBBELL: 'dumbbell',
+    MACHINE: 'machine',
+  };
+
+export const EQUIPMENT_TYPE_LABELS = {
+    [EQUIPMENT_TYPES.BARBELL]: 'Barbell',
+    [EQUIPMENT_TYPES.DUMBBELL]: 'Dumbbell',
+    [EQUIPMENT_TYPES.MACHINE]: 'Machine',
+  };
+
+// The jumps available on equipment that isn't loaded with plates. Weights for these lifts are rounded
+// to these steps instead of the rounding policy, and a Training Max never goes up by less than one step.
+export const EQUIPMENT_INCREMENTS = {
+    [EQUIPMENT_TYPES.DUMBBELL]: { lbs: 5, kg: 2 },
+    [EQUIPMENT_TYPES.MACHINE]: { lbs: 10, kg: 5 },
+  };
+
+// Lifts stored before categories existed, and lifts imported without one, get their body region from the name.
+export const LOWER_BODY_PATTERN = /squat|deadlift|dead lift|leg press|lunge/i;
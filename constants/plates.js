@@ -0,0 +1,37 @@
+// constants/plates.js
+
+// Default bar weight and plate inventory for each unit system.
+// `pairs` is how many plates of that weight are available for each side of the bar.
+export const defaultPlateInventories = {
+    lbs: {
+      barWeight: 45,
+      plates: [
+        { weight: 45, pairs: 8 },
+        { weight: 35, pairs: 1 },
+        { weight: 25, pairs: 1 },
+        { weight: 10, pairs: 2 },
+        { weight: 5, pairs: 1 },
+        { weight: 2.5, pairs: 1 },   // Change plates
+        { weight: 1.25, pairs: 1 },  // Microplates
+        { weight: 0.5, pairs: 0 },
+        { weight: 0.25, pairs: 0 },
+      ],
+    },
+    kg: {
+      barWeight: 20,
+      plates: [
+        { weight: 25, pairs: 8 },
+        { weight: 20, pairs: 1 },
+        { weight: 15, pairs: 1 },
+        { weight: 10, pairs: 1 },
+        { weight: 5, pairs: 1 },
+        { weight: 2.5, pairs: 1 },   // Change plates
+        { weight: 2, pairs: 0 },
+        { weight: 1.5, pairs: 0 },
+        { weight: 1.25, pairs: 1 },  // Microplates
+        { weight: 1, pairs: 0 },
+        { weight: 0.5, pairs: 1 },
+        { weight: 0.25, pairs: 0 },
+      ],
+    },
+  };
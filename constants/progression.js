@@ -0,0 +1,13 @@
+// constants/progression.js
+
+// Standard Training Max increases at the end of each cycle, per unit system.
+export const DEFAULT_TM_INCREMENTS = {
+    upper: { lbs: 5, kg: 2.5 },
+    lower: { lbs: 10, kg: 5 },
+  };
+
+// Joker sets after the top set: each one is this much heavier than the set before it.
+export const JOKER_STEP_PERCENTAGE = 5;
+export const MAX_JOKER_SETS = 3;
+// No joker set is suggested above this percentage of the Training Max unless changed in the settings.
+export const DEFAULT_JOKER_CAP_PERCENTAGE = 110;
@@ -0,0 +1,15 @@
+// constants/restTimer.js
+
+// Rest after a set is marked done, in seconds, by the kind of set.
+export const DEFAULT_REST_SECONDS = {
+    warmUp: 60,
+    main: 180,        // Working sets and joker sets
+    supplemental: 90, // Supplemental and accessory sets
+  };
+
+// How much the "+30s" button adds to the running rest.
+export const REST_EXTENSION_SECONDS = 30;
+export const MAX_REST_SECONDS = 1800;
+
+// Vibration pattern played when the rest is over: wait, buzz, pause, buzz (ms).
+export const REST_CUE_VIBRATION_PATTERN = [0, 400, 200, 400];
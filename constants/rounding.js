@@ -0,0 +1,21 @@
+// constants/rounding.js
+
+export const ROUNDING_MODES = {
+    NEAREST: 'nearest',
+    DOWN: 'down',
+    UP: 'up',
+  };
+
+// The smallest jump that can be loaded, per unit system (e.g. a pair of 2.5 lb plates = 5 lb).
+export const roundingIncrementOptions = {
+    lbs: [1, 2.5, 5, 10],
+    kg: [0.5, 1, 1.25, 2.5, 5],
+  };
+
+export const defaultRoundingPolicy = {
+    mode: ROUNDING_MODES.NEAREST,
+    increments: {
+      lbs: 5,
+      kg: 2.5,
+    },
+  };
@@ -0,0 +1,15 @@
+// constants/schedule.js
+
+// Ways of spreading the lifts over training days.
+export const SCHEDULE_TEMPLATES = {
+    FOUR_DAY: 'four_day',                   // One main lift a day, four days a week
+    THREE_DAY_ROLLING: 'three_day_rolling', // One main lift a day, three days a week, so a week of the cycle rolls into the next calendar week
+    TWO_DAY: 'two_day',                     // Two main lifts a day (full body), two days a week
+  };
+
+// How many days a week the lifter trains is up to them: the rotation follows the lifts' progress, not the calendar.
+export const SCHEDULE_TEMPLATE_DETAILS = {
+    [SCHEDULE_TEMPLATES.FOUR_DAY]: { label: '4-day', liftsPerDay: 1, description: 'One main lift a day, trained four days a week.' },
+    [SCHEDULE_TEMPLATES.THREE_DAY_ROLLING]: { label: '3-day rolling', liftsPerDay: 1, description: 'One main lift a day, trained three days a week, so each week of the cycle rolls into the next.' },
+    [SCHEDULE_TEMPLATES.TWO_DAY]: { label: '2-day full body', liftsPerDay: 2, description: 'Two main lifts a day, trained two days a week.' },
+  };
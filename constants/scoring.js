@@ -0,0 +1,62 @@
+// constants/scoring.js
+
+// Relative strength scores compare powerlifting totals across bodyweights; the formulas differ by sex.
+export const SEXES = {
+    MALE: 'male',
+    FEMALE: 'female',
+  };
+
+export const SEX_LABELS = {
+    [SEXES.MALE]: 'Male',
+    [SEXES.FEMALE]: 'Female',
+  };
+
+// Only IPF GL points have separate coefficients for lifting in supportive gear.
+export const SCORING_EQUIPMENT = {
+    RAW: 'raw',           // "Classic" in IPF terms
+    EQUIPPED: 'equipped', // Single-ply suits and shirts
+  };
+
+export const SCORING_EQUIPMENT_LABELS = {
+    [SCORING_EQUIPMENT.RAW]: 'Raw',
+    [SCORING_EQUIPMENT.EQUIPPED]: 'Equipped',
+  };
+
+// The sex stays unset until the lifter picks it, since the scores can't be calculated without it.
+export const DEFAULT_SCORING_PROFILE = {
+    sex: null,
+    equipment: SCORING_EQUIPMENT.RAW,
+  };
+
+// Wilks (1994): 500 / (a + b·bw + c·bw² + d·bw³ + e·bw⁴ + f·bw⁵), with bodyweight in kg clamped to the fitted range.
+export const WILKS_COEFFICIENTS = {
+    [SEXES.MALE]: { polynomial: [-216.0475144, 16.2606339, -0.002388645, -0.00113732, 7.01863e-6, -1.291e-8], minBodyweight: 40, maxBodyweight: 201.9 },
+    [SEXES.FEMALE]: { polynomial: [594.31747775582, -27.23842536447, 0.82112226871, -0.00930733913, 4.731582e-5, -9.054e-8], minBodyweight: 26.51, maxBodyweight: 154.53 },
+  };
+
+// DOTS: 500 / (a + b·bw + c·bw² + d·bw³ + e·bw⁴), with bodyweight in kg clamped to the fitted range.
+export const DOTS_COEFFICIENTS = {
+    [SEXES.MALE]: { polynomial: [-307.75076, 24.0900756, -0.1918759221, 0.0007391293, -0.000001093], minBodyweight: 40, maxBodyweight: 210 },
+    [SEXES.FEMALE]: { polynomial: [-57.96288, 13.6175032, -0.1126655495, 0.0005158568, -0.0000010706], minBodyweight: 40, maxBodyweight: 150 },
+  };
+
+// IPF GL points (2020) for the three-lift total: 100 / (A − B·e^(−C·bw)).
+export const IPF_GL_COEFFICIENTS = {
+    [SEXES.MALE]: {
+      [SCORING_EQUIPMENT.RAW]: { a: 1199.72839, b: 1025.18162, c: 0.00921 },
+      [SCORING_EQUIPMENT.EQUIPPED]: { a: 1236.25115, b: 1449.21864, c: 0.01644 },
+    },
+    [SEXES.FEMALE]: {
+      [SCORING_EQUIPMENT.RAW]: { a: 610.32796, b: 1045.59282, c: 0.03048 },
+      [SCORING_EQUIPMENT.EQUIPPED]: { a: 758.63878, b: 949.31382, c: 0.02435 },
+    },
+  };
+// The IPF doesn't score lifters below this bodyweight (kg).
+export const IPF_GL_MIN_BODYWEIGHT = 35;
+
+// Names that identify the lifts making up the total.
+export const COMPETITION_LIFT_PATTERNS = {
+    squat: /squat/i,
+    bench: /bench/i,
+    deadlift: /dead\s?lift/i,
+  };
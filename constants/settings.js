@@ -0,0 +1,36 @@
+// constants/settings.js
+import { defaultPlateInventories } from './plates';
+import { defaultRoundingPolicy } from './rounding';
+import { DEFAULT_TM_INCREMENTS, DEFAULT_JOKER_CAP_PERCENTAGE } from './progression';
+import { DEFAULT_CYCLE_DEFINITIONS } from './cycles';
+import { DEFAULT_REST_SECONDS } from './restTimer';
+import { DEFAULT_ASSISTANCE_REP_TARGETS } from './assistance';
+import { DEFAULT_SCORING_PROFILE } from './scoring';
+
+export const THEMES = {
+    SYSTEM: 'system', // Follow the device's light/dark setting
+    LIGHT: 'light',
+    DARK: 'dark',
+  };
+
+// Percentages of the Training Max for the three warm-up sets.
+export const DEFAULT_WARM_UP_PERCENTAGES = [40, 50, 60];
+
+// Every persisted preference and its value on a fresh install.
+export const defaultSettings = {
+    isKg: false,
+    theme: THEMES.SYSTEM,
+    roundingPolicy: defaultRoundingPolicy,
+    plateInventories: defaultPlateInventories,
+    warmUpPercentages: DEFAULT_WARM_UP_PERCENTAGES,
+    tmIncrements: DEFAULT_TM_INCREMENTS,
+    jokerCapPercentage: DEFAULT_JOKER_CAP_PERCENTAGE,
+    cycleDefinitions: DEFAULT_CYCLE_DEFINITIONS,
+    trainingBlock: null, // The running Leader/Anchor block (see DEFAULT_TRAINING_BLOCK), or null to repeat the cycles
+    restSeconds: DEFAULT_REST_SECONDS,
+    scheduleTemplate: null, // One of SCHEDULE_TEMPLATES once a training schedule is set up
+    assistanceRepTargets: DEFAULT_ASSISTANCE_REP_TARGETS,
+    scoringProfile: DEFAULT_SCORING_PROFILE, // The sex and equipment relative strength scores are calculated for
+  };
+
+export const SETTING_KEYS = Object.keys(defaultSettings);
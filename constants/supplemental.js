@@ -0,0 +1,21 @@
+// constants/supplemental.js
+
+// Supplemental templates run after the main work. Stored per lift.
+export const SUPPLEMENTAL_TEMPLATES = {
+    NONE: 'none',
+    BBB: 'bbb', // Boring But Big: 5x10 at a chosen percentage of the TM
+    FSL: 'fsl', // First Set Last: 5x5 at the first working set's percentage
+    SSL: 'ssl', // Second Set Last: 5x5 at the second working set's percentage
+    BBS: 'bbs', // Boring But Strong: 10x5 at the first working set's percentage
+  };
+
+export const SUPPLEMENTAL_TEMPLATE_LABELS = {
+    [SUPPLEMENTAL_TEMPLATES.NONE]: 'None',
+    [SUPPLEMENTAL_TEMPLATES.BBB]: 'BBB',
+    [SUPPLEMENTAL_TEMPLATES.FSL]: 'FSL',
+    [SUPPLEMENTAL_TEMPLATES.SSL]: 'SSL',
+    [SUPPLEMENTAL_TEMPLATES.BBS]: 'BBS',
+  };
+
+// Boring But Big percentage used until the lifter picks one.
+export const DEFAULT_BBB_PERCENTAGE = 50;
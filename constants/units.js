@@ -0,0 +1,9 @@
+// constants/units.js
+
+// The units a weight can be entered and stored in. Every stored weight keeps its unit next to it.
+export const WEIGHT_UNITS = {
+    LBS: 'lbs',
+    KG: 'kg',
+  };
+
+export const LBS_TO_KG_FACTOR = 0.453592;
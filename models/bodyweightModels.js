@@ -0,0 +1,11 @@
+// src/models/bodyweightModels.js
+import { WEIGHT_UNITS } from '../constants/units';
+
+export class BodyweightRecord {
+    constructor(weight, unit = WEIGHT_UNITS.LBS, date = new Date().toISOString(), id = null) {
+      this.id = id;         // Null until the record is stored
+      this.weight = weight; // The weighed bodyweight, in `unit`
+      this.unit = unit;     // The unit the weight was entered in (one of WEIGHT_UNITS)
+      this.date = date;
+    }
+  }
@@ -1,30 +1,104 @@
 // src/models/liftModels.js
+import { WEIGHT_UNITS } from '../constants/units';
+import { SUPPLEMENTAL_TEMPLATES } from '../constants/supplemental';
+import { BODY_REGIONS, LIFT_ROLES, EQUIPMENT_TYPES, LOWER_BODY_PATTERN } from '../constants/liftCategories';
+
+// 5/3/1 works off a Training Max rather than the true 1RM; 90% is the program default.
+export const DEFAULT_TM_PERCENTAGE = 90;
+
+// Why a lift's max changed, stored with each max history record.
+export const MAX_CHANGE_SOURCES = {
+    CREATED: 'created', // The lift was added
+    EDIT: 'edit',       // Changed by hand in the edit modal
+    E1RM: 'e1rm',       // Accepted from an AMRAP set's estimated 1RM
+    TM_BUMP: 'tm_bump', // End-of-cycle Training Max increase
+  };
+
+export class LiftCategory {
+    constructor(bodyRegion = BODY_REGIONS.UPPER, role = LIFT_ROLES.MAIN, equipment = EQUIPMENT_TYPES.BARBELL) {
+      this.bodyRegion = bodyRegion; // One of BODY_REGIONS; picks the standard TM increase
+      this.role = role;             // One of LIFT_ROLES; only main lifts get joker sets
+      this.equipment = equipment;   // One of EQUIPMENT_TYPES; only barbell lifts are loaded with plates
+    }
+
+    /**
+     * Guesses the category of a lift from its name: a main barbell lift, lower body when the name says so.
+     * @param {string} liftName - The name of the lift.
+     * @returns {LiftCategory} The guessed category.
+     */
+    static fromName(liftName) {
+      return new LiftCategory(LOWER_BODY_PATTERN.test(liftName) ? BODY_REGIONS.LOWER : BODY_REGIONS.UPPER);
+    }
+  }
 
 export class Lift {
-    constructor(name, maxWeight) {
+    constructor(name, maxWeight, tmPercentage = DEFAULT_TM_PERCENTAGE, tmIncrement = null, unit = WEIGHT_UNITS.LBS, category = LiftCategory.fromName(name)) {
       this.name = name;
-      this.maxWeight = maxWeight;
+      this.maxWeight = maxWeight; // Tested or estimated 1RM
+      this.tmPercentage = tmPercentage;
+      this.tmIncrement = tmIncrement; // End-of-cycle TM increase in `unit`; null uses the standard one
+      this.unit = unit; // The unit maxWeight was entered in (one of WEIGHT_UNITS)
+      this.category = category; // Body region, role and equipment (a LiftCategory)
+    }
+
+    /**
+     * Derives the Training Max from the stored 1RM and TM percentage.
+     * @returns {number} The Training Max in the lift's unit.
+     */
+    getTrainingMax() {
+      return this.maxWeight * (this.tmPercentage / 100);
     }
   }
-  
+
   export class WorkSet {
-    constructor(repLift1, repLift2, repLift3, reps1, reps2, reps3) {
-      this.repLift1 = repLift1;
-      this.repLift2 = repLift2;
-      this.repLift3 = repLift3;
-      this.reps1 = reps1;
-      this.reps2 = reps2;
-      this.reps3 = reps3;
+    constructor(sets = []) {
+      this.sets = sets; // [{ percentage, weight, reps, isAmrap }] in the order they are performed
+    }
+
+    /**
+     * Gets the last, and heaviest, prescribed set of the week.
+     * @returns {{percentage: number, weight: number, reps: number, isAmrap: boolean} | null} The top set, or null without sets.
+     */
+    getTopSet() {
+      return this.sets.length > 0 ? this.sets[this.sets.length - 1] : null;
     }
   }
-  
+
+  export class CycleProgress {
+    constructor(weekIndex = 0, cycleNumber = 1) {
+      this.weekIndex = weekIndex;     // Position in the cycle definitions (0 = 5/5/5 ... 3 = Deload by default), or in the training block's weeks
+      this.cycleNumber = cycleNumber; // How many cycles (or training blocks, while one is running) have been started, starting at 1
+    }
+  }
+
+  export class SupplementalPlan {
+    constructor(template = SUPPLEMENTAL_TEMPLATES.NONE, percentage = null) {
+      this.template = template;     // One of SUPPLEMENTAL_TEMPLATES
+      this.percentage = percentage; // TM percentage for BBB; null uses DEFAULT_BBB_PERCENTAGE
+    }
+  }
+
   export class TrackingLift {
-    constructor(lift, date = new Date().toLocaleDateString(), id = null) {
+    constructor(lift, date = new Date().toISOString(), id = null, progress = new CycleProgress(), supplemental = new SupplementalPlan()) {
       if (!(lift instanceof Lift)) {
         throw new Error("TrackingLift constructor expects a Lift instance for 'lift'.");
       }
       this.id = id; // This will be null initially, then populated after DB insert
       this.lift = lift;
-      this.date = date;
+      this.date = date; // When the max was last changed (the latest MaxWeightRecord)
+      this.progress = progress; // Where the lift is in the 5s -> 3s -> 5/3/1 -> Deload sequence
+      this.supplemental = supplemental; // The supplemental template run after the main work
+    }
+  }
+
+  export class MaxWeightRecord {
+    constructor(liftId, maxWeight, tmPercentage, date, source = MAX_CHANGE_SOURCES.EDIT, id = null, unit = WEIGHT_UNITS.LBS) {
+      this.id = id;
+      this.liftId = liftId;
+      this.maxWeight = maxWeight;
+      this.unit = unit;     // The unit maxWeight was entered in
+      this.tmPercentage = tmPercentage;
+      this.date = date;     // When this value took effect
+      this.source = source; // One of MAX_CHANGE_SOURCES
     }
-  }
\ No newline at end of file
+  }
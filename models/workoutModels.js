@@ -0,0 +1,130 @@
+// src/models/workoutModels.js
+import { WEIGHT_UNITS } from '../constants/units';
+
+export const SET_TYPES = {
+    WARM_UP: 'warmup',
+    WORKING: 'working',
+    JOKER: 'joker',
+    SUPPLEMENTAL: 'supplemental',
+    ACCESSORY: 'accessory', // Assistance work after the supplemental sets
+  };
+
+// The order sets are done in during a session.
+export const SESSION_SET_ORDER = [SET_TYPES.WARM_UP, SET_TYPES.WORKING, SET_TYPES.JOKER, SET_TYPES.SUPPLEMENTAL, SET_TYPES.ACCESSORY];
+
+  export class LoggedSet {
+    constructor(setType, weight, reps, isAmrap = false, targetReps = null, unit = WEIGHT_UNITS.LBS, exerciseName = null, assistanceCategory = null) {
+      this.setType = setType; // One of SET_TYPES
+      this.weight = weight;   // Weight actually lifted, in `unit`; added weight (0 for none) for bodyweight exercises
+      this.unit = unit;       // The unit the weight was logged in
+      this.reps = reps;       // Reps actually completed
+      this.isAmrap = isAmrap; // True for the final "+" set of a cycle
+      this.targetReps = targetReps; // Prescribed reps (the minimum for an AMRAP set)
+      this.exerciseName = exerciseName;             // The assistance exercise of an accessory set, as named when logged
+      this.assistanceCategory = assistanceCategory; // One of ASSISTANCE_CATEGORIES for an accessory set, otherwise null
+    }
+  }
+
+  export class AssistanceExercise {
+    constructor(liftId, name, category, isBodyweight = false, id = null) {
+      this.id = id;
+      this.liftId = liftId;   // The main lift whose day the exercise is done on
+      this.name = name;
+      this.category = category; // One of ASSISTANCE_CATEGORIES
+      this.isBodyweight = isBodyweight; // Logged as reps, with any added weight
+    }
+  }
+
+  export class WorkoutSession {
+    constructor(liftId, cycle, sets = [], date = new Date().toISOString(), id = null) {
+      if (!sets.every(set => set instanceof LoggedSet)) {
+        throw new Error("WorkoutSession constructor expects an array of LoggedSet instances for 'sets'.");
+      }
+      this.id = id; // This will be null initially, then populated after DB insert
+      this.liftId = liftId;
+      this.cycle = cycle; // The cycle week that was trained (e.g. '5/3/1')
+      this.sets = sets;
+      this.date = date;
+    }
+
+    /**
+     * Finds the AMRAP set of the session, if one was logged.
+     * @returns {LoggedSet | null} The AMRAP set, or null for sessions without one (e.g. Deload).
+     */
+    getAmrapSet() {
+      return this.sets.find(set => set.isAmrap) || null;
+    }
+
+    /**
+     * Checks whether only assistance work was logged, without any main lift sets.
+     * @returns {boolean} True when every set is an accessory set.
+     */
+    isAssistanceOnly() {
+      return this.sets.length > 0 && this.sets.every(set => set.setType === SET_TYPES.ACCESSORY);
+    }
+  }
+
+  export class SessionStep {
+    constructor(setType, label, weight, reps, isAmrap = false, loggedWeight = null, loggedReps = null, isDone = false, exerciseName = null, assistanceCategory = null) {
+      this.setType = setType;           // One of SET_TYPES
+      this.label = label;               // e.g. '65%', 'Supp 3' or 'Chin-up 2'
+      this.weight = weight;             // Prescribed weight, in the draft's unit; for an accessory set the added weight, or null when chosen on the day
+      this.reps = reps;                 // Prescribed reps (the minimum for an AMRAP set)
+      this.isAmrap = isAmrap;
+      this.loggedWeight = loggedWeight; // Weight actually lifted, once entered
+      this.loggedReps = loggedReps;     // Reps actually completed, once entered
+      this.isDone = isDone;             // Checked off during the session
+      this.exerciseName = exerciseName;             // The assistance exercise of an accessory step
+      this.assistanceCategory = assistanceCategory; // One of ASSISTANCE_CATEGORIES for an accessory step, otherwise null
+    }
+
+    /**
+     * Copies the step with what was logged for it.
+     * @param {number | null} loggedWeight - The weight actually lifted.
+     * @param {number | null} loggedReps - The reps actually completed.
+     * @param {boolean} isDone - Whether the step is checked off.
+     * @returns {SessionStep} The changed copy.
+     */
+    withLog(loggedWeight, loggedReps, isDone) {
+      return new SessionStep(
+        this.setType, this.label, this.weight, this.reps, this.isAmrap,
+        loggedWeight, loggedReps, isDone, this.exerciseName, this.assistanceCategory
+      );
+    }
+  }
+
+  export class SessionDraft {
+    constructor(liftId, cycle, unit, steps = [], stepIndex = 0, updatedAt = new Date().toISOString()) {
+      this.liftId = liftId;
+      this.cycle = cycle;         // The cycle week being trained
+      this.unit = unit;           // The unit every weight of the session is in
+      this.steps = steps;         // SessionStep objects in SESSION_SET_ORDER
+      this.stepIndex = stepIndex; // The step on screen
+      this.updatedAt = updatedAt;
+    }
+
+    /**
+     * Counts the steps checked off so far.
+     * @returns {number} The number of done steps.
+     */
+    getDoneCount() {
+      return this.steps.filter(step => step.isDone).length;
+    }
+
+    /**
+     * Builds the session to log from the steps checked off so far.
+     * @returns {WorkoutSession} The session, without an ID.
+     */
+    toWorkoutSession() {
+      return new WorkoutSession(
+        this.liftId,
+        this.cycle,
+        this.steps
+          .filter(step => step.isDone)
+          .map(step => new LoggedSet(
+            step.setType, step.loggedWeight, step.loggedReps, step.isAmrap, step.reps, this.unit,
+            step.exerciseName, step.assistanceCategory
+          ))
+      );
+    }
+  }
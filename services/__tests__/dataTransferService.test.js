@@ -0,0 +1,46 @@
+// services/__tests__/dataTransferService.test.js
+// Exports the data of one install and imports it into another, through dbService and the SQLite adapter.
+// expo-sqlite is replaced by the sql.js stand-in in __mocks__/expo-sqlite.js.
+
+/**
+ * Opens a new, empty install of the app.
+ * @returns {Promise<{dbService: Object, dataTransferService: Object, expoSqliteService: Object}>} Its modules.
+ */
+const openInstall = async () => {
+  jest.resetModules();
+  const dbService = require('../dbService');
+  await dbService.initDb();
+  return { dbService, dataTransferService: require('../dataTransferService'), expoSqliteService: require('../expoSqliteService') };
+};
+
+describe('export and import', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['JSON', 'serializeToJson'],
+    ['CSV', 'serializeToCsv'],
+  ])('moves a lift dated by an older version of the app to another device (%s)', async (formatName, serialize) => {
+    const source = await openInstall();
+    // Stored the way lifts were before the max history existed, by an en-GB device
+    await source.expoSqliteService.saveTrackingLift({
+      name: 'Squat', maxWeight: 140, unit: 'kg', tmPercentage: 90, date: '19/10/2026', bodyRegion: 'lower', role: 'main', equipment: 'barbell',
+    });
+    const exportText = source.dataTransferService[serialize](await source.dataTransferService.buildExportDocument());
+
+    const target = await openInstall();
+    const parsedImport = target.dataTransferService.parseImportText(exportText);
+    const result = await target.dataTransferService.importData(parsedImport, target.dataTransferService.IMPORT_MODES.REPLACE);
+
+    expect(result.imported).toEqual(['Squat']);
+    const [squat] = await target.dbService.fetchLifts();
+    const history = await target.dbService.fetchLiftHistory(squat.id);
+    expect(history.map(record => [record.maxWeight, record.unit, record.date])).toEqual([[140, 'kg', new Date(2026, 9, 19).toISOString()]]);
+  });
+});
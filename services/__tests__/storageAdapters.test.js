@@ -0,0 +1,467 @@
+// services/__tests__/storageAdapters.test.js
+// Runs every storage adapter through the same scenarios, so the backends can't drift apart (see ../storageAdapter.js).
+// expo-sqlite is replaced by the sql.js stand-in in __mocks__/expo-sqlite.js.
+
+import { assertStorageAdapter } from '../storageAdapter';
+import { migrations, SCHEMA_VERSION, TABLES } from '../migrations';
+
+/**
+ * Gives webStorageService an empty, in-memory localStorage to work with.
+ */
+const installMemoryLocalStorage = () => {
+  const items = new Map();
+  global.window = global.window || {};
+  global.window.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear(),
+  };
+};
+
+// The key webStorageService keeps its data under
+const WEB_STORAGE_KEY = '531StrengthTracker';
+
+/**
+ * Reads and writes the schema version a backend has stored, and seeds a lift the way version 3 of the app
+ * stored it: without a max history, dated with toLocaleDateString(). Each is what a newer or older app would have left.
+ * The in-memory mock keeps nothing between launches, so it has none.
+ */
+const sqliteSchemaVersion = {
+  read: async () => {
+    const db = await require('expo-sqlite').openDatabaseAsync(`${TABLES.LIFTS}.db`);
+    return (await db.getFirstAsync('PRAGMA user_version;')).user_version;
+  },
+  write: async (version) => {
+    const db = await require('expo-sqlite').openDatabaseAsync(`${TABLES.LIFTS}.db`);
+    await db.execAsync(`PRAGMA user_version = ${version};`);
+  },
+  seedVersion3Lift: async ({ name, maxWeight, tmPercentage, date }) => {
+    const db = await require('expo-sqlite').openDatabaseAsync(`${TABLES.LIFTS}.db`);
+    for (const migration of migrations.filter(step => step.version <= 3)) {
+      await migration.up(db);
+    }
+    await db.runAsync(`INSERT INTO ${TABLES.LIFTS} (name, maxWeight, tmPercentage, date) VALUES (?, ?, ?, ?);`, [name, maxWeight, tmPercentage, date]);
+    await db.execAsync('PRAGMA user_version = 3;');
+  },
+};
+const webSchemaVersion = {
+  read: async () => JSON.parse(window.localStorage.getItem(WEB_STORAGE_KEY)).version,
+  write: async (version) => {
+    const savedStore = JSON.parse(window.localStorage.getItem(WEB_STORAGE_KEY));
+    window.localStorage.setItem(WEB_STORAGE_KEY, JSON.stringify({ ...savedStore, version }));
+  },
+  seedVersion3Lift: async ({ name, maxWeight, tmPercentage, date }) => {
+    window.localStorage.setItem(WEB_STORAGE_KEY, JSON.stringify({
+      version: 3,
+      nextIds: { lift: 2, session: 1, set: 1 },
+      lifts: [{ id: 1, name, maxWeight, tmPercentage, date }],
+      sessions: [],
+    }));
+  },
+};
+
+const adapters = [
+  ['expoSqliteService', () => require('../expoSqliteService'), sqliteSchemaVersion],
+  ['webStorageService', () => {
+    installMemoryLocalStorage();
+    return require('../webStorageService');
+  }, webSchemaVersion],
+  ['mockDatabaseService', () => require('../mockDatabaseService'), null],
+];
+
+const squat = { name: 'Squat', maxWeight: 300, unit: 'lbs', tmPercentage: 90, date: '2024-01-01T00:00:00.000Z', bodyRegion: 'lower', role: 'main', equipment: 'barbell' };
+const press = { name: 'Press', maxWeight: 60, unit: 'kg', tmPercentage: 85, date: '2024-01-02T00:00:00.000Z', bodyRegion: 'upper', role: 'assistance', equipment: 'dumbbell' };
+
+// A raw lift as restored from an export, with one session and one assistance exercise
+const importedDeadlift = {
+  name: 'Deadlift',
+  cycleWeek: 0,
+  cycleNumber: 1,
+  tmIncrement: null,
+  tmIncrementUnit: 'kg',
+  supplementalTemplate: 'none',
+  supplementalPercentage: null,
+  bodyRegion: 'lower',
+  role: 'main',
+  equipment: 'barbell',
+  history: [{ maxWeight: 180, unit: 'kg', tmPercentage: 90, date: '2024-01-01T00:00:00.000Z', source: 'created' }],
+  sessions: [{ cycle: '3/3/3', date: '2024-02-03T00:00:00.000Z', sets: [{ setType: 'working', weight: 160, unit: 'kg', reps: 3, isAmrap: false }] }],
+  assistanceExercises: [{ name: 'Chin-up', category: 'pull', isBodyweight: true }],
+};
+
+/**
+ * Builds a raw workout session with one working set and one AMRAP set.
+ * @param {number} liftId - The lift the session belongs to.
+ * @param {string} date - When the session was logged.
+ * @returns {Object} The raw session.
+ */
+const buildSession = (liftId, date) => ({
+  liftId,
+  cycle: '5/3/1',
+  date,
+  sets: [
+    { setType: 'working', weight: 200, unit: 'lbs', reps: 5, targetReps: 5, isAmrap: false },
+    { setType: 'working', weight: 230, unit: 'lbs', reps: 8, targetReps: 1, isAmrap: true },
+  ],
+});
+
+describe.each(adapters)('%s', (adapterName, loadAdapter, storedSchemaVersion) => {
+  let adapter;
+  let baselineLiftIds;
+
+  /**
+   * Fetches the lifts added by the test, leaving out the demo lifts some backends start with.
+   * @returns {Promise<Array<Object>>} The raw lifts added since the store was opened.
+   */
+  const fetchAddedLifts = async () => (await adapter.fetchAllLifts()).filter(lift => !baselineLiftIds.includes(lift.id));
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    adapter = loadAdapter();
+    await adapter.initDb();
+    baselineLiftIds = (await adapter.fetchAllLifts()).map(lift => lift.id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('implements the storage adapter contract at the current schema version', async () => {
+    expect(() => assertStorageAdapter(adapter, adapterName)).not.toThrow();
+    await expect(adapter.getSchemaVersion()).resolves.toBe(SCHEMA_VERSION);
+  });
+
+  (storedSchemaVersion ? it : it.skip)('refuses to open data stored by a newer schema version and leaves it as it was', async () => {
+    await adapter.saveTrackingLift(squat);
+    await storedSchemaVersion.write(SCHEMA_VERSION + 1);
+
+    await expect(adapter.initDb()).rejects.toThrow(/newer than this app supports/);
+    await expect(storedSchemaVersion.read()).resolves.toBe(SCHEMA_VERSION + 1);
+  });
+
+  (storedSchemaVersion ? it : it.skip)('upgrades a version 3 lift to ISO dates and starts its max history', async () => {
+    jest.resetModules();
+    adapter = loadAdapter();
+    await storedSchemaVersion.seedVersion3Lift({ name: 'Squat', maxWeight: 300, tmPercentage: 85, date: '19/10/2026' });
+    await adapter.initDb();
+
+    const isoDate = new Date(2026, 9, 19).toISOString();
+    const [lift] = await adapter.fetchAllLifts();
+    expect(lift).toMatchObject({ name: 'Squat', maxWeight: 300, unit: 'lbs', tmPercentage: 85, date: isoDate, bodyRegion: 'lower' });
+    expect(await adapter.fetchLiftMaxHistory(lift.id)).toEqual([
+      expect.objectContaining({ liftId: lift.id, maxWeight: 300, unit: 'lbs', tmPercentage: 85, date: isoDate, source: 'created' }),
+    ]);
+  });
+
+  it('adds a lift and fetches it back with the default progression', async () => {
+    const liftId = await adapter.saveTrackingLift(press);
+
+    expect(typeof liftId).toBe('number');
+    expect(await fetchAddedLifts()).toEqual([{
+      id: liftId,
+      ...press,
+      cycleWeek: 0,
+      cycleNumber: 1,
+      tmIncrement: null,
+      tmIncrementUnit: 'kg',
+      supplementalTemplate: 'none',
+      supplementalPercentage: null,
+    }]);
+    expect(await adapter.fetchLiftMaxHistory(liftId)).toEqual([
+      expect.objectContaining({ liftId, maxWeight: 60, unit: 'kg', tmPercentage: 85, date: press.date, source: 'created' }),
+    ]);
+  });
+
+  it('records a new max in the history and reports it as the current max', async () => {
+    const liftId = await adapter.saveTrackingLift(squat);
+
+    await expect(adapter.updateLiftMaxWeight(liftId, 320)).resolves.toBe(true);
+    await expect(adapter.updateLiftMaxWeight(liftId, 150, 80, 'e1rm', 'kg')).resolves.toBe(true);
+
+    const [lift] = await fetchAddedLifts();
+    expect(lift).toMatchObject({ id: liftId, name: 'Squat', maxWeight: 150, unit: 'kg', tmPercentage: 80 });
+    const history = await adapter.fetchLiftMaxHistory(liftId);
+    expect(history.map(record => [record.maxWeight, record.unit, record.tmPercentage, record.source])).toEqual([
+      [150, 'kg', 80, 'e1rm'],
+      [320, 'lbs', 90, 'edit'],
+      [300, 'lbs', 90, 'created'],
+    ]);
+  });
+
+  it('reports updates of a missing lift as unsuccessful', async () => {
+    const missingId = Math.max(0, ...baselineLiftIds) + 100;
+
+    await expect(adapter.updateLiftMaxWeight(missingId, 100)).resolves.toBe(false);
+    await expect(adapter.updateLiftProgression(missingId, { cycleWeek: 1 })).resolves.toBe(false);
+    await expect(adapter.deleteLiftById(missingId)).resolves.toBe(false);
+    expect(await fetchAddedLifts()).toEqual([]);
+  });
+
+  it('changes only the given progression and category fields', async () => {
+    const liftId = await adapter.saveTrackingLift(squat);
+
+    await expect(adapter.updateLiftProgression(liftId, { cycleWeek: 2, tmIncrement: 10, tmIncrementUnit: 'lbs' })).resolves.toBe(true);
+    await expect(adapter.updateLiftProgression(liftId, { supplementalTemplate: 'bbb', supplementalPercentage: 50 })).resolves.toBe(true);
+    await expect(adapter.updateLiftProgression(liftId, { role: 'assistance', equipment: 'machine' })).resolves.toBe(true);
+    await expect(adapter.updateLiftProgression(liftId, { unknownField: 1 })).resolves.toBe(false);
+    await expect(adapter.updateLiftProgression(liftId, { tmIncrement: null })).resolves.toBe(true);
+
+    const [lift] = await fetchAddedLifts();
+    expect(lift).toMatchObject({
+      cycleWeek: 2,
+      cycleNumber: 1,
+      tmIncrement: null,
+      tmIncrementUnit: 'lbs',
+      supplementalTemplate: 'bbb',
+      supplementalPercentage: 50,
+      bodyRegion: 'lower',
+      role: 'assistance',
+      equipment: 'machine',
+      maxWeight: 300,
+    });
+  });
+
+  it('saves workout sessions and fetches them newest first with their sets in order', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    const pressId = await adapter.saveTrackingLift(press);
+
+    const olderId = await adapter.saveWorkoutSession(buildSession(squatId, '2024-02-01T00:00:00.000Z'));
+    const newerId = await adapter.saveWorkoutSession(buildSession(squatId, '2024-02-08T00:00:00.000Z'));
+    const sameDayId = await adapter.saveWorkoutSession(buildSession(pressId, '2024-02-08T00:00:00.000Z'));
+
+    const allSessions = await adapter.fetchWorkoutSessions();
+    expect(allSessions.map(session => session.id)).toEqual([sameDayId, newerId, olderId]);
+
+    const squatSessions = await adapter.fetchWorkoutSessions(squatId);
+    expect(squatSessions.map(session => session.id)).toEqual([newerId, olderId]);
+    expect(squatSessions[0]).toMatchObject({ id: newerId, liftId: squatId, cycle: '5/3/1', date: '2024-02-08T00:00:00.000Z' });
+    expect(squatSessions[0].sets).toEqual([
+      expect.objectContaining({ sessionId: newerId, setOrder: 0, setType: 'working', weight: 200, unit: 'lbs', reps: 5, targetReps: 5, isAmrap: false }),
+      expect.objectContaining({ sessionId: newerId, setOrder: 1, setType: 'working', weight: 230, unit: 'lbs', reps: 8, targetReps: 1, isAmrap: true }),
+    ]);
+  });
+
+  it('rejects a workout session for a missing lift', async () => {
+    const missingId = Math.max(0, ...baselineLiftIds) + 100;
+
+    await expect(adapter.saveWorkoutSession(buildSession(missingId, '2024-02-01T00:00:00.000Z'))).rejects.toThrow();
+    expect(await adapter.fetchWorkoutSessions()).toEqual([]);
+  });
+
+  it('imports a lift with its history, sessions and assistance exercises', async () => {
+    const liftId = await adapter.importLiftRecord({
+      name: 'Deadlift',
+      cycleWeek: 1,
+      cycleNumber: 3,
+      tmIncrement: 5,
+      tmIncrementUnit: 'kg',
+      supplementalTemplate: 'fsl',
+      supplementalPercentage: null,
+      bodyRegion: 'lower',
+      role: 'main',
+      equipment: 'barbell',
+      history: [
+        { maxWeight: 180, unit: 'kg', tmPercentage: 90, date: '2024-01-01T00:00:00.000Z', source: 'created' },
+        { maxWeight: 190, unit: 'kg', tmPercentage: 90, date: '2024-02-01T00:00:00.000Z', source: 'tm_bump' },
+      ],
+      sessions: [{
+        cycle: '3/3/3',
+        date: '2024-02-03T00:00:00.000Z',
+        sets: [
+          { setType: 'working', weight: 160, unit: 'kg', reps: 3, isAmrap: false },
+          { setType: 'accessory', weight: 0, unit: 'kg', reps: 12, isAmrap: false, exerciseName: 'Chin-up', assistanceCategory: 'pull' },
+        ],
+      }],
+      assistanceExercises: [
+        { name: 'Chin-up', category: 'pull', isBodyweight: true },
+        { name: 'Ab Wheel', category: 'singleLegCore', isBodyweight: true },
+      ],
+    });
+
+    const [lift] = await fetchAddedLifts();
+    expect(lift).toMatchObject({
+      id: liftId,
+      name: 'Deadlift',
+      maxWeight: 190,
+      unit: 'kg',
+      date: '2024-02-01T00:00:00.000Z',
+      cycleWeek: 1,
+      cycleNumber: 3,
+      tmIncrement: 5,
+      tmIncrementUnit: 'kg',
+      supplementalTemplate: 'fsl',
+      supplementalPercentage: null,
+      bodyRegion: 'lower',
+      role: 'main',
+      equipment: 'barbell',
+    });
+    expect((await adapter.fetchLiftMaxHistory(liftId)).map(record => record.source)).toEqual(['tm_bump', 'created']);
+    const [session] = await adapter.fetchWorkoutSessions(liftId);
+    expect(session.sets).toEqual([
+      expect.objectContaining({ weight: 160, reps: 3, targetReps: null, isAmrap: false, exerciseName: null, assistanceCategory: null }),
+      expect.objectContaining({ setType: 'accessory', weight: 0, reps: 12, exerciseName: 'Chin-up', assistanceCategory: 'pull' }),
+    ]);
+    expect((await adapter.fetchAssistanceExercises(liftId)).map(exercise => exercise.name)).toEqual(['Chin-up', 'Ab Wheel']);
+  });
+
+  it('replaces every lift with the imported ones', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    await adapter.saveWorkoutSession(buildSession(squatId, '2024-02-01T00:00:00.000Z'));
+    await adapter.replaceScheduleDays([{ liftId: squatId, dayIndex: 0, slot: 0 }]);
+    await adapter.replaceAssistanceExercises(squatId, [{ name: 'Lunge', category: 'singleLegCore', isBodyweight: false }]);
+
+    await expect(adapter.replaceAllLifts([{ ...importedDeadlift }])).resolves.toBe(baselineLiftIds.length + 1);
+
+    const lifts = await adapter.fetchAllLifts();
+    expect(lifts).toEqual([expect.objectContaining({ name: 'Deadlift', maxWeight: 180, unit: 'kg' })]);
+    expect(await adapter.fetchWorkoutSessions()).toEqual([
+      expect.objectContaining({ liftId: lifts[0].id, cycle: '3/3/3' }),
+    ]);
+    await expect(adapter.fetchScheduleDays()).resolves.toEqual([]);
+    expect((await adapter.fetchAssistanceExercises()).map(exercise => [exercise.liftId, exercise.name])).toEqual([[lifts[0].id, 'Chin-up']]);
+  });
+
+  it('keeps the existing lifts when replacing them fails partway through', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    const sessionId = await adapter.saveWorkoutSession(buildSession(squatId, '2024-02-01T00:00:00.000Z'));
+    await adapter.replaceScheduleDays([{ liftId: squatId, dayIndex: 0, slot: 0 }]);
+    await adapter.saveSessionDraft({ liftId: squatId, cycle: '5/5/5', unit: 'lbs', stepIndex: 0, steps: '[]', updatedAt: '2024-03-01T00:00:00.000Z' });
+    const liftsBefore = await adapter.fetchAllLifts();
+
+    // The second lift has no max history to restore it from
+    await expect(adapter.replaceAllLifts([{ ...importedDeadlift }, { ...importedDeadlift, name: 'Broken', history: [] }])).rejects.toThrow();
+
+    await expect(adapter.fetchAllLifts()).resolves.toEqual(liftsBefore);
+    expect((await adapter.fetchWorkoutSessions()).map(session => session.id)).toEqual([sessionId]);
+    await expect(adapter.fetchScheduleDays()).resolves.toEqual([{ liftId: squatId, dayIndex: 0, slot: 0 }]);
+    await expect(adapter.fetchSessionDraft()).resolves.toMatchObject({ liftId: squatId });
+  });
+
+  it('inserts and replaces settings', async () => {
+    await expect(adapter.saveSetting('isKg', 'false')).resolves.toBe(true);
+    await adapter.saveSetting('theme', '"dark"');
+    await adapter.saveSetting('isKg', 'true');
+
+    const settings = await adapter.fetchAllSettings();
+    expect([...settings].sort((a, b) => a.key.localeCompare(b.key))).toEqual([
+      { key: 'isKg', value: 'true' },
+      { key: 'theme', value: '"dark"' },
+    ]);
+  });
+
+  it('keeps a single session draft', async () => {
+    const liftId = await adapter.saveTrackingLift(squat);
+    const draft = { liftId, cycle: '5/5/5', unit: 'lbs', stepIndex: 0, steps: '[]', updatedAt: '2024-03-01T00:00:00.000Z' };
+
+    await expect(adapter.fetchSessionDraft()).resolves.toBeNull();
+    await expect(adapter.saveSessionDraft(draft)).resolves.toBe(true);
+    await adapter.saveSessionDraft({ ...draft, stepIndex: 2 });
+    await expect(adapter.fetchSessionDraft()).resolves.toEqual({ ...draft, stepIndex: 2 });
+
+    await expect(adapter.deleteSessionDraft()).resolves.toBe(true);
+    await expect(adapter.deleteSessionDraft()).resolves.toBe(false);
+    await expect(adapter.fetchSessionDraft()).resolves.toBeNull();
+  });
+
+  it('replaces the schedule and returns it in day and slot order', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    const pressId = await adapter.saveTrackingLift(press);
+
+    await expect(adapter.replaceScheduleDays([
+      { liftId: pressId, dayIndex: 1, slot: 0 },
+      { liftId: squatId, dayIndex: 0, slot: 0 },
+    ])).resolves.toBe(true);
+    await expect(adapter.fetchScheduleDays()).resolves.toEqual([
+      { liftId: squatId, dayIndex: 0, slot: 0 },
+      { liftId: pressId, dayIndex: 1, slot: 0 },
+    ]);
+
+    await adapter.replaceScheduleDays([]);
+    await expect(adapter.fetchScheduleDays()).resolves.toEqual([]);
+  });
+
+  it('replaces the assistance exercises of a lift and returns them in lift and slot order', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    const pressId = await adapter.saveTrackingLift(press);
+    const missingId = Math.max(0, ...baselineLiftIds, squatId, pressId) + 100;
+
+    await expect(adapter.replaceAssistanceExercises(pressId, [{ name: 'Dips', category: 'push', isBodyweight: true }])).resolves.toBe(true);
+    await expect(adapter.replaceAssistanceExercises(squatId, [
+      { name: 'Lunge', category: 'singleLegCore', isBodyweight: false },
+      { name: 'Row', category: 'pull', isBodyweight: false },
+    ])).resolves.toBe(true);
+    await expect(adapter.replaceAssistanceExercises(missingId, [{ name: 'Curl', category: 'pull', isBodyweight: false }])).resolves.toBe(false);
+
+    const exercises = await adapter.fetchAssistanceExercises();
+    expect(exercises.map(({ liftId, name, category, isBodyweight, slot }) => ({ liftId, name, category, isBodyweight, slot }))).toEqual([
+      { liftId: squatId, name: 'Lunge', category: 'singleLegCore', isBodyweight: false, slot: 0 },
+      { liftId: squatId, name: 'Row', category: 'pull', isBodyweight: false, slot: 1 },
+      { liftId: pressId, name: 'Dips', category: 'push', isBodyweight: true, slot: 0 },
+    ]);
+    expect(exercises.every(exercise => Number.isInteger(exercise.id))).toBe(true);
+
+    await adapter.replaceAssistanceExercises(squatId, [{ name: 'Row', category: 'pull', isBodyweight: false }]);
+    expect((await adapter.fetchAssistanceExercises(squatId)).map(exercise => [exercise.name, exercise.slot])).toEqual([['Row', 0]]);
+    await adapter.replaceAssistanceExercises(squatId, []);
+    await expect(adapter.fetchAssistanceExercises(squatId)).resolves.toEqual([]);
+  });
+
+  it('keeps the exercise of accessory sets', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    const sessionId = await adapter.saveWorkoutSession({
+      liftId: squatId,
+      cycle: '5/3/1',
+      date: '2024-02-01T00:00:00.000Z',
+      sets: [
+        { setType: 'accessory', weight: 25, unit: 'lbs', reps: 8, targetReps: null, isAmrap: false, exerciseName: 'Dips', assistanceCategory: 'push' },
+        { setType: 'accessory', weight: 0, unit: 'lbs', reps: 15, targetReps: null, isAmrap: false, exerciseName: 'Hanging Leg Raise', assistanceCategory: 'singleLegCore' },
+      ],
+    });
+
+    const [session] = await adapter.fetchWorkoutSessions(squatId);
+    expect(session.sets).toEqual([
+      expect.objectContaining({ sessionId, setOrder: 0, weight: 25, reps: 8, exerciseName: 'Dips', assistanceCategory: 'push' }),
+      expect.objectContaining({ sessionId, setOrder: 1, weight: 0, reps: 15, exerciseName: 'Hanging Leg Raise', assistanceCategory: 'singleLegCore' }),
+    ]);
+  });
+
+  it('logs bodyweight and returns it newest first', async () => {
+    const olderId = await adapter.saveBodyweightRecord({ weight: 200, unit: 'lbs', date: '2024-01-01T00:00:00.000Z' });
+    const newerId = await adapter.saveBodyweightRecord({ weight: 90.5, unit: 'kg', date: '2024-02-01T00:00:00.000Z' });
+    const sameDayId = await adapter.saveBodyweightRecord({ weight: 91, unit: 'kg', date: '2024-02-01T00:00:00.000Z' });
+
+    await expect(adapter.fetchBodyweightRecords()).resolves.toEqual([
+      { id: sameDayId, weight: 91, unit: 'kg', date: '2024-02-01T00:00:00.000Z' },
+      { id: newerId, weight: 90.5, unit: 'kg', date: '2024-02-01T00:00:00.000Z' },
+      { id: olderId, weight: 200, unit: 'lbs', date: '2024-01-01T00:00:00.000Z' },
+    ]);
+
+    await expect(adapter.deleteBodyweightRecord(newerId)).resolves.toBe(true);
+    await expect(adapter.deleteBodyweightRecord(newerId)).resolves.toBe(false);
+    expect((await adapter.fetchBodyweightRecords()).map(record => record.id)).toEqual([sameDayId, olderId]);
+  });
+
+  it('deletes a lift together with everything that belongs to it', async () => {
+    const squatId = await adapter.saveTrackingLift(squat);
+    const pressId = await adapter.saveTrackingLift(press);
+    await adapter.updateLiftMaxWeight(squatId, 320);
+    await adapter.saveWorkoutSession(buildSession(squatId, '2024-02-01T00:00:00.000Z'));
+    const pressSessionId = await adapter.saveWorkoutSession(buildSession(pressId, '2024-02-02T00:00:00.000Z'));
+    await adapter.replaceScheduleDays([{ liftId: squatId, dayIndex: 0, slot: 0 }, { liftId: pressId, dayIndex: 1, slot: 0 }]);
+    await adapter.saveSessionDraft({ liftId: squatId, cycle: '5/5/5', unit: 'lbs', stepIndex: 0, steps: '[]', updatedAt: '2024-03-01T00:00:00.000Z' });
+    await adapter.replaceAssistanceExercises(squatId, [{ name: 'Lunge', category: 'singleLegCore', isBodyweight: false }]);
+    await adapter.replaceAssistanceExercises(pressId, [{ name: 'Dips', category: 'push', isBodyweight: true }]);
+
+    await expect(adapter.deleteLiftById(squatId)).resolves.toBe(true);
+
+    expect((await fetchAddedLifts()).map(lift => lift.id)).toEqual([pressId]);
+    expect(await adapter.fetchLiftMaxHistory(squatId)).toEqual([]);
+    expect((await adapter.fetchWorkoutSessions()).map(session => session.id)).toEqual([pressSessionId]);
+    await expect(adapter.fetchScheduleDays()).resolves.toEqual([{ liftId: pressId, dayIndex: 1, slot: 0 }]);
+    await expect(adapter.fetchSessionDraft()).resolves.toBeNull();
+    expect((await adapter.fetchAssistanceExercises()).map(exercise => exercise.liftId)).toEqual([pressId]);
+  });
+});
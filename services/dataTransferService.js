@@ -0,0 +1,597 @@
+// src/services/dataTransferService.js
+
+import {
+  fetchLifts, fetchLiftHistory, fetchWorkoutSessions, fetchAssistanceExercises, importLift, replaceAllLifts, getSchemaVersion,
+  fetchBodyweightHistory, addBodyweight,
+} from './dbService';
+import { Lift, LiftCategory, TrackingLift, MaxWeightRecord, CycleProgress, SupplementalPlan, DEFAULT_TM_PERCENTAGE, MAX_CHANGE_SOURCES } from '../models/liftModels';
+import { WorkoutSession, LoggedSet, AssistanceExercise, SET_TYPES } from '../models/workoutModels';
+import { BodyweightRecord } from '../models/bodyweightModels';
+import { toCsv, parseCsv } from '../utils/csv';
+import { normalizeLegacyDate } from '../utils/dates';
+import { WEIGHT_UNITS } from '../constants/units';
+import { SUPPLEMENTAL_TEMPLATES } from '../constants/supplemental';
+import { BODY_REGIONS, LIFT_ROLES, EQUIPMENT_TYPES } from '../constants/liftCategories';
+import { ASSISTANCE_CATEGORIES, MAX_ASSISTANCE_EXERCISES } from '../constants/assistance';
+
+// Identifies files written by this app, and the layout version of those files.
+// Bump EXPORT_FORMAT_VERSION whenever the document shape changes and keep reading older versions.
+export const EXPORT_FORMAT = '531-strength-tracker';
+export const EXPORT_FORMAT_VERSION = 5;
+
+// Version 1 files wrote every weight in pounds and named the unit once, in `weightUnit`.
+// From version 2 each lift, history record and set carries its own `unit`.
+// From version 3 each lift carries its category: `bodyRegion`, `role` and `equipment`.
+// From version 4 each lift carries its `assistanceExercises`, and accessory sets their `exerciseName` and `assistanceCategory`.
+// From version 5 the document carries the bodyweight log in `bodyweights`.
+const LEGACY_WEIGHT_UNIT = 'lbs';
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',     // Keep existing lifts; only add lifts whose names are not taken
+  REPLACE: 'replace', // Delete every existing lift, then add all imported lifts
+};
+
+const CSV_COLUMNS = [
+  'record', 'lift', 'date', 'maxWeight', 'unit', 'tmPercentage', 'tmIncrement', 'cycleWeek', 'cycleNumber',
+  'supplementalTemplate', 'supplementalPercentage', 'bodyRegion', 'role', 'equipment', 'source',
+  'session', 'cycle', 'setType', 'weight', 'reps', 'targetReps', 'isAmrap', 'exerciseName', 'assistanceCategory', 'isBodyweight',
+  'key', 'value',
+];
+
+// Validation stops listing problems after this many, so the alert stays readable.
+const MAX_REPORTED_ERRORS = 5;
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+/**
+ * Collects every lift with its max history, logged sessions and assistance exercises, and the bodyweight log,
+ * into a versioned export document.
+ * @param {Object} settings - The app settings to include (e.g. units, rounding policy, plate inventories).
+ * @returns {Promise<Object>} A promise that resolves with the export document. Weights are written in
+ * the unit they were stored in; a lift's `tmIncrement` is in the lift's `unit`.
+ */
+export const buildExportDocument = async (settings = {}) => {
+  const [trackingLifts, schemaVersion, bodyweightHistory] = await Promise.all([fetchLifts(), getSchemaVersion(), fetchBodyweightHistory()]);
+
+  const lifts = await Promise.all(trackingLifts.map(async (trackingLift) => {
+    const [history, sessions, assistanceExercises] = await Promise.all([
+      fetchLiftHistory(trackingLift.id),
+      fetchWorkoutSessions(trackingLift.id),
+      fetchAssistanceExercises(trackingLift.id),
+    ]);
+    return {
+      name: trackingLift.lift.name,
+      maxWeight: trackingLift.lift.maxWeight,
+      unit: trackingLift.lift.unit,
+      tmPercentage: trackingLift.lift.tmPercentage,
+      tmIncrement: trackingLift.lift.tmIncrement,
+      date: trackingLift.date,
+      cycleWeek: trackingLift.progress.weekIndex,
+      cycleNumber: trackingLift.progress.cycleNumber,
+      supplementalTemplate: trackingLift.supplemental.template,
+      supplementalPercentage: trackingLift.supplemental.percentage,
+      bodyRegion: trackingLift.lift.category.bodyRegion,
+      role: trackingLift.lift.category.role,
+      equipment: trackingLift.lift.category.equipment,
+      // Oldest first, so the last record is the current max
+      history: [...history].reverse().map(record => ({
+        maxWeight: record.maxWeight,
+        unit: record.unit,
+        tmPercentage: record.tmPercentage,
+        date: record.date,
+        source: record.source,
+      })),
+      sessions: [...sessions].reverse().map(session => ({
+        cycle: session.cycle,
+        date: session.date,
+        sets: session.sets.map(set => ({
+          setType: set.setType,
+          weight: set.weight,
+          unit: set.unit,
+          reps: set.reps,
+          targetReps: set.targetReps,
+          isAmrap: set.isAmrap,
+          exerciseName: set.exerciseName,
+          assistanceCategory: set.assistanceCategory,
+        })),
+      })),
+      assistanceExercises: assistanceExercises.map(exercise => ({
+        name: exercise.name,
+        category: exercise.category,
+        isBodyweight: exercise.isBodyweight,
+      })),
+    };
+  }));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    schemaVersion,
+    exportedAt: new Date().toISOString(),
+    settings,
+    lifts,
+    // Oldest first, like the max history
+    bodyweights: [...bodyweightHistory].reverse().map(record => ({
+      weight: record.weight,
+      unit: record.unit,
+      date: record.date,
+    })),
+  };
+};
+
+/**
+ * Writes an export document as pretty-printed JSON.
+ * @param {Object} exportDocument - The document from `buildExportDocument`.
+ * @returns {string} The JSON text.
+ */
+export const serializeToJson = (exportDocument) => JSON.stringify(exportDocument, null, 2);
+
+/**
+ * Flattens an export document into a single CSV table with one row per record.
+ * The `record` column says what a row holds: `meta`, `setting`, `lift`, `history`, `session`, `set`, `assistance` or `bodyweight`.
+ * Sessions are numbered within the file so their sets can refer to them.
+ * @param {Object} exportDocument - The document from `buildExportDocument`.
+ * @returns {string} The CSV text.
+ */
+export const serializeToCsv = (exportDocument) => {
+  const rows = [];
+  ['format', 'version', 'schemaVersion', 'exportedAt'].forEach(key => {
+    rows.push({ record: 'meta', key, value: exportDocument[key] });
+  });
+  Object.entries(exportDocument.settings || {}).forEach(([key, value]) => {
+    rows.push({ record: 'setting', key, value: JSON.stringify(value) });
+  });
+
+  let sessionNumber = 0;
+  exportDocument.lifts.forEach(lift => {
+    rows.push({
+      record: 'lift',
+      lift: lift.name,
+      date: lift.date,
+      maxWeight: lift.maxWeight,
+      unit: lift.unit,
+      tmPercentage: lift.tmPercentage,
+      tmIncrement: lift.tmIncrement,
+      cycleWeek: lift.cycleWeek,
+      cycleNumber: lift.cycleNumber,
+      supplementalTemplate: lift.supplementalTemplate,
+      supplementalPercentage: lift.supplementalPercentage,
+      bodyRegion: lift.bodyRegion,
+      role: lift.role,
+      equipment: lift.equipment,
+    });
+    lift.history.forEach(record => {
+      rows.push({ record: 'history', lift: lift.name, ...record });
+    });
+    lift.sessions.forEach(session => {
+      sessionNumber++;
+      rows.push({ record: 'session', lift: lift.name, session: sessionNumber, date: session.date, cycle: session.cycle });
+      session.sets.forEach(set => {
+        rows.push({ record: 'set', lift: lift.name, session: sessionNumber, ...set, isAmrap: set.isAmrap ? 1 : 0 });
+      });
+    });
+    lift.assistanceExercises.forEach(exercise => {
+      rows.push({
+        record: 'assistance',
+        lift: lift.name,
+        exerciseName: exercise.name,
+        assistanceCategory: exercise.category,
+        isBodyweight: exercise.isBodyweight ? 1 : 0,
+      });
+    });
+  });
+
+  (exportDocument.bodyweights || []).forEach(record => {
+    rows.push({ record: 'bodyweight', date: record.date, weight: record.weight, unit: record.unit });
+  });
+
+  return toCsv(CSV_COLUMNS, rows);
+};
+
+/**
+ * Turns a CSV export back into the shape of a JSON export document, without validating it.
+ * @param {string} text - The CSV text.
+ * @returns {Object} The unvalidated export document.
+ */
+const csvToDocument = (text) => {
+  const { header, rows } = parseCsv(text);
+  if (!header.includes('record')) {
+    throw new Error('The CSV file has no "record" column. Only files exported from this app can be imported.');
+  }
+
+  const toNumber = (value) => (value === '' || value === undefined ? null : Number(value));
+  // Version 1 files have no unit column
+  const toUnit = (value) => (value === '' || value === undefined ? undefined : value);
+  const exportDocument = { settings: {}, lifts: [], bodyweights: [] };
+  const liftsByName = new Map();
+  const sessionsByNumber = new Map();
+
+  const findLift = (row, rowNumber) => {
+    const lift = liftsByName.get(row.lift);
+    if (!lift) {
+      throw new Error(`Row ${rowNumber}: "${row.lift}" has no lift row before it.`);
+    }
+    return lift;
+  };
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // Header is row 1
+    switch (row.record) {
+      case 'meta':
+        exportDocument[row.key] = ['version', 'schemaVersion'].includes(row.key) ? toNumber(row.value) : row.value;
+        break;
+      case 'setting':
+        try {
+          exportDocument.settings[row.key] = JSON.parse(row.value);
+        } catch (error) {
+          throw new Error(`Row ${rowNumber}: the value of setting "${row.key}" is not valid.`);
+        }
+        break;
+      case 'lift': {
+        const lift = {
+          name: row.lift,
+          maxWeight: toNumber(row.maxWeight),
+          unit: toUnit(row.unit),
+          tmPercentage: toNumber(row.tmPercentage),
+          tmIncrement: toNumber(row.tmIncrement),
+          date: row.date,
+          cycleWeek: toNumber(row.cycleWeek),
+          cycleNumber: toNumber(row.cycleNumber),
+          supplementalTemplate: row.supplementalTemplate || undefined,
+          supplementalPercentage: toNumber(row.supplementalPercentage),
+          bodyRegion: row.bodyRegion || undefined,
+          role: row.role || undefined,
+          equipment: row.equipment || undefined,
+          history: [],
+          sessions: [],
+          assistanceExercises: [],
+        };
+        liftsByName.set(row.lift, lift);
+        exportDocument.lifts.push(lift);
+        break;
+      }
+      case 'history':
+        findLift(row, rowNumber).history.push({
+          maxWeight: toNumber(row.maxWeight),
+          unit: toUnit(row.unit),
+          tmPercentage: toNumber(row.tmPercentage),
+          date: row.date,
+          source: row.source,
+        });
+        break;
+      case 'session': {
+        const session = { cycle: row.cycle, date: row.date, sets: [] };
+        sessionsByNumber.set(row.session, session);
+        findLift(row, rowNumber).sessions.push(session);
+        break;
+      }
+      case 'set': {
+        const session = sessionsByNumber.get(row.session);
+        if (!session) {
+          throw new Error(`Row ${rowNumber}: set refers to session ${row.session}, which has no session row before it.`);
+        }
+        session.sets.push({
+          setType: row.setType,
+          weight: toNumber(row.weight),
+          unit: toUnit(row.unit),
+          reps: toNumber(row.reps),
+          targetReps: toNumber(row.targetReps),
+          isAmrap: row.isAmrap === '1' || row.isAmrap === 'true',
+          exerciseName: row.exerciseName || null,
+          assistanceCategory: row.assistanceCategory || null,
+        });
+        break;
+      }
+      case 'assistance':
+        findLift(row, rowNumber).assistanceExercises.push({
+          name: row.exerciseName,
+          category: row.assistanceCategory,
+          isBodyweight: row.isBodyweight === '1' || row.isBodyweight === 'true',
+        });
+        break;
+      case 'bodyweight':
+        exportDocument.bodyweights.push({ weight: toNumber(row.weight), unit: toUnit(row.unit), date: row.date });
+        break;
+      default:
+        throw new Error(`Row ${rowNumber}: unknown record type "${row.record}".`);
+    }
+  });
+
+  return exportDocument;
+};
+
+/**
+ * Checks an export document and converts its lifts to model objects.
+ * @param {Object} exportDocument - The parsed JSON or CSV document.
+ * @returns {{version: number, exportedAt: string | null, settings: Object, lifts: Array<{trackingLift: TrackingLift, history: Array<MaxWeightRecord>,
+ * sessions: Array<WorkoutSession>, assistanceExercises: Array<AssistanceExercise>}>, bodyweights: Array<BodyweightRecord>}}
+ * The validated import.
+ * @throws {Error} Listing the problems found, when the document is not a valid export.
+ */
+const validateDocument = (exportDocument) => {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+  // Lifts added before the max history existed were dated with toLocaleDateString(), and older exports still carry those dates
+  const isDate = (value) => typeof value === 'string' && !isNaN(new Date(normalizeLegacyDate(value)).getTime());
+
+  if (!exportDocument || typeof exportDocument !== 'object' || Array.isArray(exportDocument)) {
+    throw new Error('The file does not contain an export document.');
+  }
+  if (exportDocument.format !== EXPORT_FORMAT) {
+    throw new Error('The file was not exported from this app.');
+  }
+  if (!Number.isInteger(exportDocument.version) || exportDocument.version < 1) {
+    throw new Error('The file has no valid format version.');
+  }
+  if (exportDocument.version > EXPORT_FORMAT_VERSION) {
+    throw new Error(`The file uses format version ${exportDocument.version}, which is newer than this app supports (${EXPORT_FORMAT_VERSION}). Please update the app.`);
+  }
+  if (exportDocument.version === 1 && exportDocument.weightUnit !== LEGACY_WEIGHT_UNIT) {
+    throw new Error(`Unsupported weight unit "${exportDocument.weightUnit}".`);
+  }
+  if (exportDocument.settings !== undefined && (typeof exportDocument.settings !== 'object' || Array.isArray(exportDocument.settings) || exportDocument.settings === null)) {
+    errors.push('Settings must be an object.');
+  }
+  if (!Array.isArray(exportDocument.lifts)) {
+    throw new Error('The file has no list of lifts.');
+  }
+
+  const seenNames = new Set();
+  const lifts = [];
+  const validSources = Object.values(MAX_CHANGE_SOURCES);
+  const validSetTypes = Object.values(SET_TYPES);
+  const validUnits = Object.values(WEIGHT_UNITS);
+  const validAssistanceCategories = Object.values(ASSISTANCE_CATEGORIES);
+  const isMissing = (value) => value === null || value === undefined;
+  // Version 1 records have no unit of their own
+  const unitOf = (item) => (exportDocument.version === 1 ? LEGACY_WEIGHT_UNIT : item.unit);
+
+  exportDocument.lifts.forEach((item, index) => {
+    const label = item && typeof item.name === 'string' && item.name.trim() ? `"${item.name}"` : `Lift ${index + 1}`;
+    if (!item || typeof item.name !== 'string' || !item.name.trim()) {
+      errors.push(`${label}: name is missing.`);
+      return;
+    }
+    if (seenNames.has(normalizeName(item.name))) {
+      errors.push(`${label}: appears more than once in the file.`);
+      return;
+    }
+    seenNames.add(normalizeName(item.name));
+
+    // Files may carry only the current max; treat it as the lift's single history record
+    let rawHistory = Array.isArray(item.history) ? item.history : [];
+    if (rawHistory.length === 0 && isNumber(item.maxWeight)) {
+      rawHistory = [{ maxWeight: item.maxWeight, unit: item.unit, tmPercentage: item.tmPercentage ?? DEFAULT_TM_PERCENTAGE, date: item.date, source: MAX_CHANGE_SOURCES.CREATED }];
+    }
+    if (rawHistory.length === 0) {
+      errors.push(`${label}: has no max weight.`);
+      return;
+    }
+
+    const history = [];
+    rawHistory.forEach((record, recordIndex) => {
+      if (!record || !isNumber(record.maxWeight) || record.maxWeight <= 0) {
+        errors.push(`${label}: history record ${recordIndex + 1} has an invalid max weight.`);
+      } else if (!validUnits.includes(unitOf(record))) {
+        errors.push(`${label}: history record ${recordIndex + 1} has an unknown unit "${record.unit}".`);
+      } else if (!isNumber(record.tmPercentage) || record.tmPercentage < 1 || record.tmPercentage > 100) {
+        errors.push(`${label}: history record ${recordIndex + 1} has an invalid TM percentage.`);
+      } else if (!isDate(record.date)) {
+        errors.push(`${label}: history record ${recordIndex + 1} has an invalid date.`);
+      } else if (!validSources.includes(record.source)) {
+        errors.push(`${label}: history record ${recordIndex + 1} has an unknown source "${record.source}".`);
+      } else {
+        history.push(new MaxWeightRecord(null, record.maxWeight, record.tmPercentage, normalizeLegacyDate(record.date), record.source, null, unitOf(record)));
+      }
+    });
+
+    const sessions = [];
+    (Array.isArray(item.sessions) ? item.sessions : []).forEach((session, sessionIndex) => {
+      if (!session || typeof session.cycle !== 'string' || !isDate(session.date) || !Array.isArray(session.sets)) {
+        errors.push(`${label}: session ${sessionIndex + 1} is missing its cycle, date or sets.`);
+        return;
+      }
+      const invalidSet = session.sets.find(set => (
+        !set || !validSetTypes.includes(set.setType)
+        || !isNumber(set.weight) || set.weight < 0 || !validUnits.includes(unitOf(set))
+        || !Number.isInteger(set.reps) || set.reps < 0
+        || (set.targetReps !== null && set.targetReps !== undefined && !Number.isInteger(set.targetReps))
+        || (!isMissing(set.exerciseName) && typeof set.exerciseName !== 'string')
+        || (!isMissing(set.assistanceCategory) && !validAssistanceCategories.includes(set.assistanceCategory))
+      ));
+      if (invalidSet !== undefined) {
+        errors.push(`${label}: session ${sessionIndex + 1} has an invalid set.`);
+        return;
+      }
+      sessions.push(new WorkoutSession(
+        null,
+        session.cycle,
+        session.sets.map(set => new LoggedSet(
+          set.setType, set.weight, set.reps, !!set.isAmrap, set.targetReps ?? null, unitOf(set),
+          set.exerciseName ?? null, set.assistanceCategory ?? null
+        )),
+        normalizeLegacyDate(session.date)
+      ));
+    });
+
+    const cycleWeek = item.cycleWeek ?? 0;
+    const cycleNumber = item.cycleNumber ?? 1;
+    if (!Number.isInteger(cycleWeek) || cycleWeek < 0 || !Number.isInteger(cycleNumber) || cycleNumber < 1) {
+      errors.push(`${label}: has an invalid cycle position.`);
+    }
+    const tmIncrement = item.tmIncrement ?? null;
+    if (tmIncrement !== null && (!isNumber(tmIncrement) || tmIncrement < 0)) {
+      errors.push(`${label}: has an invalid TM increase.`);
+    }
+    // Files written before supplemental templates existed have none
+    const supplementalTemplate = item.supplementalTemplate ?? SUPPLEMENTAL_TEMPLATES.NONE;
+    const supplementalPercentage = item.supplementalPercentage ?? null;
+    if (!Object.values(SUPPLEMENTAL_TEMPLATES).includes(supplementalTemplate)) {
+      errors.push(`${label}: has an unknown supplemental template "${supplementalTemplate}".`);
+    }
+    if (supplementalPercentage !== null && (!isNumber(supplementalPercentage) || supplementalPercentage <= 0 || supplementalPercentage > 100)) {
+      errors.push(`${label}: has an invalid supplemental percentage.`);
+    }
+
+    // Files written before lift categories existed get the category guessed from the name
+    const defaultCategory = LiftCategory.fromName(item.name);
+    const category = new LiftCategory(
+      item.bodyRegion ?? defaultCategory.bodyRegion,
+      item.role ?? defaultCategory.role,
+      item.equipment ?? defaultCategory.equipment
+    );
+    if (!Object.values(BODY_REGIONS).includes(category.bodyRegion)) {
+      errors.push(`${label}: has an unknown body region "${category.bodyRegion}".`);
+    }
+    if (!Object.values(LIFT_ROLES).includes(category.role)) {
+      errors.push(`${label}: has an unknown role "${category.role}".`);
+    }
+    if (!Object.values(EQUIPMENT_TYPES).includes(category.equipment)) {
+      errors.push(`${label}: has unknown equipment "${category.equipment}".`);
+    }
+
+    // Files written before assistance exercises existed have none
+    const rawExercises = Array.isArray(item.assistanceExercises) ? item.assistanceExercises : [];
+    const exerciseNames = new Set();
+    const assistanceExercises = [];
+    if (rawExercises.length > MAX_ASSISTANCE_EXERCISES) {
+      errors.push(`${label}: has more than ${MAX_ASSISTANCE_EXERCISES} assistance exercises.`);
+    }
+    rawExercises.forEach((exercise, exerciseIndex) => {
+      if (!exercise || typeof exercise.name !== 'string' || !exercise.name.trim()) {
+        errors.push(`${label}: assistance exercise ${exerciseIndex + 1} has no name.`);
+      } else if (exerciseNames.has(normalizeName(exercise.name))) {
+        errors.push(`${label}: assistance exercise "${exercise.name}" appears more than once.`);
+      } else if (!validAssistanceCategories.includes(exercise.category)) {
+        errors.push(`${label}: assistance exercise "${exercise.name}" has an unknown category "${exercise.category}".`);
+      } else {
+        exerciseNames.add(normalizeName(exercise.name));
+        assistanceExercises.push(new AssistanceExercise(null, exercise.name.trim(), exercise.category, !!exercise.isBodyweight));
+      }
+    });
+
+    // The lift takes the unit of its current max, which is also the unit of its TM increase
+    const latestRecord = history[history.length - 1];
+    if (latestRecord) {
+      lifts.push({
+        trackingLift: new TrackingLift(
+          new Lift(item.name.trim(), latestRecord.maxWeight, latestRecord.tmPercentage, tmIncrement, latestRecord.unit, category),
+          latestRecord.date,
+          null,
+          new CycleProgress(cycleWeek, cycleNumber),
+          new SupplementalPlan(supplementalTemplate, supplementalPercentage)
+        ),
+        history,
+        sessions,
+        assistanceExercises,
+      });
+    }
+  });
+
+  // Files written before the bodyweight log existed have none
+  const bodyweights = [];
+  (Array.isArray(exportDocument.bodyweights) ? exportDocument.bodyweights : []).forEach((record, recordIndex) => {
+    if (!record || !isNumber(record.weight) || record.weight <= 0) {
+      errors.push(`Bodyweight record ${recordIndex + 1} has an invalid weight.`);
+    } else if (!validUnits.includes(record.unit)) {
+      errors.push(`Bodyweight record ${recordIndex + 1} has an unknown unit "${record.unit}".`);
+    } else if (!isDate(record.date)) {
+      errors.push(`Bodyweight record ${recordIndex + 1} has an invalid date.`);
+    } else {
+      bodyweights.push(new BodyweightRecord(record.weight, record.unit, normalizeLegacyDate(record.date)));
+    }
+  });
+
+  if (errors.length > 0) {
+    const extra = errors.length > MAX_REPORTED_ERRORS ? `\n…and ${errors.length - MAX_REPORTED_ERRORS} more.` : '';
+    throw new Error(`${errors.slice(0, MAX_REPORTED_ERRORS).join('\n')}${extra}`);
+  }
+
+  return {
+    version: exportDocument.version,
+    exportedAt: exportDocument.exportedAt ?? null,
+    settings: exportDocument.settings || {},
+    lifts,
+    bodyweights,
+  };
+};
+
+/**
+ * Reads and validates the text of a JSON or CSV export.
+ * @param {string} text - The file contents. JSON is detected by a leading `{`.
+ * @returns {Object} The validated import (see `validateDocument`).
+ * @throws {Error} When the text can't be parsed or is not a valid export.
+ */
+export const parseImportText = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('There is nothing to import.');
+  }
+
+  let exportDocument;
+  if (trimmed.startsWith('{')) {
+    try {
+      exportDocument = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`The JSON could not be read: ${error.message}`);
+    }
+  } else {
+    exportDocument = csvToDocument(trimmed);
+  }
+  return validateDocument(exportDocument);
+};
+
+/**
+ * Lists the imported lifts whose names are already taken by existing lifts (ignoring case).
+ * @param {Object} parsedImport - The result of `parseImportText`.
+ * @param {Array<TrackingLift>} existingLifts - The lifts currently stored.
+ * @returns {Array<string>} The conflicting lift names, as written in the import.
+ */
+export const findImportConflicts = (parsedImport, existingLifts) => {
+  const existingNames = new Set(existingLifts.map(trackingLift => normalizeName(trackingLift.lift.name)));
+  return parsedImport.lifts
+    .map(item => item.trackingLift.lift.name)
+    .filter(name => existingNames.has(normalizeName(name)));
+};
+
+/**
+ * Stores a validated import through the dbService layer.
+ * Replacing swaps every lift for the imported ones in a single write, so a failed import leaves the existing lifts as they were.
+ * Bodyweight records are always merged: those already logged (same date, weight and unit) are skipped.
+ * @param {Object} parsedImport - The result of `parseImportText`.
+ * @param {string} mode - One of IMPORT_MODES.
+ * @returns {Promise<{imported: Array<string>, skipped: Array<string>, removed: number, bodyweights: number}>}
+ * The names of the lifts added and skipped, how many existing lifts were deleted and how many bodyweight records were added.
+ */
+export const importData = async (parsedImport, mode) => {
+  let removed = 0;
+  let skipped = [];
+  const imported = [];
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    removed = await replaceAllLifts(parsedImport.lifts);
+    parsedImport.lifts.forEach(({ trackingLift }) => imported.push(trackingLift.lift.name));
+  } else {
+    skipped = findImportConflicts(parsedImport, await fetchLifts());
+    const skippedNames = new Set(skipped.map(normalizeName));
+    for (const { trackingLift, history, sessions, assistanceExercises } of parsedImport.lifts) {
+      if (!skippedNames.has(normalizeName(trackingLift.lift.name))) {
+        await importLift(trackingLift, history, sessions, assistanceExercises);
+        imported.push(trackingLift.lift.name);
+      }
+    }
+  }
+
+  const bodyweightKey = (record) => `${new Date(record.date).getTime()}|${record.weight}|${record.unit}`;
+  const loggedBodyweights = new Set((await fetchBodyweightHistory()).map(bodyweightKey));
+  let bodyweights = 0;
+  for (const record of parsedImport.bodyweights) {
+    if (!loggedBodyweights.has(bodyweightKey(record))) {
+      await addBodyweight(record);
+      loggedBodyweights.add(bodyweightKey(record));
+      bodyweights++;
+    }
+  }
+
+  return { imported, skipped, removed, bodyweights };
+};
@@ -1,57 +1,76 @@
 // src/services/dbServices.js
 
 // --- Configuration for switching between services ---
-const USE_MOCK_SERVICE = false; // Set to false to use Expo SQLite
+const USE_MOCK_SERVICE = false; // Set to true to keep all data in memory (seeded with demo lifts) on every platform
 // ---------------------------------------------------
 
-// --- Configuration for switching between services ---
 import { Platform } from 'react-native';
 const isWeb = Platform.OS === 'web';
-// ---------------------------------------------------
 
 // Note: expo-sqlite's .openDatabase() is not supported on web.
-// The web platform typically relies on deprecated Web SQL or IndexedDB,
-// which behave differently and are not fully compatible with native SQLite.
-// Therefore, the mock service is used for web to ensure functionality.
-if (isWeb)
-  USE_MOCK_SERVICE = true;
+// The web build therefore stores its data in the browser's localStorage through webStorageService,
+// which implements the same low-level contract as expoSqliteService.
 
-import { Lift, TrackingLift } from '../models/liftModels';
+import { Lift, LiftCategory, TrackingLift, MaxWeightRecord, CycleProgress, SupplementalPlan, DEFAULT_TM_PERCENTAGE, MAX_CHANGE_SOURCES } from '../models/liftModels';
+import { WorkoutSession, LoggedSet, SessionDraft, SessionStep, AssistanceExercise } from '../models/workoutModels';
+import { BodyweightRecord } from '../models/bodyweightModels';
+import { defaultSettings } from '../constants/settings';
+import { WEIGHT_UNITS } from '../constants/units';
+import { SUPPLEMENTAL_TEMPLATES } from '../constants/supplemental';
+import { convertWeight } from '../utils/units';
+import { isValidSetting } from '../utils/settingsValidation';
+import { assertStorageAdapter } from './storageAdapter';
 
-let lowLevelDbService; // This variable will hold either mockDatabaseService or expoSqliteService
+let lowLevelDbService; // The storage adapter (see ./storageAdapter.js): mockDatabaseService, webStorageService or expoSqliteService
 
 if (USE_MOCK_SERVICE) {
   console.log("Using Mock Database Service for data operations.");
-  lowLevelDbService = require('./mockDatabaseService');
+  lowLevelDbService = assertStorageAdapter(require('./mockDatabaseService'), 'mockDatabaseService');
+} else if (isWeb) {
+  console.log("Using Web Storage Service for data operations.");
+  lowLevelDbService = assertStorageAdapter(require('./webStorageService'), 'webStorageService');
 } else {
   console.log("Using Expo SQLite Service for data operations.");
-  lowLevelDbService = require('./expoSqliteService');
+  lowLevelDbService = assertStorageAdapter(require('./expoSqliteService'), 'expoSqliteService');
 }
 
 /**
- * Initializes the underlying data storage (either Expo SQLite or in-memory mock).
+ * Initializes the underlying data storage (Expo SQLite, browser storage or the in-memory mock).
  */
 export const initDb = () => {
   return lowLevelDbService.initDb();
 };
 
+/**
+ * Gets the schema version of the underlying data store.
+ * @returns {Promise<number>} A promise that resolves with the schema version.
+ */
+export const getSchemaVersion = () => {
+  return lowLevelDbService.getSchemaVersion();
+};
+
 /**
  * Adds a new lift to the data store via the selected service.
- * @param {Lift} liftData - The Lift object containing name and maxWeight.
+ * @param {Lift} liftData - The Lift object containing name, maxWeight, unit, tmPercentage and category.
  * @returns {Promise<TrackingLift>} A promise that resolves with the newly created TrackingLift (with ID).
  */
 export const addLift = async (liftData) => {
   try {
     const newTrackingLift = new TrackingLift(
       liftData,
-      new Date().toLocaleDateString()
+      new Date().toISOString()
     );
 
     // Pass only the raw data needed by the low-level service
     const rawDataToSave = {
         name: newTrackingLift.lift.name,
         maxWeight: newTrackingLift.lift.maxWeight,
+        unit: newTrackingLift.lift.unit,
+        tmPercentage: newTrackingLift.lift.tmPercentage,
         date: newTrackingLift.date,
+        bodyRegion: newTrackingLift.lift.category.bodyRegion,
+        role: newTrackingLift.lift.category.role,
+        equipment: newTrackingLift.lift.category.equipment,
     };
 
     const newLiftId = await lowLevelDbService.saveTrackingLift(rawDataToSave);
@@ -71,11 +90,19 @@ export const fetchLifts = async () => {
   try {
     const rawLifts = await lowLevelDbService.fetchAllLifts();
     const trackingLifts = rawLifts.map(item => {
-      const lift = new Lift(item.name, item.maxWeight);
+      const unit = item.unit ?? WEIGHT_UNITS.LBS;
+      // A custom TM increase keeps the unit it was entered in; the lift works with it in its own unit
+      const tmIncrement = item.tmIncrement === null || item.tmIncrement === undefined
+        ? null
+        : convertWeight(item.tmIncrement, item.tmIncrementUnit ?? WEIGHT_UNITS.LBS, unit);
+      const category = new LiftCategory(item.bodyRegion, item.role, item.equipment);
+      const lift = new Lift(item.name, item.maxWeight, item.tmPercentage ?? DEFAULT_TM_PERCENTAGE, tmIncrement, unit, category);
       return new TrackingLift(
         lift,
         item.date,
-        item.id
+        item.id,
+        new CycleProgress(item.cycleWeek ?? 0, item.cycleNumber ?? 1),
+        new SupplementalPlan(item.supplementalTemplate ?? SUPPLEMENTAL_TEMPLATES.NONE, item.supplementalPercentage ?? null)
       );
     });
     console.log('TrackingLifts fetched successfully:', trackingLifts);
@@ -88,15 +115,19 @@ export const fetchLifts = async () => {
 
 /**
  * Updates the maximum weight of an existing lift in the data store via the selected service.
+ * The previous value is kept in the lift's max history.
  * @param {number} liftId - The ID of the lift to update.
- * @param {number} newMaxWeight - The new maximum weight for the lift.
+ * @param {number} newMaxWeight - The new maximum weight (1RM) for the lift.
+ * @param {number} [tmPercentage] - The new Training Max percentage. Left unchanged when omitted.
+ * @param {string} [source] - What caused the change (one of MAX_CHANGE_SOURCES). Defaults to a manual edit.
+ * @param {'lbs' | 'kg'} [unit] - The unit newMaxWeight is in. Defaults to pounds.
  * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
  */
-export const updateLift = async (liftId, newMaxWeight) => {
+export const updateLift = async (liftId, newMaxWeight, tmPercentage, source = MAX_CHANGE_SOURCES.EDIT, unit = WEIGHT_UNITS.LBS) => {
   try {
-    const success = await lowLevelDbService.updateLiftMaxWeight(liftId, newMaxWeight);
+    const success = await lowLevelDbService.updateLiftMaxWeight(liftId, newMaxWeight, tmPercentage, source, unit);
     if (success) {
-      console.log(`Lift with ID ${liftId} updated successfully to ${newMaxWeight}`);
+      console.log(`Lift with ID ${liftId} updated successfully to ${newMaxWeight} ${unit}`);
       return true;
     } else {
       console.warn(`Lift with ID ${liftId} not found or not updated.`);
@@ -108,6 +139,100 @@ export const updateLift = async (liftId, newMaxWeight) => {
   }
 };
 
+/**
+ * Saves where a lift is in its training cycle via the selected service.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {CycleProgress} progress - The lift's new position in the cycle.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftProgress = async (liftId, progress) => {
+  try {
+    return await lowLevelDbService.updateLiftProgression(liftId, {
+      cycleWeek: progress.weekIndex,
+      cycleNumber: progress.cycleNumber,
+    });
+  } catch (error) {
+    console.error(`Error in updateLiftProgress service for ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Sets the end-of-cycle Training Max increase of a lift via the selected service.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {number | null} tmIncrement - The increase, or null to use the standard increase.
+ * @param {'lbs' | 'kg'} [unit] - The unit tmIncrement is in. Defaults to pounds.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftTmIncrement = async (liftId, tmIncrement, unit = WEIGHT_UNITS.LBS) => {
+  try {
+    return await lowLevelDbService.updateLiftProgression(liftId, { tmIncrement, tmIncrementUnit: unit });
+  } catch (error) {
+    console.error(`Error in updateLiftTmIncrement service for ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Sets the supplemental template of a lift via the selected service.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {SupplementalPlan} plan - The template and, for BBB, the TM percentage to use.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftSupplemental = async (liftId, plan) => {
+  try {
+    return await lowLevelDbService.updateLiftProgression(liftId, {
+      supplementalTemplate: plan.template,
+      supplementalPercentage: plan.percentage,
+    });
+  } catch (error) {
+    console.error(`Error in updateLiftSupplemental service for ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Sets the category (body region, role and equipment) of a lift via the selected service.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {LiftCategory} category - The lift's new category.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftCategory = async (liftId, category) => {
+  try {
+    return await lowLevelDbService.updateLiftProgression(liftId, {
+      bodyRegion: category.bodyRegion,
+      role: category.role,
+      equipment: category.equipment,
+    });
+  } catch (error) {
+    console.error(`Error in updateLiftCategory service for ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches every recorded max of a lift, newest first, via the selected service.
+ * @param {number} liftId - The ID of the lift.
+ * @returns {Promise<Array<MaxWeightRecord>>} A promise that resolves with the lift's max history.
+ */
+export const fetchLiftHistory = async (liftId) => {
+  try {
+    const rawHistory = await lowLevelDbService.fetchLiftMaxHistory(liftId);
+    return rawHistory.map(item => new MaxWeightRecord(
+      item.liftId,
+      item.maxWeight,
+      item.tmPercentage,
+      item.date,
+      item.source,
+      item.id,
+      item.unit ?? WEIGHT_UNITS.LBS
+    ));
+  } catch (error) {
+    console.error(`Error in fetchLiftHistory service for ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Deletes a lift from the data store via the selected service.
  * @param {number} liftId - The ID of the lift to delete.
@@ -127,4 +252,403 @@ export const deleteLift = async (liftId) => {
     console.error(`Error in deleteLift service for ID ${liftId}:`, error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Saves a logged workout session and its sets via the selected service.
+ * @param {WorkoutSession} workoutSession - The session to save. Each set carries its own unit.
+ * @returns {Promise<WorkoutSession>} A promise that resolves with the saved session (with ID).
+ */
+export const saveWorkoutSession = async (workoutSession) => {
+  try {
+    const rawSessionToSave = {
+      liftId: workoutSession.liftId,
+      cycle: workoutSession.cycle,
+      date: workoutSession.date,
+      sets: workoutSession.sets.map(set => ({
+        setType: set.setType,
+        weight: set.weight,
+        unit: set.unit,
+        reps: set.reps,
+        targetReps: set.targetReps,
+        isAmrap: set.isAmrap,
+        exerciseName: set.exerciseName,
+        assistanceCategory: set.assistanceCategory,
+      })),
+    };
+
+    const newSessionId = await lowLevelDbService.saveWorkoutSession(rawSessionToSave);
+    workoutSession.id = newSessionId;
+    return workoutSession;
+  } catch (error) {
+    console.error('Error in saveWorkoutSession service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches logged workout sessions, newest first, via the selected service.
+ * @param {number} [liftId] - Only return sessions for this lift. Returns every session when omitted.
+ * @returns {Promise<Array<WorkoutSession>>} A promise that resolves with an array of WorkoutSession objects.
+ */
+export const fetchWorkoutSessions = async (liftId) => {
+  try {
+    const rawSessions = await lowLevelDbService.fetchWorkoutSessions(liftId);
+    return rawSessions.map(item => new WorkoutSession(
+      item.liftId,
+      item.cycle,
+      item.sets.map(set => new LoggedSet(
+        set.setType, set.weight, set.reps, !!set.isAmrap, set.targetReps, set.unit ?? WEIGHT_UNITS.LBS,
+        set.exerciseName ?? null, set.assistanceCategory ?? null
+      )),
+      item.date,
+      item.id
+    ));
+  } catch (error) {
+    console.error('Error in fetchWorkoutSessions service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Builds the raw record a storage adapter restores a lift from.
+ * @param {TrackingLift} trackingLift - The lift to restore, including its category, cycle progress and supplemental template.
+ * @param {Array<MaxWeightRecord>} history - The lift's max history, oldest first. Must contain at least one record.
+ * @param {Array<WorkoutSession>} sessions - The lift's logged sessions.
+ * @param {Array<AssistanceExercise>} assistanceExercises - The lift's assistance exercises, in the order they are done.
+ * @returns {Object} The raw lift record.
+ * @throws {Error} If the history is empty.
+ */
+const toRawLiftRecord = (trackingLift, history, sessions, assistanceExercises) => {
+  if (history.length === 0) {
+    throw new Error(`Cannot import "${trackingLift.lift.name}" without any max history.`);
+  }
+
+  return {
+    name: trackingLift.lift.name,
+    cycleWeek: trackingLift.progress.weekIndex,
+    cycleNumber: trackingLift.progress.cycleNumber,
+    tmIncrement: trackingLift.lift.tmIncrement,
+    tmIncrementUnit: trackingLift.lift.unit,
+    supplementalTemplate: trackingLift.supplemental.template,
+    supplementalPercentage: trackingLift.supplemental.percentage,
+    bodyRegion: trackingLift.lift.category.bodyRegion,
+    role: trackingLift.lift.category.role,
+    equipment: trackingLift.lift.category.equipment,
+    history: history.map(record => ({
+      maxWeight: record.maxWeight,
+      unit: record.unit,
+      tmPercentage: record.tmPercentage,
+      date: record.date,
+      source: record.source,
+    })),
+    sessions: sessions.map(session => ({
+      cycle: session.cycle,
+      date: session.date,
+      sets: session.sets.map(set => ({
+        setType: set.setType,
+        weight: set.weight,
+        unit: set.unit,
+        reps: set.reps,
+        targetReps: set.targetReps,
+        isAmrap: set.isAmrap,
+        exerciseName: set.exerciseName,
+        assistanceCategory: set.assistanceCategory,
+      })),
+    })),
+    assistanceExercises: assistanceExercises.map(exercise => ({
+      name: exercise.name,
+      category: exercise.category,
+      isBodyweight: exercise.isBodyweight,
+    })),
+  };
+};
+
+/**
+ * Restores a lift together with its max history, logged sessions and assistance exercises via the selected service.
+ * Unlike `addLift`, the dates and change sources of the history are kept as given.
+ * @param {TrackingLift} trackingLift - The lift to restore, including its category, cycle progress and supplemental template.
+ * @param {Array<MaxWeightRecord>} history - The lift's max history, oldest first. Must contain at least one record.
+ * @param {Array<WorkoutSession>} sessions - The lift's logged sessions.
+ * @param {Array<AssistanceExercise>} [assistanceExercises] - The lift's assistance exercises, in the order they are done.
+ * @returns {Promise<TrackingLift>} A promise that resolves with the restored TrackingLift (with ID).
+ */
+export const importLift = async (trackingLift, history, sessions, assistanceExercises = []) => {
+  try {
+    const newLiftId = await lowLevelDbService.importLiftRecord(toRawLiftRecord(trackingLift, history, sessions, assistanceExercises));
+    trackingLift.id = newLiftId;
+    return trackingLift;
+  } catch (error) {
+    console.error('Error in importLift service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces every stored lift with the given ones in a single write via the selected service.
+ * Sessions, history, schedule rows, assistance exercises and a session draft of the old lifts go with them.
+ * If any lift fails to restore, nothing is changed.
+ * @param {Array<{trackingLift: TrackingLift, history: Array<MaxWeightRecord>, sessions: Array<WorkoutSession>,
+ * assistanceExercises: Array<AssistanceExercise>}>} liftImports - The lifts to restore (see `importLift`).
+ * @returns {Promise<number>} A promise that resolves with the number of lifts that were deleted.
+ */
+export const replaceAllLifts = async (liftImports) => {
+  try {
+    const rawLifts = liftImports.map(({ trackingLift, history, sessions, assistanceExercises = [] }) => (
+      toRawLiftRecord(trackingLift, history, sessions, assistanceExercises)
+    ));
+    return await lowLevelDbService.replaceAllLifts(rawLifts);
+  } catch (error) {
+    console.error('Error in replaceAllLifts service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches all settings via the selected service, filling in defaults for anything not stored yet.
+ * Stored values that can't be read or have the wrong shape are ignored in favour of the default.
+ * @returns {Promise<Object>} A promise that resolves with a complete settings object (see defaultSettings).
+ */
+export const fetchSettings = async () => {
+  try {
+    const rawSettings = await lowLevelDbService.fetchAllSettings();
+    const settings = { ...defaultSettings };
+    rawSettings.forEach(({ key, value }) => {
+      // Settings the app no longer has (such as the selected cycle, now taken from each lift's progress) are left unread
+      if (!Object.prototype.hasOwnProperty.call(defaultSettings, key)) {
+        return;
+      }
+      try {
+        const parsedValue = JSON.parse(value);
+        if (isValidSetting(key, parsedValue)) {
+          settings[key] = parsedValue;
+        } else {
+          console.warn(`Ignoring stored setting "${key}" with an invalid value.`);
+        }
+      } catch (parseError) {
+        console.warn(`Ignoring stored setting "${key}" that could not be read:`, parseError);
+      }
+    });
+    return settings;
+  } catch (error) {
+    console.error('Error in fetchSettings service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a single setting via the selected service.
+ * @param {string} key - One of SETTING_KEYS.
+ * @returns {Promise<*>} A promise that resolves with the stored value, or the default when none is stored.
+ */
+export const getSetting = async (key) => {
+  if (!Object.prototype.hasOwnProperty.call(defaultSettings, key)) {
+    throw new Error(`Unknown setting "${key}".`);
+  }
+  const settings = await fetchSettings();
+  return settings[key];
+};
+
+/**
+ * Stores a single setting via the selected service.
+ * @param {string} key - One of SETTING_KEYS.
+ * @param {*} value - The new value. Must have the type the setting expects.
+ * @returns {Promise<boolean>} A promise that resolves to true once the setting is stored.
+ */
+export const updateSetting = async (key, value) => {
+  if (!isValidSetting(key, value)) {
+    throw new Error(`Invalid value for setting "${key}".`);
+  }
+  try {
+    return await lowLevelDbService.saveSetting(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error in updateSetting service for "${key}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the guided session in progress via the selected service.
+ * A draft that can't be read is dropped, since it can't be resumed anyway.
+ * @returns {Promise<SessionDraft | null>} A promise that resolves with the draft, or null when no session is in progress.
+ */
+export const fetchSessionDraft = async () => {
+  try {
+    const rawDraft = await lowLevelDbService.fetchSessionDraft();
+    if (!rawDraft) {
+      return null;
+    }
+    try {
+      const steps = JSON.parse(rawDraft.steps).map(step => new SessionStep(
+        step.setType,
+        step.label,
+        step.weight,
+        step.reps,
+        !!step.isAmrap,
+        step.loggedWeight ?? null,
+        step.loggedReps ?? null,
+        !!step.isDone,
+        step.exerciseName ?? null,
+        step.assistanceCategory ?? null
+      ));
+      return new SessionDraft(rawDraft.liftId, rawDraft.cycle, rawDraft.unit, steps, rawDraft.stepIndex, rawDraft.updatedAt);
+    } catch (parseError) {
+      console.warn('Dropping a session draft that could not be read:', parseError);
+      await lowLevelDbService.deleteSessionDraft();
+      return null;
+    }
+  } catch (error) {
+    console.error('Error in fetchSessionDraft service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stores the guided session in progress via the selected service, replacing any earlier one.
+ * @param {SessionDraft} draft - The draft to store.
+ * @returns {Promise<boolean>} A promise that resolves to true once the draft is stored.
+ */
+export const saveSessionDraft = async (draft) => {
+  try {
+    return await lowLevelDbService.saveSessionDraft({
+      liftId: draft.liftId,
+      cycle: draft.cycle,
+      unit: draft.unit,
+      stepIndex: draft.stepIndex,
+      steps: JSON.stringify(draft.steps),
+      updatedAt: draft.updatedAt,
+    });
+  } catch (error) {
+    console.error('Error in saveSessionDraft service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes the guided session in progress via the selected service, once it is logged or discarded.
+ * @returns {Promise<boolean>} A promise that resolves to true if there was a draft to remove.
+ */
+export const deleteSessionDraft = async () => {
+  try {
+    return await lowLevelDbService.deleteSessionDraft();
+  } catch (error) {
+    console.error('Error in deleteSessionDraft service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the training schedule via the selected service.
+ * @returns {Promise<Array<Array<number>>>} A promise that resolves with the lift IDs of each training day,
+ * in rotation order; empty without a schedule.
+ */
+export const fetchSchedule = async () => {
+  try {
+    const rows = await lowLevelDbService.fetchScheduleDays();
+    const days = new Map();
+    rows.forEach(({ liftId, dayIndex }) => {
+      if (!days.has(dayIndex)) {
+        days.set(dayIndex, []);
+      }
+      days.get(dayIndex).push(liftId);
+    });
+    return Array.from(days.keys()).sort((a, b) => a - b).map(dayIndex => days.get(dayIndex));
+  } catch (error) {
+    console.error('Error in fetchSchedule service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stores the training schedule via the selected service, replacing the previous one.
+ * @param {Array<Array<number>>} days - The lift IDs of each training day, in rotation order. Empty days are dropped.
+ * @returns {Promise<boolean>} A promise that resolves to true once the schedule is stored.
+ */
+export const saveSchedule = async (days) => {
+  try {
+    const rows = days
+      .filter(liftIds => liftIds.length > 0)
+      .flatMap((liftIds, dayIndex) => liftIds.map((liftId, slot) => ({ liftId, dayIndex, slot })));
+    return await lowLevelDbService.replaceScheduleDays(rows);
+  } catch (error) {
+    console.error('Error in saveSchedule service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches assistance exercises, in the order they are done, via the selected service.
+ * @param {number} [liftId] - Only return the exercises of this lift. Returns every exercise when omitted.
+ * @returns {Promise<Array<AssistanceExercise>>} A promise that resolves with the exercises.
+ */
+export const fetchAssistanceExercises = async (liftId) => {
+  try {
+    const rawExercises = await lowLevelDbService.fetchAssistanceExercises(liftId);
+    return rawExercises.map(item => new AssistanceExercise(item.liftId, item.name, item.category, !!item.isBodyweight, item.id));
+  } catch (error) {
+    console.error('Error in fetchAssistanceExercises service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stores the assistance exercises of a lift via the selected service, replacing its previous ones.
+ * @param {number} liftId - The lift whose day the exercises are done on.
+ * @param {Array<AssistanceExercise>} exercises - The exercises in the order they are done; empty removes them all.
+ * @returns {Promise<boolean>} A promise that resolves to true once stored, or false when the lift doesn't exist.
+ */
+export const saveAssistanceExercises = async (liftId, exercises) => {
+  try {
+    return await lowLevelDbService.replaceAssistanceExercises(liftId, exercises.map(exercise => ({
+      name: exercise.name,
+      category: exercise.category,
+      isBodyweight: exercise.isBodyweight,
+    })));
+  } catch (error) {
+    console.error(`Error in saveAssistanceExercises service for ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Logs a bodyweight via the selected service.
+ * @param {BodyweightRecord} record - The weight, the unit it was entered in and when it was weighed.
+ * @returns {Promise<BodyweightRecord>} A promise that resolves with the saved record (with ID).
+ */
+export const addBodyweight = async (record) => {
+  try {
+    record.id = await lowLevelDbService.saveBodyweightRecord({ weight: record.weight, unit: record.unit, date: record.date });
+    return record;
+  } catch (error) {
+    console.error('Error in addBodyweight service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the bodyweight log, newest first, via the selected service.
+ * @returns {Promise<Array<BodyweightRecord>>} A promise that resolves with the logged bodyweights.
+ */
+export const fetchBodyweightHistory = async () => {
+  try {
+    const rawRecords = await lowLevelDbService.fetchBodyweightRecords();
+    return rawRecords.map(item => new BodyweightRecord(item.weight, item.unit ?? WEIGHT_UNITS.LBS, item.date, item.id));
+  } catch (error) {
+    console.error('Error in fetchBodyweightHistory service:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a logged bodyweight via the selected service.
+ * @param {number} recordId - The ID of the record to delete.
+ * @returns {Promise<boolean>} A promise that resolves to true if the deletion was successful, false otherwise.
+ */
+export const deleteBodyweight = async (recordId) => {
+  try {
+    return await lowLevelDbService.deleteBodyweightRecord(recordId);
+  } catch (error) {
+    console.error(`Error in deleteBodyweight service for ID ${recordId}:`, error);
+    throw error;
+  }
+};
@@ -1,29 +1,84 @@
 // src/services/expoSqliteService.js
+// Storage adapter (see ./storageAdapter.js) for iOS and Android, backed by expo-sqlite.
 
 import * as SQLite from 'expo-sqlite';
+import { migrations, SCHEMA_VERSION, TABLES } from './migrations';
 
 let db = null;
-const dbName = "lifts";
+const dbName = TABLES.LIFTS;
+const sessionsTable = TABLES.SESSIONS;
+const setsTable = TABLES.SETS;
+const historyTable = TABLES.HISTORY;
+const settingsTable = TABLES.SETTINGS;
+const sessionDraftTable = TABLES.SESSION_DRAFT;
+const scheduleTable = TABLES.SCHEDULE_DAYS;
+const assistanceTable = TABLES.ASSISTANCE_EXERCISES;
+const bodyweightTable = TABLES.BODYWEIGHT;
+
+/**
+ * Reads the schema version stored in the database header.
+ * @returns {Promise<number>} The current `PRAGMA user_version` (0 for a new or pre-migration database).
+ */
+export const getSchemaVersion = async () => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  const row = await db.getFirstAsync('PRAGMA user_version;');
+  return row ? row.user_version : 0;
+};
+
+/**
+ * Brings the database schema up to SCHEMA_VERSION.
+ * All pending migrations run in order inside one exclusive transaction, bumping
+ * `PRAGMA user_version` after each step. If any step fails the transaction is rolled back,
+ * so the database is left exactly as it was before the upgrade was attempted.
+ */
+const runMigrations = async () => {
+  const currentVersion = await getSchemaVersion();
+  if (currentVersion > SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${currentVersion} is newer than this app supports (${SCHEMA_VERSION}).`);
+  }
+
+  const pendingMigrations = migrations.filter(migration => migration.version > currentVersion);
+  if (pendingMigrations.length === 0) {
+    console.log(`Expo SQLite: Schema is up to date at version ${currentVersion}.`);
+    return;
+  }
+
+  let runningMigration = null;
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      for (const migration of pendingMigrations) {
+        runningMigration = migration;
+        await migration.up(txn);
+        await txn.execAsync(`PRAGMA user_version = ${migration.version};`);
+        console.log(`Expo SQLite: Applied migration ${migration.version} (${migration.description}).`);
+      }
+    });
+  } catch (error) {
+    console.error(`Expo SQLite: Migration ${runningMigration ? runningMigration.version : '?'} failed, rolled back to version ${currentVersion}:`, error);
+    throw new Error(`Failed to upgrade the database (migration ${runningMigration ? runningMigration.version : '?'}): ${error.message}. Your existing data was not changed.`);
+  }
+  console.log(`Expo SQLite: Schema migrated from version ${currentVersion} to ${SCHEMA_VERSION}.`);
+};
 
 /**
  * Initializes the SQLite database for Expo.
- * Opens the database and creates the 'lifts' table if it doesn't exist.
+ * Opens the database and runs any pending schema migrations.
  */
 export const initDb = async () => {
   try {
     db = await SQLite.openDatabaseAsync(`${dbName}.db`);
     console.log(`Expo SQLite: Database "${dbName}.db" opened successfully.`);
 
+    // Connection settings can't be changed inside a transaction, so they are applied before migrating.
     await db.execAsync(`
       PRAGMA journal_mode = WAL;
-      CREATE TABLE IF NOT EXISTS ${dbName} (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        maxWeight REAL NOT NULL,
-        date TEXT NOT NULL
-      );
+      PRAGMA foreign_keys = ON;
     `);
-    console.log(`Expo SQLite: "${dbName}" table created or already exists.`);
+    await runMigrations();
     return db;
   } catch (error) {
     console.error('Expo SQLite: Error during initDb:', error);
@@ -33,7 +88,7 @@ export const initDb = async () => {
 
 /**
  * Saves a raw lift object to the Expo SQLite database.
- * @param {Object} rawLiftData - An object with { name, maxWeight, date }.
+ * @param {Object} rawLiftData - An object with { name, maxWeight, unit, tmPercentage, date, bodyRegion, role, equipment }.
  * @returns {Promise<number>} A promise that resolves with the ID of the newly inserted row.
  */
 export const saveTrackingLift = async (rawLiftData) => {
@@ -42,28 +97,145 @@ export const saveTrackingLift = async (rawLiftData) => {
     throw new Error('Database not initialized.');
   }
 
-  const { name, maxWeight, date } = rawLiftData;
+  const { name, maxWeight, unit, tmPercentage, date, bodyRegion, role, equipment } = rawLiftData;
 
   try {
-    // INSERT
-    const result = await db.runAsync(
-      `INSERT INTO ${dbName} (name, maxWeight, date) VALUES (?, ?, ?);`,
-      [name, maxWeight, date]
+    // INSERT the lift and its first max history record together
+    let newLiftId = null;
+    await db.withTransactionAsync(async () => {
+      const result = await db.runAsync(
+        `INSERT INTO ${dbName} (name, maxWeight, unit, tmPercentage, date, tmIncrementUnit, bodyRegion, role, equipment) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+        [name, maxWeight, unit, tmPercentage, date, unit, bodyRegion, role, equipment]
+      );
+      if (!result.lastInsertRowId) {
+        throw new Error(`Failed to save raw lift to "${dbName}". No insert ID returned.`);
+      }
+      newLiftId = result.lastInsertRowId;
+      await db.runAsync(
+        `INSERT INTO ${historyTable} (liftId, maxWeight, unit, tmPercentage, date, source) VALUES (?, ?, ?, ?, ?, 'created');`,
+        [newLiftId, maxWeight, unit, tmPercentage, date]
+      );
+    });
+    console.log(`Expo SQLite: Raw lift saved to "${dbName}" with ID:`, newLiftId);
+    return newLiftId;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving raw lift to "${dbName}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Inserts a complete lift, with its max history, logged sessions and assistance exercises.
+ * Must run inside a transaction, so a lift is never left half-restored.
+ * @param {Object} connection - The database, or the transaction to run the statements in.
+ * @param {Object} rawLift - The lift to restore (see `importLiftRecord`).
+ * @returns {Promise<number>} A promise that resolves with the ID of the restored lift.
+ */
+const insertLiftRecord = async (connection, rawLift) => {
+  const { name, cycleWeek, cycleNumber, tmIncrement, tmIncrementUnit, supplementalTemplate, supplementalPercentage, bodyRegion, role, equipment, history, sessions, assistanceExercises } = rawLift;
+  const firstRecord = history[0];
+
+  const result = await connection.runAsync(
+    `INSERT INTO ${dbName} (name, maxWeight, unit, tmPercentage, date, cycleWeek, cycleNumber, tmIncrement, tmIncrementUnit, supplementalTemplate, supplementalPercentage, bodyRegion, role, equipment) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+    [name, firstRecord.maxWeight, firstRecord.unit, firstRecord.tmPercentage, firstRecord.date, cycleWeek, cycleNumber, tmIncrement ?? null, tmIncrementUnit, supplementalTemplate, supplementalPercentage ?? null, bodyRegion, role, equipment]
+  );
+  if (!result.lastInsertRowId) {
+    throw new Error(`Failed to import lift into "${dbName}". No insert ID returned.`);
+  }
+  const newLiftId = result.lastInsertRowId;
+
+  for (const record of history) {
+    await connection.runAsync(
+      `INSERT INTO ${historyTable} (liftId, maxWeight, unit, tmPercentage, date, source) VALUES (?, ?, ?, ?, ?, ?);`,
+      [newLiftId, record.maxWeight, record.unit, record.tmPercentage, record.date, record.source]
     );
-    if (result.lastInsertRowId) {
-      console.log(`Expo SQLite: Raw lift saved to "${dbName}" with ID:`, result.lastInsertRowId);
-      return result.lastInsertRowId;
-    } else {
-      throw new Error(`Failed to save raw lift to "${dbName}". No insert ID returned.`);
+  }
+
+  for (const session of sessions) {
+    const sessionResult = await connection.runAsync(
+      `INSERT INTO ${sessionsTable} (liftId, cycle, date) VALUES (?, ?, ?);`,
+      [newLiftId, session.cycle, session.date]
+    );
+    for (let index = 0; index < session.sets.length; index++) {
+      const { setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory } = session.sets[index];
+      await connection.runAsync(
+        `INSERT INTO ${setsTable} (sessionId, setOrder, setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+        [sessionResult.lastInsertRowId, index, setType, weight, unit, reps, targetReps ?? null, isAmrap ? 1 : 0, exerciseName ?? null, assistanceCategory ?? null]
+      );
     }
+  }
+
+  for (let slot = 0; slot < assistanceExercises.length; slot++) {
+    const exercise = assistanceExercises[slot];
+    await connection.runAsync(
+      `INSERT INTO ${assistanceTable} (liftId, name, category, isBodyweight, slot) VALUES (?, ?, ?, ?, ?);`,
+      [newLiftId, exercise.name, exercise.category, exercise.isBodyweight ? 1 : 0, slot]
+    );
+  }
+  return newLiftId;
+};
+
+/**
+ * Restores a complete lift, with its max history and logged sessions, in a single transaction.
+ * Used when importing data, so dates and change sources are kept exactly as exported.
+ * @param {Object} rawLift - An object with { name, cycleWeek, cycleNumber, tmIncrement, tmIncrementUnit,
+ * supplementalTemplate, supplementalPercentage, bodyRegion, role, equipment, history: [{ maxWeight, unit, tmPercentage, date, source }] (oldest first),
+ * sessions: [{ cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory }] }],
+ * assistanceExercises: [{ name, category, isBodyweight }] (in order) }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the restored lift.
+ */
+export const importLiftRecord = async (rawLift) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    let newLiftId = null;
+    await db.withTransactionAsync(async () => {
+      newLiftId = await insertLiftRecord(db, rawLift);
+    });
+    console.log(`Expo SQLite: Lift imported into "${dbName}" with ID:`, newLiftId);
+    return newLiftId;
   } catch (error) {
-    console.error(`Expo SQLite: Error saving raw lift to "${dbName}":`, error);
+    console.error(`Expo SQLite: Error importing lift into "${dbName}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces every lift with the given ones in one exclusive transaction. Deleting the lifts cascades
+ * to everything that belongs to them; if any lift fails to restore, the transaction is rolled back
+ * and the lifts that were stored before are kept as they were.
+ * @param {Array<Object>} rawLifts - The lifts to restore (see `importLiftRecord`).
+ * @returns {Promise<number>} A promise that resolves with the number of lifts that were deleted.
+ */
+export const replaceAllLifts = async (rawLifts) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    let removedCount = 0;
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      const result = await txn.runAsync(`DELETE FROM ${dbName};`);
+      removedCount = result.changes;
+      for (const rawLift of rawLifts) {
+        await insertLiftRecord(txn, rawLift);
+      }
+    });
+    console.log(`Expo SQLite: Replaced ${removedCount} lifts in "${dbName}" with ${rawLifts.length} imported lifts.`);
+    return removedCount;
+  } catch (error) {
+    console.error(`Expo SQLite: Error replacing the lifts in "${dbName}", nothing was changed:`, error);
     throw error;
   }
 };
 
 /**
  * Fetches all lifts from the Expo SQLite database.
+ * The maxWeight, unit, tmPercentage and date of each lift come from its latest max history record.
  * @returns {Promise<Array<Object>>} A promise that resolves with an array of raw lift objects from the DB.
  */
 export const fetchAllLifts = async () => {
@@ -74,7 +246,17 @@ export const fetchAllLifts = async () => {
 
   try {
     // SELECT
-    const lifts = await db.getAllAsync(`SELECT * FROM ${dbName};`);
+    const lifts = await db.getAllAsync(`
+      SELECT l.id, l.name, l.cycleWeek, l.cycleNumber, l.tmIncrement, l.tmIncrementUnit,
+        l.supplementalTemplate, l.supplementalPercentage, l.bodyRegion, l.role, l.equipment,
+        COALESCE(h.maxWeight, l.maxWeight) AS maxWeight,
+        COALESCE(h.unit, l.unit) AS unit,
+        COALESCE(h.tmPercentage, l.tmPercentage) AS tmPercentage,
+        COALESCE(h.date, l.date) AS date
+      FROM ${dbName} l
+      LEFT JOIN ${historyTable} h
+        ON h.id = (SELECT id FROM ${historyTable} WHERE liftId = l.id ORDER BY id DESC LIMIT 1);
+    `);
     console.log(`Expo SQLite: Lifts fetched from "${dbName}":`, lifts);
     return lifts;
   } catch (error) {
@@ -84,32 +266,104 @@ export const fetchAllLifts = async () => {
 };
 
 /**
- * Updates the maximum weight of an existing lift in the Expo SQLite database.
+ * Records a new maximum weight for an existing lift in the Expo SQLite database.
+ * Each change adds a dated max history record instead of overwriting the previous value.
  * @param {number} liftId - The ID of the lift to update.
  * @param {number} newMaxWeight - The new maximum weight for the lift.
+ * @param {number} [tmPercentage] - The new Training Max percentage. Left unchanged when omitted.
+ * @param {string} [source='edit'] - What caused the change (see MAX_CHANGE_SOURCES).
+ * @param {'lbs' | 'kg'} [unit='lbs'] - The unit newMaxWeight is in.
  * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
  */
-export const updateLiftMaxWeight = async (liftId, newMaxWeight) => {
+export const updateLiftMaxWeight = async (liftId, newMaxWeight, tmPercentage, source = 'edit', unit = 'lbs') => {
   if (!db) {
     console.error('Expo SQLite: Database not initialized. Call initDb first.');
     throw new Error('Database not initialized.');
   }
 
+  try {
+    const existingLift = await db.getFirstAsync(
+      `SELECT COALESCE(
+        (SELECT tmPercentage FROM ${historyTable} WHERE liftId = l.id ORDER BY id DESC LIMIT 1),
+        l.tmPercentage
+      ) AS tmPercentage FROM ${dbName} l WHERE l.id = ?;`,
+      [liftId]
+    );
+    if (!existingLift) {
+      console.log(`Expo SQLite: No lift found with ID ${liftId} in "${dbName}" to update.`);
+      return false;
+    }
+
+    // INSERT a history record rather than UPDATE in place
+    await db.runAsync(
+      `INSERT INTO ${historyTable} (liftId, maxWeight, unit, tmPercentage, date, source) VALUES (?, ?, ?, ?, ?, ?);`,
+      [liftId, newMaxWeight, unit, tmPercentage ?? existingLift.tmPercentage, new Date().toISOString(), source]
+    );
+    console.log(`Expo SQLite: Lift with ID ${liftId} in "${dbName}" updated successfully to ${newMaxWeight}.`);
+    return true;
+  } catch (error) {
+    console.error(`Expo SQLite: Error updating lift with ID ${liftId} in "${dbName}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Updates where a lift is in its training cycle, its end-of-cycle Training Max increase, its supplemental template and its category.
+ * Only the fields present in `progression` are changed; pass `tmIncrement: null` to go back to the default.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {{cycleWeek?: number, cycleNumber?: number, tmIncrement?: number | null, tmIncrementUnit?: string,
+ * supplementalTemplate?: string, supplementalPercentage?: number | null, bodyRegion?: string, role?: string, equipment?: string}} progression
+ * - The fields to change.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftProgression = async (liftId, progression) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  const columns = ['cycleWeek', 'cycleNumber', 'tmIncrement', 'tmIncrementUnit', 'supplementalTemplate', 'supplementalPercentage', 'bodyRegion', 'role', 'equipment'].filter(column => column in progression);
+  if (columns.length === 0) {
+    return false;
+  }
+
   try {
     // UPDATE
     const result = await db.runAsync(
-      `UPDATE ${dbName} SET maxWeight = ? WHERE id = ?;`,
-      [newMaxWeight, liftId]
+      `UPDATE ${dbName} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?;`,
+      [...columns.map(column => progression[column]), liftId]
     );
     if (result.changes && result.changes > 0) {
-      console.log(`Expo SQLite: Lift with ID ${liftId} in "${dbName}" updated successfully to ${newMaxWeight}.`);
+      console.log(`Expo SQLite: Progression of lift with ID ${liftId} in "${dbName}" updated successfully.`);
       return true;
     } else {
       console.log(`Expo SQLite: No lift found with ID ${liftId} in "${dbName}" to update.`);
       return false;
     }
   } catch (error) {
-    console.error(`Expo SQLite: Error updating lift with ID ${liftId} in "${dbName}":`, error);
+    console.error(`Expo SQLite: Error updating progression of lift with ID ${liftId} in "${dbName}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the max history of a lift from the Expo SQLite database, newest first.
+ * @param {number} liftId - The ID of the lift.
+ * @returns {Promise<Array<Object>>} A promise that resolves with raw history records { id, liftId, maxWeight, unit, tmPercentage, date, source }.
+ */
+export const fetchLiftMaxHistory = async (liftId) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    return await db.getAllAsync(
+      `SELECT * FROM ${historyTable} WHERE liftId = ? ORDER BY id DESC;`,
+      [liftId]
+    );
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching max history for lift ${liftId} from "${historyTable}":`, error);
     throw error;
   }
 };
@@ -143,3 +397,366 @@ export const deleteLiftById = async (liftId) => {
     throw error;
   }
 };
+
+/**
+ * Saves a workout session and all of its sets to the Expo SQLite database in a single transaction.
+ * @param {Object} rawSession - An object with { liftId, cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap,
+ * exerciseName, assistanceCategory }] }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the newly inserted session.
+ */
+export const saveWorkoutSession = async (rawSession) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  const { liftId, cycle, date, sets } = rawSession;
+
+  try {
+    let sessionId = null;
+    await db.withTransactionAsync(async () => {
+      const result = await db.runAsync(
+        `INSERT INTO ${sessionsTable} (liftId, cycle, date) VALUES (?, ?, ?);`,
+        [liftId, cycle, date]
+      );
+      if (!result.lastInsertRowId) {
+        throw new Error(`Failed to save session to "${sessionsTable}". No insert ID returned.`);
+      }
+      sessionId = result.lastInsertRowId;
+
+      for (let index = 0; index < sets.length; index++) {
+        const { setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory } = sets[index];
+        await db.runAsync(
+          `INSERT INTO ${setsTable} (sessionId, setOrder, setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+          [sessionId, index, setType, weight, unit, reps, targetReps ?? null, isAmrap ? 1 : 0, exerciseName ?? null, assistanceCategory ?? null]
+        );
+      }
+    });
+    console.log(`Expo SQLite: Workout session saved to "${sessionsTable}" with ID:`, sessionId);
+    return sessionId;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving workout session to "${sessionsTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches workout sessions, newest first, with their sets in the order they were performed.
+ * @param {number} [liftId] - Only return sessions for this lift. Returns every session when omitted.
+ * @returns {Promise<Array<Object>>} A promise that resolves with raw session objects, each with a `sets` array.
+ */
+export const fetchWorkoutSessions = async (liftId) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const filterByLift = liftId !== undefined && liftId !== null;
+    const whereClause = filterByLift ? 'WHERE liftId = ?' : '';
+    const params = filterByLift ? [liftId] : [];
+
+    const sessions = await db.getAllAsync(
+      `SELECT * FROM ${sessionsTable} ${whereClause} ORDER BY date DESC, id DESC;`,
+      params
+    );
+    const sets = await db.getAllAsync(
+      `SELECT * FROM ${setsTable} WHERE sessionId IN (SELECT id FROM ${sessionsTable} ${whereClause}) ORDER BY sessionId, setOrder;`,
+      params
+    );
+    const setsBySession = new Map();
+    sets.forEach(set => {
+      if (!setsBySession.has(set.sessionId)) {
+        setsBySession.set(set.sessionId, []);
+      }
+      setsBySession.get(set.sessionId).push({ ...set, isAmrap: set.isAmrap === 1 });
+    });
+
+    return sessions.map(session => ({ ...session, sets: setsBySession.get(session.id) || [] }));
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching workout sessions from "${sessionsTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches every stored setting from the Expo SQLite database.
+ * @returns {Promise<Array<{key: string, value: string}>>} A promise that resolves with the raw settings; values are JSON text.
+ */
+export const fetchAllSettings = async () => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    return await db.getAllAsync(`SELECT key, value FROM ${settingsTable};`);
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching settings from "${settingsTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Inserts or replaces one setting in the Expo SQLite database.
+ * @param {string} key - The setting key.
+ * @param {string} value - The JSON-encoded value.
+ * @returns {Promise<boolean>} A promise that resolves to true once the setting is stored.
+ */
+export const saveSetting = async (key, value) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    await db.runAsync(
+      `INSERT INTO ${settingsTable} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value;`,
+      [key, value]
+    );
+    return true;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving setting "${key}" to "${settingsTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the guided session in progress from the Expo SQLite database.
+ * @returns {Promise<Object | null>} A promise that resolves with { liftId, cycle, unit, stepIndex, steps, updatedAt }
+ * (steps as JSON text), or null when no session is in progress.
+ */
+export const fetchSessionDraft = async () => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const row = await db.getFirstAsync(
+      `SELECT liftId, cycle, unit, stepIndex, steps, updatedAt FROM ${sessionDraftTable} WHERE id = 1;`
+    );
+    return row || null;
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching the session draft from "${sessionDraftTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Stores the guided session in progress in the Expo SQLite database, replacing any earlier one.
+ * @param {Object} rawDraft - An object with { liftId, cycle, unit, stepIndex, steps, updatedAt }; steps are JSON text.
+ * @returns {Promise<boolean>} A promise that resolves to true once the draft is stored.
+ */
+export const saveSessionDraft = async (rawDraft) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const { liftId, cycle, unit, stepIndex, steps, updatedAt } = rawDraft;
+    await db.runAsync(
+      `INSERT OR REPLACE INTO ${sessionDraftTable} (id, liftId, cycle, unit, stepIndex, steps, updatedAt) VALUES (1, ?, ?, ?, ?, ?, ?);`,
+      [liftId, cycle, unit, stepIndex, steps, updatedAt]
+    );
+    return true;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving the session draft to "${sessionDraftTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Removes the guided session in progress from the Expo SQLite database.
+ * @returns {Promise<boolean>} A promise that resolves to true if there was a draft to remove.
+ */
+export const deleteSessionDraft = async () => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const result = await db.runAsync(`DELETE FROM ${sessionDraftTable};`);
+    return result.changes > 0;
+  } catch (error) {
+    console.error(`Expo SQLite: Error deleting the session draft from "${sessionDraftTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the training schedule from the Expo SQLite database.
+ * @returns {Promise<Array<{liftId: number, dayIndex: number, slot: number}>>} A promise that resolves with
+ * one row per scheduled lift, in day and slot order.
+ */
+export const fetchScheduleDays = async () => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    return await db.getAllAsync(`SELECT liftId, dayIndex, slot FROM ${scheduleTable} ORDER BY dayIndex, slot;`);
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching the schedule from "${scheduleTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces the training schedule in the Expo SQLite database in a single transaction.
+ * @param {Array<{liftId: number, dayIndex: number, slot: number}>} rows - One row per scheduled lift; empty clears the schedule.
+ * @returns {Promise<boolean>} A promise that resolves to true once the schedule is stored.
+ */
+export const replaceScheduleDays = async (rows) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(`DELETE FROM ${scheduleTable};`);
+      for (const { liftId, dayIndex, slot } of rows) {
+        await db.runAsync(
+          `INSERT INTO ${scheduleTable} (liftId, dayIndex, slot) VALUES (?, ?, ?);`,
+          [liftId, dayIndex, slot]
+        );
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving the schedule to "${scheduleTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches assistance exercises from the Expo SQLite database, in the order they are done.
+ * @param {number} [liftId] - Only return the exercises of this lift. Returns every exercise when omitted.
+ * @returns {Promise<Array<{id: number, liftId: number, name: string, category: string, isBodyweight: boolean, slot: number}>>}
+ * A promise that resolves with the raw exercises, ordered by lift and slot.
+ */
+export const fetchAssistanceExercises = async (liftId) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const filterByLift = liftId !== undefined && liftId !== null;
+    const exercises = await db.getAllAsync(
+      `SELECT id, liftId, name, category, isBodyweight, slot FROM ${assistanceTable} ${filterByLift ? 'WHERE liftId = ?' : ''} ORDER BY liftId, slot;`,
+      filterByLift ? [liftId] : []
+    );
+    return exercises.map(exercise => ({ ...exercise, isBodyweight: exercise.isBodyweight === 1 }));
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching assistance exercises from "${assistanceTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces the assistance exercises of one lift in the Expo SQLite database in a single transaction.
+ * @param {number} liftId - The lift the exercises belong to.
+ * @param {Array<{name: string, category: string, isBodyweight: boolean}>} exercises - The exercises in order; empty removes them all.
+ * @returns {Promise<boolean>} A promise that resolves to true once stored, or false when the lift doesn't exist.
+ */
+export const replaceAssistanceExercises = async (liftId, exercises) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const lift = await db.getFirstAsync(`SELECT id FROM ${dbName} WHERE id = ?;`, [liftId]);
+    if (!lift) {
+      console.log(`Expo SQLite: No lift found with ID ${liftId} in "${dbName}" for assistance exercises.`);
+      return false;
+    }
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(`DELETE FROM ${assistanceTable} WHERE liftId = ?;`, [liftId]);
+      for (let slot = 0; slot < exercises.length; slot++) {
+        const { name, category, isBodyweight } = exercises[slot];
+        await db.runAsync(
+          `INSERT INTO ${assistanceTable} (liftId, name, category, isBodyweight, slot) VALUES (?, ?, ?, ?, ?);`,
+          [liftId, name, category, isBodyweight ? 1 : 0, slot]
+        );
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving assistance exercises to "${assistanceTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a bodyweight record to the Expo SQLite database.
+ * @param {Object} rawRecord - An object with { weight, unit, date }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the new record.
+ */
+export const saveBodyweightRecord = async (rawRecord) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const { weight, unit, date } = rawRecord;
+    const result = await db.runAsync(
+      `INSERT INTO ${bodyweightTable} (weight, unit, date) VALUES (?, ?, ?);`,
+      [weight, unit, date]
+    );
+    if (!result.lastInsertRowId) {
+      throw new Error(`Failed to save bodyweight to "${bodyweightTable}". No insert ID returned.`);
+    }
+    return result.lastInsertRowId;
+  } catch (error) {
+    console.error(`Expo SQLite: Error saving bodyweight to "${bodyweightTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the bodyweight log from the Expo SQLite database, newest first.
+ * @returns {Promise<Array<{id: number, weight: number, unit: string, date: string}>>} A promise that resolves with the raw records.
+ */
+export const fetchBodyweightRecords = async () => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    return await db.getAllAsync(`SELECT id, weight, unit, date FROM ${bodyweightTable} ORDER BY date DESC, id DESC;`);
+  } catch (error) {
+    console.error(`Expo SQLite: Error fetching bodyweight from "${bodyweightTable}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes one bodyweight record from the Expo SQLite database.
+ * @param {number} recordId - The ID of the record to delete.
+ * @returns {Promise<boolean>} A promise that resolves to true if the deletion was successful, false otherwise.
+ */
+export const deleteBodyweightRecord = async (recordId) => {
+  if (!db) {
+    console.error('Expo SQLite: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+
+  try {
+    const result = await db.runAsync(`DELETE FROM ${bodyweightTable} WHERE id = ?;`, [recordId]);
+    if (result.changes === 0) {
+      console.log(`Expo SQLite: No bodyweight record found with ID ${recordId} in "${bodyweightTable}" to delete.`);
+    }
+    return result.changes > 0;
+  } catch (error) {
+    console.error(`Expo SQLite: Error deleting bodyweight record with ID ${recordId} from "${bodyweightTable}":`, error);
+    throw error;
+  }
+};
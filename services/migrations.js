@@ -0,0 +1,245 @@
+// src/services/migrations.js
+import { normalizeLegacyDate } from '../utils/dates';
+
+// Table names shared by the SQLite service and its migrations.
+export const TABLES = {
+  LIFTS: 'lifts',
+  SESSIONS: 'workout_sessions',
+  SETS: 'workout_sets',
+  HISTORY: 'lift_max_history',
+  SETTINGS: 'settings',
+  SESSION_DRAFT: 'session_draft',
+  SCHEDULE_DAYS: 'schedule_days',
+  ASSISTANCE_EXERCISES: 'assistance_exercises',
+  BODYWEIGHT: 'bodyweight_log',
+};
+
+/**
+ * Adds a column to an existing table if it is missing.
+ * Databases created before the migration runner existed report `user_version = 0`
+ * but may already have some of these columns, so every step has to be safe to re-run.
+ * @param {Object} db - The expo-sqlite database (or transaction) to run against.
+ * @param {string} tableName - The table to inspect.
+ * @param {string} columnName - The column to add.
+ * @param {string} columnDefinition - The SQL type and constraints for the column.
+ */
+const addColumnIfMissing = async (db, tableName, columnName, columnDefinition) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${tableName});`);
+  if (!columns.some(column => column.name === columnName)) {
+    await db.execAsync(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnDefinition};`);
+  }
+};
+
+/**
+ * Ordered schema migrations. Each step moves the database from `version - 1` to `version`
+ * and is never edited once released; schema changes are made by appending a new step.
+ * The `up` functions receive the database (or transaction) to run against.
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create the lifts table',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.LIFTS} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          maxWeight REAL NOT NULL,
+          date TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'Add the Training Max percentage to lifts',
+    up: async (db) => {
+      await addColumnIfMissing(db, TABLES.LIFTS, 'tmPercentage', 'REAL NOT NULL DEFAULT 90');
+    },
+  },
+  {
+    version: 3,
+    description: 'Create the workout log tables',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.SESSIONS} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          liftId INTEGER NOT NULL,
+          cycle TEXT NOT NULL,
+          date TEXT NOT NULL,
+          FOREIGN KEY (liftId) REFERENCES ${TABLES.LIFTS}(id) ON DELETE CASCADE
+        );
+        CREATE TABLE IF NOT EXISTS ${TABLES.SETS} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sessionId INTEGER NOT NULL,
+          setOrder INTEGER NOT NULL,
+          setType TEXT NOT NULL,
+          weight REAL NOT NULL,
+          reps INTEGER NOT NULL,
+          targetReps INTEGER,
+          isAmrap INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (sessionId) REFERENCES ${TABLES.SESSIONS}(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_${TABLES.SESSIONS}_liftId ON ${TABLES.SESSIONS} (liftId);
+        CREATE INDEX IF NOT EXISTS idx_${TABLES.SETS}_sessionId ON ${TABLES.SETS} (sessionId);
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'Create the max history table and seed it from existing lifts',
+    up: async (db) => {
+      // Lifts used to be dated with toLocaleDateString(); history dates are ISO, so the seeded records are too
+      const lifts = await db.getAllAsync(`SELECT id, date FROM ${TABLES.LIFTS};`);
+      for (const lift of lifts) {
+        const isoDate = normalizeLegacyDate(lift.date);
+        if (isoDate !== lift.date) {
+          await db.runAsync(`UPDATE ${TABLES.LIFTS} SET date = ? WHERE id = ?;`, [isoDate, lift.id]);
+        }
+      }
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.HISTORY} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          liftId INTEGER NOT NULL,
+          maxWeight REAL NOT NULL,
+          tmPercentage REAL NOT NULL,
+          date TEXT NOT NULL,
+          source TEXT NOT NULL DEFAULT 'edit',
+          FOREIGN KEY (liftId) REFERENCES ${TABLES.LIFTS}(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_${TABLES.HISTORY}_liftId ON ${TABLES.HISTORY} (liftId);
+        INSERT INTO ${TABLES.HISTORY} (liftId, maxWeight, tmPercentage, date, source)
+          SELECT id, maxWeight, tmPercentage, date, 'created' FROM ${TABLES.LIFTS}
+          WHERE id NOT IN (SELECT liftId FROM ${TABLES.HISTORY});
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'Add cycle progression and TM increase columns to lifts',
+    up: async (db) => {
+      await addColumnIfMissing(db, TABLES.LIFTS, 'cycleWeek', 'INTEGER NOT NULL DEFAULT 0');
+      await addColumnIfMissing(db, TABLES.LIFTS, 'cycleNumber', 'INTEGER NOT NULL DEFAULT 1');
+      await addColumnIfMissing(db, TABLES.LIFTS, 'tmIncrement', 'REAL');
+    },
+  },
+  {
+    version: 6,
+    description: 'Create the settings table',
+    up: async (db) => {
+      // Values are JSON-encoded so each setting keeps its type
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.SETTINGS} (
+          key TEXT PRIMARY KEY NOT NULL,
+          value TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: 'Store the unit next to every weight',
+    up: async (db) => {
+      // Every weight written before this version was converted to pounds first
+      await addColumnIfMissing(db, TABLES.LIFTS, 'unit', "TEXT NOT NULL DEFAULT 'lbs'");
+      await addColumnIfMissing(db, TABLES.LIFTS, 'tmIncrementUnit', "TEXT NOT NULL DEFAULT 'lbs'");
+      await addColumnIfMissing(db, TABLES.HISTORY, 'unit', "TEXT NOT NULL DEFAULT 'lbs'");
+      await addColumnIfMissing(db, TABLES.SETS, 'unit', "TEXT NOT NULL DEFAULT 'lbs'");
+    },
+  },
+  {
+    version: 8,
+    description: 'Add the supplemental template columns to lifts',
+    up: async (db) => {
+      await addColumnIfMissing(db, TABLES.LIFTS, 'supplementalTemplate', "TEXT NOT NULL DEFAULT 'none'");
+      await addColumnIfMissing(db, TABLES.LIFTS, 'supplementalPercentage', 'REAL');
+    },
+  },
+  {
+    version: 9,
+    description: 'Create the session draft table for resuming a guided session',
+    up: async (db) => {
+      // At most one session is in progress, so the table holds a single row; steps are JSON-encoded
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.SESSION_DRAFT} (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          liftId INTEGER NOT NULL,
+          cycle TEXT NOT NULL,
+          unit TEXT NOT NULL,
+          stepIndex INTEGER NOT NULL DEFAULT 0,
+          steps TEXT NOT NULL,
+          updatedAt TEXT NOT NULL,
+          FOREIGN KEY (liftId) REFERENCES ${TABLES.LIFTS}(id) ON DELETE CASCADE
+        );
+      `);
+    },
+  },
+  {
+    version: 10,
+    description: 'Create the training schedule table',
+    up: async (db) => {
+      // One row per scheduled lift; a lift is trained on at most one day of the rotation
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.SCHEDULE_DAYS} (
+          liftId INTEGER PRIMARY KEY NOT NULL,
+          dayIndex INTEGER NOT NULL,
+          slot INTEGER NOT NULL,
+          FOREIGN KEY (liftId) REFERENCES ${TABLES.LIFTS}(id) ON DELETE CASCADE
+        );
+      `);
+    },
+  },
+  {
+    version: 11,
+    description: 'Add the category columns (body region, role, equipment) to lifts',
+    up: async (db) => {
+      await addColumnIfMissing(db, TABLES.LIFTS, 'bodyRegion', "TEXT NOT NULL DEFAULT 'upper'");
+      await addColumnIfMissing(db, TABLES.LIFTS, 'role', "TEXT NOT NULL DEFAULT 'main'");
+      await addColumnIfMissing(db, TABLES.LIFTS, 'equipment', "TEXT NOT NULL DEFAULT 'barbell'");
+      // Until now lower body lifts were recognised by name; keep them in the same region (LIKE ignores ASCII case)
+      await db.execAsync(`
+        UPDATE ${TABLES.LIFTS} SET bodyRegion = 'lower'
+        WHERE name LIKE '%squat%' OR name LIKE '%deadlift%' OR name LIKE '%dead lift%'
+          OR name LIKE '%leg press%' OR name LIKE '%lunge%';
+      `);
+    },
+  },
+  {
+    version: 12,
+    description: 'Create the assistance exercises table and label accessory sets with their exercise',
+    up: async (db) => {
+      // `slot` keeps the order the exercises are done in on the lift's day
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.ASSISTANCE_EXERCISES} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          liftId INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          category TEXT NOT NULL,
+          isBodyweight INTEGER NOT NULL DEFAULT 0,
+          slot INTEGER NOT NULL,
+          FOREIGN KEY (liftId) REFERENCES ${TABLES.LIFTS}(id) ON DELETE CASCADE
+        );
+      `);
+      // Logged sets keep the exercise's name and category rather than its ID, so they outlive the exercise
+      await addColumnIfMissing(db, TABLES.SETS, 'exerciseName', 'TEXT');
+      await addColumnIfMissing(db, TABLES.SETS, 'assistanceCategory', 'TEXT');
+    },
+  },
+  {
+    version: 13,
+    description: 'Create the bodyweight log table',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS ${TABLES.BODYWEIGHT} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          weight REAL NOT NULL,
+          unit TEXT NOT NULL,
+          date TEXT NOT NULL
+        );
+      `);
+    },
+  },
+];
+
+// The schema version a fully migrated database reports through `PRAGMA user_version`.
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
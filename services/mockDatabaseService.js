@@ -1,71 +1,262 @@
 // src/services/mockLiftService.js
+// Storage adapter (see ./storageAdapter.js) that keeps everything in memory, seeded with demo lifts.
 
-import { Lift, TrackingLift } from '../models/liftModels'; // Needed for creating mock data
+import { DEFAULT_TM_PERCENTAGE } from '../models/liftModels'; // Needed for creating mock data
+import { SCHEMA_VERSION } from './migrations';
 
 let mockLiftsData = []; // This will be our in-memory "database"
 let nextMockId = 1;      // To simulate auto-incrementing IDs
+let mockSessionsData = []; // Workout sessions, each with its own `sets` array
+let nextMockSessionId = 1;
+let nextMockSetId = 1;
+let mockHistoryData = []; // Max history records; the latest one per lift is its current max
+let nextMockHistoryId = 1;
+let mockSettingsData = new Map(); // Setting key -> JSON-encoded value, like the settings table
+let mockSessionDraft = null; // The guided session in progress, like the single row of the session draft table
+let mockScheduleData = []; // { liftId, dayIndex, slot } per scheduled lift, like the schedule table
+let mockAssistanceData = []; // { id, liftId, name, category, isBodyweight, slot }, like the assistance exercises table
+let nextMockAssistanceId = 1;
+let mockBodyweightData = []; // { id, weight, unit, date }, like the bodyweight log table
+let nextMockBodyweightId = 1;
+
+/**
+ * Stores the assistance exercises of a lift, replacing any it had.
+ * @param {number} liftId - The ID of the lift.
+ * @param {Array<{name: string, category: string, isBodyweight: boolean}>} exercises - The exercises in order.
+ */
+const setAssistanceExercises = (liftId, exercises) => {
+    mockAssistanceData = mockAssistanceData.filter(exercise => exercise.liftId !== liftId);
+    exercises.forEach((exercise, slot) => {
+        mockAssistanceData.push({ id: nextMockAssistanceId++, liftId, name: exercise.name, category: exercise.category, isBodyweight: !!exercise.isBodyweight, slot });
+    });
+};
+
+/**
+ * Adds a max history record for a lift.
+ * @param {number} liftId - The ID of the lift.
+ * @param {number} maxWeight - The recorded max weight.
+ * @param {string} unit - The unit maxWeight is in.
+ * @param {number} tmPercentage - The recorded Training Max percentage.
+ * @param {string} date - When the value took effect.
+ * @param {string} source - What caused the change.
+ */
+const addHistoryRecord = (liftId, maxWeight, unit, tmPercentage, date, source) => {
+    mockHistoryData.push({ id: nextMockHistoryId++, liftId, maxWeight, unit, tmPercentage, date, source });
+};
+
+/**
+ * Finds the latest max history record of a lift.
+ * @param {number} liftId - The ID of the lift.
+ * @returns {Object | undefined} The latest record, if the lift has any.
+ */
+const findLatestHistoryRecord = (liftId) => {
+    const records = mockHistoryData.filter(record => record.liftId === liftId);
+    return records[records.length - 1];
+};
+
+/**
+ * Adds a workout session and its sets to the in-memory array.
+ * @param {Object} rawSession - An object with { liftId, cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap,
+ * exerciseName, assistanceCategory }] }.
+ * @returns {number} The simulated session ID.
+ */
+const addWorkoutSession = (rawSession) => {
+    const newId = nextMockSessionId++;
+    mockSessionsData.push({
+        id: newId,
+        liftId: rawSession.liftId,
+        cycle: rawSession.cycle,
+        date: rawSession.date,
+        sets: rawSession.sets.map((set, index) => ({
+            id: nextMockSetId++,
+            sessionId: newId,
+            setOrder: index,
+            setType: set.setType,
+            weight: set.weight,
+            unit: set.unit,
+            reps: set.reps,
+            targetReps: set.targetReps ?? null,
+            isAmrap: !!set.isAmrap,
+            exerciseName: set.exerciseName ?? null,
+            assistanceCategory: set.assistanceCategory ?? null,
+        })),
+    });
+    return newId;
+};
+
+/**
+ * Adds a complete lift, with its max history, logged sessions and assistance exercises, to the in-memory arrays.
+ * @param {Object} rawLift - The lift to restore (see `importLiftRecord`).
+ * @returns {number} The simulated ID of the restored lift.
+ */
+const addImportedLift = (rawLift) => {
+    const newId = nextMockId++;
+    const firstRecord = rawLift.history[0];
+    mockLiftsData.push({
+        id: newId,
+        name: rawLift.name,
+        maxWeight: firstRecord.maxWeight,
+        unit: firstRecord.unit,
+        tmPercentage: firstRecord.tmPercentage,
+        date: firstRecord.date,
+        cycleWeek: rawLift.cycleWeek,
+        cycleNumber: rawLift.cycleNumber,
+        tmIncrement: rawLift.tmIncrement ?? null,
+        tmIncrementUnit: rawLift.tmIncrementUnit,
+        supplementalTemplate: rawLift.supplementalTemplate,
+        supplementalPercentage: rawLift.supplementalPercentage ?? null,
+        bodyRegion: rawLift.bodyRegion,
+        role: rawLift.role,
+        equipment: rawLift.equipment,
+    });
+    rawLift.history.forEach(record => addHistoryRecord(newId, record.maxWeight, record.unit, record.tmPercentage, record.date, record.source));
+    rawLift.sessions.forEach(session => addWorkoutSession({ ...session, liftId: newId }));
+    setAssistanceExercises(newId, rawLift.assistanceExercises);
+    return newId;
+};
 
 const addInitialMockData = () => {
     if (mockLiftsData.length === 0) {
-        const date = new Date().toLocaleDateString();
-        mockLiftsData.push({ id: nextMockId++, name: "Squat", maxWeight: 225, date: date });
-        mockLiftsData.push({ id: nextMockId++, name: "Bench Press", maxWeight: 185, date: date });
-        mockLiftsData.push({ id: nextMockId++, name: "Deadlift", maxWeight: 315, date: date });
+        const date = new Date().toISOString();
+        mockLiftsData.push({ id: nextMockId++, name: "Squat", maxWeight: 225, tmPercentage: DEFAULT_TM_PERCENTAGE, unit: 'lbs', date: date, cycleWeek: 0, cycleNumber: 1, tmIncrement: null, tmIncrementUnit: 'lbs', supplementalTemplate: 'none', supplementalPercentage: null, bodyRegion: 'lower', role: 'main', equipment: 'barbell' });
+        mockLiftsData.push({ id: nextMockId++, name: "Bench Press", maxWeight: 185, tmPercentage: DEFAULT_TM_PERCENTAGE, unit: 'lbs', date: date, cycleWeek: 0, cycleNumber: 1, tmIncrement: null, tmIncrementUnit: 'lbs', supplementalTemplate: 'none', supplementalPercentage: null, bodyRegion: 'upper', role: 'main', equipment: 'barbell' });
+        mockLiftsData.push({ id: nextMockId++, name: "Deadlift", maxWeight: 315, tmPercentage: DEFAULT_TM_PERCENTAGE, unit: 'lbs', date: date, cycleWeek: 0, cycleNumber: 1, tmIncrement: null, tmIncrementUnit: 'lbs', supplementalTemplate: 'none', supplementalPercentage: null, bodyRegion: 'lower', role: 'main', equipment: 'barbell' });
+        mockLiftsData.forEach(lift => addHistoryRecord(lift.id, lift.maxWeight, lift.unit, lift.tmPercentage, date, 'created'));
         console.log("Mock data initialized:", mockLiftsData);
     }
 };
 
+/**
+ * Reports the schema version the mock mirrors, so both backends stay in step.
+ * The in-memory store is always created at the latest version.
+ * @returns {Promise<number>} The current schema version.
+ */
+export const getSchemaVersion = () => {
+    return Promise.resolve(SCHEMA_VERSION);
+};
+
 /**
  * Initializes the mock in-memory "database."
  */
 export const initDb = () => {
-    console.log('Mock in-memory database initialized.');
+    console.log(`Mock in-memory database initialized at schema version ${SCHEMA_VERSION}.`);
     addInitialMockData();
     return Promise.resolve();
 };
 
 /**
- * Saves a TrackingLift object to the in-memory array.
- * @param {TrackingLift} trackingLift - The TrackingLift object to save.
+ * Saves a raw lift object to the in-memory array.
+ * @param {Object} rawLiftData - An object with { name, maxWeight, unit, tmPercentage, date, bodyRegion, role, equipment }.
  * @returns {Promise<number>} A promise that resolves with the simulated ID.
  */
-export const saveTrackingLift = (trackingLift) => {
+export const saveTrackingLift = (rawLiftData) => {
     return new Promise((resolve) => {
         const newId = nextMockId++;
         const newRecord = {
             id: newId,
-            name: trackingLift.lift.name,
-            maxWeight: trackingLift.lift.maxWeight,
-            date: trackingLift.date,
+            name: rawLiftData.name,
+            maxWeight: rawLiftData.maxWeight,
+            unit: rawLiftData.unit,
+            tmPercentage: rawLiftData.tmPercentage ?? DEFAULT_TM_PERCENTAGE,
+            date: rawLiftData.date,
+            cycleWeek: 0,
+            cycleNumber: 1,
+            tmIncrement: null,
+            tmIncrementUnit: rawLiftData.unit,
+            supplementalTemplate: 'none',
+            supplementalPercentage: null,
+            bodyRegion: rawLiftData.bodyRegion,
+            role: rawLiftData.role,
+            equipment: rawLiftData.equipment,
         };
         mockLiftsData.push(newRecord);
-        console.log('Mock Service: TrackingLift saved successfully with ID:', newId, newRecord);
+        addHistoryRecord(newId, newRecord.maxWeight, newRecord.unit, newRecord.tmPercentage, newRecord.date, 'created');
+        console.log('Mock Service: Lift saved successfully with ID:', newId, newRecord);
         resolve(newId);
     });
 };
 
+/**
+ * Restores a complete lift, with its max history and logged sessions, into the in-memory arrays.
+ * @param {Object} rawLift - An object with { name, cycleWeek, cycleNumber, tmIncrement, tmIncrementUnit,
+ * supplementalTemplate, supplementalPercentage, bodyRegion, role, equipment, history: [{ maxWeight, unit, tmPercentage, date, source }] (oldest first),
+ * sessions: [{ cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory }] }],
+ * assistanceExercises: [{ name, category, isBodyweight }] (in order) }.
+ * @returns {Promise<number>} A promise that resolves with the simulated ID.
+ */
+export const importLiftRecord = (rawLift) => {
+    return new Promise((resolve) => {
+        const newId = addImportedLift(rawLift);
+        console.log('Mock Service: Lift imported successfully with ID:', newId);
+        resolve(newId);
+    });
+};
+
+/**
+ * Replaces every lift, and everything that belongs to them, with the given lifts.
+ * If any lift fails to restore, the arrays are put back as they were, like a rolled-back transaction.
+ * @param {Array<Object>} rawLifts - The lifts to restore (see `importLiftRecord`).
+ * @returns {Promise<number>} A promise that resolves with the number of lifts that were deleted.
+ */
+export const replaceAllLifts = (rawLifts) => {
+    return new Promise((resolve, reject) => {
+        const previousData = [mockLiftsData, mockSessionsData, mockHistoryData, mockScheduleData, mockAssistanceData, mockSessionDraft];
+        const removedCount = mockLiftsData.length;
+        // Mirror the ON DELETE CASCADE of the SQLite schema
+        mockLiftsData = [];
+        mockSessionsData = [];
+        mockHistoryData = [];
+        mockScheduleData = [];
+        mockAssistanceData = [];
+        mockSessionDraft = null;
+        try {
+            rawLifts.forEach(rawLift => addImportedLift(rawLift));
+        } catch (error) {
+            [mockLiftsData, mockSessionsData, mockHistoryData, mockScheduleData, mockAssistanceData, mockSessionDraft] = previousData;
+            console.error('Mock Service: Error replacing the lifts, nothing was changed:', error);
+            reject(error);
+            return;
+        }
+        console.log(`Mock Service: Replaced ${removedCount} lifts with ${rawLifts.length} imported lifts.`);
+        resolve(removedCount);
+    });
+};
+
 /**
  * Fetches all lifts from the in-memory array.
+ * The maxWeight, unit, tmPercentage and date of each lift come from its latest max history record.
  * @returns {Promise<Array<Object>>} A promise that resolves with an array of raw lift objects.
  */
 export const fetchAllLifts = () => {
     return new Promise((resolve) => {
-        console.log('Mock Service: Lifts fetched (raw):', mockLiftsData);
-        resolve([...mockLiftsData]); // Return a copy to prevent direct modification
+        // Return copies to prevent direct modification
+        const lifts = mockLiftsData.map(lift => {
+            const latestRecord = findLatestHistoryRecord(lift.id);
+            return latestRecord
+                ? { ...lift, maxWeight: latestRecord.maxWeight, unit: latestRecord.unit, tmPercentage: latestRecord.tmPercentage, date: latestRecord.date }
+                : { ...lift };
+        });
+        console.log('Mock Service: Lifts fetched (raw):', lifts);
+        resolve(lifts);
     });
 };
 
 /**
- * Updates the maximum weight of an existing lift in the in-memory array.
+ * Records a new maximum weight for an existing lift in the in-memory history.
  * @param {number} liftId - The ID of the lift to update.
  * @param {number} newMaxWeight - The new maximum weight for the lift.
+ * @param {number} [tmPercentage] - The new Training Max percentage. Left unchanged when omitted.
+ * @param {string} [source='edit'] - What caused the change (see MAX_CHANGE_SOURCES).
+ * @param {'lbs' | 'kg'} [unit='lbs'] - The unit newMaxWeight is in.
  * @returns {Promise<boolean>} A promise that resolves to true if successful.
  */
-export const updateLiftMaxWeight = (liftId, newMaxWeight) => {
+export const updateLiftMaxWeight = (liftId, newMaxWeight, tmPercentage, source = 'edit', unit = 'lbs') => {
     return new Promise((resolve) => {
-        const index = mockLiftsData.findIndex(lift => lift.id === liftId);
-        if (index !== -1) {
-            mockLiftsData[index].maxWeight = newMaxWeight;
+        const lift = mockLiftsData.find(item => item.id === liftId);
+        if (lift) {
+            const latestRecord = findLatestHistoryRecord(liftId);
+            const currentTmPercentage = latestRecord ? latestRecord.tmPercentage : lift.tmPercentage;
+            addHistoryRecord(liftId, newMaxWeight, unit, tmPercentage ?? currentTmPercentage, new Date().toISOString(), source);
             console.log(`Mock Service: Lift with ID ${liftId} updated successfully to ${newMaxWeight}.`);
             resolve(true);
         } else {
@@ -75,6 +266,47 @@ export const updateLiftMaxWeight = (liftId, newMaxWeight) => {
     });
 };
 
+/**
+ * Updates where a lift is in its training cycle, its end-of-cycle Training Max increase, its supplemental template and its category.
+ * Only the fields present in `progression` are changed; pass `tmIncrement: null` to go back to the default.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {{cycleWeek?: number, cycleNumber?: number, tmIncrement?: number | null, tmIncrementUnit?: string,
+ * supplementalTemplate?: string, supplementalPercentage?: number | null, bodyRegion?: string, role?: string, equipment?: string}} progression
+ * - The fields to change.
+ * @returns {Promise<boolean>} A promise that resolves to true if successful.
+ */
+export const updateLiftProgression = (liftId, progression) => {
+    return new Promise((resolve) => {
+        const lift = mockLiftsData.find(item => item.id === liftId);
+        const columns = ['cycleWeek', 'cycleNumber', 'tmIncrement', 'tmIncrementUnit', 'supplementalTemplate', 'supplementalPercentage', 'bodyRegion', 'role', 'equipment'].filter(column => column in progression);
+        if (lift && columns.length > 0) {
+            columns.forEach(column => {
+                lift[column] = progression[column];
+            });
+            console.log(`Mock Service: Progression of lift with ID ${liftId} updated successfully.`);
+            resolve(true);
+        } else {
+            console.log(`Mock Service: No lift found with ID ${liftId} to update.`);
+            resolve(false);
+        }
+    });
+};
+
+/**
+ * Fetches the max history of a lift from the in-memory array, newest first.
+ * @param {number} liftId - The ID of the lift.
+ * @returns {Promise<Array<Object>>} A promise that resolves with raw history records.
+ */
+export const fetchLiftMaxHistory = (liftId) => {
+    return new Promise((resolve) => {
+        const history = mockHistoryData
+            .filter(record => record.liftId === liftId)
+            .reverse()
+            .map(record => ({ ...record }));
+        resolve(history);
+    });
+};
+
 /**
  * Deletes a lift from the in-memory array.
  * @param {number} liftId - The ID of the lift to delete.
@@ -85,6 +317,14 @@ export const deleteLiftById = (liftId) => {
         const initialLength = mockLiftsData.length;
         mockLiftsData = mockLiftsData.filter(lift => lift.id !== liftId);
         if (mockLiftsData.length < initialLength) {
+            // Mirror the ON DELETE CASCADE of the SQLite schema
+            mockSessionsData = mockSessionsData.filter(session => session.liftId !== liftId);
+            mockHistoryData = mockHistoryData.filter(record => record.liftId !== liftId);
+            mockScheduleData = mockScheduleData.filter(row => row.liftId !== liftId);
+            mockAssistanceData = mockAssistanceData.filter(exercise => exercise.liftId !== liftId);
+            if (mockSessionDraft && mockSessionDraft.liftId === liftId) {
+                mockSessionDraft = null;
+            }
             console.log(`Mock Service: Lift with ID ${liftId} deleted successfully.`);
             resolve(true);
         } else {
@@ -92,4 +332,197 @@ export const deleteLiftById = (liftId) => {
             resolve(false);
         }
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Saves a workout session and its sets to the in-memory array.
+ * @param {Object} rawSession - An object with { liftId, cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap,
+ * exerciseName, assistanceCategory }] }.
+ * @returns {Promise<number>} A promise that resolves with the simulated session ID.
+ */
+export const saveWorkoutSession = (rawSession) => {
+    return new Promise((resolve, reject) => {
+        // Mirror the FOREIGN KEY constraint of the SQLite schema
+        if (!mockLiftsData.some(lift => lift.id === rawSession.liftId)) {
+            reject(new Error(`No lift found with ID ${rawSession.liftId}.`));
+            return;
+        }
+        const newId = addWorkoutSession(rawSession);
+        console.log('Mock Service: Workout session saved successfully with ID:', newId);
+        resolve(newId);
+    });
+};
+
+/**
+ * Fetches workout sessions from the in-memory array, newest first.
+ * @param {number} [liftId] - Only return sessions for this lift. Returns every session when omitted.
+ * @returns {Promise<Array<Object>>} A promise that resolves with raw session objects, each with a `sets` array.
+ */
+export const fetchWorkoutSessions = (liftId) => {
+    return new Promise((resolve) => {
+        const sessions = mockSessionsData
+            .filter(session => liftId === undefined || liftId === null || session.liftId === liftId)
+            .sort((a, b) => (b.date.localeCompare(a.date) || b.id - a.id))
+            .map(session => ({ ...session, sets: session.sets.map(set => ({ ...set })) }));
+        console.log('Mock Service: Workout sessions fetched (raw):', sessions);
+        resolve(sessions);
+    });
+};
+
+/**
+ * Fetches every stored setting from the in-memory map.
+ * @returns {Promise<Array<{key: string, value: string}>>} A promise that resolves with the raw settings; values are JSON text.
+ */
+export const fetchAllSettings = () => {
+    return new Promise((resolve) => {
+        resolve(Array.from(mockSettingsData, ([key, value]) => ({ key, value })));
+    });
+};
+
+/**
+ * Inserts or replaces one setting in the in-memory map.
+ * @param {string} key - The setting key.
+ * @param {string} value - The JSON-encoded value.
+ * @returns {Promise<boolean>} A promise that resolves to true once the setting is stored.
+ */
+export const saveSetting = (key, value) => {
+    return new Promise((resolve) => {
+        mockSettingsData.set(key, value);
+        console.log(`Mock Service: Setting "${key}" saved.`);
+        resolve(true);
+    });
+};
+
+/**
+ * Fetches the guided session in progress from memory.
+ * @returns {Promise<Object | null>} A promise that resolves with { liftId, cycle, unit, stepIndex, steps, updatedAt }
+ * (steps as JSON text), or null when no session is in progress.
+ */
+export const fetchSessionDraft = () => {
+    return new Promise((resolve) => {
+        resolve(mockSessionDraft ? { ...mockSessionDraft } : null);
+    });
+};
+
+/**
+ * Stores the guided session in progress in memory, replacing any earlier one.
+ * @param {Object} rawDraft - An object with { liftId, cycle, unit, stepIndex, steps, updatedAt }; steps are JSON text.
+ * @returns {Promise<boolean>} A promise that resolves to true once the draft is stored.
+ */
+export const saveSessionDraft = (rawDraft) => {
+    return new Promise((resolve) => {
+        mockSessionDraft = { ...rawDraft };
+        resolve(true);
+    });
+};
+
+/**
+ * Removes the guided session in progress from memory.
+ * @returns {Promise<boolean>} A promise that resolves to true if there was a draft to remove.
+ */
+export const deleteSessionDraft = () => {
+    return new Promise((resolve) => {
+        const hadDraft = mockSessionDraft !== null;
+        mockSessionDraft = null;
+        resolve(hadDraft);
+    });
+};
+
+/**
+ * Fetches the training schedule from memory.
+ * @returns {Promise<Array<{liftId: number, dayIndex: number, slot: number}>>} A promise that resolves with
+ * one row per scheduled lift, in day and slot order.
+ */
+export const fetchScheduleDays = () => {
+    return new Promise((resolve) => {
+        resolve([...mockScheduleData].sort((a, b) => (a.dayIndex - b.dayIndex) || (a.slot - b.slot)));
+    });
+};
+
+/**
+ * Replaces the training schedule in memory.
+ * @param {Array<{liftId: number, dayIndex: number, slot: number}>} rows - One row per scheduled lift; empty clears the schedule.
+ * @returns {Promise<boolean>} A promise that resolves to true once the schedule is stored.
+ */
+export const replaceScheduleDays = (rows) => {
+    return new Promise((resolve) => {
+        mockScheduleData = rows.map(row => ({ ...row }));
+        resolve(true);
+    });
+};
+
+/**
+ * Fetches assistance exercises from memory, in the order they are done.
+ * @param {number} [liftId] - Only return the exercises of this lift. Returns every exercise when omitted.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the raw exercises, ordered by lift and slot.
+ */
+export const fetchAssistanceExercises = (liftId) => {
+    return new Promise((resolve) => {
+        resolve(mockAssistanceData
+            .filter(exercise => liftId === undefined || liftId === null || exercise.liftId === liftId)
+            .sort((a, b) => (a.liftId - b.liftId) || (a.slot - b.slot))
+            .map(exercise => ({ ...exercise })));
+    });
+};
+
+/**
+ * Replaces the assistance exercises of one lift in memory.
+ * @param {number} liftId - The lift the exercises belong to.
+ * @param {Array<{name: string, category: string, isBodyweight: boolean}>} exercises - The exercises in order; empty removes them all.
+ * @returns {Promise<boolean>} A promise that resolves to true once stored, or false when the lift doesn't exist.
+ */
+export const replaceAssistanceExercises = (liftId, exercises) => {
+    return new Promise((resolve) => {
+        if (!mockLiftsData.some(lift => lift.id === liftId)) {
+            console.log(`Mock Service: No lift found with ID ${liftId} for assistance exercises.`);
+            resolve(false);
+            return;
+        }
+        setAssistanceExercises(liftId, exercises);
+        resolve(true);
+    });
+};
+
+/**
+ * Adds a bodyweight record in memory.
+ * @param {Object} rawRecord - An object with { weight, unit, date }.
+ * @returns {Promise<number>} A promise that resolves with the simulated ID.
+ */
+export const saveBodyweightRecord = (rawRecord) => {
+    return new Promise((resolve) => {
+        const { weight, unit, date } = rawRecord;
+        const newId = nextMockBodyweightId++;
+        mockBodyweightData.push({ id: newId, weight, unit, date });
+        resolve(newId);
+    });
+};
+
+/**
+ * Fetches the bodyweight log from memory, newest first.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the raw records { id, weight, unit, date }.
+ */
+export const fetchBodyweightRecords = () => {
+    return new Promise((resolve) => {
+        resolve(mockBodyweightData
+            .map(record => ({ ...record }))
+            .sort((a, b) => (b.date.localeCompare(a.date) || b.id - a.id)));
+    });
+};
+
+/**
+ * Deletes one bodyweight record from memory.
+ * @param {number} recordId - The ID of the record to delete.
+ * @returns {Promise<boolean>} A promise that resolves to true if deleted, false if not found.
+ */
+export const deleteBodyweightRecord = (recordId) => {
+    return new Promise((resolve) => {
+        const initialLength = mockBodyweightData.length;
+        mockBodyweightData = mockBodyweightData.filter(record => record.id !== recordId);
+        if (mockBodyweightData.length === initialLength) {
+            console.log(`Mock Service: No bodyweight record found with ID ${recordId} to delete.`);
+            resolve(false);
+            return;
+        }
+        resolve(true);
+    });
+};
@@ -0,0 +1,93 @@
+// src/services/storageAdapter.js
+
+/**
+ * The contract every low-level storage backend (expoSqliteService, webStorageService, mockDatabaseService) implements.
+ * dbService only talks to a backend through these functions, so they must behave the same on every backend;
+ * services/__tests__/storageAdapters.test.js runs each backend through the same scenarios to keep it that way.
+ *
+ * All functions return Promises. Records are plain objects with the column names of the SQLite schema
+ * (see ./migrations.js); booleans are real booleans and JSON columns are JSON text.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(): Promise<void>} initDb - Opens the store and brings it up to SCHEMA_VERSION. Must be called first.
+ * @property {function(): Promise<number>} getSchemaVersion - The schema version of the open store.
+ * @property {function(Object): Promise<number>} saveTrackingLift - Adds a lift { name, maxWeight, unit, tmPercentage, date,
+ * bodyRegion, role, equipment } and its first max history record ('created'); resolves with the new lift ID.
+ * @property {function(Object): Promise<number>} importLiftRecord - Restores a lift with its history, sessions and assistance
+ * exercises in one write; resolves with the new lift ID.
+ * @property {function(Array<Object>): Promise<number>} replaceAllLifts - Deletes every lift, with everything that belongs to it,
+ * and restores the given lifts (as for importLiftRecord) in one write; if any lift fails, nothing is changed. Resolves with
+ * the number of lifts deleted.
+ * @property {function(): Promise<Array<Object>>} fetchAllLifts - Every lift, with maxWeight, unit, tmPercentage and date
+ * taken from its latest max history record.
+ * @property {function(number, number, number=, string=, string=): Promise<boolean>} updateLiftMaxWeight - Adds a max history
+ * record (liftId, maxWeight, tmPercentage, source, unit); false when the lift doesn't exist.
+ * @property {function(number, Object): Promise<boolean>} updateLiftProgression - Changes the given progression or category fields of a lift;
+ * false when the lift doesn't exist or no known field is given.
+ * @property {function(number): Promise<Array<Object>>} fetchLiftMaxHistory - The max history of a lift, newest first.
+ * @property {function(number): Promise<boolean>} deleteLiftById - Deletes a lift and everything that belongs to it
+ * (sessions, history, schedule rows, assistance exercises, a session draft for it); false when the lift doesn't exist.
+ * @property {function(Object): Promise<number>} saveWorkoutSession - Adds a session and its sets in one write; accessory sets
+ * carry their exerciseName and assistanceCategory (null on other sets). Rejects when the lift doesn't exist. Resolves with the new session ID.
+ * @property {function(number=): Promise<Array<Object>>} fetchWorkoutSessions - Sessions (of one lift, or all), newest first,
+ * each with its sets in set order.
+ * @property {function(): Promise<Array<{key: string, value: string}>>} fetchAllSettings - Every stored setting.
+ * @property {function(string, string): Promise<boolean>} saveSetting - Inserts or replaces one setting.
+ * @property {function(): Promise<Object | null>} fetchSessionDraft - The guided session in progress, or null.
+ * @property {function(Object): Promise<boolean>} saveSessionDraft - Stores the guided session in progress, replacing any earlier one.
+ * @property {function(): Promise<boolean>} deleteSessionDraft - Removes the guided session in progress; false when there was none.
+ * @property {function(): Promise<Array<{liftId: number, dayIndex: number, slot: number}>>} fetchScheduleDays - The training
+ * schedule, in day and slot order.
+ * @property {function(Array<{liftId: number, dayIndex: number, slot: number}>): Promise<boolean>} replaceScheduleDays - Replaces
+ * the training schedule in one write.
+ * @property {function(number=): Promise<Array<Object>>} fetchAssistanceExercises - Assistance exercises (of one lift, or all)
+ * { id, liftId, name, category, isBodyweight, slot }, in lift and slot order.
+ * @property {function(number, Array<Object>): Promise<boolean>} replaceAssistanceExercises - Replaces the assistance exercises
+ * { name, category, isBodyweight } of a lift in one write; false when the lift doesn't exist.
+ * @property {function(Object): Promise<number>} saveBodyweightRecord - Adds a bodyweight record { weight, unit, date };
+ * resolves with the new record ID.
+ * @property {function(): Promise<Array<Object>>} fetchBodyweightRecords - The bodyweight log { id, weight, unit, date }, newest first.
+ * @property {function(number): Promise<boolean>} deleteBodyweightRecord - Deletes a bodyweight record; false when it doesn't exist.
+ */
+
+export const STORAGE_ADAPTER_FUNCTIONS = [
+  'initDb',
+  'getSchemaVersion',
+  'saveTrackingLift',
+  'importLiftRecord',
+  'replaceAllLifts',
+  'fetchAllLifts',
+  'updateLiftMaxWeight',
+  'updateLiftProgression',
+  'fetchLiftMaxHistory',
+  'deleteLiftById',
+  'saveWorkoutSession',
+  'fetchWorkoutSessions',
+  'fetchAllSettings',
+  'saveSetting',
+  'fetchSessionDraft',
+  'saveSessionDraft',
+  'deleteSessionDraft',
+  'fetchScheduleDays',
+  'replaceScheduleDays',
+  'fetchAssistanceExercises',
+  'replaceAssistanceExercises',
+  'saveBodyweightRecord',
+  'fetchBodyweightRecords',
+  'deleteBodyweightRecord',
+];
+
+/**
+ * Checks that a backend module provides every function of the storage adapter contract.
+ * @param {Object} adapter - The backend module.
+ * @param {string} adapterName - The name to report in the error.
+ * @returns {StorageAdapter} The adapter, once checked.
+ * @throws {Error} If a contract function is missing.
+ */
+export const assertStorageAdapter = (adapter, adapterName) => {
+  const missingFunctions = STORAGE_ADAPTER_FUNCTIONS.filter(name => typeof adapter[name] !== 'function');
+  if (missingFunctions.length > 0) {
+    throw new Error(`${adapterName} does not implement the storage adapter contract: missing ${missingFunctions.join(', ')}.`);
+  }
+  return adapter;
+};
@@ -0,0 +1,650 @@
+// src/services/webStorageService.js
+// Storage adapter (see ./storageAdapter.js) for the web build, backed by localStorage.
+
+import { DEFAULT_TM_PERCENTAGE } from '../models/liftModels';
+import { LOWER_BODY_PATTERN } from '../constants/liftCategories';
+import { SCHEMA_VERSION } from './migrations';
+import { normalizeLegacyDate } from '../utils/dates';
+
+// expo-sqlite doesn't run in the browser, so on web everything is kept as one JSON document in localStorage.
+const STORAGE_KEY = '531StrengthTracker';
+
+let store = null;
+
+/**
+ * Creates an empty store at the current schema version. The collections mirror the SQLite tables.
+ * @returns {Object} The empty store.
+ */
+const createEmptyStore = () => ({
+  version: SCHEMA_VERSION,
+  nextIds: { lift: 1, session: 1, set: 1, history: 1, assistance: 1, bodyweight: 1 },
+  lifts: [],
+  sessions: [],   // Each with its own `sets` array
+  history: [],    // Max history records; the latest one per lift is its current max
+  settings: {},   // Setting key -> JSON-encoded value
+  sessionDraft: null,
+  schedule: [],   // { liftId, dayIndex, slot } per scheduled lift
+  assistance: [], // { id, liftId, name, category, isBodyweight, slot } per assistance exercise
+  bodyweight: [], // { id, weight, unit, date } per bodyweight record
+});
+
+/**
+ * Brings a store saved by an earlier version of the app up to the current schema.
+ * Collections added since are created empty, and lifts get the columns the SQLite migrations add with their defaults,
+ * ISO dates and a max history.
+ * @param {Object} savedStore - The parsed store.
+ * @returns {Object} The upgraded store.
+ */
+const upgradeStore = (savedStore) => {
+  const upgraded = { ...createEmptyStore(), ...savedStore, nextIds: { ...createEmptyStore().nextIds, ...savedStore.nextIds } };
+  upgraded.lifts = upgraded.lifts.map(lift => ({
+    tmPercentage: DEFAULT_TM_PERCENTAGE,
+    unit: 'lbs',
+    cycleWeek: 0,
+    cycleNumber: 1,
+    tmIncrement: null,
+    tmIncrementUnit: lift.unit || 'lbs',
+    supplementalTemplate: 'none',
+    supplementalPercentage: null,
+    // Like migration 11, lifts stored before categories existed get their body region from the name
+    bodyRegion: LOWER_BODY_PATTERN.test(lift.name) ? 'lower' : 'upper',
+    role: 'main',
+    equipment: 'barbell',
+    ...lift,
+    // Like migration 4, dates written by toLocaleDateString() become ISO dates
+    date: normalizeLegacyDate(lift.date),
+  }));
+  upgraded.history = upgraded.history.map(record => ({ ...record, date: normalizeLegacyDate(record.date) }));
+  // Like migration 4, lifts stored before the max history existed start theirs with their current max
+  upgraded.lifts
+    .filter(lift => !upgraded.history.some(record => record.liftId === lift.id))
+    .forEach(lift => addHistoryRecord(upgraded, lift.id, { ...lift, source: 'created' }));
+  upgraded.version = SCHEMA_VERSION;
+  return upgraded;
+};
+
+/**
+ * Makes sure initDb has loaded the store.
+ */
+const requireStore = () => {
+  if (!store) {
+    console.error('Web Storage: Database not initialized. Call initDb first.');
+    throw new Error('Database not initialized.');
+  }
+};
+
+/**
+ * Applies a change to a copy of the store and saves it. The change only takes effect once it is saved,
+ * so a failed write (e.g. a full storage quota) leaves the data as it was, like a rolled-back transaction.
+ * @param {function(Object): *} change - Mutates the copy it receives; its return value is passed on.
+ * @returns {*} What `change` returned.
+ */
+const commit = (change) => {
+  requireStore();
+  const next = JSON.parse(JSON.stringify(store));
+  const result = change(next);
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  store = next;
+  return result;
+};
+
+/**
+ * Finds the latest max history record of a lift.
+ * @param {Object} data - The store to search.
+ * @param {number} liftId - The ID of the lift.
+ * @returns {Object | undefined} The latest record, if the lift has any.
+ */
+const findLatestHistoryRecord = (data, liftId) => {
+  const records = data.history.filter(record => record.liftId === liftId);
+  return records[records.length - 1];
+};
+
+/**
+ * Adds a max history record for a lift.
+ * @param {Object} data - The store to add to.
+ * @param {number} liftId - The ID of the lift.
+ * @param {Object} record - An object with { maxWeight, unit, tmPercentage, date, source }.
+ */
+const addHistoryRecord = (data, liftId, record) => {
+  const { maxWeight, unit, tmPercentage, date, source } = record;
+  data.history.push({ id: data.nextIds.history++, liftId, maxWeight, unit, tmPercentage, date, source });
+};
+
+/**
+ * Replaces the assistance exercises of a lift.
+ * @param {Object} data - The store to change.
+ * @param {number} liftId - The ID of the lift.
+ * @param {Array<{name: string, category: string, isBodyweight: boolean}>} exercises - The exercises in order.
+ */
+const setAssistanceExercises = (data, liftId, exercises) => {
+  data.assistance = data.assistance.filter(exercise => exercise.liftId !== liftId);
+  exercises.forEach(({ name, category, isBodyweight }, slot) => {
+    data.assistance.push({ id: data.nextIds.assistance++, liftId, name, category, isBodyweight: !!isBodyweight, slot });
+  });
+};
+
+/**
+ * Adds a workout session and its sets.
+ * @param {Object} data - The store to add to.
+ * @param {Object} rawSession - An object with { liftId, cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap,
+ * exerciseName, assistanceCategory }] }.
+ * @returns {number} The ID of the new session.
+ */
+const addWorkoutSession = (data, rawSession) => {
+  const sessionId = data.nextIds.session++;
+  data.sessions.push({
+    id: sessionId,
+    liftId: rawSession.liftId,
+    cycle: rawSession.cycle,
+    date: rawSession.date,
+    sets: rawSession.sets.map((set, index) => ({
+      id: data.nextIds.set++,
+      sessionId,
+      setOrder: index,
+      setType: set.setType,
+      weight: set.weight,
+      unit: set.unit,
+      reps: set.reps,
+      targetReps: set.targetReps ?? null,
+      isAmrap: !!set.isAmrap,
+      exerciseName: set.exerciseName ?? null,
+      assistanceCategory: set.assistanceCategory ?? null,
+    })),
+  });
+  return sessionId;
+};
+
+/**
+ * Reports the schema version of the stored data.
+ * @returns {Promise<number>} The current schema version.
+ */
+export const getSchemaVersion = async () => {
+  requireStore();
+  return store.version;
+};
+
+/**
+ * Initializes the browser storage. Loads the saved data, upgrading it to the current schema when needed,
+ * or starts with an empty store on the first visit. Data saved by a newer version of the app is left untouched.
+ * @throws {Error} When the saved data has a newer schema version than this app supports.
+ */
+export const initDb = async () => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    throw new Error('Browser storage is not available.');
+  }
+
+  try {
+    const savedText = window.localStorage.getItem(STORAGE_KEY);
+    store = savedText ? JSON.parse(savedText) : createEmptyStore();
+    const savedVersion = store.version ?? 0;
+    if (savedVersion > SCHEMA_VERSION) {
+      throw new Error(`Stored data schema version ${savedVersion} is newer than this app supports (${SCHEMA_VERSION}).`);
+    }
+    if (!savedText || savedVersion < SCHEMA_VERSION) {
+      store = upgradeStore(store);
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    }
+    console.log(`Web Storage: Data loaded at schema version ${store.version}.`);
+  } catch (error) {
+    store = null;
+    console.error('Web Storage: Error during initDb:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves a raw lift object to browser storage.
+ * @param {Object} rawLiftData - An object with { name, maxWeight, unit, tmPercentage, date, bodyRegion, role, equipment }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the new lift.
+ */
+export const saveTrackingLift = async (rawLiftData) => {
+  try {
+    return commit((data) => {
+      const newId = data.nextIds.lift++;
+      const tmPercentage = rawLiftData.tmPercentage ?? DEFAULT_TM_PERCENTAGE;
+      data.lifts.push({
+        id: newId,
+        name: rawLiftData.name,
+        maxWeight: rawLiftData.maxWeight,
+        unit: rawLiftData.unit,
+        tmPercentage,
+        date: rawLiftData.date,
+        cycleWeek: 0,
+        cycleNumber: 1,
+        tmIncrement: null,
+        tmIncrementUnit: rawLiftData.unit,
+        supplementalTemplate: 'none',
+        supplementalPercentage: null,
+        bodyRegion: rawLiftData.bodyRegion,
+        role: rawLiftData.role,
+        equipment: rawLiftData.equipment,
+      });
+      addHistoryRecord(data, newId, { ...rawLiftData, tmPercentage, source: 'created' });
+      return newId;
+    });
+  } catch (error) {
+    console.error('Web Storage: Error saving lift:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a complete lift, with its max history, logged sessions and assistance exercises.
+ * @param {Object} data - The store to add to.
+ * @param {Object} rawLift - The lift to restore (see `importLiftRecord`).
+ * @returns {number} The ID of the restored lift.
+ */
+const addImportedLift = (data, rawLift) => {
+  const newId = data.nextIds.lift++;
+  const firstRecord = rawLift.history[0];
+  data.lifts.push({
+    id: newId,
+    name: rawLift.name,
+    maxWeight: firstRecord.maxWeight,
+    unit: firstRecord.unit,
+    tmPercentage: firstRecord.tmPercentage,
+    date: firstRecord.date,
+    cycleWeek: rawLift.cycleWeek,
+    cycleNumber: rawLift.cycleNumber,
+    tmIncrement: rawLift.tmIncrement ?? null,
+    tmIncrementUnit: rawLift.tmIncrementUnit,
+    supplementalTemplate: rawLift.supplementalTemplate,
+    supplementalPercentage: rawLift.supplementalPercentage ?? null,
+    bodyRegion: rawLift.bodyRegion,
+    role: rawLift.role,
+    equipment: rawLift.equipment,
+  });
+  rawLift.history.forEach(record => addHistoryRecord(data, newId, record));
+  rawLift.sessions.forEach(session => addWorkoutSession(data, { ...session, liftId: newId }));
+  setAssistanceExercises(data, newId, rawLift.assistanceExercises);
+  return newId;
+};
+
+/**
+ * Restores a complete lift, with its max history and logged sessions, in a single write.
+ * @param {Object} rawLift - An object with { name, cycleWeek, cycleNumber, tmIncrement, tmIncrementUnit,
+ * supplementalTemplate, supplementalPercentage, bodyRegion, role, equipment, history: [{ maxWeight, unit, tmPercentage, date, source }] (oldest first),
+ * sessions: [{ cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap, exerciseName, assistanceCategory }] }],
+ * assistanceExercises: [{ name, category, isBodyweight }] (in order) }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the restored lift.
+ */
+export const importLiftRecord = async (rawLift) => {
+  try {
+    return commit(data => addImportedLift(data, rawLift));
+  } catch (error) {
+    console.error('Web Storage: Error importing lift:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces every lift, and everything that belongs to them, with the given lifts in a single write.
+ * If any lift fails to restore nothing is saved, so the lifts stored before are kept as they were.
+ * @param {Array<Object>} rawLifts - The lifts to restore (see `importLiftRecord`).
+ * @returns {Promise<number>} A promise that resolves with the number of lifts that were deleted.
+ */
+export const replaceAllLifts = async (rawLifts) => {
+  try {
+    return commit((data) => {
+      const removedCount = data.lifts.length;
+      // Mirror the ON DELETE CASCADE of the SQLite schema
+      data.lifts = [];
+      data.sessions = [];
+      data.history = [];
+      data.schedule = [];
+      data.assistance = [];
+      data.sessionDraft = null;
+      rawLifts.forEach(rawLift => addImportedLift(data, rawLift));
+      return removedCount;
+    });
+  } catch (error) {
+    console.error('Web Storage: Error replacing the lifts, nothing was changed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches all lifts from browser storage.
+ * The maxWeight, unit, tmPercentage and date of each lift come from its latest max history record.
+ * @returns {Promise<Array<Object>>} A promise that resolves with an array of raw lift objects.
+ */
+export const fetchAllLifts = async () => {
+  requireStore();
+  return store.lifts.map(lift => {
+    const latestRecord = findLatestHistoryRecord(store, lift.id);
+    return latestRecord
+      ? { ...lift, maxWeight: latestRecord.maxWeight, unit: latestRecord.unit, tmPercentage: latestRecord.tmPercentage, date: latestRecord.date }
+      : { ...lift };
+  });
+};
+
+/**
+ * Records a new maximum weight for an existing lift in its max history.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {number} newMaxWeight - The new maximum weight for the lift.
+ * @param {number} [tmPercentage] - The new Training Max percentage. Left unchanged when omitted.
+ * @param {string} [source='edit'] - What caused the change (see MAX_CHANGE_SOURCES).
+ * @param {'lbs' | 'kg'} [unit='lbs'] - The unit newMaxWeight is in.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftMaxWeight = async (liftId, newMaxWeight, tmPercentage, source = 'edit', unit = 'lbs') => {
+  try {
+    return commit((data) => {
+      const lift = data.lifts.find(item => item.id === liftId);
+      if (!lift) {
+        console.log(`Web Storage: No lift found with ID ${liftId} to update.`);
+        return false;
+      }
+      const latestRecord = findLatestHistoryRecord(data, liftId);
+      addHistoryRecord(data, liftId, {
+        maxWeight: newMaxWeight,
+        unit,
+        tmPercentage: tmPercentage ?? (latestRecord ? latestRecord.tmPercentage : lift.tmPercentage),
+        date: new Date().toISOString(),
+        source,
+      });
+      return true;
+    });
+  } catch (error) {
+    console.error(`Web Storage: Error updating lift with ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Updates where a lift is in its training cycle, its end-of-cycle Training Max increase, its supplemental template and its category.
+ * Only the fields present in `progression` are changed; pass `tmIncrement: null` to go back to the default.
+ * @param {number} liftId - The ID of the lift to update.
+ * @param {{cycleWeek?: number, cycleNumber?: number, tmIncrement?: number | null, tmIncrementUnit?: string,
+ * supplementalTemplate?: string, supplementalPercentage?: number | null, bodyRegion?: string, role?: string, equipment?: string}} progression
+ * - The fields to change.
+ * @returns {Promise<boolean>} A promise that resolves to true if the update was successful, false otherwise.
+ */
+export const updateLiftProgression = async (liftId, progression) => {
+  const columns = ['cycleWeek', 'cycleNumber', 'tmIncrement', 'tmIncrementUnit', 'supplementalTemplate', 'supplementalPercentage', 'bodyRegion', 'role', 'equipment'].filter(column => column in progression);
+  if (columns.length === 0) {
+    return false;
+  }
+
+  try {
+    return commit((data) => {
+      const lift = data.lifts.find(item => item.id === liftId);
+      if (!lift) {
+        console.log(`Web Storage: No lift found with ID ${liftId} to update.`);
+        return false;
+      }
+      columns.forEach(column => {
+        lift[column] = progression[column];
+      });
+      return true;
+    });
+  } catch (error) {
+    console.error(`Web Storage: Error updating progression of lift with ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the max history of a lift from browser storage, newest first.
+ * @param {number} liftId - The ID of the lift.
+ * @returns {Promise<Array<Object>>} A promise that resolves with raw history records { id, liftId, maxWeight, unit, tmPercentage, date, source }.
+ */
+export const fetchLiftMaxHistory = async (liftId) => {
+  requireStore();
+  return store.history
+    .filter(record => record.liftId === liftId)
+    .reverse()
+    .map(record => ({ ...record }));
+};
+
+/**
+ * Deletes a lift from browser storage, together with everything that belongs to it.
+ * @param {number} liftId - The ID of the lift to delete.
+ * @returns {Promise<boolean>} A promise that resolves to true if the deletion was successful, false otherwise.
+ */
+export const deleteLiftById = async (liftId) => {
+  try {
+    return commit((data) => {
+      const initialLength = data.lifts.length;
+      data.lifts = data.lifts.filter(lift => lift.id !== liftId);
+      if (data.lifts.length === initialLength) {
+        console.log(`Web Storage: No lift found with ID ${liftId} to delete.`);
+        return false;
+      }
+      // Mirror the ON DELETE CASCADE of the SQLite schema
+      data.sessions = data.sessions.filter(session => session.liftId !== liftId);
+      data.history = data.history.filter(record => record.liftId !== liftId);
+      data.schedule = data.schedule.filter(row => row.liftId !== liftId);
+      data.assistance = data.assistance.filter(exercise => exercise.liftId !== liftId);
+      if (data.sessionDraft && data.sessionDraft.liftId === liftId) {
+        data.sessionDraft = null;
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error(`Web Storage: Error deleting lift with ID ${liftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Saves a workout session and all of its sets to browser storage in a single write.
+ * @param {Object} rawSession - An object with { liftId, cycle, date, sets: [{ setType, weight, unit, reps, targetReps, isAmrap,
+ * exerciseName, assistanceCategory }] }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the new session.
+ */
+export const saveWorkoutSession = async (rawSession) => {
+  try {
+    return commit((data) => {
+      if (!data.lifts.some(lift => lift.id === rawSession.liftId)) {
+        throw new Error(`No lift found with ID ${rawSession.liftId}.`);
+      }
+      return addWorkoutSession(data, rawSession);
+    });
+  } catch (error) {
+    console.error('Web Storage: Error saving workout session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches workout sessions from browser storage, newest first.
+ * @param {number} [liftId] - Only return sessions for this lift. Returns every session when omitted.
+ * @returns {Promise<Array<Object>>} A promise that resolves with raw session objects, each with a `sets` array.
+ */
+export const fetchWorkoutSessions = async (liftId) => {
+  requireStore();
+  return store.sessions
+    .filter(session => liftId === undefined || liftId === null || session.liftId === liftId)
+    .sort((a, b) => (b.date.localeCompare(a.date) || b.id - a.id))
+    .map(session => ({ ...session, sets: session.sets.map(set => ({ ...set })) }));
+};
+
+/**
+ * Fetches every stored setting from browser storage.
+ * @returns {Promise<Array<{key: string, value: string}>>} A promise that resolves with the raw settings; values are JSON text.
+ */
+export const fetchAllSettings = async () => {
+  requireStore();
+  return Object.entries(store.settings).map(([key, value]) => ({ key, value }));
+};
+
+/**
+ * Inserts or replaces one setting in browser storage.
+ * @param {string} key - The setting key.
+ * @param {string} value - The JSON-encoded value.
+ * @returns {Promise<boolean>} A promise that resolves to true once the setting is stored.
+ */
+export const saveSetting = async (key, value) => {
+  try {
+    commit((data) => {
+      data.settings[key] = value;
+    });
+    return true;
+  } catch (error) {
+    console.error(`Web Storage: Error saving setting "${key}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the guided session in progress from browser storage.
+ * @returns {Promise<Object | null>} A promise that resolves with { liftId, cycle, unit, stepIndex, steps, updatedAt }
+ * (steps as JSON text), or null when no session is in progress.
+ */
+export const fetchSessionDraft = async () => {
+  requireStore();
+  return store.sessionDraft ? { ...store.sessionDraft } : null;
+};
+
+/**
+ * Stores the guided session in progress in browser storage, replacing any earlier one.
+ * @param {Object} rawDraft - An object with { liftId, cycle, unit, stepIndex, steps, updatedAt }; steps are JSON text.
+ * @returns {Promise<boolean>} A promise that resolves to true once the draft is stored.
+ */
+export const saveSessionDraft = async (rawDraft) => {
+  try {
+    commit((data) => {
+      const { liftId, cycle, unit, stepIndex, steps, updatedAt } = rawDraft;
+      data.sessionDraft = { liftId, cycle, unit, stepIndex, steps, updatedAt };
+    });
+    return true;
+  } catch (error) {
+    console.error('Web Storage: Error saving the session draft:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes the guided session in progress from browser storage.
+ * @returns {Promise<boolean>} A promise that resolves to true if there was a draft to remove.
+ */
+export const deleteSessionDraft = async () => {
+  try {
+    return commit((data) => {
+      const hadDraft = data.sessionDraft !== null;
+      data.sessionDraft = null;
+      return hadDraft;
+    });
+  } catch (error) {
+    console.error('Web Storage: Error deleting the session draft:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the training schedule from browser storage.
+ * @returns {Promise<Array<{liftId: number, dayIndex: number, slot: number}>>} A promise that resolves with
+ * one row per scheduled lift, in day and slot order.
+ */
+export const fetchScheduleDays = async () => {
+  requireStore();
+  return store.schedule
+    .map(row => ({ ...row }))
+    .sort((a, b) => (a.dayIndex - b.dayIndex) || (a.slot - b.slot));
+};
+
+/**
+ * Replaces the training schedule in browser storage in a single write.
+ * @param {Array<{liftId: number, dayIndex: number, slot: number}>} rows - One row per scheduled lift; empty clears the schedule.
+ * @returns {Promise<boolean>} A promise that resolves to true once the schedule is stored.
+ */
+export const replaceScheduleDays = async (rows) => {
+  try {
+    commit((data) => {
+      data.schedule = rows.map(({ liftId, dayIndex, slot }) => ({ liftId, dayIndex, slot }));
+    });
+    return true;
+  } catch (error) {
+    console.error('Web Storage: Error saving the schedule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches assistance exercises from browser storage, in the order they are done.
+ * @param {number} [liftId] - Only return the exercises of this lift. Returns every exercise when omitted.
+ * @returns {Promise<Array<{id: number, liftId: number, name: string, category: string, isBodyweight: boolean, slot: number}>>}
+ * A promise that resolves with the raw exercises, ordered by lift and slot.
+ */
+export const fetchAssistanceExercises = async (liftId) => {
+  requireStore();
+  return store.assistance
+    .filter(exercise => liftId === undefined || liftId === null || exercise.liftId === liftId)
+    .map(exercise => ({ ...exercise }))
+    .sort((a, b) => (a.liftId - b.liftId) || (a.slot - b.slot));
+};
+
+/**
+ * Replaces the assistance exercises of one lift in browser storage in a single write.
+ * @param {number} liftId - The lift the exercises belong to.
+ * @param {Array<{name: string, category: string, isBodyweight: boolean}>} exercises - The exercises in order; empty removes them all.
+ * @returns {Promise<boolean>} A promise that resolves to true once stored, or false when the lift doesn't exist.
+ */
+export const replaceAssistanceExercises = async (liftId, exercises) => {
+  try {
+    return commit((data) => {
+      if (!data.lifts.some(lift => lift.id === liftId)) {
+        console.log(`Web Storage: No lift found with ID ${liftId} for assistance exercises.`);
+        return false;
+      }
+      setAssistanceExercises(data, liftId, exercises);
+      return true;
+    });
+  } catch (error) {
+    console.error('Web Storage: Error saving assistance exercises:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a bodyweight record to browser storage.
+ * @param {Object} rawRecord - An object with { weight, unit, date }.
+ * @returns {Promise<number>} A promise that resolves with the ID of the new record.
+ */
+export const saveBodyweightRecord = async (rawRecord) => {
+  try {
+    return commit((data) => {
+      const { weight, unit, date } = rawRecord;
+      const newId = data.nextIds.bodyweight++;
+      data.bodyweight.push({ id: newId, weight, unit, date });
+      return newId;
+    });
+  } catch (error) {
+    console.error('Web Storage: Error saving bodyweight:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the bodyweight log from browser storage, newest first.
+ * @returns {Promise<Array<{id: number, weight: number, unit: string, date: string}>>} A promise that resolves with the raw records.
+ */
+export const fetchBodyweightRecords = async () => {
+  requireStore();
+  return store.bodyweight
+    .map(record => ({ ...record }))
+    .sort((a, b) => (b.date.localeCompare(a.date) || b.id - a.id));
+};
+
+/**
+ * Deletes one bodyweight record from browser storage.
+ * @param {number} recordId - The ID of the record to delete.
+ * @returns {Promise<boolean>} A promise that resolves to true if the deletion was successful, false otherwise.
+ */
+export const deleteBodyweightRecord = async (recordId) => {
+  try {
+    return commit((data) => {
+      const initialLength = data.bodyweight.length;
+      data.bodyweight = data.bodyweight.filter(record => record.id !== recordId);
+      if (data.bodyweight.length === initialLength) {
+        console.log(`Web Storage: No bodyweight record found with ID ${recordId} to delete.`);
+        return false;
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error(`Web Storage: Error deleting bodyweight record with ID ${recordId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,96 @@
+// utils/__tests__/assistance.test.js
+// Covers how assistance work is prescribed in a guided session and counted once logged.
+
+import { buildAssistanceSteps, sumAssistanceReps, describeAssistanceSet } from '../assistance';
+import { AssistanceExercise, LoggedSet, SessionDraft, SessionStep, SET_TYPES } from '../../models/workoutModels';
+import { ASSISTANCE_CATEGORIES, DEFAULT_ASSISTANCE_REP_TARGETS } from '../../constants/assistance';
+
+const { PUSH, PULL, SINGLE_LEG_CORE } = ASSISTANCE_CATEGORIES;
+
+const chinUp = new AssistanceExercise(1, 'Chin-up', PULL, true);
+const row = new AssistanceExercise(1, 'Row', PULL, false);
+const dips = new AssistanceExercise(1, 'Dips', PUSH, true);
+const abWheel = new AssistanceExercise(1, 'Ab Wheel', SINGLE_LEG_CORE, true);
+
+describe('buildAssistanceSteps', () => {
+  it('splits each category target evenly over its exercises, in sets of about ten', () => {
+    const steps = buildAssistanceSteps([chinUp, dips, row], { [PUSH]: 50, [PULL]: 50, [SINGLE_LEG_CORE]: 50 });
+
+    expect(steps.every(step => step instanceof SessionStep && step.setType === SET_TYPES.ACCESSORY)).toBe(true);
+    expect(steps.map(step => [step.label, step.reps])).toEqual([
+      ['Chin-up 1', 9], ['Chin-up 2', 9], ['Chin-up 3', 9],
+      ['Dips 1', 10], ['Dips 2', 10], ['Dips 3', 10], ['Dips 4', 10], ['Dips 5', 10],
+      ['Row 1', 9], ['Row 2', 9], ['Row 3', 9],
+    ]);
+  });
+
+  it('prescribes no added weight for bodyweight exercises and leaves the weight open for weighted ones', () => {
+    const [chinUpStep] = buildAssistanceSteps([chinUp], DEFAULT_ASSISTANCE_REP_TARGETS);
+    const [rowStep] = buildAssistanceSteps([row], DEFAULT_ASSISTANCE_REP_TARGETS);
+
+    expect(chinUpStep).toMatchObject({ weight: 0, exerciseName: 'Chin-up', assistanceCategory: PULL, isAmrap: false, isDone: false });
+    expect(rowStep).toMatchObject({ weight: null, exerciseName: 'Row', assistanceCategory: PULL });
+  });
+
+  it('leaves out exercises of categories without a target', () => {
+    const steps = buildAssistanceSteps([dips, abWheel], { [PUSH]: 20, [PULL]: 50, [SINGLE_LEG_CORE]: 0 });
+
+    expect(steps.map(step => step.label)).toEqual(['Dips 1', 'Dips 2']);
+    expect(buildAssistanceSteps([], DEFAULT_ASSISTANCE_REP_TARGETS)).toEqual([]);
+  });
+
+  it('logs the accessory sets of a finished guided session with their exercise and category', () => {
+    const steps = [
+      new SessionStep(SET_TYPES.WORKING, '85%', 255, 5, true),
+      ...buildAssistanceSteps([dips, chinUp], { [PUSH]: 20, [PULL]: 10, [SINGLE_LEG_CORE]: 50 }),
+    ];
+    const draft = new SessionDraft(1, '5/3/1', 'lbs', steps.map((step, index) => (
+      index === 2 ? step : step.withLog(step.weight ?? 0, step.isAmrap ? 8 : step.reps, true)
+    )));
+
+    const session = draft.toWorkoutSession();
+
+    expect(session.sets.map(set => [set.setType, set.exerciseName, set.assistanceCategory, set.reps])).toEqual([
+      [SET_TYPES.WORKING, null, null, 8],
+      [SET_TYPES.ACCESSORY, 'Dips', PUSH, 10],
+      [SET_TYPES.ACCESSORY, 'Chin-up', PULL, 10],
+    ]);
+    expect(sumAssistanceReps(session.sets)).toEqual({ [PUSH]: 10, [PULL]: 10, [SINGLE_LEG_CORE]: 0 });
+  });
+});
+
+describe('sumAssistanceReps', () => {
+  it('adds up the reps of the accessory sets per category', () => {
+    const sets = [
+      new LoggedSet(SET_TYPES.ACCESSORY, 0, 12, false, 10, 'lbs', 'Chin-up', PULL),
+      new LoggedSet(SET_TYPES.ACCESSORY, 50, 10, false, 10, 'lbs', 'Row', PULL),
+      new LoggedSet(SET_TYPES.ACCESSORY, 25, 8, false, 10, 'lbs', 'Dips', PUSH),
+    ];
+
+    expect(sumAssistanceReps(sets)).toEqual({ [PUSH]: 8, [PULL]: 22, [SINGLE_LEG_CORE]: 0 });
+  });
+
+  it('ignores main lift sets and accessory sets without a known category', () => {
+    const sets = [
+      new LoggedSet(SET_TYPES.WORKING, 255, 8, true, 1),
+      new LoggedSet(SET_TYPES.SUPPLEMENTAL, 135, 10, false, 10, 'lbs', null, PUSH),
+      new LoggedSet(SET_TYPES.ACCESSORY, 0, 15, false, 10, 'lbs', 'Hanging Leg Raise', 'core'),
+      new LoggedSet(SET_TYPES.ACCESSORY, 0, 20, false, 10, 'lbs', 'Lunge', null),
+    ];
+
+    expect(sumAssistanceReps(sets)).toEqual({ [PUSH]: 0, [PULL]: 0, [SINGLE_LEG_CORE]: 0 });
+    expect(sumAssistanceReps([])).toEqual({ [PUSH]: 0, [PULL]: 0, [SINGLE_LEG_CORE]: 0 });
+  });
+});
+
+describe('describeAssistanceSet', () => {
+  it('describes a weighted set by its weight and reps', () => {
+    expect(describeAssistanceSet(new LoggedSet(SET_TYPES.ACCESSORY, 50, 10), false)).toBe('50×10');
+    expect(describeAssistanceSet(new LoggedSet(SET_TYPES.ACCESSORY, 22.5, 12, false, 10, 'kg'), false)).toBe('22.5×12');
+  });
+
+  it('describes a bodyweight set with any added weight', () => {
+    expect(describeAssistanceSet(new LoggedSet(SET_TYPES.ACCESSORY, 0, 12), true)).toBe('BW×12');
+    expect(describeAssistanceSet(new LoggedSet(SET_TYPES.ACCESSORY, 25, 8), true)).toBe('BW+25×8');
+  });
+});
@@ -0,0 +1,122 @@
+// utils/__tests__/cycleSheet.test.js
+// Covers the numbers on the cycle sheet, for repeating cycles and for a training block, and its text export.
+
+import { buildCycleSheet, formatCycleSheetText } from '../cycleSheet';
+import { Lift, LiftCategory, TrackingLift, SupplementalPlan } from '../../models/liftModels';
+import { DEFAULT_CYCLE_DEFINITIONS } from '../../constants/cycles';
+import { DEFAULT_TRAINING_BLOCK } from '../../constants/blocks';
+import { DEFAULT_WARM_UP_PERCENTAGES } from '../../constants/settings';
+import { defaultRoundingPolicy } from '../../constants/rounding';
+import { SUPPLEMENTAL_TEMPLATES } from '../../constants/supplemental';
+import { BODY_REGIONS, LIFT_ROLES, EQUIPMENT_TYPES } from '../../constants/liftCategories';
+
+// TM 270 lbs, with BBB at 50%
+const squat = new TrackingLift(new Lift('Squat', 300, 90, null, 'lbs'), undefined, 1, undefined, new SupplementalPlan(SUPPLEMENTAL_TEMPLATES.BBB, 50));
+// TM 90 kg, about 198.4 lbs
+const bench = new TrackingLift(new Lift('Bench Press', 100, 90, null, 'kg'), undefined, 2);
+// TM 180 lbs on a machine, which moves in 10 lb jumps
+const legPress = new TrackingLift(
+  new Lift('Leg Press', 200, 90, null, 'lbs', new LiftCategory(BODY_REGIONS.LOWER, LIFT_ROLES.ASSISTANCE, EQUIPMENT_TYPES.MACHINE)),
+  undefined,
+  3
+);
+
+const options = {
+  unit: 'lbs',
+  cycleDefinitions: DEFAULT_CYCLE_DEFINITIONS,
+  trainingBlock: null,
+  roundingPolicy: defaultRoundingPolicy,
+  warmUpPercentages: DEFAULT_WARM_UP_PERCENTAGES,
+};
+
+/**
+ * Lists the weights and reps of a lift's working sets on a sheet.
+ * @param {Object} sheetLift - A lift entry of a sheet week.
+ * @returns {Array<Array>} [weight, reps, isAmrap] per set.
+ */
+const workingSetsOf = (sheetLift) => sheetLift.workingSets.map(set => [set.weight, set.reps, set.isAmrap]);
+
+describe('buildCycleSheet', () => {
+  it('lists every cycle definition as a week, with the numbers of every lift', () => {
+    const sheet = buildCycleSheet([squat, bench], options);
+
+    expect(sheet.unit).toBe('lbs');
+    expect(sheet.weeks.map(week => week.label)).toEqual(['Week 1 · 5/5/5', 'Week 2 · 3/3/3', 'Week 3 · 5/3/1', 'Week 4 · Deload']);
+    const [squatWeek1] = sheet.weeks[0].lifts;
+    expect(squatWeek1).toMatchObject({ name: 'Squat', trainingMax: 270, supplementalLabel: 'BBB' });
+    expect(squatWeek1.warmUp.map(set => [set.percentage, set.weight, set.reps])).toEqual([[40, 110, 5], [50, 135, 5], [60, 160, 3]]);
+    expect(workingSetsOf(squatWeek1)).toEqual([[175, 5, false], [205, 5, false], [230, 5, true]]);
+    expect(squatWeek1.supplemental).toEqual({ percentage: 50, weight: 135, reps: 10, sets: 5 });
+    expect(workingSetsOf(sheet.weeks[2].lifts[0])).toEqual([[205, 5, false], [230, 3, false], [255, 1, true]]);
+  });
+
+  it('leaves out the warm-up and supplemental sets in a deload week', () => {
+    const [squatDeload] = buildCycleSheet([squat], options).weeks[3].lifts;
+
+    expect(squatDeload.warmUp).toBeNull();
+    expect(squatDeload.supplemental).toBeNull();
+    expect(workingSetsOf(squatDeload)).toEqual([[110, 5, false], [135, 5, false], [160, 3, false]]);
+  });
+
+  it('converts a lift stored in another unit and rounds it in the unit of the sheet', () => {
+    const [, benchWeek1] = buildCycleSheet([squat, bench], options).weeks[0].lifts;
+
+    expect(benchWeek1).toMatchObject({ name: 'Bench Press', trainingMax: 198.4, supplemental: null, supplementalLabel: 'None' });
+    expect(workingSetsOf(benchWeek1)).toEqual([[130, 5, false], [150, 5, false], [170, 5, true]]);
+
+    const [benchInKg] = buildCycleSheet([bench], { ...options, unit: 'kg' }).weeks[0].lifts;
+    expect(benchInKg.trainingMax).toBe(90);
+    expect(workingSetsOf(benchInKg)).toEqual([[57.5, 5, false], [67.5, 5, false], [77.5, 5, true]]);
+  });
+
+  it('rounds dumbbell and machine lifts to the jumps of their equipment', () => {
+    const [legPressWeek1] = buildCycleSheet([legPress], options).weeks[0].lifts;
+
+    expect(workingSetsOf(legPressWeek1)).toEqual([[120, 5, false], [140, 5, false], [150, 5, true]]);
+  });
+
+  it('lists every week of a running training block, with the supplemental work of its phase', () => {
+    const sheet = buildCycleSheet([squat, bench], { ...options, trainingBlock: DEFAULT_TRAINING_BLOCK });
+
+    expect(sheet.weeks).toHaveLength(11);
+    expect(sheet.weeks[0].label).toBe('Week 1 · Leader 1 · 5/5/5 · 5s PRO + BBB 50%');
+    expect(sheet.weeks[6].label).toBe('Week 7 · Deload · Deload');
+    expect(sheet.weeks[9].label).toBe('Week 10 · Anchor 1 · 5/3/1 · Standard + FSL');
+
+    // 5s PRO: every main set for 5 reps without an AMRAP set, and the block's BBB replaces the lift's own template
+    const [squatLeader, benchLeader] = sheet.weeks[2].lifts;
+    expect(workingSetsOf(squatLeader)).toEqual([[205, 5, false], [230, 5, false], [255, 5, false]]);
+    expect(benchLeader).toMatchObject({ supplementalLabel: 'BBB', supplemental: { percentage: 50, weight: 100, reps: 10, sets: 5 } });
+
+    const [squatAnchor] = sheet.weeks[9].lifts;
+    expect(workingSetsOf(squatAnchor)).toEqual([[205, 5, false], [230, 3, false], [255, 1, true]]);
+    expect(squatAnchor).toMatchObject({ supplementalLabel: 'FSL', supplemental: { percentage: 75, weight: 205, reps: 5, sets: 5 } });
+    expect(sheet.weeks[10].lifts[0].supplemental).toBeNull();
+  });
+});
+
+describe('formatCycleSheetText', () => {
+  it('writes one block per week with the warm-up, main and supplemental sets of each lift', () => {
+    const sheet = buildCycleSheet([squat, bench], options);
+    const lines = formatCycleSheetText({ ...sheet, weeks: [sheet.weeks[0], sheet.weeks[3]] }).split('\n');
+
+    expect(lines).toEqual([
+      '5/3/1 Cycle Sheet (lbs)',
+      '',
+      '== Week 1 · 5/5/5 ==',
+      'Squat (TM 270)',
+      '  Warm-up:      40% 110×5, 50% 135×5, 60% 160×3',
+      '  Main:         65% 175×5, 75% 205×5, 85% 230×5+',
+      '  Supplemental: BBB 50% 135 5×10',
+      'Bench Press (TM 198.4)',
+      '  Warm-up:      40% 80×5, 50% 100×5, 60% 120×3',
+      '  Main:         65% 130×5, 75% 150×5, 85% 170×5+',
+      '',
+      '== Week 4 · Deload ==',
+      'Squat (TM 270)',
+      '  Main:         40% 110×5, 50% 135×5, 60% 160×3',
+      'Bench Press (TM 198.4)',
+      '  Main:         40% 80×5, 50% 100×5, 60% 120×3',
+    ]);
+  });
+});
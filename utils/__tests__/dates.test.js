@@ -0,0 +1,34 @@
+// utils/__tests__/dates.test.js
+// Covers how dates written by toLocaleDateString() before the max history existed are read back as ISO dates.
+
+import { normalizeLegacyDate } from '../dates';
+
+const october19 = new Date(2026, 9, 19).toISOString();
+
+describe('normalizeLegacyDate', () => {
+  it.each([
+    ['10/19/2026'],  // en-US
+    ['19/10/2026'],  // en-GB
+    ['19.10.2026'],  // de
+    ['19-10-2026'],  // nl
+    ['2026/10/19'],  // ja
+    ['2026. 10. 19.'], // ko
+  ])('reads %s as local midnight of that day', (date) => {
+    expect(normalizeLegacyDate(date)).toBe(october19);
+  });
+
+  it('reads a date whose day and month could be either in the order of this device\'s locale', () => {
+    const newYearsEve = new Date(2000, 11, 31).toLocaleDateString();
+    const dayFirst = newYearsEve.indexOf('31') < newYearsEve.indexOf('12');
+
+    expect(normalizeLegacyDate('3/4/2026')).toBe(dayFirst ? new Date(2026, 3, 3).toISOString() : new Date(2026, 2, 4).toISOString());
+  });
+
+  it('leaves ISO dates and dates it can\'t read unchanged', () => {
+    expect(normalizeLegacyDate('2026-10-19T08:30:00.000Z')).toBe('2026-10-19T08:30:00.000Z');
+    expect(normalizeLegacyDate('2026-10-19')).toBe('2026-10-19');
+    expect(normalizeLegacyDate('31/31/2026')).toBe('31/31/2026');
+    expect(normalizeLegacyDate('yesterday')).toBe('yesterday');
+    expect(normalizeLegacyDate(null)).toBeNull();
+  });
+});
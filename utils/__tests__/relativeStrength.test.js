@@ -0,0 +1,151 @@
+// utils/__tests__/relativeStrength.test.js
+// Covers the Wilks, DOTS and IPF GL scores of a total and how they are tracked over time.
+
+import {
+  calculateWilks, calculateDots, calculateIpfGl, calculateScores, findCompetitionLifts, calculateTotalKg, buildScoreSeries,
+} from '../relativeStrength';
+import { Lift, LiftCategory, TrackingLift, MaxWeightRecord } from '../../models/liftModels';
+import { BodyweightRecord } from '../../models/bodyweightModels';
+import { SEXES, SCORING_EQUIPMENT } from '../../constants/scoring';
+import { WEIGHT_UNITS, LBS_TO_KG_FACTOR } from '../../constants/units';
+import { BODY_REGIONS, LIFT_ROLES, EQUIPMENT_TYPES } from '../../constants/liftCategories';
+
+const { MALE, FEMALE } = SEXES;
+const { RAW, EQUIPPED } = SCORING_EQUIPMENT;
+
+/**
+ * Converts a weight in kg to the lbs a lifter would have entered for it.
+ * @param {number} kg - The weight in kg.
+ * @returns {number} The weight in lbs.
+ */
+const toLbs = (kg) => kg / LBS_TO_KG_FACTOR;
+
+// Reference scores from the published formulas: [total kg, bodyweight kg, sex, Wilks, DOTS, GL raw, GL equipped]
+const REFERENCE_SCORES = [
+  [500, 100, MALE, 304.29, 307.76, 63.16, 52.29],
+  [576, 90, MALE, 367.71, 372.44, 76.57, 63.56],
+  [300, 60, FEMALE, 334.47, 332.56, 67.81, 55.72],
+  [400, 70, FEMALE, 397.94, 404.50, 82.22, 68.26],
+];
+
+describe('relative strength scores', () => {
+  it.each(REFERENCE_SCORES)('scores a %d kg total at %d kg bodyweight (%s)', (totalKg, bodyweightKg, sex, wilks, dots, glRaw, glEquipped) => {
+    expect(calculateWilks(totalKg, bodyweightKg, sex)).toBeCloseTo(wilks, 2);
+    expect(calculateDots(totalKg, bodyweightKg, sex)).toBeCloseTo(dots, 2);
+    expect(calculateIpfGl(totalKg, bodyweightKg, sex, RAW)).toBeCloseTo(glRaw, 2);
+    expect(calculateIpfGl(totalKg, bodyweightKg, sex, EQUIPPED)).toBeCloseTo(glEquipped, 2);
+  });
+
+  it('clamps the bodyweight to the range Wilks and DOTS were fitted on', () => {
+    expect(calculateWilks(300, 250, MALE)).toBe(calculateWilks(300, 201.9, MALE));
+    expect(calculateDots(200, 30, FEMALE)).toBe(calculateDots(200, 40, FEMALE));
+  });
+
+  it('gives no IPF GL points below the IPF minimum bodyweight', () => {
+    expect(calculateIpfGl(200, 34.9, FEMALE, RAW)).toBe(0);
+    expect(calculateIpfGl(200, 35, FEMALE, RAW)).toBeGreaterThan(0);
+  });
+
+  it('scores nothing until the sex is set', () => {
+    expect(calculateScores(500, 100, { sex: null, equipment: RAW })).toBeNull();
+    expect(calculateScores(500, 100, { sex: MALE, equipment: RAW })).toEqual({
+      wilks: calculateWilks(500, 100, MALE),
+      dots: calculateDots(500, 100, MALE),
+      ipfGl: calculateIpfGl(500, 100, MALE, RAW),
+    });
+  });
+});
+
+describe('competition total', () => {
+  const dumbbell = new LiftCategory(BODY_REGIONS.UPPER, LIFT_ROLES.ASSISTANCE, EQUIPMENT_TYPES.DUMBBELL);
+  const trackingLifts = [
+    new TrackingLift(new Lift('Front Squat', 150, 90, null, WEIGHT_UNITS.KG), undefined, 1),
+    new TrackingLift(new Lift('Back Squat', toLbs(200), 90, null, WEIGHT_UNITS.LBS), undefined, 2),
+    new TrackingLift(new Lift('Bench Press', 120, 90, null, WEIGHT_UNITS.KG), undefined, 3),
+    new TrackingLift(new Lift('Dumbbell Bench', 300, 90, null, WEIGHT_UNITS.KG, dumbbell), undefined, 4),
+    new TrackingLift(new Lift('Deadlift', 180, 90, null, WEIGHT_UNITS.KG), undefined, 5),
+  ];
+
+  it('adds up the heaviest barbell squat, bench and deadlift, whatever unit they are stored in', () => {
+    const competitionLifts = findCompetitionLifts(trackingLifts);
+
+    expect(Object.values(competitionLifts).map(trackingLift => trackingLift.lift.name)).toEqual(['Back Squat', 'Bench Press', 'Deadlift']);
+    expect(calculateTotalKg(competitionLifts)).toBeCloseTo(500, 6);
+  });
+
+  it('has no total while a lift is missing', () => {
+    expect(calculateTotalKg(findCompetitionLifts(trackingLifts.slice(0, 4)))).toBeNull();
+  });
+});
+
+describe('buildScoreSeries', () => {
+  const profile = { sex: MALE, equipment: RAW };
+
+  /**
+   * Builds a max history record of a lift.
+   * @param {number} maxWeight - The max, in `unit`.
+   * @param {string} date - When it took effect.
+   * @param {string} unit - The unit it was entered in.
+   * @returns {MaxWeightRecord} The record.
+   */
+  const maxRecord = (maxWeight, date, unit = WEIGHT_UNITS.KG) => new MaxWeightRecord(1, maxWeight, 90, date, undefined, null, unit);
+
+  const liftHistories = {
+    squat: [maxRecord(210, '2026-03-01T00:00:00.000Z'), maxRecord(200, '2026-01-01T00:00:00.000Z')],
+    bench: [maxRecord(120, '2026-01-01T00:00:00.000Z')],
+    deadlift: [maxRecord(180, '2026-01-01T00:00:00.000Z')],
+  };
+
+  it('scores every max change and bodyweight record with the values in effect at the time, oldest first', () => {
+    const bodyweightRecords = [
+      new BodyweightRecord(95, WEIGHT_UNITS.KG, '2026-04-01T00:00:00.000Z'),
+      new BodyweightRecord(100, WEIGHT_UNITS.KG, '2026-02-01T00:00:00.000Z'),
+    ];
+
+    const series = buildScoreSeries(liftHistories, bodyweightRecords, profile);
+
+    expect(series.map(point => [point.date.slice(0, 10), point.totalKg, point.bodyweightKg])).toEqual([
+      ['2026-02-01', 500, 100],
+      ['2026-03-01', 510, 100],
+      ['2026-04-01', 510, 95],
+    ]);
+    expect(series[0].wilks).toBeCloseTo(304.29, 2);
+    expect(series[0].dots).toBeCloseTo(307.76, 2);
+    expect(series[0].ipfGl).toBeCloseTo(63.16, 2);
+    expect(series[1].wilks).toBeGreaterThan(series[0].wilks);
+    expect(series[2].wilks).toBeGreaterThan(series[1].wilks);
+  });
+
+  it('scores maxes and bodyweights entered in lbs the same as in kg', () => {
+    const lbsHistories = {
+      squat: [maxRecord(toLbs(200), '2026-01-01T00:00:00.000Z', WEIGHT_UNITS.LBS)],
+      bench: [maxRecord(toLbs(120), '2026-01-01T00:00:00.000Z', WEIGHT_UNITS.LBS)],
+      deadlift: [maxRecord(toLbs(180), '2026-01-01T00:00:00.000Z', WEIGHT_UNITS.LBS)],
+    };
+
+    const [point] = buildScoreSeries(lbsHistories, [new BodyweightRecord(toLbs(100), WEIGHT_UNITS.LBS, '2026-02-01T00:00:00.000Z')], profile);
+
+    expect(point.totalKg).toBeCloseTo(500, 6);
+    expect(point.bodyweightKg).toBeCloseTo(100, 6);
+    expect(point.wilks).toBeCloseTo(304.29, 2);
+    expect(point.dots).toBeCloseTo(307.76, 2);
+    expect(point.ipfGl).toBeCloseTo(63.16, 2);
+  });
+
+  it('makes one point of changes logged at the same moment', () => {
+    const series = buildScoreSeries(liftHistories, [new BodyweightRecord(100, WEIGHT_UNITS.KG, '2026-03-01T00:00:00.000Z')], profile);
+
+    expect(series.map(point => [point.date.slice(0, 10), point.totalKg])).toEqual([['2026-03-01', 510]]);
+  });
+
+  it('has no points without a bodyweight record or before the first one', () => {
+    expect(buildScoreSeries(liftHistories, [], profile)).toEqual([]);
+
+    const series = buildScoreSeries(liftHistories, [new BodyweightRecord(100, WEIGHT_UNITS.KG, '2026-05-01T00:00:00.000Z')], profile);
+    expect(series.map(point => point.date.slice(0, 10))).toEqual(['2026-05-01']);
+  });
+
+  it('has no points until the sex is set', () => {
+    expect(buildScoreSeries(liftHistories, [new BodyweightRecord(100, WEIGHT_UNITS.KG, '2026-02-01T00:00:00.000Z')], { sex: null, equipment: RAW })).toEqual([]);
+  });
+});
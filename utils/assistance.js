@@ -0,0 +1,67 @@
+// utils/assistance.js
+import { SET_TYPES, SessionStep } from '../models/workoutModels';
+import { ASSISTANCE_CATEGORIES, ASSISTANCE_SET_REPS } from '../constants/assistance';
+
+/**
+ * Adds up the assistance reps of a session per category.
+ * @param {Array<LoggedSet>} sets - The logged sets; only accessory sets with a category count.
+ * @returns {Object} The reps of each of ASSISTANCE_CATEGORIES (0 when none were logged).
+ */
+export const sumAssistanceReps = (sets) => {
+  const totals = Object.fromEntries(Object.values(ASSISTANCE_CATEGORIES).map(category => [category, 0]));
+  sets.forEach(set => {
+    if (set.setType === SET_TYPES.ACCESSORY && Object.prototype.hasOwnProperty.call(totals, set.assistanceCategory)) {
+      totals[set.assistanceCategory] += set.reps;
+    }
+  });
+  return totals;
+};
+
+/**
+ * Describes one logged assistance set, e.g. "50×10", "BW×12" or "BW+25×8".
+ * @param {LoggedSet} set - The logged set, with its weight in the unit to show.
+ * @param {boolean} isBodyweight - Whether the weight is added to bodyweight.
+ * @returns {string} The description.
+ */
+export const describeAssistanceSet = (set, isBodyweight) => {
+  if (!isBodyweight) {
+    return `${set.weight}×${set.reps}`;
+  }
+  return set.weight > 0 ? `BW+${set.weight}×${set.reps}` : `BW×${set.reps}`;
+};
+
+/**
+ * Builds the accessory steps of a guided session. Each category's rep target is split evenly over its exercises,
+ * in sets of about ASSISTANCE_SET_REPS reps; exercises of a category without a target get no steps.
+ * Bodyweight exercises are prescribed without added weight, weighted ones leave the weight to be entered.
+ * @param {Array<AssistanceExercise>} exercises - The lift's assistance exercises, in the order they are done.
+ * @param {Object} repTargets - The reps to reach per assistance category.
+ * @returns {Array<SessionStep>} The accessory steps, exercise by exercise.
+ */
+export const buildAssistanceSteps = (exercises, repTargets) => {
+  const steps = [];
+  exercises.forEach(exercise => {
+    const target = repTargets[exercise.category] || 0;
+    if (target <= 0) return;
+
+    const categoryCount = exercises.filter(item => item.category === exercise.category).length;
+    const exerciseReps = Math.ceil(target / categoryCount);
+    const setCount = Math.ceil(exerciseReps / ASSISTANCE_SET_REPS);
+    const setReps = Math.ceil(exerciseReps / setCount);
+    for (let setNumber = 1; setNumber <= setCount; setNumber++) {
+      steps.push(new SessionStep(
+        SET_TYPES.ACCESSORY,
+        `${exercise.name} ${setNumber}`,
+        exercise.isBodyweight ? 0 : null,
+        setReps,
+        false,
+        null,
+        null,
+        false,
+        exercise.name,
+        exercise.category
+      ));
+    }
+  });
+  return steps;
+};
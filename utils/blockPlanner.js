@@ -0,0 +1,135 @@
+// utils/blockPlanner.js
+import { SupplementalPlan } from '../models/liftModels';
+import { BLOCK_PHASES, BLOCK_PHASE_LABELS, MAIN_WORK, MAIN_WORK_LABELS } from '../constants/blocks';
+import { SUPPLEMENTAL_TEMPLATES, SUPPLEMENTAL_TEMPLATE_LABELS, DEFAULT_BBB_PERCENTAGE } from '../constants/supplemental';
+
+/**
+ * Lays out every week of a training block. Leader and anchor cycles run through the non-deload
+ * cycle definitions in order; deload weeks use the first deload definition, and are left out
+ * when there is none.
+ * @param {Object} block - The block settings (see DEFAULT_TRAINING_BLOCK).
+ * @param {Array<Object>} cycleDefinitions - The stored cycle definitions.
+ * @returns {Array<{phase: string, phaseCycle: number, cycleName: string, mainWork: string, supplemental: SupplementalPlan, endsCycle: boolean}>}
+ * The weeks in order. `endsCycle` marks the last week of each leader or anchor cycle, after which the TM goes up.
+ */
+export const buildBlockWeeks = (block, cycleDefinitions) => {
+  const mainWeeks = cycleDefinitions.filter(definition => !definition.isDeload);
+  const deloadWeek = cycleDefinitions.find(definition => definition.isDeload);
+  const weeks = [];
+
+  const addCycles = (phase, cycleCount, mainWork, supplemental) => {
+    for (let phaseCycle = 1; phaseCycle <= cycleCount; phaseCycle++) {
+      mainWeeks.forEach((definition, index) => weeks.push({
+        phase,
+        phaseCycle,
+        cycleName: definition.name,
+        mainWork,
+        supplemental: new SupplementalPlan(supplemental.template, supplemental.percentage),
+        endsCycle: index === mainWeeks.length - 1,
+      }));
+    }
+  };
+
+  const addDeload = () => {
+    if (deloadWeek) {
+      weeks.push({
+        phase: BLOCK_PHASES.DELOAD,
+        phaseCycle: 1,
+        cycleName: deloadWeek.name,
+        mainWork: MAIN_WORK.STANDARD,
+        supplemental: new SupplementalPlan(),
+        endsCycle: false,
+      });
+    }
+  };
+
+  addCycles(BLOCK_PHASES.LEADER, block.leaderCycles, block.leaderMainWork, block.leaderSupplemental);
+  addDeload();
+  addCycles(BLOCK_PHASES.ANCHOR, block.anchorCycles, block.anchorMainWork, block.anchorSupplemental);
+  if (block.deloadAfterAnchor) {
+    addDeload();
+  }
+  return weeks;
+};
+
+/**
+ * Applies a phase's main work style to a cycle definition.
+ * @param {Object} cycleDefinition - The cycle definition of the week.
+ * @param {string} mainWork - One of MAIN_WORK.
+ * @returns {Object} The definition to calculate the week's numbers from.
+ */
+export const applyMainWork = (cycleDefinition, mainWork) => (
+  mainWork === MAIN_WORK.FIVES_PRO
+    ? { ...cycleDefinition, sets: cycleDefinition.sets.map(set => ({ ...set, reps: 5, isAmrap: false })) }
+    : cycleDefinition
+);
+
+/**
+ * Gets the block week a lift is on. A lift past the end of the block (because it was shortened) is on the last week.
+ * @param {Array<Object>} blockWeeks - The weeks from `buildBlockWeeks`.
+ * @param {number} weekIndex - The lift's week (see CycleProgress).
+ * @returns {Object} The block week.
+ */
+export const getBlockWeek = (blockWeeks, weekIndex) => (
+  blockWeeks[Math.min(Math.max(weekIndex, 0), blockWeeks.length - 1)]
+);
+
+/**
+ * Works out where a lift will be after completing its current block week.
+ * @param {CycleProgress} progress - The lift's position; cycleNumber counts blocks while a block is running.
+ * @param {Array<Object>} blockWeeks - The weeks from `buildBlockWeeks`.
+ * @returns {{weekIndex: number, cycleNumber: number, isCycleComplete: boolean}}
+ * The next position, and whether the week just completed ended a leader or anchor cycle.
+ */
+export const getNextBlockProgress = (progress, blockWeeks) => {
+  const isBlockComplete = progress.weekIndex >= blockWeeks.length - 1;
+  return {
+    weekIndex: isBlockComplete ? 0 : progress.weekIndex + 1,
+    cycleNumber: isBlockComplete ? progress.cycleNumber + 1 : progress.cycleNumber,
+    isCycleComplete: getBlockWeek(blockWeeks, progress.weekIndex).endsCycle,
+  };
+};
+
+/**
+ * Finds the current block week and training day across all lifts. Each lift is trained once a week,
+ * so the week is the one the furthest-behind lift is on, and the day counts the lifts already past it.
+ * @param {Array<TrackingLift>} lifts - The lifts, in training order.
+ * @param {Array<Object>} blockWeeks - The weeks from `buildBlockWeeks`.
+ * @returns {{weekIndex: number, dayNumber: number, dayCount: number, nextLift: TrackingLift} | null}
+ * The position and the lift to train next, or null without lifts.
+ */
+export const getBlockDayPosition = (lifts, blockWeeks) => {
+  if (lifts.length === 0) {
+    return null;
+  }
+
+  const positionOf = (lift) => (lift.progress.cycleNumber * blockWeeks.length) + Math.min(lift.progress.weekIndex, blockWeeks.length - 1);
+  const currentPosition = Math.min(...lifts.map(positionOf));
+  const nextLift = lifts.find(lift => positionOf(lift) === currentPosition);
+  return {
+    weekIndex: Math.min(nextLift.progress.weekIndex, blockWeeks.length - 1),
+    dayNumber: lifts.filter(lift => positionOf(lift) > currentPosition).length + 1,
+    dayCount: lifts.length,
+    nextLift,
+  };
+};
+
+/**
+ * Describes a block week, e.g. "Leader 1 · 5/5/5 · 5s PRO + BBB 50%".
+ * @param {Object} week - A week from `buildBlockWeeks`.
+ * @returns {string} The description.
+ */
+export const describeBlockWeek = (week) => {
+  if (week.phase === BLOCK_PHASES.DELOAD) {
+    return `${BLOCK_PHASE_LABELS[week.phase]} · ${week.cycleName}`;
+  }
+
+  const { template, percentage } = week.supplemental;
+  let supplementalLabel = '';
+  if (template === SUPPLEMENTAL_TEMPLATES.BBB) {
+    supplementalLabel = ` + BBB ${percentage ?? DEFAULT_BBB_PERCENTAGE}%`;
+  } else if (template !== SUPPLEMENTAL_TEMPLATES.NONE) {
+    supplementalLabel = ` + ${SUPPLEMENTAL_TEMPLATE_LABELS[template]}`;
+  }
+  return `${BLOCK_PHASE_LABELS[week.phase]} ${week.phaseCycle} · ${week.cycleName} · ${MAIN_WORK_LABELS[week.mainWork]}${supplementalLabel}`;
+};
@@ -0,0 +1,89 @@
+// utils/csv.js
+
+/**
+ * Quotes a single CSV field when it contains a comma, quote or line break.
+ * @param {*} value - The value to write. null and undefined become an empty field.
+ * @returns {string} The escaped field.
+ */
+const escapeField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows of values as CSV text.
+ * @param {Array<string>} header - The column names.
+ * @param {Array<Object>} rows - One object per row, keyed by column name.
+ * @returns {string} The CSV text, with a header line and CRLF line endings.
+ */
+export const toCsv = (header, rows) => {
+  const lines = [header.map(escapeField).join(',')];
+  rows.forEach(row => {
+    lines.push(header.map(column => escapeField(row[column])).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+/**
+ * Reads CSV text into row objects keyed by the header line. Quoted fields may contain
+ * commas, doubled quotes and line breaks. Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {{header: Array<string>, rows: Array<Object>}} The column names and the rows as strings.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(fields => !(fields.length === 1 && fields[0].trim() === ''));
+  if (nonEmpty.length === 0) {
+    return { header: [], rows: [] };
+  }
+
+  const header = nonEmpty[0].map(column => column.trim());
+  const rows = nonEmpty.slice(1).map(fields => {
+    const row = {};
+    header.forEach((column, columnIndex) => {
+      row[column] = fields[columnIndex] ?? '';
+    });
+    return row;
+  });
+  return { header, rows };
+};
@@ -0,0 +1,71 @@
+// utils/cycleProgression.js
+import { DEFAULT_TM_INCREMENTS } from '../constants/progression';
+import { EQUIPMENT_INCREMENTS } from '../constants/liftCategories';
+import { convertWeight } from './units';
+
+/**
+ * Gets the cycle definition of the week a lift is on. The stored definitions, in order, are the weeks of a cycle;
+ * a lift whose week no longer exists (because definitions were deleted) is treated as being on the last week.
+ * @param {Array<Object>} cycleDefinitions - The stored cycle definitions.
+ * @param {number} weekIndex - The lift's week (see CycleProgress).
+ * @returns {Object} The cycle definition for that week.
+ */
+export const getWeekDefinition = (cycleDefinitions, weekIndex) => (
+  cycleDefinitions[Math.min(Math.max(weekIndex, 0), cycleDefinitions.length - 1)]
+);
+
+/**
+ * Works out where a lift will be after completing its current week.
+ * @param {CycleProgress} progress - The lift's current position.
+ * @param {number} weekCount - The number of weeks in a cycle (the number of cycle definitions).
+ * @returns {{weekIndex: number, cycleNumber: number, isCycleComplete: boolean}}
+ * The next position, and whether the week just completed was the last one of the cycle.
+ */
+export const getNextProgress = (progress, weekCount) => {
+  const isCycleComplete = progress.weekIndex >= weekCount - 1;
+  return {
+    weekIndex: isCycleComplete ? 0 : progress.weekIndex + 1,
+    cycleNumber: isCycleComplete ? progress.cycleNumber + 1 : progress.cycleNumber,
+    isCycleComplete,
+  };
+};
+
+/**
+ * Gets the standard end-of-cycle Training Max increase for a lift. Unless changed in the settings
+ * this is +5 lb / +2.5 kg for upper body lifts and +10 lb / +5 kg for lower body lifts. Dumbbell and
+ * machine lifts go up by at least the smallest jump their equipment offers.
+ * @param {LiftCategory} category - The lift's category.
+ * @param {'lbs' | 'kg'} unit - The unit the lifter trains in.
+ * @param {{upper: {lbs: number, kg: number}, lower: {lbs: number, kg: number}}} [tmIncrements] - The user's standard increases.
+ * @returns {number} The increase in `unit`.
+ */
+export const getDefaultTmIncrement = (category, unit, tmIncrements = DEFAULT_TM_INCREMENTS) => {
+  const increment = tmIncrements[category.bodyRegion][unit];
+  const equipmentIncrements = EQUIPMENT_INCREMENTS[category.equipment];
+  return equipmentIncrements ? Math.max(increment, equipmentIncrements[unit]) : increment;
+};
+
+/**
+ * Gets the Training Max increase configured for a lift, falling back to the standard one
+ * for the unit the lifter trains in.
+ * @param {Lift} lift - The lift.
+ * @param {'lbs' | 'kg'} unit - The unit the lifter trains in.
+ * @param {{upper: {lbs: number, kg: number}, lower: {lbs: number, kg: number}}} [tmIncrements] - The user's standard increases.
+ * @returns {number} The increase in the lift's own unit, ready for `calculateBumpedMax`.
+ */
+export const getTmIncrement = (lift, unit, tmIncrements = DEFAULT_TM_INCREMENTS) => (
+  lift.tmIncrement !== null && lift.tmIncrement !== undefined
+    ? lift.tmIncrement
+    : convertWeight(getDefaultTmIncrement(lift.category, unit, tmIncrements), unit, lift.unit)
+);
+
+/**
+ * Calculates the 1RM that gives a Training Max raised by the given increment.
+ * The app stores the 1RM and derives the TM, so a TM bump is saved as a new 1RM.
+ * @param {Lift} lift - The lift to bump.
+ * @param {number} tmIncrement - The Training Max increase, in the same unit as lift.maxWeight.
+ * @returns {number} The new 1RM.
+ */
+export const calculateBumpedMax = (lift, tmIncrement) => (
+  (lift.getTrainingMax() + tmIncrement) / (lift.tmPercentage / 100)
+);
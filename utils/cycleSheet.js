@@ -0,0 +1,150 @@
+// utils/cycleSheet.js
+import { calculateTrainingWeights, calculateSupplementalSets, findCycleDefinition } from './trainingCalculations';
+import { buildBlockWeeks, applyMainWork, describeBlockWeek } from './blockPlanner';
+import { createLiftWeightRounder } from './weightRounding';
+import { convertWeight, formatWeight } from './units';
+import { SUPPLEMENTAL_TEMPLATE_LABELS } from '../constants/supplemental';
+
+/**
+ * Works out the numbers for every lift in every week of the current plan: each cycle definition in order,
+ * or every week of the training block while one is running.
+ * @param {Array<TrackingLift>} lifts - The lifts, in training order.
+ * @param {Object} options - The settings that shape the prescription.
+ * @param {'lbs' | 'kg'} options.unit - The unit to write the sheet in; weights are rounded in this unit.
+ * @param {Array<Object>} options.cycleDefinitions - The stored cycle definitions.
+ * @param {Object | null} options.trainingBlock - The running training block, or null.
+ * @param {Object} options.roundingPolicy - The rounding policy; dumbbell and machine lifts use their equipment's jumps instead
+ * (see createLiftWeightRounder).
+ * @param {Array<number>} options.warmUpPercentages - The Training Max percentages of the warm-up sets.
+ * @returns {{unit: string, weeks: Array<{label: string, lifts: Array<Object>}>}} One entry per week, each with one entry
+ * per lift: { name, trainingMax, warmUp (null for a deload), workingSets, supplemental (null when there is none), supplementalLabel }.
+ */
+export const buildCycleSheet = (lifts, { unit, cycleDefinitions, trainingBlock, roundingPolicy, warmUpPercentages }) => {
+  const weekPlans = trainingBlock
+    ? buildBlockWeeks(trainingBlock, cycleDefinitions).map(week => ({
+      label: describeBlockWeek(week),
+      definition: applyMainWork(findCycleDefinition(cycleDefinitions, week.cycleName), week.mainWork),
+      supplemental: week.supplemental,
+    }))
+    : cycleDefinitions.map(definition => ({ label: definition.name, definition, supplemental: null }));
+
+  const weeks = weekPlans.map((weekPlan, weekIndex) => ({
+    label: `Week ${weekIndex + 1} · ${weekPlan.label}`,
+    lifts: lifts.map(trackingLift => {
+      const roundWeight = createLiftWeightRounder(roundingPolicy, unit, trackingLift.lift.category);
+      const trainingMax = convertWeight(trackingLift.lift.getTrainingMax(), trackingLift.lift.unit, unit);
+      const { warmUp, workingSets } = calculateTrainingWeights(trainingMax, weekPlan.definition, roundWeight, warmUpPercentages);
+      const plan = weekPlan.supplemental || trackingLift.supplemental;
+      return {
+        name: trackingLift.lift.name,
+        // Like on the main screen, a converted Training Max is shown to one decimal
+        trainingMax: trackingLift.lift.unit === unit ? trainingMax : parseFloat(trainingMax.toFixed(1)),
+        warmUp,
+        workingSets: workingSets.sets,
+        supplemental: calculateSupplementalSets(trainingMax, weekPlan.definition, plan, roundWeight),
+        supplementalLabel: SUPPLEMENTAL_TEMPLATE_LABELS[plan.template],
+      };
+    }),
+  }));
+
+  return { unit, weeks };
+};
+
+/**
+ * Describes one prescribed set, e.g. "85% 230×5+".
+ * @param {{percentage: number, weight: number, reps: number, isAmrap?: boolean}} set - The set.
+ * @returns {string} The description.
+ */
+export const describeSet = (set) => `${set.percentage}% ${formatWeight(set.weight)}×${set.reps}${set.isAmrap ? '+' : ''}`;
+
+/**
+ * Describes a lift's supplemental work for the week, e.g. "BBB 50% 135 5×10".
+ * @param {Object} sheetLift - A lift entry of a cycle sheet week.
+ * @returns {string} The description, or an empty string when there is no supplemental work.
+ */
+const describeSupplemental = (sheetLift) => {
+  const { supplemental, supplementalLabel } = sheetLift;
+  return supplemental
+    ? `${supplementalLabel} ${supplemental.percentage}% ${formatWeight(supplemental.weight)} ${supplemental.sets}×${supplemental.reps}`
+    : '';
+};
+
+/**
+ * Writes a cycle sheet as plain text, one block per week, to send to a training partner.
+ * @param {Object} sheet - The sheet from `buildCycleSheet`.
+ * @returns {string} The text.
+ */
+export const formatCycleSheetText = (sheet) => {
+  const lines = [`5/3/1 Cycle Sheet (${sheet.unit})`];
+  sheet.weeks.forEach(week => {
+    lines.push('', `== ${week.label} ==`);
+    week.lifts.forEach(sheetLift => {
+      lines.push(`${sheetLift.name} (TM ${formatWeight(sheetLift.trainingMax)})`);
+      if (sheetLift.warmUp) {
+        lines.push(`  Warm-up:      ${sheetLift.warmUp.map(describeSet).join(', ')}`);
+      }
+      lines.push(`  Main:         ${sheetLift.workingSets.map(describeSet).join(', ')}`);
+      if (sheetLift.supplemental) {
+        lines.push(`  Supplemental: ${describeSupplemental(sheetLift)}`);
+      }
+    });
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Writes a cycle sheet as a standalone, printable HTML page with one table for all weeks.
+ * @param {Object} sheet - The sheet from `buildCycleSheet`.
+ * @returns {string} The HTML document.
+ */
+export const formatCycleSheetHtml = (sheet) => {
+  const title = `5/3/1 Cycle Sheet (${sheet.unit})`;
+  const rows = sheet.weeks.map(week => [
+    `<tr class="week"><th colspan="5">${escapeHtml(week.label)}</th></tr>`,
+    ...week.lifts.map(sheetLift => `<tr>${[
+      escapeHtml(sheetLift.name),
+      formatWeight(sheetLift.trainingMax),
+      sheetLift.warmUp ? sheetLift.warmUp.map(describeSet).join('<br>') : '&ndash;',
+      sheetLift.workingSets.map(describeSet).join('<br>'),
+      sheetLift.supplemental ? escapeHtml(describeSupplemental(sheetLift)) : '&ndash;',
+    ].map(cell => `<td>${cell}</td>`).join('')}</tr>`),
+  ].join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; margin: 24px; color: #000; }
+  h1 { font-size: 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #444; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+  tr.week th { background: #eee; font-size: 14px; }
+  tr.week { break-after: avoid; page-break-after: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>
+<thead><tr><th>Lift</th><th>TM</th><th>Warm-up</th><th>Main</th><th>Supplemental</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
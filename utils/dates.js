@@ -0,0 +1,52 @@
+// utils/dates.js
+
+// Dates are stored as ISO strings. Lifts added before the max history existed were dated with
+// toLocaleDateString() instead, e.g. "10/19/2026" (en-US), "19/10/2026" (en-GB), "19.10.2026" (de) or "2026/10/19" (ja).
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const LOCALE_DATE_PATTERN = /^\D*(\d{1,4})\D+(\d{1,2})\D+(\d{1,4})\D*$/;
+
+/**
+ * Checks whether this device writes the day before the month in its locale dates.
+ * @returns {boolean} True for day-first locales such as en-GB.
+ */
+const isDayFirstLocale = () => {
+  const parts = new Date(2000, 11, 31).toLocaleDateString().match(/\d+/g) || [];
+  return parts.indexOf('31') !== -1 && parts.indexOf('31') < parts.indexOf('12');
+};
+
+/**
+ * Turns a date written by toLocaleDateString() into an ISO string at local midnight of that day.
+ * The year is whichever end has four digits. When both the day and the month could be either,
+ * the order of this device's locale decides, as that is the locale the date was most likely written in.
+ * ISO dates, and anything that can't be read, are returned unchanged.
+ * @param {string} date - The stored date.
+ * @returns {string} The ISO date.
+ */
+export const normalizeLegacyDate = (date) => {
+  if (typeof date !== 'string' || ISO_DATE_PATTERN.test(date)) {
+    return date;
+  }
+  const match = date.trim().match(LOCALE_DATE_PATTERN);
+  if (!match) {
+    return date;
+  }
+
+  const [first, second, third] = match.slice(1).map(Number);
+  let year, month, day;
+  if (match[1].length === 4) {
+    [year, month, day] = [first, second, third];
+  } else if (first > 12 || (second <= 12 && isDayFirstLocale())) {
+    [day, month, year] = [first, second, third];
+  } else {
+    [month, day, year] = [first, second, third];
+  }
+  if (year < 100) {
+    year += 2000;
+  }
+
+  const normalized = new Date(year, month - 1, day);
+  if (normalized.getMonth() !== month - 1 || normalized.getDate() !== day) {
+    return date;
+  }
+  return normalized.toISOString();
+};
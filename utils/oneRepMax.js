@@ -0,0 +1,64 @@
+// utils/oneRepMax.js
+
+export const E1RM_FORMULAS = {
+    EPLEY: 'epley',
+    BRZYCKI: 'brzycki',
+    WATHAN: 'wathan',
+  };
+
+export const e1rmFormulaLabels = {
+    [E1RM_FORMULAS.EPLEY]: 'Epley',
+    [E1RM_FORMULAS.BRZYCKI]: 'Brzycki',
+    [E1RM_FORMULAS.WATHAN]: 'Wathan',
+  };
+
+// Brzycki is undefined at 37 reps and all formulas lose accuracy well before that.
+const MAX_RELIABLE_REPS = 15;
+
+/**
+ * Estimates a one-rep max from a set of reps at a given weight.
+ * @param {number} weight - The weight lifted.
+ * @param {number} reps - The reps completed at that weight.
+ * @param {string} [formula='epley'] - One of E1RM_FORMULAS.
+ * @returns {number | null} The estimated 1RM in the same unit as the weight, or null if no reps were completed.
+ */
+export const estimateOneRepMax = (weight, reps, formula = E1RM_FORMULAS.EPLEY) => {
+  if (!weight || weight <= 0 || !reps || reps < 1) {
+    return null;
+  }
+  if (reps === 1) {
+    return weight;
+  }
+
+  const cappedReps = Math.min(reps, MAX_RELIABLE_REPS);
+  switch (formula) {
+    case E1RM_FORMULAS.BRZYCKI:
+      return weight * (36 / (37 - cappedReps));
+    case E1RM_FORMULAS.WATHAN:
+      return (100 * weight) / (48.8 + 53.8 * Math.exp(-0.075 * cappedReps));
+    case E1RM_FORMULAS.EPLEY:
+    default:
+      return weight * (1 + cappedReps / 30);
+  }
+};
+
+/**
+ * Compares an AMRAP set against the lift's current 1RM and suggests whether to change it.
+ * A higher estimate suggests raising the 1RM; missing the prescribed minimum reps suggests lowering it
+ * to the estimate, as 5/3/1 recommends resetting when the "+" set can't be completed.
+ * @param {number} estimatedMax - The estimated 1RM from the AMRAP set.
+ * @param {number} currentMax - The lift's current 1RM, in the same unit.
+ * @param {number} reps - The reps completed on the AMRAP set.
+ * @param {number} targetReps - The minimum reps prescribed for the AMRAP set.
+ * @returns {{action: 'increase' | 'decrease' | 'keep', difference: number}} The suggestion and the change it implies.
+ */
+export const suggestMaxUpdate = (estimatedMax, currentMax, reps, targetReps) => {
+  const difference = estimatedMax - currentMax;
+  if (difference > 0) {
+    return { action: 'increase', difference };
+  }
+  if (targetReps && reps < targetReps && difference < 0) {
+    return { action: 'decrease', difference };
+  }
+  return { action: 'keep', difference };
+};
@@ -0,0 +1,79 @@
+// utils/plateCalculator.js
+
+// Weights are compared at this precision to avoid floating point drift (e.g. 0.1 + 0.2).
+const WEIGHT_PRECISION = 1000;
+
+const toUnits = (weight) => Math.round(weight * WEIGHT_PRECISION);
+const fromUnits = (units) => units / WEIGHT_PRECISION;
+
+/**
+ * Works out which plates go on each side of the bar to reach a target weight.
+ * Plates are loaded heaviest first, limited by the number of pairs in the inventory.
+ * @param {number} targetWeight - The total weight to load, including the bar.
+ * @param {number} barWeight - The weight of the empty bar.
+ * @param {Array<{weight: number, pairs: number}>} plates - The available plate inventory.
+ * @returns {{platesPerSide: Array<number>, loadedWeight: number, difference: number, isExact: boolean, belowBarWeight: boolean}}
+ * The plates for one side (heaviest first), the weight actually loaded, how far it is
+ * from the target (positive when short), and whether the target can be loaded exactly.
+ */
+export const calculatePlateLoading = (targetWeight, barWeight, plates) => {
+  const targetUnits = toUnits(targetWeight);
+  const barUnits = toUnits(barWeight);
+
+  if (targetUnits < barUnits) {
+    return {
+      platesPerSide: [],
+      loadedWeight: barWeight,
+      difference: fromUnits(targetUnits - barUnits),
+      isExact: false,
+      belowBarWeight: true,
+    };
+  }
+
+  const platesPerSide = [];
+  let remainingPerSide = Math.floor((targetUnits - barUnits) / 2);
+  const availablePlates = plates
+    .filter(plate => plate.pairs > 0 && plate.weight > 0)
+    .sort((a, b) => b.weight - a.weight);
+
+  availablePlates.forEach(plate => {
+    const plateUnits = toUnits(plate.weight);
+    const count = Math.min(plate.pairs, Math.floor(remainingPerSide / plateUnits));
+    for (let i = 0; i < count; i++) {
+      platesPerSide.push(plate.weight);
+    }
+    remainingPerSide -= count * plateUnits;
+  });
+
+  const loadedUnits = barUnits + platesPerSide.reduce((sum, weight) => sum + toUnits(weight), 0) * 2;
+
+  return {
+    platesPerSide,
+    loadedWeight: fromUnits(loadedUnits),
+    difference: fromUnits(targetUnits - loadedUnits),
+    isExact: loadedUnits === targetUnits,
+    belowBarWeight: false,
+  };
+};
+
+/**
+ * Formats a plate loading result as a short, human-readable description.
+ * @param {ReturnType<typeof calculatePlateLoading>} loading - The result of calculatePlateLoading.
+ * @param {string} unitLabel - The unit label to display (e.g. 'lbs', 'kg').
+ * @returns {string} A description such as "45 + 25 / side" or "Empty bar".
+ */
+export const describePlateLoading = (loading, unitLabel) => {
+  if (loading.belowBarWeight) {
+    return `Below bar weight (${loading.loadedWeight} ${unitLabel})`;
+  }
+
+  const plateText = loading.platesPerSide.length > 0
+    ? `${loading.platesPerSide.join(' + ')} / side`
+    : 'Empty bar';
+
+  if (loading.isExact) {
+    return plateText;
+  }
+
+  return `${plateText} = ${loading.loadedWeight} ${unitLabel} (${Math.abs(loading.difference).toFixed(2)} short, not exact)`;
+};
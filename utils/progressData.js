@@ -0,0 +1,63 @@
+// utils/progressData.js
+import { estimateOneRepMax } from './oneRepMax';
+import { convertWeight } from './units';
+import { WEIGHT_UNITS } from '../constants/units';
+
+/**
+ * Turns a stored date string into a timestamp, treating unparseable dates as the epoch
+ * so they sort first instead of breaking the order.
+ * @param {string} date - An ISO or locale date string.
+ * @returns {number} The timestamp in milliseconds.
+ */
+const toTimestamp = (date) => {
+  const timestamp = new Date(date).getTime();
+  return isNaN(timestamp) ? 0 : timestamp;
+};
+
+/**
+ * Builds one chronological series of chart points from a lift's max history and logged sessions.
+ * Every max change and every session with main lift sets becomes a point. The Training Max of a point is the one
+ * in effect at that time; the e1RM and top-set reps come from the session's AMRAP set.
+ * @param {Array<MaxWeightRecord>} history - The lift's max history (any order).
+ * @param {Array<WorkoutSession>} sessions - The lift's logged sessions (any order).
+ * @param {string} [formula] - The e1RM formula to use (see E1RM_FORMULAS).
+ * @param {'lbs' | 'kg'} [unit] - The unit to report weights in; each record is converted from its own unit.
+ * @returns {Array<{date: string, cycle: string | null, trainingMax: number | null, estimatedMax: number | null, topSetReps: number | null}>}
+ * The chart points, oldest first.
+ */
+export const buildProgressSeries = (history, sessions, formula, unit = WEIGHT_UNITS.LBS) => {
+  const trainingMaxOf = (record) => convertWeight(record.maxWeight, record.unit, unit) * (record.tmPercentage / 100);
+
+  const sortedHistory = [...history].sort((a, b) => (toTimestamp(a.date) - toTimestamp(b.date)) || (a.id - b.id));
+
+  const trainingMaxAt = (timestamp) => {
+    let record = null;
+    sortedHistory.forEach(item => {
+      if (toTimestamp(item.date) <= timestamp) {
+        record = item;
+      }
+    });
+    return record ? trainingMaxOf(record) : null;
+  };
+
+  const historyPoints = sortedHistory.map(record => ({
+    date: record.date,
+    cycle: null,
+    trainingMax: trainingMaxOf(record),
+    estimatedMax: null,
+    topSetReps: null,
+  }));
+
+  const sessionPoints = sessions.filter(session => !session.isAssistanceOnly()).map(session => {
+    const amrapSet = session.getAmrapSet();
+    return {
+      date: session.date,
+      cycle: session.cycle,
+      trainingMax: trainingMaxAt(toTimestamp(session.date)),
+      estimatedMax: amrapSet ? estimateOneRepMax(convertWeight(amrapSet.weight, amrapSet.unit, unit), amrapSet.reps, formula) : null,
+      topSetReps: amrapSet ? amrapSet.reps : null,
+    };
+  });
+
+  return [...historyPoints, ...sessionPoints].sort((a, b) => toTimestamp(a.date) - toTimestamp(b.date));
+};
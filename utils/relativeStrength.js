@@ -0,0 +1,168 @@
+// utils/relativeStrength.js
+import { convertWeight } from './units';
+import { WEIGHT_UNITS } from '../constants/units';
+import { EQUIPMENT_TYPES } from '../constants/liftCategories';
+import {
+  WILKS_COEFFICIENTS, DOTS_COEFFICIENTS, IPF_GL_COEFFICIENTS, IPF_GL_MIN_BODYWEIGHT, COMPETITION_LIFT_PATTERNS,
+} from '../constants/scoring';
+
+/**
+ * Evaluates a polynomial at a value.
+ * @param {Array<number>} coefficients - The coefficients, lowest power first.
+ * @param {number} value - The value to evaluate at.
+ * @returns {number} The result.
+ */
+const evaluatePolynomial = (coefficients, value) => (
+  coefficients.reduce((sum, coefficient, power) => sum + coefficient * value ** power, 0)
+);
+
+/**
+ * Scores a total with a 500 / polynomial formula (Wilks and DOTS).
+ * @param {{polynomial: Array<number>, minBodyweight: number, maxBodyweight: number}} coefficients - The formula for the lifter's sex.
+ * @param {number} totalKg - The total in kg.
+ * @param {number} bodyweightKg - The bodyweight in kg; clamped to the range the formula was fitted on.
+ * @returns {number} The score.
+ */
+const scoreWithPolynomial = ({ polynomial, minBodyweight, maxBodyweight }, totalKg, bodyweightKg) => {
+  const clampedBodyweight = Math.min(Math.max(bodyweightKg, minBodyweight), maxBodyweight);
+  return totalKg * (500 / evaluatePolynomial(polynomial, clampedBodyweight));
+};
+
+/**
+ * Calculates the Wilks score of a total.
+ * @param {number} totalKg - The squat, bench and deadlift total in kg.
+ * @param {number} bodyweightKg - The lifter's bodyweight in kg.
+ * @param {string} sex - One of SEXES.
+ * @returns {number} The Wilks score.
+ */
+export const calculateWilks = (totalKg, bodyweightKg, sex) => scoreWithPolynomial(WILKS_COEFFICIENTS[sex], totalKg, bodyweightKg);
+
+/**
+ * Calculates the DOTS score of a total.
+ * @param {number} totalKg - The squat, bench and deadlift total in kg.
+ * @param {number} bodyweightKg - The lifter's bodyweight in kg.
+ * @param {string} sex - One of SEXES.
+ * @returns {number} The DOTS score.
+ */
+export const calculateDots = (totalKg, bodyweightKg, sex) => scoreWithPolynomial(DOTS_COEFFICIENTS[sex], totalKg, bodyweightKg);
+
+/**
+ * Calculates the IPF GL points of a three-lift total.
+ * @param {number} totalKg - The squat, bench and deadlift total in kg.
+ * @param {number} bodyweightKg - The lifter's bodyweight in kg.
+ * @param {string} sex - One of SEXES.
+ * @param {string} equipment - One of SCORING_EQUIPMENT.
+ * @returns {number} The GL points; 0 below the IPF's minimum bodyweight.
+ */
+export const calculateIpfGl = (totalKg, bodyweightKg, sex, equipment) => {
+  if (bodyweightKg < IPF_GL_MIN_BODYWEIGHT) {
+    return 0;
+  }
+  const { a, b, c } = IPF_GL_COEFFICIENTS[sex][equipment];
+  return totalKg * (100 / (a - b * Math.exp(-c * bodyweightKg)));
+};
+
+/**
+ * Calculates every relative strength score of a total.
+ * @param {number} totalKg - The squat, bench and deadlift total in kg.
+ * @param {number} bodyweightKg - The lifter's bodyweight in kg.
+ * @param {{sex: string | null, equipment: string}} profile - The lifter's sex and equipment (see DEFAULT_SCORING_PROFILE).
+ * @returns {{wilks: number, dots: number, ipfGl: number} | null} The scores, or null while the sex is not set.
+ */
+export const calculateScores = (totalKg, bodyweightKg, profile) => {
+  if (!profile || !profile.sex) {
+    return null;
+  }
+  return {
+    wilks: calculateWilks(totalKg, bodyweightKg, profile.sex),
+    dots: calculateDots(totalKg, bodyweightKg, profile.sex),
+    ipfGl: calculateIpfGl(totalKg, bodyweightKg, profile.sex, profile.equipment),
+  };
+};
+
+/**
+ * Finds the squat, bench and deadlift that make up the total. Each is the heaviest barbell lift
+ * whose name matches, so "Squat" wins over "Front Squat".
+ * @param {Array<TrackingLift>} trackingLifts - The lifts from `fetchLifts`.
+ * @returns {{squat: TrackingLift | null, bench: TrackingLift | null, deadlift: TrackingLift | null}} The lifts found.
+ */
+export const findCompetitionLifts = (trackingLifts) => Object.fromEntries(
+  Object.entries(COMPETITION_LIFT_PATTERNS).map(([key, pattern]) => {
+    const candidates = trackingLifts.filter(trackingLift => (
+      pattern.test(trackingLift.lift.name) && trackingLift.lift.category.equipment === EQUIPMENT_TYPES.BARBELL
+    ));
+    const heaviest = candidates.reduce((best, candidate) => (
+      !best || convertWeight(candidate.lift.maxWeight, candidate.lift.unit, WEIGHT_UNITS.KG) > convertWeight(best.lift.maxWeight, best.lift.unit, WEIGHT_UNITS.KG)
+        ? candidate
+        : best
+    ), null);
+    return [key, heaviest];
+  })
+);
+
+/**
+ * Adds up the current maxes of the competition lifts.
+ * @param {{squat: TrackingLift | null, bench: TrackingLift | null, deadlift: TrackingLift | null}} competitionLifts - From `findCompetitionLifts`.
+ * @returns {number | null} The total in kg, or null when a lift is missing.
+ */
+export const calculateTotalKg = (competitionLifts) => {
+  const lifts = Object.values(competitionLifts);
+  if (lifts.some(trackingLift => !trackingLift)) {
+    return null;
+  }
+  return lifts.reduce((total, trackingLift) => total + convertWeight(trackingLift.lift.maxWeight, trackingLift.lift.unit, WEIGHT_UNITS.KG), 0);
+};
+
+/**
+ * Turns a stored date string into a timestamp, treating unparseable dates as the epoch.
+ * @param {string} date - An ISO date string.
+ * @returns {number} The timestamp in milliseconds.
+ */
+const toTimestamp = (date) => {
+  const timestamp = new Date(date).getTime();
+  return isNaN(timestamp) ? 0 : timestamp;
+};
+
+/**
+ * Builds the scores over time. Every max change of a competition lift and every bodyweight record
+ * becomes a point, scored with the maxes and bodyweight in effect at that time; points before
+ * all three lifts and a bodyweight are known are left out.
+ * @param {{squat: Array<MaxWeightRecord>, bench: Array<MaxWeightRecord>, deadlift: Array<MaxWeightRecord>}} liftHistories - The max history of each lift (any order).
+ * @param {Array<BodyweightRecord>} bodyweightRecords - The bodyweight log (any order).
+ * @param {{sex: string | null, equipment: string}} profile - The lifter's sex and equipment.
+ * @returns {Array<{date: string, totalKg: number, bodyweightKg: number, wilks: number, dots: number, ipfGl: number}>}
+ * The points, oldest first; empty while the sex is not set.
+ */
+export const buildScoreSeries = (liftHistories, bodyweightRecords, profile) => {
+  if (!profile || !profile.sex) {
+    return [];
+  }
+
+  const events = [
+    ...Object.entries(liftHistories).flatMap(([key, history]) => history.map(record => ({
+      key, date: record.date, weightKg: convertWeight(record.maxWeight, record.unit, WEIGHT_UNITS.KG),
+    }))),
+    ...bodyweightRecords.map(record => ({
+      key: 'bodyweight', date: record.date, weightKg: convertWeight(record.weight, record.unit, WEIGHT_UNITS.KG),
+    })),
+  ].sort((a, b) => toTimestamp(a.date) - toTimestamp(b.date));
+
+  const latest = {};
+  const points = [];
+  events.forEach(event => {
+    latest[event.key] = event.weightKg;
+    const liftWeights = Object.keys(liftHistories).map(key => latest[key]);
+    if (latest.bodyweight === undefined || liftWeights.some(weight => weight === undefined)) {
+      return;
+    }
+    const totalKg = liftWeights.reduce((total, weight) => total + weight, 0);
+    const point = { date: event.date, totalKg, bodyweightKg: latest.bodyweight, ...calculateScores(totalKg, latest.bodyweight, profile) };
+    // Changes logged at the same moment make one point
+    if (points.length > 0 && toTimestamp(points[points.length - 1].date) === toTimestamp(event.date)) {
+      points[points.length - 1] = point;
+    } else {
+      points.push(point);
+    }
+  });
+  return points;
+};
@@ -0,0 +1,34 @@
+// utils/restTimer.js
+import { SET_TYPES } from '../models/workoutModels';
+
+/**
+ * Gets the rest to take after a set.
+ * @param {string} setType - One of SET_TYPES.
+ * @param {{warmUp: number, main: number, supplemental: number}} restSeconds - The rest defaults from the settings.
+ * @returns {number} The rest in seconds.
+ */
+export const getRestSeconds = (setType, restSeconds) => {
+  if (setType === SET_TYPES.WARM_UP) {
+    return restSeconds.warmUp;
+  }
+  if (setType === SET_TYPES.SUPPLEMENTAL || setType === SET_TYPES.ACCESSORY) {
+    return restSeconds.supplemental;
+  }
+  return restSeconds.main;
+};
+
+/**
+ * Works out the rest left. The timer keeps an end time rather than counting down,
+ * so it stays right while the app is in the background and its intervals are paused.
+ * @param {number} endTime - When the rest is over, in ms since the epoch.
+ * @param {number} now - The current time, in ms since the epoch.
+ * @returns {number} The whole seconds left, never below zero.
+ */
+export const getRemainingSeconds = (endTime, now) => Math.max(0, Math.ceil((endTime - now) / 1000));
+
+/**
+ * Formats a rest as minutes and seconds, e.g. 90 as "1:30".
+ * @param {number} seconds - The rest in seconds.
+ * @returns {string} The formatted rest.
+ */
+export const formatRestTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
@@ -0,0 +1,58 @@
+// utils/schedule.js
+import { SCHEDULE_TEMPLATE_DETAILS } from '../constants/schedule';
+
+/**
+ * Assigns lifts to training days in order, filling each day with the template's number of lifts.
+ * @param {string} template - One of SCHEDULE_TEMPLATES.
+ * @param {Array<number>} liftIds - The lifts to schedule, in training order.
+ * @returns {Array<Array<number>>} The lift IDs of each training day, in rotation order.
+ */
+export const buildScheduleDays = (template, liftIds) => {
+  const { liftsPerDay } = SCHEDULE_TEMPLATE_DETAILS[template];
+  const days = [];
+  for (let index = 0; index < liftIds.length; index += liftsPerDay) {
+    days.push(liftIds.slice(index, index + liftsPerDay));
+  }
+  return days;
+};
+
+/**
+ * Gets how far a lift has come overall, counting every week of every cycle (or block) it has finished.
+ * @param {CycleProgress} progress - The lift's position.
+ * @param {number} weekCount - The number of weeks in a cycle, or in the running block.
+ * @returns {number} The number of weeks before the lift's current one.
+ */
+export const getLiftPosition = (progress, weekCount) => (
+  ((progress.cycleNumber - 1) * weekCount) + Math.min(progress.weekIndex, weekCount - 1)
+);
+
+/**
+ * Works out today's training day. The rotation follows the lifts' progress rather than the calendar,
+ * so a skipped day is simply still due, and a day trained early is passed over: today is the first day
+ * in rotation order that has a lift on the week the furthest-behind lift is on.
+ * @param {Array<Array<number>>} scheduleDays - The lift IDs of each training day.
+ * @param {Array<TrackingLift>} lifts - All lifts; deleted lifts are left out of the rotation.
+ * @param {number} weekCount - The number of weeks in a cycle, or in the running block.
+ * @returns {{dayIndex: number, dayCount: number, lifts: Array<TrackingLift>, pendingLifts: Array<TrackingLift>, weekIndex: number} | null}
+ * The day, its lifts, the ones still to train this week, and their week; or null without a schedule.
+ */
+export const getTodaySchedule = (scheduleDays, lifts, weekCount) => {
+  const days = scheduleDays
+    .map(liftIds => liftIds.map(liftId => lifts.find(lift => lift.id === liftId)).filter(Boolean))
+    .filter(dayLifts => dayLifts.length > 0);
+  if (days.length === 0) {
+    return null;
+  }
+
+  const positionOf = (lift) => getLiftPosition(lift.progress, weekCount);
+  const currentPosition = Math.min(...days.flat().map(positionOf));
+  const dayIndex = days.findIndex(dayLifts => dayLifts.some(lift => positionOf(lift) === currentPosition));
+  const pendingLifts = days[dayIndex].filter(lift => positionOf(lift) === currentPosition);
+  return {
+    dayIndex,
+    dayCount: days.length,
+    lifts: days[dayIndex],
+    pendingLifts,
+    weekIndex: Math.min(pendingLifts[0].progress.weekIndex, weekCount - 1),
+  };
+};
@@ -0,0 +1,114 @@
+// utils/settingsValidation.js
+import { THEMES, DEFAULT_WARM_UP_PERCENTAGES } from '../constants/settings';
+import { ROUNDING_MODES } from '../constants/rounding';
+import { MAX_CYCLE_SETS, MAX_CYCLE_PERCENTAGE } from '../constants/cycles';
+import { MAIN_WORK, MAX_LEADER_CYCLES, MAX_ANCHOR_CYCLES } from '../constants/blocks';
+import { SUPPLEMENTAL_TEMPLATES } from '../constants/supplemental';
+import { MAX_REST_SECONDS } from '../constants/restTimer';
+import { SCHEDULE_TEMPLATES } from '../constants/schedule';
+import { ASSISTANCE_CATEGORIES, MAX_ASSISTANCE_REP_TARGET } from '../constants/assistance';
+import { SEXES, SCORING_EQUIPMENT } from '../constants/scoring';
+
+const UNITS = ['lbs', 'kg'];
+
+const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+const isNonNegativeNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidCycleSet = (set) => (
+  isObject(set)
+  && isPositiveNumber(set.percentage) && set.percentage <= MAX_CYCLE_PERCENTAGE
+  && Number.isInteger(set.reps) && set.reps > 0
+  && typeof set.isAmrap === 'boolean'
+);
+
+/**
+ * Checks the shape of one cycle definition (see DEFAULT_CYCLE_DEFINITIONS).
+ * @param {*} definition - The definition to check.
+ * @returns {boolean} True for a named cycle with between one and MAX_CYCLE_SETS valid sets.
+ */
+export const isValidCycleDefinition = (definition) => (
+  isObject(definition)
+  && typeof definition.name === 'string' && definition.name.trim() !== ''
+  && typeof definition.isDeload === 'boolean'
+  && Array.isArray(definition.sets) && definition.sets.length > 0 && definition.sets.length <= MAX_CYCLE_SETS
+  && definition.sets.every(isValidCycleSet)
+);
+
+const isValidSupplementalPlan = (plan) => (
+  isObject(plan)
+  && Object.values(SUPPLEMENTAL_TEMPLATES).includes(plan.template)
+  && (plan.percentage === null || (isPositiveNumber(plan.percentage) && plan.percentage <= 100))
+);
+
+const isValidPlateInventory = (inventory) => (
+  isObject(inventory)
+  && isNonNegativeNumber(inventory.barWeight)
+  && Array.isArray(inventory.plates)
+  && inventory.plates.every(plate => isObject(plate) && isPositiveNumber(plate.weight) && Number.isInteger(plate.pairs) && plate.pairs >= 0)
+);
+
+// One check per setting key; a stored or imported value is only used when its check passes.
+const settingValidators = {
+  isKg: (value) => typeof value === 'boolean',
+  theme: (value) => Object.values(THEMES).includes(value),
+  roundingPolicy: (value) => (
+    isObject(value)
+    && Object.values(ROUNDING_MODES).includes(value.mode)
+    && isObject(value.increments)
+    && UNITS.every(unit => isPositiveNumber(value.increments[unit]))
+  ),
+  plateInventories: (value) => isObject(value) && UNITS.every(unit => isValidPlateInventory(value[unit])),
+  warmUpPercentages: (value) => (
+    Array.isArray(value) && value.length === DEFAULT_WARM_UP_PERCENTAGES.length && value.every(percentage => isPositiveNumber(percentage) && percentage <= 100)
+  ),
+  tmIncrements: (value) => (
+    isObject(value)
+    && ['upper', 'lower'].every(region => isObject(value[region]) && UNITS.every(unit => isNonNegativeNumber(value[region][unit])))
+  ),
+  jokerCapPercentage: (value) => isPositiveNumber(value) && value <= 150,
+  cycleDefinitions: (value) => (
+    Array.isArray(value) && value.length > 0
+    && value.every(isValidCycleDefinition)
+    && new Set(value.map(definition => definition.name.trim().toLowerCase())).size === value.length
+  ),
+  // null while no Leader/Anchor block is running
+  trainingBlock: (value) => value === null || (
+    isObject(value)
+    && Number.isInteger(value.leaderCycles) && value.leaderCycles >= 1 && value.leaderCycles <= MAX_LEADER_CYCLES
+    && Number.isInteger(value.anchorCycles) && value.anchorCycles >= 1 && value.anchorCycles <= MAX_ANCHOR_CYCLES
+    && Object.values(MAIN_WORK).includes(value.leaderMainWork)
+    && Object.values(MAIN_WORK).includes(value.anchorMainWork)
+    && isValidSupplementalPlan(value.leaderSupplemental)
+    && isValidSupplementalPlan(value.anchorSupplemental)
+    && typeof value.deloadAfterAnchor === 'boolean'
+  ),
+  restSeconds: (value) => (
+    isObject(value)
+    && ['warmUp', 'main', 'supplemental'].every(kind => Number.isInteger(value[kind]) && value[kind] > 0 && value[kind] <= MAX_REST_SECONDS)
+  ),
+  scheduleTemplate: (value) => value === null || Object.values(SCHEDULE_TEMPLATES).includes(value),
+  // A target of 0 leaves the category out of the session totals
+  assistanceRepTargets: (value) => (
+    isObject(value)
+    && Object.values(ASSISTANCE_CATEGORIES).every(category => (
+      Number.isInteger(value[category]) && value[category] >= 0 && value[category] <= MAX_ASSISTANCE_REP_TARGET
+    ))
+  ),
+  // The sex is null until the lifter picks it
+  scoringProfile: (value) => (
+    isObject(value)
+    && (value.sex === null || Object.values(SEXES).includes(value.sex))
+    && Object.values(SCORING_EQUIPMENT).includes(value.equipment)
+  ),
+};
+
+/**
+ * Checks whether a value can be stored for a setting.
+ * @param {string} key - One of SETTING_KEYS.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for a known key with a value of the right shape.
+ */
+export const isValidSetting = (key, value) => (
+  Object.prototype.hasOwnProperty.call(settingValidators, key) && settingValidators[key](value)
+);
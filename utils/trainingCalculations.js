@@ -0,0 +1,149 @@
+// utils/trainingCalculations.js
+import { WorkSet } from '../models/liftModels';
+import { DEFAULT_WARM_UP_PERCENTAGES } from '../constants/settings';
+import { DEFAULT_CYCLE_DEFINITIONS } from '../constants/cycles';
+import { SUPPLEMENTAL_TEMPLATES, DEFAULT_BBB_PERCENTAGE } from '../constants/supplemental';
+import { JOKER_STEP_PERCENTAGE, MAX_JOKER_SETS, DEFAULT_JOKER_CAP_PERCENTAGE } from '../constants/progression';
+
+/**
+ * Looks up a cycle definition by name.
+ * @param {Array<Object>} cycleDefinitions - The stored cycle definitions (see DEFAULT_CYCLE_DEFINITIONS).
+ * @param {string} name - The name of the cycle.
+ * @returns {Object} The matching definition, or the first one when the name is unknown (e.g. it was deleted).
+ */
+export const findCycleDefinition = (cycleDefinitions, name) => (
+  cycleDefinitions.find(definition => definition.name === name) || cycleDefinitions[0]
+);
+
+/**
+ * Checks whether a cycle ends with an AMRAP ("+") set.
+ * @param {Object} cycleDefinition - The cycle definition.
+ * @returns {boolean} True when any of its sets is an AMRAP set.
+ */
+export const isAmrapCycle = (cycleDefinition) => cycleDefinition.sets.some(set => set.isAmrap);
+
+/**
+ * Calculates the warm-up and working set weights and reps based on the Training Max and a cycle definition.
+ * Weights are returned in the same unit as the Training Max.
+ * @param {number} trainingMax - The Training Max for the lift (see Lift.getTrainingMax).
+ * @param {Object} cycleDefinition - The cycle to calculate (see DEFAULT_CYCLE_DEFINITIONS).
+ * @param {function(number): number} [roundWeight] - Snaps each prescribed weight to a loadable increment (see createWeightRounder).
+ * @param {Array<number>} [warmUpPercentages] - The Training Max percentages of the three warm-up sets.
+ * @returns {{warmUp: Array<{percentage: number, weight: number, reps: number}> | null, workingSets: WorkSet}}
+ * An object containing the warm-up sets (null for a deload) and a WorkSet object for the working sets.
+ */
+export const calculateTrainingWeights = (trainingMax, cycleDefinition = DEFAULT_CYCLE_DEFINITIONS[0], roundWeight = (weight) => weight, warmUpPercentages = DEFAULT_WARM_UP_PERCENTAGES) => {
+  const calculateWeight = (percentage) => roundWeight(trainingMax * (percentage / 100));
+
+  const warmUpReps = [5, 5, 3]; // Fixed reps for warm-up
+
+  const calculatedWarmUp = warmUpPercentages.map((percentage, index) => ({
+    percentage,
+    weight: calculateWeight(percentage),
+    reps: warmUpReps[index],
+  }));
+
+  const calculatedWorkingSets = new WorkSet(cycleDefinition.sets.map(set => ({
+    percentage: set.percentage,
+    weight: calculateWeight(set.percentage),
+    reps: set.reps,
+    isAmrap: set.isAmrap,
+  })));
+
+  return {
+    warmUp: cycleDefinition.isDeload ? null : calculatedWarmUp, // A deload is light enough to start without warm-ups
+    workingSets: calculatedWorkingSets,
+  };
+};
+
+/**
+ * Suggests joker sets to do after the top working set when it moved well. Each joker set is
+ * JOKER_STEP_PERCENTAGE heavier than the one before, and none goes above the cap.
+ * Weights are returned in the same unit as the Training Max.
+ * @param {number} trainingMax - The Training Max for the lift (see Lift.getTrainingMax).
+ * @param {Object} cycleDefinition - The selected cycle. Only weeks with an AMRAP set have joker sets.
+ * @param {WorkSet} workingSets - The week's working sets, as returned by calculateTrainingWeights.
+ * @param {function(number): number} [roundWeight] - Snaps each suggested weight to a loadable increment (see createWeightRounder).
+ * @param {number} [capPercentage] - The heaviest joker set allowed, as a percentage of the Training Max.
+ * @returns {Array<{percentage: number, weight: number, reps: number}>} The joker sets in order, empty when none fit under the cap.
+ */
+export const calculateJokerSets = (trainingMax, cycleDefinition, workingSets, roundWeight = (weight) => weight, capPercentage = DEFAULT_JOKER_CAP_PERCENTAGE) => {
+  const topSet = workingSets ? workingSets.getTopSet() : null;
+  if (!topSet || cycleDefinition.isDeload || !isAmrapCycle(cycleDefinition) || trainingMax <= 0) {
+    return [];
+  }
+
+  // About half the top set's reps: triples after fives, doubles after triples, singles after singles
+  const reps = Math.max(1, Math.ceil(topSet.reps / 2));
+  const capWeight = trainingMax * (capPercentage / 100);
+  const jokerSets = [];
+  let previousWeight = topSet.weight;
+
+  for (let setNumber = 1; setNumber <= MAX_JOKER_SETS; setNumber++) {
+    const weight = roundWeight(topSet.weight * (1 + (JOKER_STEP_PERCENTAGE * setNumber) / 100));
+    if (weight > capWeight) {
+      break;
+    }
+    // Coarse rounding can land two steps on the same weight; only suggest heavier sets
+    if (weight > previousWeight) {
+      jokerSets.push({ percentage: Math.round((weight / trainingMax) * 100), weight, reps });
+      previousWeight = weight;
+    }
+  }
+
+  return jokerSets;
+};
+
+/**
+ * Calculates the supplemental sets of a lift's template for the selected training cycle.
+ * BBB uses the plan's own percentage; FSL and BBS use the first working set's percentage and SSL the second
+ * (or the first, for a cycle with a single set). Deload weeks have no supplemental work.
+ * @param {number} trainingMax - The Training Max for the lift (see Lift.getTrainingMax).
+ * @param {Object} cycleDefinition - The selected cycle (see DEFAULT_CYCLE_DEFINITIONS).
+ * @param {SupplementalPlan} plan - The lift's supplemental template.
+ * @param {function(number): number} [roundWeight] - Snaps each prescribed weight to a loadable increment (see createWeightRounder).
+ * @returns {{percentage: number, weight: number, reps: number, sets: number} | null}
+ * The percentage, weight, reps per set and number of sets, or null when there is nothing to do.
+ */
+export const calculateSupplementalSets = (trainingMax, cycleDefinition, plan, roundWeight = (weight) => weight) => {
+  if (!plan || plan.template === SUPPLEMENTAL_TEMPLATES.NONE || cycleDefinition.isDeload || cycleDefinition.sets.length === 0) {
+    return null;
+  }
+
+  const workingSetPercentages = cycleDefinition.sets.map(set => set.percentage);
+  let percentage;
+  let reps;
+  let sets;
+
+  switch (plan.template) {
+    case SUPPLEMENTAL_TEMPLATES.BBB:
+      percentage = plan.percentage ?? DEFAULT_BBB_PERCENTAGE;
+      reps = 10;
+      sets = 5;
+      break;
+    case SUPPLEMENTAL_TEMPLATES.FSL:
+      percentage = workingSetPercentages[0];
+      reps = 5;
+      sets = 5;
+      break;
+    case SUPPLEMENTAL_TEMPLATES.SSL:
+      percentage = workingSetPercentages[Math.min(1, workingSetPercentages.length - 1)];
+      reps = 5;
+      sets = 5;
+      break;
+    case SUPPLEMENTAL_TEMPLATES.BBS:
+      percentage = workingSetPercentages[0];
+      reps = 5;
+      sets = 10;
+      break;
+    default:
+      return null;
+  }
+
+  return {
+    percentage,
+    weight: roundWeight(trainingMax * (percentage / 100)),
+    reps,
+    sets,
+  };
+};
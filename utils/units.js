@@ -0,0 +1,25 @@
+// utils/units.js
+import { WEIGHT_UNITS, LBS_TO_KG_FACTOR } from '../constants/units';
+
+/**
+ * Converts a weight between units. Weights already in the target unit are returned unchanged,
+ * so a value is only ever converted for display, never on its way into storage.
+ * @param {number} weight - The weight to convert.
+ * @param {'lbs' | 'kg'} fromUnit - The unit the weight is in.
+ * @param {'lbs' | 'kg'} toUnit - The unit to convert to.
+ * @returns {number} The weight in `toUnit`.
+ */
+export const convertWeight = (weight, fromUnit, toUnit) => {
+  if (fromUnit === toUnit || weight === null || weight === undefined) {
+    return weight;
+  }
+  return toUnit === WEIGHT_UNITS.KG ? weight * LBS_TO_KG_FACTOR : weight / LBS_TO_KG_FACTOR;
+};
+
+/**
+ * Formats a weight for display without padding or trailing zeros (e.g. 100, 102.5, 102.25),
+ * so a value shown in the unit it was entered in reads exactly as typed.
+ * @param {number} weight - The weight to format.
+ * @returns {string} The weight with at most two decimals.
+ */
+export const formatWeight = (weight) => String(Math.round(weight * 100) / 100);
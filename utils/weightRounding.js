@@ -0,0 +1,64 @@
+// utils/weightRounding.js
+import { ROUNDING_MODES } from '../constants/rounding';
+import { EQUIPMENT_INCREMENTS } from '../constants/liftCategories';
+
+// Guards against values such as 187.49999999 being rounded the wrong way.
+const EPSILON = 1e-9;
+
+/**
+ * Snaps a weight to a multiple of the given increment.
+ * @param {number} weight - The weight to round.
+ * @param {number} increment - The smallest loadable jump (e.g. 5 for lbs, 2.5 for kg).
+ * @param {'nearest' | 'down' | 'up'} [mode='nearest'] - The rounding mode to apply.
+ * @returns {number} The rounded weight, or the original weight if the increment is not positive.
+ */
+export const roundToIncrement = (weight, increment, mode = ROUNDING_MODES.NEAREST) => {
+  if (!increment || increment <= 0) {
+    return weight;
+  }
+
+  const steps = weight / increment;
+  let roundedSteps;
+  switch (mode) {
+    case ROUNDING_MODES.DOWN:
+      roundedSteps = Math.floor(steps + EPSILON);
+      break;
+    case ROUNDING_MODES.UP:
+      roundedSteps = Math.ceil(steps - EPSILON);
+      break;
+    case ROUNDING_MODES.NEAREST:
+    default:
+      roundedSteps = Math.round(steps);
+      break;
+  }
+
+  // Trim floating point noise from e.g. 3 * 1.25 without losing legitimate decimals.
+  return parseFloat((roundedSteps * increment).toFixed(4));
+};
+
+/**
+ * Builds a rounding function for one unit system from a user's rounding policy.
+ * @param {{mode: string, increments: {lbs: number, kg: number}}} policy - The rounding policy.
+ * @param {'lbs' | 'kg'} unit - The unit the weights being rounded are in.
+ * @returns {function(number): number} A function that rounds a weight according to the policy.
+ */
+export const createWeightRounder = (policy, unit) => {
+  const increment = policy.increments[unit];
+  return (weight) => roundToIncrement(weight, increment, policy.mode);
+};
+
+/**
+ * Builds a rounding function for one lift. Barbell lifts follow the rounding policy; dumbbell and machine
+ * lifts snap to the jumps their equipment offers (see EQUIPMENT_INCREMENTS), in the policy's rounding mode.
+ * @param {{mode: string, increments: {lbs: number, kg: number}}} policy - The rounding policy.
+ * @param {'lbs' | 'kg'} unit - The unit the weights being rounded are in.
+ * @param {LiftCategory} [category] - The lift's category; without one the lift is treated as a barbell lift.
+ * @returns {function(number): number} A function that rounds a weight for the lift.
+ */
+export const createLiftWeightRounder = (policy, unit, category) => {
+  const equipmentIncrements = category && EQUIPMENT_INCREMENTS[category.equipment];
+  if (!equipmentIncrements) {
+    return createWeightRounder(policy, unit);
+  }
+  return (weight) => roundToIncrement(weight, equipmentIncrements[unit], policy.mode);
+};